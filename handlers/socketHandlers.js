@@ -1,24 +1,70 @@
 // handlers/socketHandlers.js - WebSocket Event Handlers
 const state = require('../state/monitorState');
 const { checkMonitorOnce, validateMonitorConfig, executeRemoteCommand } = require('../monitors/monitorEngine');
-const { sendAlertNotification, speak } = require('../services/notificationService');
-
-// Active monitor intervals
-const monitorIntervals = new Map();
+const { sendAlertNotification, speak, previewAlertRecipients, validateWebhookConfig, testWebhook } = require('../services/notificationService');
+const { validateSloConfig, getAllSloStatuses } = require('../services/sloService');
+const { validateMaintenanceWindow } = require('../state/maintenanceSchedule');
+const { validateRoutingRule } = require('../state/alertRouting');
+const { validateSchedule, validateOverride, validateEscalationPolicy } = require('../state/onCall');
+const { hasRole, validateUser } = require('../state/auth');
+const { validatePassphrase } = require('../state/secretVault');
+const { setupSocketAuth, authorizeSocketEvents, emitToRole, disconnectUser } = require('../services/authService');
+const scheduler = require('../services/scheduler');
+const { evaluateCertificateAlerts, getCertificateInventory } = require('../services/certificateService');
+const { evaluateContentAlerts, getContentDiff, acceptContentChange } = require('../services/contentService');
+const { validateIncidentUpdate } = require('../state/statusPage');
+const { controlsRemoteCommand } = require('../state/commandOutput');
 
 // Broadcast to all clients
 const broadcast = (io, event, data) => {
   io.emit(event, data);
 };
 
+// Minimum role per client event; events not listed here require admin
+const EVENT_ROLES = {
+  viewer: [
+    'application:health', 'dependency:graph', 'group:get-monitors', 'contactGroup:get-members', 'routingRule:dry-run',
+    'schedule:on-call', 'slo:status', 'activity:get', 'activity:detail', 'stats:get', 'scheduler:stats',
+    'certificates:list', 'monitor:content-diff'
+  ],
+  operator: [
+    'application:create', 'application:update', 'application:delete', 'application:add-monitor', 'application:remove-monitor',
+    'monitor:create', 'monitor:update', 'monitor:delete', 'monitor:toggle', 'monitor:check-now', 'monitor:test',
+    'monitor:rotate-push-token', 'monitor:accept-content',
+    'group:create', 'group:update', 'group:delete',
+    'contact:create', 'contact:update', 'contact:delete',
+    'contactGroup:create', 'contactGroup:update', 'contactGroup:delete', 'contactGroup:add-member', 'contactGroup:remove-member',
+    'routingRule:create', 'routingRule:update', 'routingRule:delete',
+    'schedule:create', 'schedule:update', 'schedule:delete', 'schedule:add-override', 'schedule:remove-override',
+    'escalationPolicy:create', 'escalationPolicy:update', 'escalationPolicy:delete',
+    'slo:create', 'slo:update', 'slo:delete',
+    'maintenance:create', 'maintenance:update', 'maintenance:delete',
+    'statusPage:create', 'statusPage:update', 'statusPage:delete', 'incident:add-update',
+    'alert:acknowledge', 'alert:resolve', 'settings:test-tts'
+  ],
+  admin: [
+    'monitor:execute-command', 'settings:update', 'export', 'import',
+    'webhook:create', 'webhook:update', 'webhook:delete', 'webhook:test', 'webhook:deliveries',
+    'statusPage:subscribers', 'statusPage:remove-subscriber',
+    'user:create', 'user:update', 'user:delete'
+  ]
+};
+
 // ==================== SETUP SOCKET HANDLERS ====================
 
 const setupSocketHandlers = (io) => {
+  setupSocketAuth(io);
+  
   io.on('connection', (socket) => {
-    state.addLog('info', 'Client connected', { socketId: socket.id });
+    const user = socket.data.user;
+    const isAdmin = hasRole(user, 'admin');
+    state.addLog('info', 'Client connected', { socketId: socket.id, userId: user.id });
+    
+    socket.use(authorizeSocketEvents(socket, EVENT_ROLES));
     
     // Send initial state
     socket.emit('init', {
+      user,
       monitors: state.getAllMonitors(),
       applications: state.getAllApplications(),
       groups: state.getAllGroups(),
@@ -27,6 +73,15 @@ const setupSocketHandlers = (io) => {
       incidents: state.getIncidents(50),
       contacts: state.getAllContacts(),
       contactGroups: state.getAllContactGroups(),
+      routingRules: state.getAllRoutingRules(),
+      schedules: state.getAllSchedules(),
+      escalationPolicies: state.getAllEscalationPolicies(),
+      escalations: state.getEscalations(),
+      webhooks: isAdmin ? state.getAllWebhooks() : [],
+      statusPages: state.getAllStatusPages(),
+      users: isAdmin ? state.getAllUsers() : [],
+      slos: state.getAllSlos(),
+      maintenanceWindows: state.getAllMaintenanceWindows(),
       settings: state.getSettings(),
       stats: state.getStats(),
       logs: state.getLogs({ limit: 50 }),
@@ -37,6 +92,12 @@ const setupSocketHandlers = (io) => {
     
     socket.on('application:create', (data, callback) => {
       try {
+        const validation = state.validateEntityDependencies('application', null, data);
+        if (!validation.valid) {
+          callback?.({ success: false, errors: validation.errors });
+          return;
+        }
+        
         const app = state.createApplication(data);
         broadcast(io, 'applications-update', state.getAllApplications());
         callback?.({ success: true, application: app });
@@ -47,6 +108,12 @@ const setupSocketHandlers = (io) => {
     
     socket.on('application:update', (data, callback) => {
       try {
+        const validation = state.validateEntityDependencies('application', data.id, data);
+        if (!validation.valid) {
+          callback?.({ success: false, errors: validation.errors });
+          return;
+        }
+        
         const app = state.updateApplication(data.id, data);
         if (app) {
           broadcast(io, 'applications-update', state.getAllApplications());
@@ -65,6 +132,7 @@ const setupSocketHandlers = (io) => {
         if (result) {
           broadcast(io, 'applications-update', state.getAllApplications());
           broadcast(io, 'monitors-update', state.getAllMonitors());
+          broadcast(io, 'statusPages-update', state.getAllStatusPages());
           callback?.({ success: true });
         } else {
           callback?.({ success: false, error: 'Application not found' });
@@ -74,6 +142,14 @@ const setupSocketHandlers = (io) => {
       }
     });
     
+    socket.on('dependency:graph', (callback) => {
+      try {
+        callback?.({ success: true, graph: state.getDependencyGraph() });
+      } catch (error) {
+        callback?.({ success: false, error: error.message });
+      }
+    });
+    
     socket.on('application:health', (id, callback) => {
       try {
         const health = state.getApplicationHealth(id);
@@ -117,9 +193,15 @@ const setupSocketHandlers = (io) => {
     
     socket.on('monitor:create', async (data, callback) => {
       try {
+        if (controlsRemoteCommand(data) && !hasRole(socket.data.user, 'admin')) {
+          callback?.({ success: false, error: 'Requires admin role' });
+          return;
+        }
+        
         const validation = validateMonitorConfig(data);
-        if (!validation.valid) {
-          callback?.({ success: false, errors: validation.errors });
+        const dependencyValidation = state.validateEntityDependencies('monitor', null, data);
+        if (!validation.valid || !dependencyValidation.valid) {
+          callback?.({ success: false, errors: [...validation.errors, ...dependencyValidation.errors] });
           return;
         }
         
@@ -127,14 +209,10 @@ const setupSocketHandlers = (io) => {
         broadcast(io, 'monitors-update', state.getAllMonitors());
         broadcast(io, 'statuses-update', state.getAllStatuses());
         
-        // Start monitoring if enabled
-        if (monitor.enabled) {
-          startMonitorInterval(io, monitor.id);
-          // Run first check immediately
-          runCheck(io, monitor.id);
-        }
+        // Start monitoring if enabled, with the first check queued immediately
+        scheduler.scheduleMonitor(monitor, { immediate: true });
         
-        callback?.({ success: true, monitor });
+        callback?.({ success: true, monitor: state.getMonitorSafe(monitor.id) });
       } catch (error) {
         callback?.({ success: false, error: error.message });
       }
@@ -142,18 +220,30 @@ const setupSocketHandlers = (io) => {
     
     socket.on('monitor:update', async (data, callback) => {
       try {
+        if (controlsRemoteCommand(data, state.getMonitor(data.id)) && !hasRole(socket.data.user, 'admin')) {
+          callback?.({ success: false, error: 'Requires admin role' });
+          return;
+        }
+        
+        const validation = state.validateEntityDependencies('monitor', data.id, data);
+        if (!validation.valid) {
+          callback?.({ success: false, errors: validation.errors });
+          return;
+        }
+        
         const monitor = state.updateMonitor(data.id, data);
         if (monitor) {
           broadcast(io, 'monitors-update', state.getAllMonitors());
           broadcast(io, 'applications-update', state.getAllApplications());
           
-          // Restart monitoring if schedule changed
-          stopMonitorInterval(data.id);
+          // Pick up schedule and type changes
           if (monitor.enabled) {
-            startMonitorInterval(io, monitor.id);
+            scheduler.scheduleMonitor(monitor);
+          } else {
+            scheduler.unscheduleMonitor(monitor.id);
           }
           
-          callback?.({ success: true, monitor });
+          callback?.({ success: true, monitor: state.getMonitorSafe(monitor.id) });
         } else {
           callback?.({ success: false, error: 'Monitor not found' });
         }
@@ -164,7 +254,7 @@ const setupSocketHandlers = (io) => {
     
     socket.on('monitor:delete', (id, callback) => {
       try {
-        stopMonitorInterval(id);
+        scheduler.unscheduleMonitor(id);
         const result = state.deleteMonitor(id);
         if (result) {
           broadcast(io, 'monitors-update', state.getAllMonitors());
@@ -186,10 +276,9 @@ const setupSocketHandlers = (io) => {
           const updated = state.updateMonitor(id, { enabled: !monitor.enabled });
           
           if (updated.enabled) {
-            startMonitorInterval(io, id);
-            runCheck(io, id);
+            scheduler.scheduleMonitor(updated, { immediate: true });
           } else {
-            stopMonitorInterval(id);
+            scheduler.unscheduleMonitor(id);
           }
           
           broadcast(io, 'monitors-update', state.getAllMonitors());
@@ -204,15 +293,52 @@ const setupSocketHandlers = (io) => {
     
     socket.on('monitor:check-now', async (id, callback) => {
       try {
-        await runCheck(io, id);
+        await scheduler.runNow(id);
         callback?.({ success: true });
       } catch (error) {
         callback?.({ success: false, error: error.message });
       }
     });
     
+    socket.on('monitor:rotate-push-token', (id, callback) => {
+      try {
+        const monitor = state.rotatePushToken(id);
+        if (!monitor) {
+          callback?.({ success: false, error: 'Push monitor not found' });
+          return;
+        }
+        broadcast(io, 'monitors-update', state.getAllMonitors());
+        callback?.({ success: true, pushToken: monitor.pushToken });
+      } catch (error) {
+        callback?.({ success: false, error: error.message });
+      }
+    });
+    
+    socket.on('monitor:content-diff', (id, callback) => {
+      const diff = getContentDiff(id);
+      callback?.(diff ? { success: true, diff } : { success: false, error: 'No content captured for this monitor' });
+    });
+    
+    socket.on('monitor:accept-content', async (id, callback) => {
+      try {
+        const content = await acceptContentChange(io, id);
+        if (!content) {
+          callback?.({ success: false, error: 'Content has not changed from the baseline' });
+          return;
+        }
+        callback?.({ success: true, content });
+      } catch (error) {
+        callback?.({ success: false, error: error.message });
+      }
+    });
+    
     socket.on('monitor:test', async (config, callback) => {
       try {
+        if (controlsRemoteCommand(config) && !hasRole(socket.data.user, 'admin')) {
+          callback?.({ success: false, error: 'Requires admin role' });
+          return;
+        }
+        
         const validation = validateMonitorConfig(config);
         if (!validation.valid) {
           callback?.({ success: false, errors: validation.errors });
@@ -236,7 +362,7 @@ const setupSocketHandlers = (io) => {
           return;
         }
         
-        if (monitor.type !== 'ssh' && monitor.type !== 'sftp') {
+        if (!['ssh', 'sftp', 'ssh-command'].includes(monitor.type)) {
           callback?.({ success: false, error: 'Monitor is not SSH/SFTP type' });
           return;
         }
@@ -295,6 +421,7 @@ const setupSocketHandlers = (io) => {
         if (result) {
           broadcast(io, 'groups-update', state.getAllGroups());
           broadcast(io, 'monitors-update', state.getAllMonitors());
+          broadcast(io, 'statusPages-update', state.getAllStatusPages());
           callback?.({ success: true });
         } else {
           callback?.({ success: false, error: 'Group not found' });
@@ -472,6 +599,516 @@ const setupSocketHandlers = (io) => {
       }
     });
     
+    // ==================== ROUTING RULES ====================
+    
+    socket.on('routingRule:create', (data, callback) => {
+      try {
+        const validation = validateRoutingRule(data);
+        if (!validation.valid) {
+          callback?.({ success: false, errors: validation.errors });
+          return;
+        }
+        
+        const rule = state.createRoutingRule(data);
+        broadcast(io, 'routingRules-update', state.getAllRoutingRules());
+        callback?.({ success: true, rule });
+      } catch (error) {
+        callback?.({ success: false, error: error.message });
+      }
+    });
+    
+    socket.on('routingRule:update', (data, callback) => {
+      try {
+        const existing = state.getRoutingRule(data.id);
+        if (!existing) {
+          callback?.({ success: false, error: 'Routing rule not found' });
+          return;
+        }
+        
+        const validation = validateRoutingRule({ ...existing, ...data });
+        if (!validation.valid) {
+          callback?.({ success: false, errors: validation.errors });
+          return;
+        }
+        
+        const rule = state.updateRoutingRule(data.id, data);
+        broadcast(io, 'routingRules-update', state.getAllRoutingRules());
+        callback?.({ success: true, rule });
+      } catch (error) {
+        callback?.({ success: false, error: error.message });
+      }
+    });
+    
+    socket.on('routingRule:delete', (id, callback) => {
+      try {
+        const result = state.deleteRoutingRule(id);
+        if (result) {
+          broadcast(io, 'routingRules-update', state.getAllRoutingRules());
+          callback?.({ success: true });
+        } else {
+          callback?.({ success: false, error: 'Routing rule not found' });
+        }
+      } catch (error) {
+        callback?.({ success: false, error: error.message });
+      }
+    });
+    
+    socket.on('routingRule:dry-run', (data, callback) => {
+      try {
+        const monitor = state.getMonitor(data.monitorId);
+        if (!monitor) {
+          callback?.({ success: false, error: 'Monitor not found' });
+          return;
+        }
+        callback?.({ success: true, preview: previewAlertRecipients(monitor, data) });
+      } catch (error) {
+        callback?.({ success: false, error: error.message });
+      }
+    });
+    
+    // ==================== ON-CALL SCHEDULES ====================
+    
+    socket.on('schedule:create', (data, callback) => {
+      try {
+        const validation = validateSchedule(data);
+        if (!validation.valid) {
+          callback?.({ success: false, errors: validation.errors });
+          return;
+        }
+        
+        const schedule = state.createSchedule(data);
+        broadcast(io, 'schedules-update', state.getAllSchedules());
+        callback?.({ success: true, schedule });
+      } catch (error) {
+        callback?.({ success: false, error: error.message });
+      }
+    });
+    
+    socket.on('schedule:update', (data, callback) => {
+      try {
+        const existing = state.getSchedule(data.id);
+        if (!existing) {
+          callback?.({ success: false, error: 'Schedule not found' });
+          return;
+        }
+        
+        const validation = validateSchedule({ ...existing, ...data });
+        if (!validation.valid) {
+          callback?.({ success: false, errors: validation.errors });
+          return;
+        }
+        
+        const schedule = state.updateSchedule(data.id, data);
+        broadcast(io, 'schedules-update', state.getAllSchedules());
+        callback?.({ success: true, schedule });
+      } catch (error) {
+        callback?.({ success: false, error: error.message });
+      }
+    });
+    
+    socket.on('schedule:delete', (id, callback) => {
+      try {
+        const result = state.deleteSchedule(id);
+        if (result) {
+          broadcast(io, 'schedules-update', state.getAllSchedules());
+          callback?.({ success: true });
+        } else {
+          callback?.({ success: false, error: 'Schedule not found' });
+        }
+      } catch (error) {
+        callback?.({ success: false, error: error.message });
+      }
+    });
+    
+    socket.on('schedule:add-override', (data, callback) => {
+      try {
+        if (!state.getSchedule(data.scheduleId)) {
+          callback?.({ success: false, error: 'Schedule not found' });
+          return;
+        }
+        
+        const validation = validateOverride(data);
+        if (!validation.valid) {
+          callback?.({ success: false, errors: validation.errors });
+          return;
+        }
+        
+        const override = state.addScheduleOverride(data.scheduleId, data);
+        broadcast(io, 'schedules-update', state.getAllSchedules());
+        callback?.({ success: true, override });
+      } catch (error) {
+        callback?.({ success: false, error: error.message });
+      }
+    });
+    
+    socket.on('schedule:remove-override', (data, callback) => {
+      try {
+        const result = state.removeScheduleOverride(data.scheduleId, data.overrideId);
+        if (result) {
+          broadcast(io, 'schedules-update', state.getAllSchedules());
+          callback?.({ success: true });
+        } else {
+          callback?.({ success: false, error: 'Override not found' });
+        }
+      } catch (error) {
+        callback?.({ success: false, error: error.message });
+      }
+    });
+    
+    socket.on('schedule:on-call', (id, callback) => {
+      try {
+        const onCall = state.getOnCallNow(id);
+        if (onCall) {
+          callback?.({ success: true, ...onCall });
+        } else {
+          callback?.({ success: false, error: 'Schedule not found' });
+        }
+      } catch (error) {
+        callback?.({ success: false, error: error.message });
+      }
+    });
+    
+    // ==================== ESCALATION POLICIES ====================
+    
+    socket.on('escalationPolicy:create', (data, callback) => {
+      try {
+        const validation = validateEscalationPolicy(data);
+        if (!validation.valid) {
+          callback?.({ success: false, errors: validation.errors });
+          return;
+        }
+        
+        const policy = state.createEscalationPolicy(data);
+        broadcast(io, 'escalationPolicies-update', state.getAllEscalationPolicies());
+        callback?.({ success: true, policy });
+      } catch (error) {
+        callback?.({ success: false, error: error.message });
+      }
+    });
+    
+    socket.on('escalationPolicy:update', (data, callback) => {
+      try {
+        const existing = state.getEscalationPolicy(data.id);
+        if (!existing) {
+          callback?.({ success: false, error: 'Escalation policy not found' });
+          return;
+        }
+        
+        const validation = validateEscalationPolicy({ ...existing, ...data });
+        if (!validation.valid) {
+          callback?.({ success: false, errors: validation.errors });
+          return;
+        }
+        
+        const policy = state.updateEscalationPolicy(data.id, data);
+        broadcast(io, 'escalationPolicies-update', state.getAllEscalationPolicies());
+        callback?.({ success: true, policy });
+      } catch (error) {
+        callback?.({ success: false, error: error.message });
+      }
+    });
+    
+    socket.on('escalationPolicy:delete', (id, callback) => {
+      try {
+        const result = state.deleteEscalationPolicy(id);
+        if (result) {
+          broadcast(io, 'escalationPolicies-update', state.getAllEscalationPolicies());
+          callback?.({ success: true });
+        } else {
+          callback?.({ success: false, error: 'Escalation policy not found' });
+        }
+      } catch (error) {
+        callback?.({ success: false, error: error.message });
+      }
+    });
+    
+    // ==================== WEBHOOKS ====================
+    
+    socket.on('webhook:create', (data, callback) => {
+      try {
+        const validation = validateWebhookConfig(data);
+        if (!validation.valid) {
+          callback?.({ success: false, errors: validation.errors });
+          return;
+        }
+        
+        const webhook = state.createWebhook(data);
+        emitToRole(io, 'admin', 'webhooks-update', state.getAllWebhooks());
+        callback?.({ success: true, webhook: state.getWebhookSafe(webhook.id) });
+      } catch (error) {
+        callback?.({ success: false, error: error.message });
+      }
+    });
+    
+    socket.on('webhook:update', (data, callback) => {
+      try {
+        const existing = state.getWebhook(data.id);
+        if (!existing) {
+          callback?.({ success: false, error: 'Webhook not found' });
+          return;
+        }
+        
+        const validation = validateWebhookConfig({ ...existing, ...data });
+        if (!validation.valid) {
+          callback?.({ success: false, errors: validation.errors });
+          return;
+        }
+        
+        state.updateWebhook(data.id, data);
+        emitToRole(io, 'admin', 'webhooks-update', state.getAllWebhooks());
+        callback?.({ success: true, webhook: state.getWebhookSafe(data.id) });
+      } catch (error) {
+        callback?.({ success: false, error: error.message });
+      }
+    });
+    
+    socket.on('webhook:delete', (id, callback) => {
+      try {
+        const result = state.deleteWebhook(id);
+        if (result) {
+          emitToRole(io, 'admin', 'webhooks-update', state.getAllWebhooks());
+          callback?.({ success: true });
+        } else {
+          callback?.({ success: false, error: 'Webhook not found' });
+        }
+      } catch (error) {
+        callback?.({ success: false, error: error.message });
+      }
+    });
+    
+    socket.on('webhook:test', async (id, callback) => {
+      try {
+        const webhook = state.getWebhook(id);
+        if (!webhook) {
+          callback?.({ success: false, error: 'Webhook not found' });
+          return;
+        }
+        callback?.(await testWebhook(webhook));
+      } catch (error) {
+        callback?.({ success: false, error: error.message });
+      }
+    });
+    
+    socket.on('webhook:deliveries', (data, callback) => {
+      try {
+        callback?.({ success: true, deliveries: state.getWebhookDeliveries(data || {}) });
+      } catch (error) {
+        callback?.({ success: false, error: error.message });
+      }
+    });
+    
+    // ==================== STATUS PAGES ====================
+    
+    socket.on('statusPage:create', (data, callback) => {
+      try {
+        const validation = state.validateStatusPageConfig(null, data);
+        if (!validation.valid) {
+          callback?.({ success: false, errors: validation.errors });
+          return;
+        }
+        
+        const page = state.createStatusPage(data);
+        broadcast(io, 'statusPages-update', state.getAllStatusPages());
+        callback?.({ success: true, statusPage: page });
+      } catch (error) {
+        callback?.({ success: false, error: error.message });
+      }
+    });
+    
+    socket.on('statusPage:update', (data, callback) => {
+      try {
+        if (!state.getStatusPage(data.id)) {
+          callback?.({ success: false, error: 'Status page not found' });
+          return;
+        }
+        
+        const validation = state.validateStatusPageConfig(data.id, data);
+        if (!validation.valid) {
+          callback?.({ success: false, errors: validation.errors });
+          return;
+        }
+        
+        const page = state.updateStatusPage(data.id, data);
+        broadcast(io, 'statusPages-update', state.getAllStatusPages());
+        callback?.({ success: true, statusPage: page });
+      } catch (error) {
+        callback?.({ success: false, error: error.message });
+      }
+    });
+    
+    socket.on('statusPage:delete', (id, callback) => {
+      try {
+        const result = state.deleteStatusPage(id);
+        if (result) {
+          broadcast(io, 'statusPages-update', state.getAllStatusPages());
+          callback?.({ success: true });
+        } else {
+          callback?.({ success: false, error: 'Status page not found' });
+        }
+      } catch (error) {
+        callback?.({ success: false, error: error.message });
+      }
+    });
+    
+    socket.on('statusPage:subscribers', (id, callback) => {
+      try {
+        if (!state.getStatusPage(id)) {
+          callback?.({ success: false, error: 'Status page not found' });
+          return;
+        }
+        callback?.({ success: true, subscribers: state.getStatusPageSubscribers(id) });
+      } catch (error) {
+        callback?.({ success: false, error: error.message });
+      }
+    });
+    
+    socket.on('statusPage:remove-subscriber', (data, callback) => {
+      try {
+        const result = state.deleteStatusPageSubscriber(data.pageId, data.subscriberId);
+        callback?.(result ? { success: true } : { success: false, error: 'Subscriber not found' });
+      } catch (error) {
+        callback?.({ success: false, error: error.message });
+      }
+    });
+    
+    socket.on('incident:add-update', (data, callback) => {
+      try {
+        const incident = state.getIncident(data.incidentId);
+        if (!incident) {
+          callback?.({ success: false, error: 'Incident not found' });
+          return;
+        }
+        
+        const validation = validateIncidentUpdate(data, incident);
+        if (!validation.valid) {
+          callback?.({ success: false, errors: validation.errors });
+          return;
+        }
+        
+        const updated = state.addIncidentUpdate(data.incidentId, { ...data, author: user.username });
+        broadcast(io, 'incidents-update', state.getIncidents(50));
+        callback?.({ success: true, incident: updated });
+      } catch (error) {
+        callback?.({ success: false, error: error.message });
+      }
+    });
+    
+    // ==================== SLOS ====================
+    
+    socket.on('slo:create', (data, callback) => {
+      try {
+        const validation = validateSloConfig(data);
+        if (!validation.valid) {
+          callback?.({ success: false, errors: validation.errors });
+          return;
+        }
+        
+        const slo = state.createSlo(data);
+        broadcast(io, 'slos-update', state.getAllSlos());
+        callback?.({ success: true, slo });
+      } catch (error) {
+        callback?.({ success: false, error: error.message });
+      }
+    });
+    
+    socket.on('slo:update', (data, callback) => {
+      try {
+        const existing = state.getSlo(data.id);
+        if (!existing) {
+          callback?.({ success: false, error: 'SLO not found' });
+          return;
+        }
+        
+        const validation = validateSloConfig({ ...existing, ...data });
+        if (!validation.valid) {
+          callback?.({ success: false, errors: validation.errors });
+          return;
+        }
+        
+        const slo = state.updateSlo(data.id, data);
+        broadcast(io, 'slos-update', state.getAllSlos());
+        callback?.({ success: true, slo });
+      } catch (error) {
+        callback?.({ success: false, error: error.message });
+      }
+    });
+    
+    socket.on('slo:delete', (id, callback) => {
+      try {
+        const result = state.deleteSlo(id);
+        if (result) {
+          broadcast(io, 'slos-update', state.getAllSlos());
+          callback?.({ success: true });
+        } else {
+          callback?.({ success: false, error: 'SLO not found' });
+        }
+      } catch (error) {
+        callback?.({ success: false, error: error.message });
+      }
+    });
+    
+    socket.on('slo:status', (callback) => {
+      try {
+        callback?.({ success: true, statuses: getAllSloStatuses() });
+      } catch (error) {
+        callback?.({ success: false, error: error.message });
+      }
+    });
+    
+    // ==================== MAINTENANCE WINDOWS ====================
+    
+    socket.on('maintenance:create', (data, callback) => {
+      try {
+        const validation = validateMaintenanceWindow(data);
+        if (!validation.valid) {
+          callback?.({ success: false, errors: validation.errors });
+          return;
+        }
+        
+        const window = state.createMaintenanceWindow(data);
+        broadcast(io, 'maintenance-update', state.getAllMaintenanceWindows());
+        callback?.({ success: true, maintenanceWindow: window });
+      } catch (error) {
+        callback?.({ success: false, error: error.message });
+      }
+    });
+    
+    socket.on('maintenance:update', (data, callback) => {
+      try {
+        const existing = state.getMaintenanceWindow(data.id);
+        if (!existing) {
+          callback?.({ success: false, error: 'Maintenance window not found' });
+          return;
+        }
+        
+        const validation = validateMaintenanceWindow({ ...existing, ...data });
+        if (!validation.valid) {
+          callback?.({ success: false, errors: validation.errors });
+          return;
+        }
+        
+        const window = state.updateMaintenanceWindow(data.id, data);
+        broadcast(io, 'maintenance-update', state.getAllMaintenanceWindows());
+        callback?.({ success: true, maintenanceWindow: window });
+      } catch (error) {
+        callback?.({ success: false, error: error.message });
+      }
+    });
+    
+    socket.on('maintenance:delete', (id, callback) => {
+      try {
+        const result = state.deleteMaintenanceWindow(id);
+        if (result) {
+          broadcast(io, 'maintenance-update', state.getAllMaintenanceWindows());
+          callback?.({ success: true });
+        } else {
+          callback?.({ success: false, error: 'Maintenance window not found' });
+        }
+      } catch (error) {
+        callback?.({ success: false, error: error.message });
+      }
+    });
+    
     // ==================== ALERTS ====================
     
     socket.on('alert:acknowledge', (id, callback) => {
@@ -479,6 +1116,7 @@ const setupSocketHandlers = (io) => {
         const alert = state.acknowledgeAlert(id);
         if (alert) {
           broadcast(io, 'alerts-update', state.getAllAlerts());
+          broadcast(io, 'escalations-update', state.getEscalations());
           callback?.({ success: true, alert });
         } else {
           callback?.({ success: false, error: 'Alert not found' });
@@ -493,6 +1131,7 @@ const setupSocketHandlers = (io) => {
         const alert = state.resolveAlert(id);
         if (alert) {
           broadcast(io, 'alerts-update', state.getAllAlerts());
+          broadcast(io, 'escalations-update', state.getEscalations());
           callback?.({ success: true, alert });
         } else {
           callback?.({ success: false, error: 'Alert not found' });
@@ -506,6 +1145,12 @@ const setupSocketHandlers = (io) => {
     
     socket.on('settings:update', (data, callback) => {
       try {
+        const validation = scheduler.validateSchedulerSettings(data);
+        if (!validation.valid) {
+          callback?.({ success: false, errors: validation.errors });
+          return;
+        }
+        
         const settings = state.updateSettings(data);
         broadcast(io, 'settings-update', state.getSettings());
         callback?.({ success: true, settings: state.getSettings() });
@@ -523,6 +1168,82 @@ const setupSocketHandlers = (io) => {
       }
     });
     
+    // ==================== USERS ====================
+    
+    socket.on('user:create', (data, callback) => {
+      try {
+        const validation = validateUser(data);
+        if (!validation.valid) {
+          callback?.({ success: false, errors: validation.errors });
+          return;
+        }
+        if (state.findUserByUsername(data.username)) {
+          callback?.({ success: false, errors: ['Username is already taken'] });
+          return;
+        }
+        
+        const created = state.createUser(data);
+        emitToRole(io, 'admin', 'users-update', state.getAllUsers());
+        callback?.({ success: true, user: created });
+      } catch (error) {
+        callback?.({ success: false, error: error.message });
+      }
+    });
+    
+    socket.on('user:update', (data, callback) => {
+      try {
+        const { id, ...changes } = data;
+        if (!state.getUser(id)) {
+          callback?.({ success: false, error: 'User not found' });
+          return;
+        }
+        const validation = validateUser(changes, false);
+        if (!validation.valid) {
+          callback?.({ success: false, errors: validation.errors });
+          return;
+        }
+        const taken = changes.username && state.findUserByUsername(changes.username);
+        if (taken && taken.id !== id) {
+          callback?.({ success: false, errors: ['Username is already taken'] });
+          return;
+        }
+        if (state.isLastAdmin(id, changes)) {
+          callback?.({ success: false, errors: ['At least one enabled admin is required'] });
+          return;
+        }
+        
+        const updated = state.updateUser(id, changes);
+        if (changes.password || updated.enabled === false) disconnectUser(id);
+        emitToRole(io, 'admin', 'users-update', state.getAllUsers());
+        callback?.({ success: true, user: updated });
+      } catch (error) {
+        callback?.({ success: false, error: error.message });
+      }
+    });
+    
+    socket.on('user:delete', (id, callback) => {
+      try {
+        if (id === socket.data.user.id) {
+          callback?.({ success: false, error: 'You cannot delete your own account' });
+          return;
+        }
+        if (state.isLastAdmin(id)) {
+          callback?.({ success: false, error: 'At least one enabled admin is required' });
+          return;
+        }
+        
+        if (state.deleteUser(id)) {
+          disconnectUser(id);
+          emitToRole(io, 'admin', 'users-update', state.getAllUsers());
+          callback?.({ success: true });
+        } else {
+          callback?.({ success: false, error: 'User not found' });
+        }
+      } catch (error) {
+        callback?.({ success: false, error: error.message });
+      }
+    });
+    
     // ==================== ACTIVITY LOGS ====================
     
     socket.on('activity:get', (options, callback) => {
@@ -545,9 +1266,19 @@ const setupSocketHandlers = (io) => {
     
     // ==================== EXPORT/IMPORT ====================
     
-    socket.on('export', (callback) => {
+    // Optional { passphrase } includes credentials, encrypted with that passphrase
+    socket.on('export', (options, callback) => {
+      if (typeof options === 'function') {
+        callback = options;
+        options = {};
+      }
       try {
-        const data = state.exportData();
+        const validation = options?.passphrase ? validatePassphrase(options.passphrase) : { valid: true };
+        if (!validation.valid) {
+          callback?.({ success: false, errors: validation.errors });
+          return;
+        }
+        const data = state.exportData({ passphrase: options?.passphrase });
         callback?.({ success: true, data });
       } catch (error) {
         callback?.({ success: false, error: error.message });
@@ -556,7 +1287,8 @@ const setupSocketHandlers = (io) => {
     
     socket.on('import', (data, callback) => {
       try {
-        const result = state.importData(data);
+        const { secretsPassphrase, ...importData } = data;
+        const result = state.importData(importData, { passphrase: secretsPassphrase });
         if (result.success) {
           // Restart all monitors with a delay to allow UI to update
           stopAllMonitors();
@@ -570,6 +1302,7 @@ const setupSocketHandlers = (io) => {
           broadcast(io, 'statuses-update', state.getAllStatuses());
           broadcast(io, 'contacts-update', state.getAllContacts());
           broadcast(io, 'contactGroups-update', state.getAllContactGroups());
+          broadcast(io, 'statusPages-update', state.getAllStatusPages());
         }
         callback?.(result);
       } catch (error) {
@@ -587,101 +1320,109 @@ const setupSocketHandlers = (io) => {
       }
     });
     
+    socket.on('scheduler:stats', (callback) => {
+      try {
+        callback?.({ success: true, stats: scheduler.getSchedulerStats(), jobs: scheduler.getScheduledJobs() });
+      } catch (error) {
+        callback?.({ success: false, error: error.message });
+      }
+    });
+    
+    // ==================== CERTIFICATES ====================
+    
+    socket.on('certificates:list', (callback) => {
+      try {
+        callback?.({ success: true, certificates: getCertificateInventory() });
+      } catch (error) {
+        callback?.({ success: false, error: error.message });
+      }
+    });
+    
     // ==================== DISCONNECT ====================
     
     socket.on('disconnect', () => {
-      state.addLog('info', 'Client disconnected', { socketId: socket.id });
+      state.addLog('info', 'Client disconnected', { socketId: socket.id, userId: user.id });
     });
   });
 };
 
 // ==================== MONITOR EXECUTION ====================
 
+// Runs one check and publishes the outcome; called by the scheduler
 const runCheck = async (io, monitorId) => {
   const monitor = state.getMonitor(monitorId);
-  if (!monitor) return;
+  if (!monitor) return null;
   
   try {
-    const result = await checkMonitorOnce(monitor);
-    const previousStatus = state.getStatus(monitorId);
+    const result = await checkMonitorOnce(monitor, state.getStatus(monitorId));
     
-    state.updateStatus(monitorId, result);
+    // Checks that cannot tell yet (push monitors waiting for their first heartbeat) record nothing
+    if (result.status === 'PENDING') return result;
     
-    broadcast(io, 'statuses-update', state.getAllStatuses());
-    broadcast(io, 'stats-update', state.getStats());
-    
-    // Check for status change and send notifications
-    if (previousStatus?.status !== result.status) {
-      broadcast(io, 'alerts-update', state.getAllAlerts());
-      broadcast(io, 'incidents-update', state.getIncidents(50));
-      broadcast(io, 'logs-update', state.getLogs({ limit: 50 }));
-      broadcast(io, 'activity-update', state.getActivityLogs({ limit: 50 }));
-      
-      // Send notifications for DOWN status
-      if (result.status === 'DOWN') {
-        // Get the alert that was just created (incident creates alert immediately)
-        const alert = state.getAllAlerts().find(a => 
-          a.monitorId === monitorId && a.status === 'active' && new Date(a.createdAt) > new Date(Date.now() - 5000)
-        );
-        
-        if (alert) {
-          await sendAlertNotification(alert, monitor);
-        }
-      } else if (result.status === 'UP' && previousStatus?.status === 'DOWN') {
-        // Send recovery notifications
-        const alert = state.getAllAlerts().find(a => 
-          a.monitorId === monitorId && a.status === 'active'
-        );
-        
-        if (alert) {
-          alert.status = 'resolved';
-          alert.resolvedAt = new Date().toISOString();
-          await sendAlertNotification(alert, monitor);
-          broadcast(io, 'alerts-update', state.getAllAlerts());
-        }
-      }
-    }
+    return await recordCheckResult(io, monitor, result);
   } catch (error) {
     state.addLog('error', `Check failed for ${monitor.name}: ${error.message}`, { monitorId });
+    return null;
   }
 };
 
-const startMonitorInterval = (io, monitorId) => {
-  const monitor = state.getMonitor(monitorId);
-  if (!monitor || !monitor.enabled) return;
+// Records a check result (from a scheduled check or a push heartbeat), broadcasts it and notifies
+const recordCheckResult = async (io, monitor, result) => {
+  const monitorId = monitor.id;
+  const previousStatus = state.getStatus(monitorId);
+  // Recovery is announced whenever this check closes the incident alert, whatever the way back to
+  // UP (straight from DOWN, or after FLAPPING or UNREACHABLE)
+  const openAlert = state.getAllAlerts().find(a => a.monitorId === monitorId && a.type === 'incident' && a.status === 'active');
   
-  // Clear existing interval if any
-  stopMonitorInterval(monitorId);
+  // The recorded status may differ from the check result (e.g. MAINTENANCE)
+  const { status } = state.updateStatus(monitorId, result);
   
-  const intervalMs = (monitor.schedule || 60) * 1000;
-  const interval = setInterval(() => runCheck(io, monitorId), intervalMs);
+  broadcast(io, 'statuses-update', state.getAllStatuses());
+  broadcast(io, 'stats-update', state.getStats());
   
-  monitorIntervals.set(monitorId, interval);
-  state.addLog('info', `Started monitoring: ${monitor.name} (every ${monitor.schedule}s)`, { monitorId });
-};
-
-const stopMonitorInterval = (monitorId) => {
-  const interval = monitorIntervals.get(monitorId);
-  if (interval) {
-    clearInterval(interval);
-    monitorIntervals.delete(monitorId);
+  // Check for status change and send notifications
+  if (previousStatus?.status !== status) {
+    broadcast(io, 'alerts-update', state.getAllAlerts());
+    broadcast(io, 'incidents-update', state.getIncidents(50));
+    broadcast(io, 'logs-update', state.getLogs({ limit: 50 }));
+    broadcast(io, 'activity-update', state.getActivityLogs({ limit: 50 }));
+    
+    // Send notifications for DOWN status
+    if (status === 'DOWN') {
+      // Get the alert that was just created (incident creates alert immediately)
+      const alert = state.getAllAlerts().find(a => 
+        a.monitorId === monitorId && a.type === 'incident' && a.status === 'active' && new Date(a.createdAt) > new Date(Date.now() - 5000)
+      );
+      
+      if (alert) {
+        await sendAlertNotification(alert, monitor);
+      }
+    }
+  }
+  
+  // Send recovery notifications; without autoResolve the incident stays open but its alert is closed
+  if (status === 'UP' && openAlert) {
+    if (openAlert.status === 'active') {
+      state.resolveAlert(openAlert.id);
+    }
+    await sendAlertNotification(openAlert, monitor);
+    broadcast(io, 'alerts-update', state.getAllAlerts());
   }
+  
+  await evaluateCertificateAlerts(io, monitorId);
+  await evaluateContentAlerts(io, monitorId);
+  
+  return result;
 };
 
+// First checks are spread out by the scheduler instead of all firing at startup
 const startAllMonitors = (io) => {
-  state.getEnabledMonitors().forEach((monitor, index) => {
-    startMonitorInterval(io, monitor.id);
-    // Run initial checks with staggered timing (important for startup)
-    const delay = index * 500; // 500ms between each monitor's first check
-    setTimeout(() => runCheck(io, monitor.id), delay);
-  });
+  scheduler.startScheduler((monitorId) => runCheck(io, monitorId));
+  state.getEnabledMonitors().forEach(monitor => scheduler.scheduleMonitor(monitor));
 };
 
 const stopAllMonitors = () => {
-  monitorIntervals.forEach((interval, id) => {
-    clearInterval(interval);
-  });
-  monitorIntervals.clear();
+  scheduler.stopScheduler();
 };
 
 // ==================== NETWORK CONNECTIVITY CHECK ====================
@@ -733,6 +1474,12 @@ const checkNetworkConnectivity = async (io) => {
       broadcast(io, 'network-status', newStatus);
       state.addLog('info', 'Network connectivity restored', {});
       
+      // Close the outage incident that monitors failing meanwhile were folded into
+      if (state.resolveIncidentForMonitor('NETWORK')) {
+        broadcast(io, 'incidents-update', state.getIncidents(50));
+        broadcast(io, 'alerts-update', state.getAllAlerts());
+      }
+      
       // Send network recovery notification only if:
       // 1. Cooldown has passed since last notification
       // 2. Last notification was NOT also a "connected" notification (avoid duplicate recoveries)
@@ -799,7 +1546,11 @@ const checkNetworkConnectivity = async (io) => {
 const sendNetworkStatusNotification = async (io, isConnected) => {
   try {
     const settings = state.getSettingsFull();
-    const contacts = state.getContactsForAlert();
+    const { allRecipients: contacts } = state.getRecipientsForAlert({
+      monitor: { id: 'NETWORK', name: 'Network', type: 'network' },
+      severity: isConnected ? 'info' : 'critical',
+      alertType: 'connectivity'
+    });
     const { speak, sendEmail } = require('../services/notificationService');
     
     // Play sound/TTS for network status change
@@ -867,6 +1618,7 @@ const stopNetworkCheck = () => {
 
 module.exports = {
   setupSocketHandlers,
+  recordCheckResult,
   startAllMonitors,
   stopAllMonitors,
   startNetworkCheck,
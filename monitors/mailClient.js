@@ -0,0 +1,301 @@
+// monitors/mailClient.js - SMTP, IMAP and POP3 Sessions: Greeting, STARTTLS, Login and Round-Trip Probes
+const net = require('net');
+const tls = require('tls');
+const { StringDecoder } = require('string_decoder');
+const { saslPlain, authMechanisms, imapQuote, PROBE_HEADER } = require('../state/mailChecks');
+
+const DEFAULT_TIMEOUT = 10000;
+const MAX_LINE_LENGTH = 65536;
+
+// Server text quoted in error messages
+const excerpt = (text) => String(text).slice(0, 200);
+
+// ==================== CONNECTION ====================
+
+// CRLF line reader over a plain or implicit TLS socket; upgrade() switches it to TLS in place
+// (STARTTLS). The handshake itself accepts any certificate: verifyCertificate(tlsSocket) runs right
+// after it and throws to drop the connection, so a rejected server never sees a login.
+const openConnection = ({ host, port, secure, servername, verifyCertificate, timeout = DEFAULT_TIMEOUT }) => new Promise((resolve, reject) => {
+  const hostname = servername || host;
+  // SNI does not allow IP addresses
+  const tlsOptions = { servername: net.isIP(hostname) ? undefined : hostname, rejectUnauthorized: false };
+  const decoder = new StringDecoder('utf8');
+  const lines = [];
+  const waiters = [];
+  let buffer = '';
+  let failure = null;
+  let socket;
+
+  const fail = (error) => {
+    if (failure) return;
+    failure = error;
+    waiters.splice(0).forEach(({ rej }) => rej(error));
+    socket.destroy();
+    reject(error);
+  };
+
+  const onData = (chunk) => {
+    buffer += decoder.write(chunk);
+    let index;
+    while ((index = buffer.indexOf('\n')) !== -1) {
+      lines.push(buffer.slice(0, index).replace(/\r$/, ''));
+      buffer = buffer.slice(index + 1);
+    }
+    if (buffer.length > MAX_LINE_LENGTH) return fail(new Error('Server sent an overlong line'));
+    while (lines.length && waiters.length) waiters.shift().res(lines.shift());
+  };
+
+  // The error verifyCertificate threw, or null when the certificate was accepted
+  const certificateError = (tlsSocket) => {
+    try {
+      verifyCertificate?.(tlsSocket);
+      return null;
+    } catch (error) {
+      return error;
+    }
+  };
+
+  const attach = (target) => {
+    target.setTimeout(timeout);
+    target.on('data', onData);
+    target.on('timeout', () => fail(new Error('Connection timeout')));
+    target.on('error', fail);
+    target.on('close', () => fail(new Error('Connection closed by server')));
+  };
+
+  const upgrade = () => new Promise((res, rej) => {
+    const plain = socket;
+    plain.removeListener('data', onData);
+    plain.removeAllListeners('timeout');
+    plain.setTimeout(0);
+    socket = tls.connect({ ...tlsOptions, socket: plain }, () => {
+      const error = certificateError(socket);
+      if (!error) return res(socket);
+      rej(error);
+      fail(error);
+    });
+    attach(socket);
+    socket.once('error', rej);
+    socket.once('close', () => rej(new Error('Connection closed during TLS handshake')));
+  });
+
+  const session = {
+    // Lines that arrived before the server hung up can still be read
+    readLine: () => {
+      if (lines.length) return Promise.resolve(lines.shift());
+      if (failure) return Promise.reject(failure);
+      return new Promise((res, rej) => waiters.push({ res, rej }));
+    },
+    writeLine: (line) => {
+      if (!failure) socket.write(`${line}\r\n`);
+    },
+    upgrade,
+    get tlsSocket() {
+      return socket instanceof tls.TLSSocket ? socket : null;
+    },
+    close: () => {
+      failure = failure || new Error('Connection closed');
+      socket.destroy();
+    }
+  };
+
+  socket = secure
+    ? tls.connect({ host, port, ...tlsOptions }, () => {
+      const error = certificateError(socket);
+      return error ? fail(error) : resolve(session);
+    })
+    : net.createConnection({ host, port }, () => resolve(session));
+  attach(socket);
+});
+
+// Connects and runs the protocol handshake; the connection is closed when the handshake fails
+const establish = async (options, handshake) => {
+  const session = await openConnection({ ...options, secure: options.security === 'tls' });
+  try {
+    return { session, ...(await handshake(session)) };
+  } catch (error) {
+    session.close();
+    throw error;
+  }
+};
+
+// Says goodbye without waiting long for (or insisting on) the reply
+const quit = async (session, command, readReply) => {
+  session.writeLine(command);
+  await readReply().catch(() => {});
+  session.close();
+};
+
+// ==================== SMTP ====================
+
+// Multiline replies ("250-...", "250 ...") as { code, text, lines }
+const smtpReply = async (session) => {
+  const lines = [];
+  for (;;) {
+    const line = await session.readLine();
+    const match = /^(\d{3})(?:([ -])(.*))?$/.exec(line);
+    if (!match) throw new Error(`Unexpected SMTP reply: ${excerpt(line)}`);
+    lines.push(match[3] || '');
+    if (match[2] !== '-') return { code: Number(match[1]), text: lines.join(' ').trim(), lines };
+  }
+};
+
+// label replaces the command in errors, so credentials never end up in a status message
+const smtpCommand = async (session, command, expected, label = command) => {
+  session.writeLine(command);
+  const reply = await smtpReply(session);
+  if (!expected.includes(reply.code)) throw new Error(`${label} rejected: ${reply.code} ${excerpt(reply.text)}`);
+  return reply;
+};
+
+// EHLO extensions (STARTTLS, AUTH ...); servers that only know HELO have none
+const smtpHello = async (session, clientName) => {
+  session.writeLine(`EHLO ${clientName}`);
+  const reply = await smtpReply(session);
+  if (reply.code === 250) return reply.lines.slice(1);
+  await smtpCommand(session, `HELO ${clientName}`, [250], 'HELO');
+  return [];
+};
+
+const base64 = (value) => Buffer.from(String(value)).toString('base64');
+
+// AUTH PLAIN unless the server only offers LOGIN
+const smtpLogin = async (session, capabilities, username, password) => {
+  const mechanisms = authMechanisms(capabilities);
+  if (mechanisms.includes('LOGIN') && !mechanisms.includes('PLAIN')) {
+    await smtpCommand(session, 'AUTH LOGIN', [334]);
+    await smtpCommand(session, base64(username), [334], 'Username');
+    await smtpCommand(session, base64(password), [235], 'Login');
+  } else {
+    await smtpCommand(session, `AUTH PLAIN ${saslPlain(username, password)}`, [235], 'Login');
+  }
+};
+
+// Resolves { session, banner, capabilities, quit, send } once greeted, secured and logged in
+const smtpConnect = (options) => establish(options, async (session) => {
+  const clientName = options.clientName || 'localhost';
+  const greeting = await smtpReply(session);
+  if (greeting.code !== 220) throw new Error(`SMTP greeting rejected: ${greeting.code} ${excerpt(greeting.text)}`);
+
+  let capabilities = await smtpHello(session, clientName);
+  if (options.security === 'starttls') {
+    if (!capabilities.some(line => /^STARTTLS\b/i.test(line))) throw new Error('Server does not offer STARTTLS');
+    await smtpCommand(session, 'STARTTLS', [220]);
+    await session.upgrade();
+    capabilities = await smtpHello(session, clientName);
+  }
+  if (options.username) {
+    await smtpLogin(session, capabilities, options.username, options.password);
+  }
+
+  return {
+    banner: greeting.text,
+    capabilities,
+    quit: () => quit(session, 'QUIT', () => smtpReply(session)),
+    // message: complete RFC 5322 text with dot-stuffed lines; resolves with the server's queue reply
+    send: async ({ from, to, message }) => {
+      await smtpCommand(session, `MAIL FROM:<${from}>`, [250], 'MAIL FROM');
+      await smtpCommand(session, `RCPT TO:<${to}>`, [250, 251], 'RCPT TO');
+      await smtpCommand(session, 'DATA', [354]);
+      const reply = await smtpCommand(session, `${message}\r\n.`, [250], 'Message');
+      return reply.text;
+    }
+  };
+});
+
+// ==================== IMAP ====================
+
+// Resolves { session, banner, quit, command, findProbe, deleteMessages }
+const imapConnect = (options) => establish(options, async (session) => {
+  let sequence = 0;
+
+  // Untagged responses up to the tagged completion; anything but OK is an error
+  const command = async (text, label = text.split(' ')[0]) => {
+    const tag = `P${++sequence}`;
+    session.writeLine(`${tag} ${text}`);
+    const untagged = [];
+    for (;;) {
+      const line = await session.readLine();
+      if (line.startsWith(`${tag} `)) {
+        const [, status = '', result = ''] = /^\S+ (\S+) ?(.*)$/.exec(line) || [];
+        if (status.toUpperCase() !== 'OK') throw new Error(`${label} failed: ${status} ${excerpt(result)}`.trim());
+        return { text: result, untagged };
+      }
+      untagged.push(line);
+    }
+  };
+
+  const greeting = await session.readLine();
+  const match = /^\* (OK|PREAUTH|BYE)\b ?(.*)$/i.exec(greeting);
+  if (!match || match[1].toUpperCase() === 'BYE') throw new Error(`IMAP greeting rejected: ${excerpt(greeting)}`);
+
+  if (options.security === 'starttls') {
+    await command('STARTTLS');
+    await session.upgrade();
+  }
+  if (options.username && match[1].toUpperCase() !== 'PREAUTH') {
+    await command(`LOGIN ${imapQuote(options.username)} ${imapQuote(options.password || '')}`, 'Login');
+  }
+
+  return {
+    banner: match[2],
+    command,
+    quit: () => quit(session, `P${++sequence} LOGOUT`, async () => {
+      for (;;) if (/^P\d+ /.test(await session.readLine())) return;
+    }),
+    // UIDs of the probe messages carrying token in the selected mailbox
+    findProbe: async (token) => {
+      const { untagged } = await command(`UID SEARCH HEADER ${PROBE_HEADER} ${imapQuote(token)}`, 'SEARCH');
+      return untagged
+        .filter(line => /^\* SEARCH\b/i.test(line))
+        .flatMap(line => line.slice(8).trim().split(/\s+/))
+        .filter(Boolean);
+    },
+    // EXPUNGE also removes other messages already flagged \Deleted in the mailbox
+    deleteMessages: async (uids) => {
+      await command(`UID STORE ${uids.join(',')} +FLAGS.SILENT (\\Deleted)`, 'STORE');
+      await command('EXPUNGE');
+    }
+  };
+});
+
+// ==================== POP3 ====================
+
+const pop3Reply = async (session, label) => {
+  const line = await session.readLine();
+  if (!line.startsWith('+OK')) throw new Error(`${label} failed: ${excerpt(line)}`);
+  return line.slice(3).trim();
+};
+
+const pop3Command = (session, command, label = command) => {
+  session.writeLine(command);
+  return pop3Reply(session, label);
+};
+
+// Resolves { session, banner, messages, quit }; messages is the mailbox size from STAT after a login
+const pop3Connect = (options) => establish(options, async (session) => {
+  const banner = await pop3Reply(session, 'POP3 greeting');
+
+  if (options.security === 'starttls') {
+    await pop3Command(session, 'STLS');
+    await session.upgrade();
+  }
+  let messages = null;
+  if (options.username) {
+    await pop3Command(session, `USER ${options.username}`, 'USER');
+    await pop3Command(session, `PASS ${options.password || ''}`, 'Login');
+    messages = parseInt(await pop3Command(session, 'STAT'), 10);
+  }
+
+  return {
+    banner,
+    messages,
+    quit: () => quit(session, 'QUIT', () => session.readLine())
+  };
+});
+
+module.exports = {
+  smtpConnect,
+  imapConnect,
+  pop3Connect
+};
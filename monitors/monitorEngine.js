@@ -3,9 +3,59 @@ const axios = require('axios');
 const ping = require('ping');
 const net = require('net');
 const { Client } = require('ssh2');
+const { Client: PostgresClient } = require('pg');
+const mysql = require('mysql2/promise');
+const Redis = require('ioredis');
+const { MongoClient } = require('mongodb');
 const Telnet = require('telnet-client');
+const ftp = require('basic-ftp');
 const https = require('https');
 const tls = require('tls');
+const dns = require('dns');
+const os = require('os');
+const crypto = require('crypto');
+const { Readable, Writable } = require('stream');
+const { validateRetryConfig } = require('../state/statusPolicy');
+const { evaluateHeartbeat, validatePushConfig } = require('../state/heartbeats');
+const { contentSnapshot, validateContentConfig } = require('../state/contentChange');
+const {
+  exitCodeMatches,
+  parseExitCodes,
+  parseCommandValue,
+  hasThresholds,
+  thresholdLevel,
+  thresholdMessage,
+  truncateOutput,
+  validateCommandConfig
+} = require('../state/commandOutput');
+const { validateCertificateThresholds, certificateProblems } = require('../state/certificates');
+const { effectiveAssertions, evaluateAssertions, validateAssertions, validateExpectedStatus } = require('../state/httpAssertions');
+const { initialVariables, interpolate, storeCookies, cookieHeader, extractVariables, validateFlow } = require('../state/httpFlow');
+const {
+  DEFAULT_PORTS,
+  DATABASE_NAMES,
+  databaseQuery,
+  parseRedisCommand,
+  parseMongoCommand,
+  resultDocument,
+  serializeResult,
+  describeResult,
+  validateDatabaseConfig
+} = require('../state/databaseChecks');
+const {
+  MAIL_NAMES,
+  DEFAULT_MAILBOX,
+  DEFAULT_ROUND_TRIP_TIMEOUT,
+  ROUND_TRIP_POLL_MS,
+  mailPort,
+  imapQuote,
+  probeToken,
+  buildProbeMessage,
+  validateMailConfig
+} = require('../state/mailChecks');
+const { smtpConnect, imapConnect, pop3Connect } = require('./mailClient');
+const { packetCount, intervalArgs, pingStatistics, pingLevel, describeStatistics, validateIcmpConfig } = require('../state/icmpChecks');
+const { ftpPort, splitRemotePath, probePath, probeContent, validateFtpConfig } = require('../state/ftpChecks');
 
 // Monitor type definitions
 const monitorTypes = {
@@ -15,11 +65,35 @@ const monitorTypes = {
   TCP: 'tcp',
   SSH: 'ssh',
   TELNET: 'telnet',
-  SFTP: 'sftp'
+  SFTP: 'sftp',
+  DNS: 'dns',
+  TLS: 'tls',
+  HTTP_FLOW: 'http-flow',
+  POSTGRES: 'postgres',
+  MYSQL: 'mysql',
+  REDIS: 'redis',
+  MONGODB: 'mongodb',
+  SSH_COMMAND: 'ssh-command',
+  PUSH: 'push',
+  SMTP: 'smtp',
+  IMAP: 'imap',
+  POP3: 'pop3',
+  FTP: 'ftp'
 };
 
+// Handshake errors caused by the certificate rather than the connection
+const CERTIFICATE_ERROR_PATTERN = /CERT|SIGNATURE|ISSUER|ALTNAME/;
+
+// Record types supported by the DNS monitor
+const DNS_RECORD_TYPES = ['A', 'AAAA', 'CNAME', 'MX', 'TXT', 'NS', 'SOA'];
+
 // ==================== HTTP/HTTPS CHECK ====================
 
+// First failed assertion plus how many others failed
+const summarizeFailures = (evaluation) => evaluation.failed.length > 1
+  ? `${evaluation.failed[0]} (+${evaluation.failed.length - 1} more)`
+  : evaluation.failed[0];
+
 const checkHttp = async (monitor) => {
   const startTime = Date.now();
   
@@ -30,7 +104,10 @@ const checkHttp = async (monitor) => {
       timeout: monitor.timeout || 10000,
       headers: monitor.headers || {},
       validateStatus: () => true,
-      maxRedirects: 5
+      maxRedirects: 5,
+      // Raw body text; JSONPath assertions parse it themselves
+      responseType: 'text',
+      transformResponse: [data => data]
     };
     
     if (monitor.body) {
@@ -43,21 +120,17 @@ const checkHttp = async (monitor) => {
     
     const response = await axios(config);
     const responseTime = Date.now() - startTime;
+    const body = typeof response.data === 'string' ? response.data : '';
     
-    // Check expected status - handle both number and array formats
-    let expectedStatus = monitor.expectedStatus || 200;
-    if (Array.isArray(expectedStatus)) {
-      expectedStatus = expectedStatus[0] || 200;
-    }
-    const statusOk = response.status === expectedStatus;
-    
-    // Check expected content
-    let contentOk = true;
-    if (monitor.expectedContent && statusOk) {
-      contentOk = response.data?.toString().includes(monitor.expectedContent);
-    }
-    
-    const isUp = statusOk && contentOk;
+    const evaluation = evaluateAssertions(effectiveAssertions(monitor), {
+      status: response.status,
+      headers: response.headers,
+      body,
+      size: Buffer.byteLength(body),
+      responseTime
+    });
+    const isUp = evaluation.passed;
+    const failures = summarizeFailures(evaluation);
     
     // Get SSL info for HTTPS
     let sslInfo = null;
@@ -68,81 +141,344 @@ const checkHttp = async (monitor) => {
     return {
       status: isUp ? 'UP' : 'DOWN',
       responseTime,
-      message: isUp 
-        ? `HTTP ${response.status} OK` 
-        : `HTTP ${response.status}${!contentOk ? ' (content mismatch)' : ''}`,
+      message: !isUp
+        ? `HTTP ${response.status}, assertion failed: ${failures}`
+        : evaluation.degraded
+          ? `HTTP ${response.status} OK, degraded: ${failures}`
+          : `HTTP ${response.status} OK`,
       statusCode: response.status,
+      degraded: evaluation.degraded,
+      assertions: evaluation.results,
+      // Compared with the stored baseline when recorded; error pages are never compared
+      content: isUp && monitor.contentChangeDetection
+        ? contentSnapshot(body, response.headers['content-type'], monitor)
+        : null,
+      sslInfo
+    };
+  } catch (error) {
+    // Certificate failures still report the certificate, so expiry and chain details are visible
+    const sslInfo = monitor.url?.startsWith('https://') && CERTIFICATE_ERROR_PATTERN.test(error.code || '')
+      ? await getSSLInfo(monitor.url)
+      : null;
+    
+    return {
+      status: 'DOWN',
+      responseTime: Date.now() - startTime,
+      message: error.code || error.message,
       sslInfo
     };
+  }
+};
+
+// ==================== HTTP FLOW CHECK ====================
+
+// Runs one step with the variables and cookies collected so far; the cookie jar is updated in place
+const runFlowStep = async (monitor, step, index, variables, cookies) => {
+  const name = step.name || `Step ${index + 1}`;
+  const method = String(step.method || 'GET').toUpperCase();
+  // Results carry the URL as configured, so extracted tokens never end up in statuses
+  const url = step.url;
+  const startTime = Date.now();
+
+  const config = {
+    method,
+    url: interpolate(step.url, variables),
+    timeout: step.timeout || monitor.timeout || 10000,
+    headers: {
+      ...interpolate(step.headers || {}, variables),
+      ...(Object.keys(cookies).length > 0 ? { Cookie: cookieHeader(cookies) } : {})
+    },
+    validateStatus: () => true,
+    maxRedirects: step.followRedirects === false ? 0 : 5,
+    responseType: 'text',
+    transformResponse: [data => data]
+  };
+  if (step.body !== undefined && step.body !== null && step.body !== '') {
+    config.data = interpolate(step.body, variables);
+  }
+  if (monitor.ignoreTls) {
+    config.httpsAgent = new https.Agent({ rejectUnauthorized: false });
+  }
+
+  let response;
+  try {
+    response = await axios(config);
   } catch (error) {
     return {
+      name, method, url,
       status: 'DOWN',
       responseTime: Date.now() - startTime,
       message: error.code || error.message
     };
   }
+
+  const responseTime = Date.now() - startTime;
+  const body = typeof response.data === 'string' ? response.data : '';
+  storeCookies(cookies, response.headers['set-cookie']);
+
+  const evaluation = evaluateAssertions(effectiveAssertions(step), {
+    status: response.status,
+    headers: response.headers,
+    body,
+    size: Buffer.byteLength(body),
+    responseTime
+  });
+  const extraction = evaluation.passed
+    ? extractVariables(step.extract, { status: response.status, headers: response.headers, body }, cookies)
+    : { values: {}, errors: [] };
+  Object.assign(variables, extraction.values);
+
+  const isUp = evaluation.passed && extraction.errors.length === 0;
+  let message = `HTTP ${response.status} OK`;
+  if (!evaluation.passed) message = `HTTP ${response.status}, assertion failed: ${summarizeFailures(evaluation)}`;
+  else if (!isUp) message = `HTTP ${response.status}, ${extraction.errors.join(', ')}`;
+  else if (evaluation.degraded) message = `HTTP ${response.status} OK, degraded: ${summarizeFailures(evaluation)}`;
+
+  return {
+    name, method, url,
+    status: isUp ? 'UP' : 'DOWN',
+    responseTime,
+    statusCode: response.status,
+    message,
+    degraded: isUp && evaluation.degraded,
+    assertions: evaluation.results,
+    // Names only: extracted values may be tokens
+    extracted: Object.keys(extraction.values)
+  };
+};
+
+// Steps run in order and stop at the first failure; the check takes as long as all steps together
+const checkHttpFlow = async (monitor) => {
+  const variables = initialVariables(monitor);
+  const cookies = {};
+  const steps = [];
+
+  for (const [index, step] of (monitor.steps || []).entries()) {
+    const result = await runFlowStep(monitor, step, index, variables, cookies);
+    steps.push(result);
+    if (result.status !== 'UP') break;
+  }
+
+  // Later steps are listed as skipped so every check reports the whole flow
+  const ran = steps.length;
+  (monitor.steps || []).slice(ran).forEach((step, i) => {
+    steps.push({ name: step.name || `Step ${ran + i + 1}`, status: 'SKIPPED', responseTime: null });
+  });
+
+  const failed = steps.find(s => s.status === 'DOWN');
+  const degraded = !failed ? steps.find(s => s.degraded) : null;
+  const responseTime = steps.reduce((sum, s) => sum + (s.responseTime || 0), 0);
+  const completed = steps.filter(s => s.status === 'UP').length;
+
+  let message = `${completed} step(s) OK`;
+  if (failed) message = `Step ${steps.indexOf(failed) + 1} (${failed.name}) failed: ${failed.message}`;
+  else if (degraded) message = `${completed} step(s) OK, degraded at ${degraded.name}: ${degraded.message}`;
+
+  // Certificate of the first HTTPS step, for expiry alerts and the inventory
+  const httpsUrl = steps.filter(s => s.statusCode).map(s => interpolate(s.url, variables)).find(url => url.startsWith('https://'));
+  const sslInfo = httpsUrl ? await getSSLInfo(httpsUrl) : null;
+
+  return {
+    status: failed ? 'DOWN' : 'UP',
+    responseTime,
+    message,
+    statusCode: steps[steps.length - 1]?.statusCode,
+    degraded: !!degraded,
+    steps,
+    sslInfo
+  };
 };
 
 // ==================== GET SSL INFO ====================
 
-const getSSLInfo = (url) => {
-  return new Promise((resolve) => {
-    try {
-      const urlObj = new URL(url);
-      const options = {
-        host: urlObj.hostname,
-        port: urlObj.port || 443,
-        servername: urlObj.hostname,
-        rejectUnauthorized: false
-      };
+const MAX_CHAIN_DEPTH = 10;
+
+const describeCertificate = (cert) => ({
+  subject: cert.subject?.CN || cert.subject?.O || 'Unknown',
+  issuer: cert.issuer?.O || cert.issuer?.CN || 'Unknown',
+  validTo: cert.valid_to
+});
+
+// Intermediates and root above the leaf, as far as the server sent them
+const certificateChain = (cert) => {
+  const chain = [];
+  let current = cert.issuerCertificate;
+  while (current && current !== cert && chain.length < MAX_CHAIN_DEPTH) {
+    chain.push(describeCertificate(current));
+    if (current.issuerCertificate === current) break;
+    current = current.issuerCertificate;
+  }
+  return chain;
+};
+
+// Certificate details of an established TLS connection (made without verifying), with chain and
+// hostname problems reported instead of failing on them; null when no certificate was presented
+const describeTlsSocket = (socket, hostname) => {
+  const cert = socket.getPeerCertificate(true);
+  if (!cert || !cert.valid_to) return null;
+
+  const authorizationError = socket.authorizationError;
+  const hostnameError = tls.checkServerIdentity(hostname, cert);
+  const daysRemaining = Math.floor((new Date(cert.valid_to) - Date.now()) / (1000 * 60 * 60 * 24));
+
+  return {
+    ...describeCertificate(cert),
+    subject: cert.subject?.CN || hostname,
+    validFrom: cert.valid_from,
+    validTo: cert.valid_to,
+    daysRemaining,
+    altNames: (cert.subjectaltname || '').split(',').map(n => n.trim().replace(/^(DNS|IP Address):/, '')).filter(Boolean),
+    serialNumber: cert.serialNumber || null,
+    fingerprint256: cert.fingerprint256 || null,
+    protocol: socket.getProtocol(),
+    chain: certificateChain(cert),
+    chainValid: !authorizationError,
+    chainError: authorizationError ? String(authorizationError.code || authorizationError) : null,
+    hostname,
+    port: socket.remotePort || null,
+    hostnameMatch: !hostnameError
+  };
+};
+
+// Handshakes without verifying, then reports chain and hostname problems instead of failing on them.
+// Resolves { sslInfo, handshakeTime }; rejects when no TLS connection could be made.
+const getCertificateInfo = ({ host, port, servername, timeout = 10000 }) => {
+  return new Promise((resolve, reject) => {
+    const startTime = Date.now();
+    const hostname = servername || host;
+    const socket = tls.connect({
+      host,
+      port: port || 443,
+      // SNI does not allow IP addresses
+      servername: net.isIP(hostname) ? undefined : hostname,
+      rejectUnauthorized: false
+    }, () => {
+      const handshakeTime = Date.now() - startTime;
+      const sslInfo = describeTlsSocket(socket, hostname);
+      socket.destroy();
       
-      const socket = tls.connect(options, () => {
-        const cert = socket.getPeerCertificate();
-        socket.destroy();
-        
-        if (cert && cert.valid_to) {
-          const validTo = new Date(cert.valid_to);
-          const daysRemaining = Math.floor((validTo - Date.now()) / (1000 * 60 * 60 * 24));
-          
-          resolve({
-            issuer: cert.issuer?.O || cert.issuer?.CN || 'Unknown',
-            validFrom: cert.valid_from,
-            validTo: cert.valid_to,
-            daysRemaining,
-            subject: cert.subject?.CN || urlObj.hostname
-          });
-        } else {
-          resolve(null);
-        }
-      });
+      if (!sslInfo) {
+        return reject(new Error('No certificate presented'));
+      }
       
-      socket.on('error', () => resolve(null));
-      socket.setTimeout(5000, () => {
-        socket.destroy();
-        resolve(null);
-      });
-    } catch (error) {
-      resolve(null);
-    }
+      resolve({ handshakeTime, sslInfo });
+    });
+    
+    socket.on('error', reject);
+    socket.setTimeout(timeout, () => {
+      socket.destroy();
+      reject(new Error('TLS handshake timeout'));
+    });
   });
 };
 
+const getSSLInfo = async (url) => {
+  try {
+    const urlObj = new URL(url);
+    const { sslInfo } = await getCertificateInfo({
+      host: urlObj.hostname,
+      port: urlObj.port || 443,
+      timeout: 5000
+    });
+    return sslInfo;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Problems with the certificate of a mail or FTP server; ignoreTls accepts chain and hostname problems
+const serverCertificateProblems = (sslInfo, monitor) => {
+  const problems = sslInfo && !monitor.ignoreTls ? certificateProblems(sslInfo) : [];
+  if (sslInfo?.daysRemaining < 0) problems.push(`Certificate expired on ${sslInfo.validTo}`);
+  return problems;
+};
+
+// verifyCertificate hook for mail sessions: throws (carrying sslInfo) on certificate problems, so the
+// connection is dropped before any credentials are sent
+const mailCertificateCheck = (monitor, hostname) => (tlsSocket) => {
+  const sslInfo = describeTlsSocket(tlsSocket, hostname);
+  const problems = serverCertificateProblems(sslInfo, monitor);
+  if (problems.length) throw Object.assign(new Error(problems.join('; ')), { sslInfo });
+};
+
+// ==================== TLS CHECK ====================
+
+// Any TLS endpoint (SMTPS, LDAPS, custom ports): DOWN on an untrusted chain, a hostname
+// mismatch or an expired certificate; ignoreTls accepts chain and hostname problems.
+const checkTls = async (monitor) => {
+  const startTime = Date.now();
+  
+  try {
+    const { sslInfo, handshakeTime } = await getCertificateInfo({
+      host: monitor.host,
+      port: monitor.port || 443,
+      servername: monitor.tlsServername,
+      timeout: monitor.timeout || 10000
+    });
+    
+    const problems = monitor.ignoreTls ? [] : certificateProblems(sslInfo);
+    if (sslInfo.daysRemaining < 0) problems.push(`Certificate expired on ${sslInfo.validTo}`);
+    const isUp = problems.length === 0;
+    
+    return {
+      status: isUp ? 'UP' : 'DOWN',
+      responseTime: handshakeTime,
+      message: isUp
+        ? `${sslInfo.protocol} OK, certificate for ${sslInfo.subject} valid for ${sslInfo.daysRemaining} days`
+        : problems.join('; '),
+      sslInfo
+    };
+  } catch (error) {
+    return {
+      status: 'DOWN',
+      responseTime: Date.now() - startTime,
+      message: error.code || error.message
+    };
+  }
+};
+
 // ==================== ICMP PING CHECK ====================
 
+// Sends icmpPacketCount echo requests and reports RTT min/avg/max, jitter and packet loss. DOWN when
+// every packet is lost or a critical loss/RTT threshold is crossed, degraded on a warning threshold.
 const checkIcmp = async (monitor) => {
   const startTime = Date.now();
+  const count = packetCount(monitor);
   
   try {
     const result = await ping.promise.probe(monitor.host, {
-      timeout: Math.ceil((monitor.timeout || 10000) / 1000)
+      timeout: Math.ceil((monitor.timeout || 10000) / 1000),
+      min_reply: count,
+      extra: intervalArgs(count)
     });
     
-    const responseTime = result.time === 'unknown' ? Date.now() - startTime : parseFloat(result.time);
+    const times = (result.times || []).filter(time => typeof time === 'number' && !isNaN(time));
+    // Some ping versions only report the summary time
+    if (times.length === 0 && result.alive && result.time !== 'unknown') times.push(parseFloat(result.time));
+    const stats = pingStatistics(times, count);
+    
+    if (stats.received === 0) {
+      return {
+        status: 'DOWN',
+        responseTime: Date.now() - startTime,
+        message: count > 1 ? `Host unreachable (${count} packets lost)` : 'Host unreachable',
+        ping: stats
+      };
+    }
+    
+    const { level, problems } = pingLevel(stats, monitor);
+    const summary = describeStatistics(stats);
     
     return {
-      status: result.alive ? 'UP' : 'DOWN',
-      responseTime: Math.round(responseTime),
-      message: result.alive ? `Ping OK (${Math.round(responseTime)}ms)` : 'Host unreachable'
+      status: level === 'critical' ? 'DOWN' : 'UP',
+      responseTime: Math.round(stats.avg),
+      message: level === 'critical'
+        ? `Critical: ${problems.join('; ')} (${summary})`
+        : level === 'warning'
+          ? `Warning: ${problems.join('; ')} (${summary})`
+          : `Ping OK (${summary})`,
+      degraded: level === 'warning',
+      ping: stats
     };
   } catch (error) {
     return {
@@ -266,16 +602,28 @@ const executeRemoteCommand = async (monitor, command) => {
     
     ssh.on('ready', () => {
       // Check if sudo is needed
-      const needsSudo = monitor.sshSudo && command.trim().startsWith('sudo');
-      const actualCommand = command;
+      const needsSudo = monitor.sshSudo && /^sudo\s/.test(command.trim());
       
       if (needsSudo && monitor.sshSudoPassword) {
-        // Execute with sudo password
-        ssh.exec(`echo '${monitor.sshSudoPassword}' | sudo -S ${command.replace(/^sudo\s+/, '')}`, (err, stream) => {
-          handleSshStream(err, stream, ssh, timeoutId, resolve);
+        // sudo -S reads the password from stdin, so it never appears in the command line, the remote
+        // process list or shell history. It is written only once sudo prints our one-off prompt:
+        // without a prompt (NOPASSWD) stdin belongs to the command, which must never see it.
+        // -k ignores cached credentials, so the prompt comes whenever a password is required.
+        const prompt = `pulse-sudo-${crypto.randomBytes(8).toString('hex')}:`;
+        ssh.exec(`sudo -k -S -p '${prompt}' ${command.trim().replace(/^sudo\s+/, '')}`, (err, stream) => {
+          handleSshStream(err, stream, ssh, timeoutId, resolve, prompt);
+          if (err) return;
+          let promptBuffer = '';
+          const onPrompt = (data) => {
+            promptBuffer += data.toString();
+            if (!promptBuffer.includes(prompt)) return;
+            stream.stderr.removeListener('data', onPrompt);
+            stream.end(`${monitor.sshSudoPassword}\n`);
+          };
+          stream.stderr.on('data', onPrompt);
         });
       } else {
-        ssh.exec(actualCommand, (err, stream) => {
+        ssh.exec(command, (err, stream) => {
           handleSshStream(err, stream, ssh, timeoutId, resolve);
         });
       }
@@ -303,7 +651,8 @@ const executeRemoteCommand = async (monitor, command) => {
   });
 };
 
-const handleSshStream = (err, stream, ssh, timeoutId, resolve) => {
+// sudoPrompt: the prompt passed to sudo -p, removed from the output
+const handleSshStream = (err, stream, ssh, timeoutId, resolve, sudoPrompt = null) => {
   if (err) {
     clearTimeout(timeoutId);
     ssh.end();
@@ -324,6 +673,7 @@ const handleSshStream = (err, stream, ssh, timeoutId, resolve) => {
     // Filter out sudo password prompt from output
     stdout = stdout.replace(/\[sudo\] password for .+:/, '').trim();
     stderr = stderr.replace(/\[sudo\] password for .+:/, '').trim();
+    if (sudoPrompt) stderr = stderr.split(sudoPrompt).join('').trim();
     
     resolve({
       success: code === 0,
@@ -334,6 +684,89 @@ const handleSshStream = (err, stream, ssh, timeoutId, resolve) => {
   });
 };
 
+// ==================== SSH COMMAND CHECK ====================
+
+// Runs sshCommand and checks, in order: the exit code, the value read from the output
+// against the warn/critical thresholds, and the output assertions
+const checkSshCommand = async (monitor) => {
+  const startTime = Date.now();
+  const result = await executeRemoteCommand(monitor, monitor.sshCommand);
+  const responseTime = Date.now() - startTime;
+
+  if (result.exitCode === undefined || result.exitCode === null) {
+    return {
+      status: 'DOWN',
+      responseTime,
+      message: result.error || 'Command did not exit'
+    };
+  }
+
+  const stdout = result.stdout || '';
+  const stderr = result.stderr || '';
+  const commandResult = {
+    exitCode: result.exitCode,
+    stdout: truncateOutput(stdout),
+    stderr: truncateOutput(stderr),
+    value: null,
+    level: null
+  };
+  const base = { responseTime, commandResult };
+
+  if (!exitCodeMatches(result.exitCode, monitor.sshExpectedExitCodes)) {
+    const detail = (stderr || stdout).split('\n')[0];
+    return {
+      ...base,
+      status: 'DOWN',
+      message: `Exit code ${result.exitCode} (expected ${parseExitCodes(monitor.sshExpectedExitCodes).join(' or ')})${detail ? `: ${detail}` : ''}`
+    };
+  }
+
+  if (hasThresholds(monitor) || monitor.sshValuePath) {
+    try {
+      commandResult.value = parseCommandValue(stdout, { format: monitor.sshValueFormat, path: monitor.sshValuePath });
+    } catch (error) {
+      return { ...base, status: 'DOWN', message: `Could not read value: ${error.message}` };
+    }
+    commandResult.level = thresholdLevel(commandResult.value, monitor);
+  }
+
+  const evaluation = evaluateAssertions(monitor.assertions || [], {
+    status: null,
+    headers: {},
+    body: stdout,
+    size: Buffer.byteLength(stdout),
+    responseTime
+  });
+  const assertions = evaluation.results.length > 0 ? evaluation.results : null;
+
+  if (commandResult.level === 'critical' || !evaluation.passed) {
+    return {
+      ...base,
+      status: 'DOWN',
+      message: commandResult.level === 'critical'
+        ? `Critical: ${thresholdMessage(commandResult.value, 'critical', monitor)}`
+        : `Assertion failed: ${summarizeFailures(evaluation)}`,
+      assertions
+    };
+  }
+
+  const warnings = [
+    ...(commandResult.level === 'warning' ? [thresholdMessage(commandResult.value, 'warning', monitor)] : []),
+    ...(evaluation.degraded ? [summarizeFailures(evaluation)] : [])
+  ];
+  const valueText = commandResult.value !== null ? `, value ${commandResult.value}` : '';
+
+  return {
+    ...base,
+    status: 'UP',
+    message: warnings.length > 0
+      ? `Warning: ${warnings.join('; ')}`
+      : `Command OK (exit ${result.exitCode}${valueText})`,
+    degraded: warnings.length > 0,
+    assertions
+  };
+};
+
 // ==================== TELNET CHECK ====================
 
 const checkTelnet = async (monitor) => {
@@ -446,9 +879,503 @@ const checkSftp = async (monitor) => {
   });
 };
 
+// ==================== FTP CHECK ====================
+
+// Protocol errors carry the numeric FTP reply code (already in the message), connection errors a
+// string code such as ECONNREFUSED
+const ftpErrorMessage = (error) => (typeof error.code === 'string' ? error.code : error.message);
+
+// Uploads a probe file, downloads it again and deletes it; resolves with the transfer timings
+const ftpRoundTrip = async (client, directory) => {
+  const remotePath = probePath(directory);
+  const content = probeContent();
+  const chunks = [];
+  const timings = {};
+
+  try {
+    let started = Date.now();
+    await client.uploadFrom(Readable.from([Buffer.from(content)]), remotePath);
+    timings.uploadMs = Date.now() - started;
+
+    started = Date.now();
+    await client.downloadTo(new Writable({
+      write: (chunk, encoding, done) => {
+        chunks.push(chunk);
+        done();
+      }
+    }), remotePath);
+    timings.downloadMs = Date.now() - started;
+  } finally {
+    await client.remove(remotePath, true).catch(() => {});
+  }
+
+  if (Buffer.concat(chunks).toString() !== content) {
+    throw new Error('Downloaded probe file differs from the uploaded one');
+  }
+  return { ...timings, bytes: Buffer.byteLength(content) };
+};
+
+// Logs in over FTP or FTPS (explicit AUTH TLS or implicit), lists ftpPath, checks that ftpFile
+// exists and with ftpRoundTrip uploads, downloads and deletes a probe file. responseTime covers
+// connecting and logging in, transferTime the listing and transfers.
+const checkFtp = async (monitor) => {
+  const security = monitor.ftpSecurity || 'none';
+  const hostname = monitor.tlsServername || monitor.host;
+  const client = new ftp.Client(monitor.timeout || 10000);
+  const startTime = Date.now();
+
+  try {
+    // client.access() in steps, so the certificate is checked before USER/PASS are sent. The handshake
+    // accepts any certificate and problems are reported instead; SNI does not allow IP addresses.
+    const port = ftpPort(security, monitor.port);
+    const secureOptions = { host: monitor.host, servername: net.isIP(hostname) ? undefined : hostname, rejectUnauthorized: false };
+    if (security === 'implicit') {
+      await client.connectImplicitTLS(monitor.host, port, secureOptions);
+    } else {
+      await client.connect(monitor.host, port);
+      if (security === 'explicit') await client.useTLS(secureOptions);
+    }
+
+    const sslInfo = security !== 'none' ? describeTlsSocket(client.ftp.socket, hostname) : null;
+    const problems = serverCertificateProblems(sslInfo, monitor);
+    if (problems.length) {
+      return { status: 'DOWN', responseTime: Date.now() - startTime, message: problems.join('; '), sslInfo };
+    }
+
+    await client.sendIgnoringError('OPTS UTF8 ON');
+    await client.login(monitor.username || 'anonymous', monitor.password || 'anonymous@');
+    await client.useDefaultSettings();
+    const responseTime = Date.now() - startTime;
+
+    const transferStart = Date.now();
+    const entries = await client.list(monitor.ftpPath || '');
+    const transfer = { listMs: Date.now() - transferStart, entries: entries.length };
+
+    if (monitor.ftpFile) {
+      const { directory, name } = splitRemotePath(monitor.ftpFile);
+      const file = (await client.list(directory)).find(entry => entry.name === name && entry.isFile);
+      if (!file) {
+        throw new Error(`File not found: ${monitor.ftpFile}`);
+      }
+      transfer.file = { size: file.size, modifiedAt: file.modifiedAt ? file.modifiedAt.toISOString() : file.rawModifiedAt || null };
+    }
+
+    if (monitor.ftpRoundTrip) {
+      Object.assign(transfer, await ftpRoundTrip(client, monitor.ftpPath));
+    }
+    const transferTime = Date.now() - transferStart;
+
+    const details = [
+      sslInfo ? `${security === 'explicit' ? 'AUTH TLS' : 'TLS'} ${sslInfo.protocol}` : null,
+      `logged in as ${monitor.username || 'anonymous'}`,
+      `${transfer.entries} entries in ${monitor.ftpPath || 'login directory'}`,
+      transfer.file ? `${monitor.ftpFile} ${transfer.file.size} bytes` : null,
+      monitor.ftpRoundTrip ? `upload ${transfer.uploadMs}ms, download ${transfer.downloadMs}ms` : null
+    ].filter(Boolean);
+
+    return {
+      status: 'UP',
+      responseTime,
+      message: `FTP OK (${details.join(', ')})`,
+      sslInfo,
+      transferTime,
+      transfer
+    };
+  } catch (error) {
+    return {
+      status: 'DOWN',
+      responseTime: Date.now() - startTime,
+      message: ftpErrorMessage(error)
+    };
+  } finally {
+    client.close();
+  }
+};
+
+// ==================== DNS CHECK ====================
+
+// Flatten resolver answers into comparable strings
+const formatDnsAnswers = (recordType, records) => {
+  switch (recordType) {
+    case 'MX':
+      return records.map(r => `${r.priority} ${r.exchange}`);
+    case 'TXT':
+      return records.map(chunks => chunks.join(''));
+    case 'SOA':
+      return [`${records.nsname} ${records.hostmaster} ${records.serial}`];
+    default:
+      return records.map(r => String(r));
+  }
+};
+
+const normalizeDnsValue = (value) => String(value).trim().toLowerCase().replace(/\.$/, '');
+
+// TXT values match on substring (e.g. "v=spf1"), MX/SOA on any field, the rest exactly
+const dnsAnswerMatches = (recordType, answer, expected) => {
+  const a = normalizeDnsValue(answer);
+  const e = normalizeDnsValue(expected);
+  if (recordType === 'TXT') return a.includes(e);
+  if (recordType === 'MX' || recordType === 'SOA') {
+    return a === e || a.split(' ').map(normalizeDnsValue).includes(e);
+  }
+  return a === e;
+};
+
+const checkDns = async (monitor) => {
+  const startTime = Date.now();
+  const recordType = (monitor.dnsRecordType || 'A').toUpperCase();
+  
+  try {
+    const resolver = new dns.promises.Resolver({
+      timeout: monitor.timeout || 10000,
+      tries: 1
+    });
+    
+    if (monitor.dnsServer) {
+      const port = monitor.port || 53;
+      const server = net.isIPv6(monitor.dnsServer)
+        ? `[${monitor.dnsServer}]:${port}`
+        : `${monitor.dnsServer}:${port}`;
+      resolver.setServers([server]);
+    }
+    
+    const records = await resolver.resolve(monitor.host, recordType);
+    const responseTime = Date.now() - startTime;
+    const answers = formatDnsAnswers(recordType, records);
+    
+    // Check expected values - every expected value must be present in the answers
+    let expected = monitor.dnsExpected || [];
+    if (!Array.isArray(expected)) {
+      expected = String(expected).split(',');
+    }
+    expected = expected.map(v => String(v).trim()).filter(Boolean);
+    
+    const missing = expected.filter(e => !answers.some(a => dnsAnswerMatches(recordType, a, e)));
+    const isUp = answers.length > 0 && missing.length === 0;
+    
+    return {
+      status: isUp ? 'UP' : 'DOWN',
+      responseTime,
+      message: isUp
+        ? `${recordType} ${monitor.host} resolved (${answers.length} record${answers.length === 1 ? '' : 's'})`
+        : answers.length === 0
+          ? `${recordType} ${monitor.host} returned no records`
+          : `${recordType} ${monitor.host} missing expected: ${missing.join(', ')}`,
+      dnsAnswers: answers
+    };
+  } catch (error) {
+    return {
+      status: 'DOWN',
+      responseTime: Date.now() - startTime,
+      message: error.code ? `${error.code} (${recordType} ${monitor.host})` : error.message
+    };
+  }
+};
+
+// ==================== DATABASE CHECKS ====================
+
+// Each runner connects and authenticates, runs the query, and resolves the raw result
+// with the time the query itself took; connections are always closed afterwards
+const tlsOptions = (monitor) => monitor.dbTls
+  ? { rejectUnauthorized: !monitor.ignoreTls, ...(monitor.tlsServername ? { servername: monitor.tlsServername } : {}) }
+  : undefined;
+
+const runPostgresQuery = async (monitor, query, timeout) => {
+  const client = new PostgresClient({
+    host: monitor.host,
+    port: monitor.port || DEFAULT_PORTS.postgres,
+    user: monitor.username || undefined,
+    password: monitor.password || undefined,
+    database: monitor.database || undefined,
+    ssl: tlsOptions(monitor),
+    connectionTimeoutMillis: timeout,
+    query_timeout: timeout,
+    statement_timeout: timeout,
+    application_name: 'pulse-monitor'
+  });
+  // Errors after connect (e.g. the server closing the socket) surface through the query
+  client.on('error', () => {});
+
+  try {
+    await client.connect();
+    const queryStart = Date.now();
+    const result = await client.query(query);
+    // Multi-statement queries return one result per statement; the last one counts
+    const last = Array.isArray(result) ? result[result.length - 1] : result;
+    return { result: { rows: last.rows, rowCount: last.rowCount ?? last.rows.length }, queryTime: Date.now() - queryStart };
+  } finally {
+    client.end().catch(() => {});
+  }
+};
+
+const runMysqlQuery = async (monitor, query, timeout) => {
+  const connection = await mysql.createConnection({
+    host: monitor.host,
+    port: monitor.port || DEFAULT_PORTS.mysql,
+    user: monitor.username || undefined,
+    password: monitor.password || undefined,
+    database: monitor.database || undefined,
+    ssl: tlsOptions(monitor),
+    connectTimeout: timeout,
+    supportBigNumbers: true
+  });
+  connection.on('error', () => {});
+
+  try {
+    const queryStart = Date.now();
+    const [rows] = await connection.query({ sql: query, timeout });
+    const queryTime = Date.now() - queryStart;
+    // Statements without a result set (e.g. DO 1) return an OK packet instead of rows
+    return Array.isArray(rows)
+      ? { result: { rows, rowCount: rows.length }, queryTime }
+      : { result: { rows: [], rowCount: rows.affectedRows ?? 0 }, queryTime };
+  } finally {
+    connection.destroy();
+  }
+};
+
+const runRedisCommand = async (monitor, query, timeout) => {
+  const [command, ...args] = parseRedisCommand(query);
+  const client = new Redis({
+    host: monitor.host,
+    port: monitor.port || DEFAULT_PORTS.redis,
+    username: monitor.username || undefined,
+    password: monitor.password || undefined,
+    db: monitor.database ? parseInt(monitor.database) : 0,
+    tls: tlsOptions(monitor),
+    connectTimeout: timeout,
+    commandTimeout: timeout,
+    lazyConnect: true,
+    enableOfflineQueue: false,
+    maxRetriesPerRequest: 0,
+    retryStrategy: () => null
+  });
+  // Failed AUTH closes the connection; report the server's reply instead of "Connection is closed"
+  let lastError = null;
+  client.on('error', (error) => { lastError = error; });
+
+  try {
+    await client.connect().catch((error) => { throw lastError || error; });
+    const queryStart = Date.now();
+    const result = await client.call(command, ...args);
+    return { result, queryTime: Date.now() - queryStart };
+  } finally {
+    client.disconnect();
+  }
+};
+
+const runMongoCommand = async (monitor, query, timeout) => {
+  const command = parseMongoCommand(query);
+  const client = new MongoClient(`mongodb://${monitor.host}:${monitor.port || DEFAULT_PORTS.mongodb}`, {
+    auth: monitor.username ? { username: monitor.username, password: monitor.password || '' } : undefined,
+    authSource: monitor.database || 'admin',
+    directConnection: true,
+    tls: !!monitor.dbTls,
+    tlsAllowInvalidCertificates: !!monitor.ignoreTls,
+    tlsAllowInvalidHostnames: !!monitor.ignoreTls,
+    serverSelectionTimeoutMS: timeout,
+    connectTimeoutMS: timeout,
+    socketTimeoutMS: timeout,
+    maxPoolSize: 1,
+    appName: 'pulse-monitor'
+  });
+
+  try {
+    await client.connect();
+    const queryStart = Date.now();
+    const result = await client.db(monitor.database || 'admin').command(command, { maxTimeMS: timeout });
+    return { result, queryTime: Date.now() - queryStart };
+  } finally {
+    client.close().catch(() => {});
+  }
+};
+
+const DATABASE_RUNNERS = {
+  postgres: runPostgresQuery,
+  mysql: runMysqlQuery,
+  redis: runRedisCommand,
+  mongodb: runMongoCommand
+};
+
+// Connects, authenticates and runs the monitor's query (or a ping); the result is
+// checked with the same assertions as HTTP bodies, seen as a JSON document
+const checkDatabase = async (monitor) => {
+  const startTime = Date.now();
+  const type = monitor.type.toLowerCase();
+  const name = DATABASE_NAMES[type];
+  const timeout = monitor.timeout || 10000;
+  let timeoutId;
+
+  try {
+    const { result, queryTime } = await Promise.race([
+      DATABASE_RUNNERS[type]({ ...monitor, type }, databaseQuery({ ...monitor, type }), timeout),
+      new Promise((resolve, reject) => {
+        timeoutId = setTimeout(() => reject(new Error('Connection timeout')), timeout + 1000);
+      })
+    ]);
+    const responseTime = Date.now() - startTime;
+
+    const document = resultDocument(type, result);
+    const body = serializeResult(document);
+    const evaluation = evaluateAssertions(monitor.assertions || [], {
+      status: null,
+      headers: {},
+      body,
+      size: Buffer.byteLength(body),
+      responseTime: queryTime
+    });
+    const isUp = evaluation.passed;
+
+    return {
+      status: isUp ? 'UP' : 'DOWN',
+      responseTime,
+      queryTime,
+      message: !isUp
+        ? `${name} query returned ${describeResult(type, document)}, assertion failed: ${summarizeFailures(evaluation)}`
+        : evaluation.degraded
+          ? `${name} query OK in ${queryTime}ms, degraded: ${summarizeFailures(evaluation)}`
+          : `${name} query OK in ${queryTime}ms: ${describeResult(type, document)}`,
+      degraded: evaluation.degraded,
+      assertions: evaluation.results.length > 0 ? evaluation.results : null
+    };
+  } catch (error) {
+    return {
+      status: 'DOWN',
+      responseTime: Date.now() - startTime,
+      message: `${name}: ${error.code && !error.message.includes(error.code) ? `${error.code} ` : ''}${error.message}`
+    };
+  } finally {
+    clearTimeout(timeoutId);
+  }
+};
+
+// ==================== PUSH CHECK ====================
+
+// Push monitors are not contacted: the check looks at the heartbeats the job sent (kept on the status)
+const checkPush = async (monitor, status) => evaluateHeartbeat(
+  monitor,
+  status?.heartbeat,
+  Date.now(),
+  new Date(monitor.createdAt || Date.now()).getTime()
+);
+
+// ==================== MAIL CHECKS ====================
+
+const MAIL_CONNECTORS = { smtp: smtpConnect, imap: imapConnect, pop3: pop3Connect };
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Waits for the probe carrying token to show up in the IMAP mailbox, then deletes it. Resolves with
+// the delivery time (ms since the SMTP server accepted it).
+const awaitProbeDelivery = async (monitor, token, sentAt) => {
+  const security = monitor.imapSecurity || 'none';
+  const mailbox = monitor.imapMailbox || DEFAULT_MAILBOX;
+  const timeoutSeconds = Number(monitor.mailRoundTripTimeout) || DEFAULT_ROUND_TRIP_TIMEOUT;
+  const imap = await imapConnect({
+    host: monitor.imapHost,
+    port: mailPort('imap', security, monitor.imapPort),
+    security,
+    verifyCertificate: mailCertificateCheck(monitor, monitor.imapHost),
+    timeout: monitor.timeout || 10000,
+    username: monitor.imapUsername,
+    password: monitor.imapPassword
+  }).catch(error => {
+    throw new Error(`IMAP ${monitor.imapHost}: ${error.code || error.message}`);
+  });
+
+  try {
+    await imap.command(`SELECT ${imapQuote(mailbox)}`, 'SELECT');
+    for (;;) {
+      const uids = await imap.findProbe(token);
+      if (uids.length) {
+        const deliveryTime = Date.now() - sentAt;
+        await imap.deleteMessages(uids).catch(() => {});
+        return deliveryTime;
+      }
+      if (Date.now() - sentAt + ROUND_TRIP_POLL_MS > timeoutSeconds * 1000) {
+        throw new Error(`Probe not delivered to ${mailbox} within ${timeoutSeconds}s`);
+      }
+      await sleep(ROUND_TRIP_POLL_MS);
+      // Lets the server report messages that arrived meanwhile
+      await imap.command('NOOP');
+    }
+  } finally {
+    await imap.quit();
+  }
+};
+
+// Greeting, optional STARTTLS and login on an SMTP, IMAP or POP3 server. DOWN when a step is
+// refused or the certificate has problems (ignoreTls accepts chain and hostname problems).
+// SMTP monitors with mailRoundTrip also send a probe and wait for it in the IMAP mailbox.
+const checkMail = async (monitor) => {
+  const type = monitor.type.toLowerCase();
+  const security = monitor.mailSecurity || 'none';
+  const startTime = Date.now();
+  let connection = null;
+
+  try {
+    connection = await MAIL_CONNECTORS[type]({
+      host: monitor.host,
+      port: mailPort(type, security, monitor.port),
+      security,
+      servername: monitor.tlsServername,
+      verifyCertificate: mailCertificateCheck(monitor, monitor.tlsServername || monitor.host),
+      timeout: monitor.timeout || 10000,
+      username: monitor.username,
+      password: monitor.password,
+      clientName: os.hostname()
+    });
+    const responseTime = Date.now() - startTime;
+
+    const tlsSocket = connection.session.tlsSocket;
+    const sslInfo = tlsSocket ? describeTlsSocket(tlsSocket, monitor.tlsServername || monitor.host) : null;
+
+    let deliveryTime = null;
+    if (type === 'smtp' && monitor.mailRoundTrip) {
+      const token = probeToken();
+      await connection.send({
+        from: monitor.mailFrom,
+        to: monitor.mailTo,
+        message: buildProbeMessage({ from: monitor.mailFrom, to: monitor.mailTo, token, hostname: os.hostname() })
+      });
+      const sentAt = Date.now();
+      await connection.quit();
+      deliveryTime = await awaitProbeDelivery(monitor, token, sentAt);
+    } else {
+      await connection.quit();
+    }
+
+    const details = [
+      sslInfo ? `${security === 'starttls' ? 'STARTTLS' : 'TLS'} ${sslInfo.protocol}` : null,
+      monitor.username ? `logged in as ${monitor.username}` : null,
+      Number.isInteger(connection.messages) ? `${connection.messages} message(s) waiting` : null,
+      deliveryTime !== null ? `probe delivered in ${(deliveryTime / 1000).toFixed(1)}s` : null
+    ].filter(Boolean);
+
+    return {
+      status: 'UP',
+      responseTime,
+      message: `${MAIL_NAMES[type]} OK${details.length ? ` (${details.join(', ')})` : ''}: ${connection.banner}`.trim(),
+      sslInfo,
+      deliveryTime
+    };
+  } catch (error) {
+    return {
+      status: 'DOWN',
+      responseTime: Date.now() - startTime,
+      message: error.code || error.message,
+      // Certificate rejected before logging in
+      ...(error.sslInfo ? { sslInfo: error.sslInfo } : {})
+    };
+  } finally {
+    connection?.session.close();
+  }
+};
+
 // ==================== MAIN CHECK FUNCTION ====================
 
-const checkMonitorOnce = async (monitor) => {
+// status: the monitor's current status, for checks that depend on earlier results (push)
+const checkMonitorOnce = async (monitor, status = null) => {
   const type = monitor.type?.toLowerCase();
   
   switch (type) {
@@ -466,6 +1393,27 @@ const checkMonitorOnce = async (monitor) => {
       return checkTelnet(monitor);
     case 'sftp':
       return checkSftp(monitor);
+    case 'ftp':
+      return checkFtp(monitor);
+    case 'dns':
+      return checkDns(monitor);
+    case 'tls':
+      return checkTls(monitor);
+    case 'http-flow':
+      return checkHttpFlow(monitor);
+    case 'ssh-command':
+      return checkSshCommand(monitor);
+    case 'push':
+      return checkPush(monitor, status);
+    case 'smtp':
+    case 'imap':
+    case 'pop3':
+      return checkMail(monitor);
+    case 'postgres':
+    case 'mysql':
+    case 'redis':
+    case 'mongodb':
+      return checkDatabase(monitor);
     default:
       return {
         status: 'DOWN',
@@ -496,12 +1444,16 @@ const validateMonitorConfig = (config) => {
       if (!config.url) {
         errors.push('URL is required for HTTP/HTTPS monitors');
       }
+      errors.push(...validateExpectedStatus(config.expectedStatus).errors);
+      errors.push(...validateAssertions(config.assertions).errors);
+      errors.push(...validateContentConfig(config).errors);
       break;
     case 'icmp':
     case 'ping':
       if (!config.host) {
         errors.push('Host is required for ICMP monitors');
       }
+      errors.push(...validateIcmpConfig(config).errors);
       break;
     case 'tcp':
       if (!config.host) errors.push('Host is required for TCP monitors');
@@ -518,10 +1470,48 @@ const validateMonitorConfig = (config) => {
     case 'telnet':
       if (!config.host) errors.push('Host is required for Telnet monitors');
       break;
+    case 'ftp':
+      errors.push(...validateFtpConfig(config).errors);
+      break;
+    case 'dns':
+      if (!config.host) errors.push('Hostname is required for DNS monitors');
+      if (config.dnsRecordType && !DNS_RECORD_TYPES.includes(config.dnsRecordType.toUpperCase())) {
+        errors.push(`Record type must be one of: ${DNS_RECORD_TYPES.join(', ')}`);
+      }
+      if (config.dnsServer && !net.isIP(config.dnsServer)) {
+        errors.push('DNS server must be an IP address');
+      }
+      break;
+    case 'tls':
+      if (!config.host) errors.push('Host is required for TLS monitors');
+      break;
+    case 'http-flow':
+      errors.push(...validateFlow(config).errors);
+      break;
+    case 'ssh-command':
+      errors.push(...validateCommandConfig(config).errors);
+      break;
+    case 'push':
+      errors.push(...validatePushConfig(config).errors);
+      break;
+    case 'smtp':
+    case 'imap':
+    case 'pop3':
+      errors.push(...validateMailConfig(config).errors);
+      break;
+    case 'postgres':
+    case 'mysql':
+    case 'redis':
+    case 'mongodb':
+      errors.push(...validateDatabaseConfig(config).errors);
+      break;
     default:
       errors.push(`Unknown monitor type: ${type}`);
   }
   
+  errors.push(...validateRetryConfig(config).errors);
+  errors.push(...validateCertificateThresholds(config).errors);
+  
   return {
     valid: errors.length === 0,
     errors
@@ -533,5 +1523,6 @@ module.exports = {
   validateMonitorConfig,
   executeRemoteCommand,
   monitorTypes,
-  getSSLInfo
+  getSSLInfo,
+  getCertificateInfo
 };
@@ -3,17 +3,187 @@ const express = require('express');
 const state = require('../state/monitorState');
 const { checkMonitorOnce, validateMonitorConfig } = require('../monitors/monitorEngine');
 const { generateReport } = require('../services/reportService');
-const { testEmailConfig, testSmsConfig, testTts } = require('../services/notificationService');
+const { testEmailConfig, testSmsConfig, testTts, testWebhook, previewAlertRecipients, validateWebhookConfig } = require('../services/notificationService');
+const { validateSloConfig, getSloStatus, getAllSloStatuses } = require('../services/sloService');
+const { validateMaintenanceWindow } = require('../state/maintenanceSchedule');
+const { validateRoutingRule } = require('../state/alertRouting');
+const { validateSchedule, validateOverride, validateEscalationPolicy } = require('../state/onCall');
+const { listSmsProviders } = require('../services/smsProviders');
+const { validateUser, hasRole } = require('../state/auth');
+const { validatePassphrase } = require('../state/secretVault');
+const { authenticate, requireRole, attemptLogin, setSessionCookie, clearSessionCookie, disconnectSession, disconnectUser } = require('../services/authService');
+const scheduler = require('../services/scheduler');
+const { validateIncidentUpdate } = require('../state/statusPage');
+const { getCertificateInventory } = require('../services/certificateService');
+const { getContentDiff, acceptContentChange } = require('../services/contentService');
+const { controlsRemoteCommand } = require('../state/commandOutput');
 
 const router = express.Router();
 
+const viewer = requireRole('viewer');
+const operator = requireRole('operator');
+const admin = requireRole('admin');
+
+// SSH command monitors execute arbitrary commands with stored credentials, so only admins manage them
+const commandAccess = (req, res, next) => {
+  const existing = req.params.id ? state.getMonitor(req.params.id) : null;
+  if (controlsRemoteCommand(req.body || {}, existing) && !hasRole(req.user, 'admin')) {
+    return res.status(403).json({ error: 'Requires admin role' });
+  }
+  next();
+};
+
+const sessionMetadata = (req) => ({ ip: req.ip, userAgent: req.get('user-agent') });
+
+// ==================== HEALTH ====================
+
+router.get('/health', (req, res) => {
+  res.json({
+    status: 'healthy',
+    uptime: Date.now() - state.getStats().startTime,
+    version: '4.0.0'
+  });
+});
+
+// ==================== AUTH ====================
+
+router.get('/auth/status', (req, res) => {
+  res.json({ setupRequired: !state.hasUsers() });
+});
+
+// First-run setup: creates the initial admin while no users exist
+router.post('/auth/setup', (req, res) => {
+  if (state.hasUsers()) {
+    return res.status(409).json({ error: 'Setup has already been completed' });
+  }
+  const validation = validateUser({ ...req.body, role: 'admin' });
+  if (!validation.valid) {
+    return res.status(400).json({ errors: validation.errors });
+  }
+  const user = state.createUser({ ...req.body, role: 'admin' });
+  const { token, session } = state.createSession(user.id, sessionMetadata(req));
+  setSessionCookie(req, res, token);
+  res.status(201).json({ user, token, expiresAt: session.expiresAt });
+});
+
+router.post('/auth/login', async (req, res) => {
+  const { user, retryAfter } = await attemptLogin(req.ip, req.body.username, req.body.password);
+  if (retryAfter) {
+    res.set('Retry-After', String(retryAfter));
+    return res.status(429).json({ error: 'Too many failed logins, try again later' });
+  }
+  if (!user) {
+    return res.status(401).json({ error: 'Invalid username or password' });
+  }
+  const { token, session } = state.createSession(user.id, sessionMetadata(req));
+  state.addActivity('login', 'user', user.id, { name: user.username }, sessionMetadata(req));
+  setSessionCookie(req, res, token);
+  res.json({ user, token, expiresAt: session.expiresAt });
+});
+
+// Everything below requires a valid session
+router.use(authenticate);
+
+router.post('/auth/logout', viewer, (req, res) => {
+  state.deleteSession(req.authToken);
+  state.addActivity('logout', 'user', req.user.id, { name: req.user.username }, sessionMetadata(req));
+  clearSessionCookie(res);
+  disconnectSession(req.authSession.id);
+  res.json({ success: true });
+});
+
+router.get('/auth/me', viewer, (req, res) => {
+  res.json(req.user);
+});
+
+router.put('/auth/password', viewer, async (req, res) => {
+  const { user, retryAfter } = await attemptLogin(req.ip, req.user.username, req.body.currentPassword);
+  if (retryAfter) {
+    res.set('Retry-After', String(retryAfter));
+    return res.status(429).json({ error: 'Too many failed attempts, try again later' });
+  }
+  if (!user) {
+    return res.status(400).json({ errors: ['Current password is incorrect'] });
+  }
+  const validation = validateUser({ password: req.body.newPassword }, false);
+  if (!validation.valid) {
+    return res.status(400).json({ errors: validation.errors });
+  }
+  state.updateUser(req.user.id, { password: req.body.newPassword }, { keepSessionId: req.authSession.id });
+  res.json({ success: true });
+});
+
+// ==================== USERS ====================
+
+router.get('/users', admin, (req, res) => {
+  res.json(state.getAllUsers());
+});
+
+router.get('/users/:id', admin, (req, res) => {
+  const user = state.getUser(req.params.id);
+  if (user) {
+    res.json(user);
+  } else {
+    res.status(404).json({ error: 'User not found' });
+  }
+});
+
+router.post('/users', admin, (req, res) => {
+  const validation = validateUser(req.body);
+  if (!validation.valid) {
+    return res.status(400).json({ errors: validation.errors });
+  }
+  if (state.findUserByUsername(req.body.username)) {
+    return res.status(400).json({ errors: ['Username is already taken'] });
+  }
+  const user = state.createUser(req.body);
+  res.status(201).json(user);
+});
+
+router.put('/users/:id', admin, (req, res) => {
+  const existing = state.getUser(req.params.id);
+  if (!existing) {
+    return res.status(404).json({ error: 'User not found' });
+  }
+  const validation = validateUser(req.body, false);
+  if (!validation.valid) {
+    return res.status(400).json({ errors: validation.errors });
+  }
+  const taken = req.body.username && state.findUserByUsername(req.body.username);
+  if (taken && taken.id !== existing.id) {
+    return res.status(400).json({ errors: ['Username is already taken'] });
+  }
+  if (state.isLastAdmin(existing.id, req.body)) {
+    return res.status(400).json({ errors: ['At least one enabled admin is required'] });
+  }
+  const user = state.updateUser(req.params.id, req.body);
+  if (req.body.password || user.enabled === false) disconnectUser(user.id);
+  res.json(user);
+});
+
+router.delete('/users/:id', admin, (req, res) => {
+  if (req.params.id === req.user.id) {
+    return res.status(400).json({ error: 'You cannot delete your own account' });
+  }
+  if (state.isLastAdmin(req.params.id)) {
+    return res.status(400).json({ error: 'At least one enabled admin is required' });
+  }
+  const result = state.deleteUser(req.params.id);
+  if (result) {
+    disconnectUser(req.params.id);
+    res.json({ success: true });
+  } else {
+    res.status(404).json({ error: 'User not found' });
+  }
+});
+
 // ==================== APPLICATIONS ====================
 
-router.get('/applications', (req, res) => {
+router.get('/applications', viewer, (req, res) => {
   res.json(state.getAllApplications());
 });
 
-router.get('/applications/:id', (req, res) => {
+router.get('/applications/:id', viewer, (req, res) => {
   const app = state.getApplication(req.params.id);
   if (app) {
     res.json(app);
@@ -22,7 +192,7 @@ router.get('/applications/:id', (req, res) => {
   }
 });
 
-router.get('/applications/:id/health', (req, res) => {
+router.get('/applications/:id/health', viewer, (req, res) => {
   const health = state.getApplicationHealth(req.params.id);
   if (health) {
     res.json(health);
@@ -31,12 +201,20 @@ router.get('/applications/:id/health', (req, res) => {
   }
 });
 
-router.post('/applications', (req, res) => {
+router.post('/applications', operator, (req, res) => {
+  const validation = state.validateEntityDependencies('application', null, req.body);
+  if (!validation.valid) {
+    return res.status(400).json({ errors: validation.errors });
+  }
   const app = state.createApplication(req.body);
   res.status(201).json(app);
 });
 
-router.put('/applications/:id', (req, res) => {
+router.put('/applications/:id', operator, (req, res) => {
+  const validation = state.validateEntityDependencies('application', req.params.id, req.body);
+  if (!validation.valid) {
+    return res.status(400).json({ errors: validation.errors });
+  }
   const app = state.updateApplication(req.params.id, req.body);
   if (app) {
     res.json(app);
@@ -45,7 +223,7 @@ router.put('/applications/:id', (req, res) => {
   }
 });
 
-router.delete('/applications/:id', (req, res) => {
+router.delete('/applications/:id', operator, (req, res) => {
   const result = state.deleteApplication(req.params.id);
   if (result) {
     res.json({ success: true });
@@ -54,14 +232,29 @@ router.delete('/applications/:id', (req, res) => {
   }
 });
 
+// ==================== DEPENDENCIES ====================
+
+router.get('/dependencies/graph', viewer, (req, res) => {
+  res.json(state.getDependencyGraph());
+});
+
+router.get('/dependencies/:type/:id', viewer, (req, res) => {
+  const { type, id } = req.params;
+  const entity = type === 'monitor' ? state.getMonitor(id) : type === 'application' ? state.getApplication(id) : null;
+  if (!entity) {
+    return res.status(404).json({ error: 'Monitor or application not found' });
+  }
+  res.json(state.getEntityDependencies(type, id));
+});
+
 // ==================== MONITORS ====================
 
-router.get('/monitors', (req, res) => {
+router.get('/monitors', viewer, (req, res) => {
   res.json(state.getAllMonitors());
 });
 
-router.get('/monitors/:id', (req, res) => {
-  const monitor = state.getMonitor(req.params.id);
+router.get('/monitors/:id', viewer, (req, res) => {
+  const monitor = state.getMonitorSafe(req.params.id);
   if (monitor) {
     res.json(monitor);
   } else {
@@ -69,25 +262,63 @@ router.get('/monitors/:id', (req, res) => {
   }
 });
 
-router.post('/monitors', (req, res) => {
+router.get('/monitors/:id/history', viewer, (req, res) => {
+  const monitor = state.getMonitor(req.params.id);
+  if (!monitor) {
+    return res.status(404).json({ error: 'Monitor not found' });
+  }
+  try {
+    const history = state.getMonitorHistory(req.params.id, {
+      from: req.query.from,
+      to: req.query.to,
+      resolution: req.query.resolution,
+      limit: parseInt(req.query.limit) || undefined
+    });
+    res.json(history);
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+router.get('/monitors/:id/history/summary', viewer, (req, res) => {
+  const monitor = state.getMonitor(req.params.id);
+  if (!monitor) {
+    return res.status(404).json({ error: 'Monitor not found' });
+  }
+  res.json(state.getMonitorHistorySummary(req.params.id, { from: req.query.from, to: req.query.to }));
+});
+
+router.post('/monitors', operator, commandAccess, (req, res) => {
   const validation = validateMonitorConfig(req.body);
-  if (!validation.valid) {
-    return res.status(400).json({ errors: validation.errors });
+  const dependencyValidation = state.validateEntityDependencies('monitor', null, req.body);
+  if (!validation.valid || !dependencyValidation.valid) {
+    return res.status(400).json({ errors: [...validation.errors, ...dependencyValidation.errors] });
   }
   const monitor = state.createMonitor(req.body);
-  res.status(201).json(monitor);
+  scheduler.scheduleMonitor(monitor, { immediate: true });
+  res.status(201).json(state.getMonitorSafe(monitor.id));
 });
 
-router.put('/monitors/:id', (req, res) => {
+router.put('/monitors/:id', operator, commandAccess, (req, res) => {
+  const validation = state.validateEntityDependencies('monitor', req.params.id, req.body);
+  if (!validation.valid) {
+    return res.status(400).json({ errors: validation.errors });
+  }
   const monitor = state.updateMonitor(req.params.id, req.body);
   if (monitor) {
-    res.json(monitor);
+    if (monitor.enabled) {
+      scheduler.scheduleMonitor(monitor);
+    } else {
+      scheduler.unscheduleMonitor(monitor.id);
+    }
+    res.json(state.getMonitorSafe(monitor.id));
   } else {
     res.status(404).json({ error: 'Monitor not found' });
   }
 });
 
-router.delete('/monitors/:id', (req, res) => {
+router.delete('/monitors/:id', operator, (req, res) => {
+  scheduler.unscheduleMonitor(req.params.id);
   const result = state.deleteMonitor(req.params.id);
   if (result) {
     res.json({ success: true });
@@ -96,17 +327,61 @@ router.delete('/monitors/:id', (req, res) => {
   }
 });
 
-router.post('/monitors/:id/check', async (req, res) => {
+router.post('/monitors/:id/check', operator, async (req, res) => {
   const monitor = state.getMonitor(req.params.id);
   if (!monitor) {
     return res.status(404).json({ error: 'Monitor not found' });
   }
-  const result = await checkMonitorOnce(monitor);
-  state.updateStatus(req.params.id, result);
-  res.json(result);
+  try {
+    // Through the scheduler so it counts against the concurrency limits and never overlaps a running check
+    const result = await scheduler.runNow(monitor.id);
+    if (!result) {
+      return res.status(500).json({ error: 'Check failed' });
+    }
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Page text of the baseline vs. the latest check, for monitors with change detection
+router.get('/monitors/:id/content-diff', viewer, (req, res) => {
+  if (!state.getMonitor(req.params.id)) {
+    return res.status(404).json({ error: 'Monitor not found' });
+  }
+  const diff = getContentDiff(req.params.id);
+  if (!diff) {
+    return res.status(404).json({ error: 'No content captured for this monitor' });
+  }
+  res.json(diff);
+});
+
+router.post('/monitors/:id/content-baseline', operator, async (req, res) => {
+  if (!state.getMonitor(req.params.id)) {
+    return res.status(404).json({ error: 'Monitor not found' });
+  }
+  try {
+    const content = await acceptContentChange(req.app.get('io'), req.params.id);
+    if (!content) {
+      return res.status(409).json({ error: 'Content has not changed from the baseline' });
+    }
+    res.json(content);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// New heartbeat URL for a push monitor; the old one stops working immediately
+router.post('/monitors/:id/push-token', operator, (req, res) => {
+  const monitor = state.getMonitor(req.params.id);
+  if (!monitor || monitor.type !== 'push') {
+    return res.status(404).json({ error: 'Push monitor not found' });
+  }
+  state.rotatePushToken(monitor.id);
+  res.json(state.getMonitorSafe(monitor.id));
 });
 
-router.post('/monitors/test', async (req, res) => {
+router.post('/monitors/test', operator, commandAccess, async (req, res) => {
   const validation = validateMonitorConfig(req.body);
   if (!validation.valid) {
     return res.status(400).json({ errors: validation.errors });
@@ -117,11 +392,11 @@ router.post('/monitors/test', async (req, res) => {
 
 // ==================== GROUPS ====================
 
-router.get('/groups', (req, res) => {
+router.get('/groups', viewer, (req, res) => {
   res.json(state.getAllGroups());
 });
 
-router.get('/groups/:id', (req, res) => {
+router.get('/groups/:id', viewer, (req, res) => {
   const group = state.getGroupWithMonitors(req.params.id);
   if (group) {
     res.json(group);
@@ -130,12 +405,12 @@ router.get('/groups/:id', (req, res) => {
   }
 });
 
-router.post('/groups', (req, res) => {
+router.post('/groups', operator, (req, res) => {
   const group = state.createGroup(req.body);
   res.status(201).json(group);
 });
 
-router.put('/groups/:id', (req, res) => {
+router.put('/groups/:id', operator, (req, res) => {
   const group = state.updateGroup(req.params.id, req.body);
   if (group) {
     res.json(group);
@@ -144,7 +419,7 @@ router.put('/groups/:id', (req, res) => {
   }
 });
 
-router.delete('/groups/:id', (req, res) => {
+router.delete('/groups/:id', operator, (req, res) => {
   const result = state.deleteGroup(req.params.id);
   if (result) {
     res.json({ success: true });
@@ -155,16 +430,16 @@ router.delete('/groups/:id', (req, res) => {
 
 // ==================== CONTACTS ====================
 
-router.get('/contacts', (req, res) => {
+router.get('/contacts', viewer, (req, res) => {
   res.json(state.getAllContacts());
 });
 
-router.post('/contacts', (req, res) => {
+router.post('/contacts', operator, (req, res) => {
   const contact = state.createContact(req.body);
   res.status(201).json(contact);
 });
 
-router.put('/contacts/:id', (req, res) => {
+router.put('/contacts/:id', operator, (req, res) => {
   const contact = state.updateContact(req.params.id, req.body);
   if (contact) {
     res.json(contact);
@@ -173,7 +448,7 @@ router.put('/contacts/:id', (req, res) => {
   }
 });
 
-router.delete('/contacts/:id', (req, res) => {
+router.delete('/contacts/:id', operator, (req, res) => {
   const result = state.deleteContact(req.params.id);
   if (result) {
     res.json({ success: true });
@@ -184,16 +459,16 @@ router.delete('/contacts/:id', (req, res) => {
 
 // ==================== CONTACT GROUPS ====================
 
-router.get('/contact-groups', (req, res) => {
+router.get('/contact-groups', viewer, (req, res) => {
   res.json(state.getAllContactGroups());
 });
 
-router.post('/contact-groups', (req, res) => {
+router.post('/contact-groups', operator, (req, res) => {
   const group = state.createContactGroup(req.body);
   res.status(201).json(group);
 });
 
-router.put('/contact-groups/:id', (req, res) => {
+router.put('/contact-groups/:id', operator, (req, res) => {
   const group = state.updateContactGroup(req.params.id, req.body);
   if (group) {
     res.json(group);
@@ -202,7 +477,7 @@ router.put('/contact-groups/:id', (req, res) => {
   }
 });
 
-router.delete('/contact-groups/:id', (req, res) => {
+router.delete('/contact-groups/:id', operator, (req, res) => {
   const result = state.deleteContactGroup(req.params.id);
   if (result) {
     res.json({ success: true });
@@ -211,7 +486,7 @@ router.delete('/contact-groups/:id', (req, res) => {
   }
 });
 
-router.get('/contact-groups/:id/members', (req, res) => {
+router.get('/contact-groups/:id/members', viewer, (req, res) => {
   const group = state.getContactGroup(req.params.id);
   if (!group) {
     res.status(404).json({ error: 'Contact group not found' });
@@ -225,7 +500,7 @@ router.get('/contact-groups/:id/members', (req, res) => {
   res.json({ group, members });
 });
 
-router.post('/contact-groups/:id/members/:contactId', (req, res) => {
+router.post('/contact-groups/:id/members/:contactId', operator, (req, res) => {
   const group = state.getContactGroup(req.params.id);
   if (!group) {
     res.status(404).json({ error: 'Contact group not found' });
@@ -245,7 +520,7 @@ router.post('/contact-groups/:id/members/:contactId', (req, res) => {
   }
 });
 
-router.delete('/contact-groups/:id/members/:contactId', (req, res) => {
+router.delete('/contact-groups/:id/members/:contactId', operator, (req, res) => {
   const group = state.getContactGroup(req.params.id);
   if (!group) {
     res.status(404).json({ error: 'Contact group not found' });
@@ -261,13 +536,441 @@ router.delete('/contact-groups/:id/members/:contactId', (req, res) => {
   }
 });
 
+// ==================== ROUTING RULES ====================
+
+router.get('/routing-rules', viewer, (req, res) => {
+  res.json(state.getAllRoutingRules());
+});
+
+// Who would be notified for an alert on a monitor (nothing is sent)
+router.get('/routing-rules/dry-run', viewer, (req, res) => {
+  const monitor = state.getMonitor(req.query.monitorId);
+  if (!monitor) {
+    return res.status(404).json({ error: 'Monitor not found' });
+  }
+  if (req.query.at && isNaN(new Date(req.query.at).getTime())) {
+    return res.status(400).json({ error: 'Invalid time' });
+  }
+  res.json(previewAlertRecipients(monitor, {
+    severity: req.query.severity,
+    alertType: req.query.alertType,
+    at: req.query.at
+  }));
+});
+
+router.get('/routing-rules/:id', viewer, (req, res) => {
+  const rule = state.getRoutingRule(req.params.id);
+  if (rule) {
+    res.json(rule);
+  } else {
+    res.status(404).json({ error: 'Routing rule not found' });
+  }
+});
+
+router.post('/routing-rules', operator, (req, res) => {
+  const validation = validateRoutingRule(req.body);
+  if (!validation.valid) {
+    return res.status(400).json({ errors: validation.errors });
+  }
+  const rule = state.createRoutingRule(req.body);
+  res.status(201).json(rule);
+});
+
+router.put('/routing-rules/:id', operator, (req, res) => {
+  const existing = state.getRoutingRule(req.params.id);
+  if (!existing) {
+    return res.status(404).json({ error: 'Routing rule not found' });
+  }
+  const validation = validateRoutingRule({ ...existing, ...req.body });
+  if (!validation.valid) {
+    return res.status(400).json({ errors: validation.errors });
+  }
+  res.json(state.updateRoutingRule(req.params.id, req.body));
+});
+
+router.delete('/routing-rules/:id', operator, (req, res) => {
+  const result = state.deleteRoutingRule(req.params.id);
+  if (result) {
+    res.json({ success: true });
+  } else {
+    res.status(404).json({ error: 'Routing rule not found' });
+  }
+});
+
+// ==================== ON-CALL SCHEDULES ====================
+
+router.get('/schedules', viewer, (req, res) => {
+  res.json(state.getAllSchedules());
+});
+
+router.get('/schedules/:id', viewer, (req, res) => {
+  const schedule = state.getSchedule(req.params.id);
+  if (schedule) {
+    res.json(schedule);
+  } else {
+    res.status(404).json({ error: 'Schedule not found' });
+  }
+});
+
+// Who is on call now (or at ?at=) plus the next shifts
+router.get('/schedules/:id/on-call', viewer, (req, res) => {
+  const at = req.query.at ? new Date(req.query.at).getTime() : Date.now();
+  if (isNaN(at)) {
+    return res.status(400).json({ error: 'Invalid time' });
+  }
+  const onCall = state.getOnCallNow(req.params.id, at);
+  if (onCall) {
+    res.json(onCall);
+  } else {
+    res.status(404).json({ error: 'Schedule not found' });
+  }
+});
+
+router.post('/schedules', operator, (req, res) => {
+  const validation = validateSchedule(req.body);
+  if (!validation.valid) {
+    return res.status(400).json({ errors: validation.errors });
+  }
+  const schedule = state.createSchedule(req.body);
+  res.status(201).json(schedule);
+});
+
+router.put('/schedules/:id', operator, (req, res) => {
+  const existing = state.getSchedule(req.params.id);
+  if (!existing) {
+    return res.status(404).json({ error: 'Schedule not found' });
+  }
+  const validation = validateSchedule({ ...existing, ...req.body });
+  if (!validation.valid) {
+    return res.status(400).json({ errors: validation.errors });
+  }
+  res.json(state.updateSchedule(req.params.id, req.body));
+});
+
+router.delete('/schedules/:id', operator, (req, res) => {
+  const result = state.deleteSchedule(req.params.id);
+  if (result) {
+    res.json({ success: true });
+  } else {
+    res.status(404).json({ error: 'Schedule not found' });
+  }
+});
+
+router.post('/schedules/:id/overrides', operator, (req, res) => {
+  if (!state.getSchedule(req.params.id)) {
+    return res.status(404).json({ error: 'Schedule not found' });
+  }
+  const validation = validateOverride(req.body);
+  if (!validation.valid) {
+    return res.status(400).json({ errors: validation.errors });
+  }
+  res.status(201).json(state.addScheduleOverride(req.params.id, req.body));
+});
+
+router.delete('/schedules/:id/overrides/:overrideId', operator, (req, res) => {
+  const result = state.removeScheduleOverride(req.params.id, req.params.overrideId);
+  if (result) {
+    res.json({ success: true });
+  } else {
+    res.status(404).json({ error: 'Override not found' });
+  }
+});
+
+// ==================== ESCALATION POLICIES ====================
+
+router.get('/escalation-policies', viewer, (req, res) => {
+  res.json(state.getAllEscalationPolicies());
+});
+
+router.get('/escalation-policies/:id', viewer, (req, res) => {
+  const policy = state.getEscalationPolicy(req.params.id);
+  if (policy) {
+    res.json(policy);
+  } else {
+    res.status(404).json({ error: 'Escalation policy not found' });
+  }
+});
+
+router.post('/escalation-policies', operator, (req, res) => {
+  const validation = validateEscalationPolicy(req.body);
+  if (!validation.valid) {
+    return res.status(400).json({ errors: validation.errors });
+  }
+  const policy = state.createEscalationPolicy(req.body);
+  res.status(201).json(policy);
+});
+
+router.put('/escalation-policies/:id', operator, (req, res) => {
+  const existing = state.getEscalationPolicy(req.params.id);
+  if (!existing) {
+    return res.status(404).json({ error: 'Escalation policy not found' });
+  }
+  const validation = validateEscalationPolicy({ ...existing, ...req.body });
+  if (!validation.valid) {
+    return res.status(400).json({ errors: validation.errors });
+  }
+  res.json(state.updateEscalationPolicy(req.params.id, req.body));
+});
+
+router.delete('/escalation-policies/:id', operator, (req, res) => {
+  const result = state.deleteEscalationPolicy(req.params.id);
+  if (result) {
+    res.json({ success: true });
+  } else {
+    res.status(404).json({ error: 'Escalation policy not found' });
+  }
+});
+
+router.get('/escalations', viewer, (req, res) => {
+  res.json(state.getEscalations({ status: req.query.status, alertId: req.query.alertId }));
+});
+
+// ==================== WEBHOOKS ====================
+
+router.get('/webhooks', admin, (req, res) => {
+  res.json(state.getAllWebhooks());
+});
+
+router.get('/webhook-deliveries', admin, (req, res) => {
+  res.json(state.getWebhookDeliveries({
+    status: req.query.status,
+    limit: parseInt(req.query.limit) || 100
+  }));
+});
+
+router.get('/webhooks/:id', admin, (req, res) => {
+  const webhook = state.getWebhookSafe(req.params.id);
+  if (webhook) {
+    res.json(webhook);
+  } else {
+    res.status(404).json({ error: 'Webhook not found' });
+  }
+});
+
+router.get('/webhooks/:id/deliveries', admin, (req, res) => {
+  if (!state.getWebhook(req.params.id)) {
+    return res.status(404).json({ error: 'Webhook not found' });
+  }
+  res.json(state.getWebhookDeliveries({
+    webhookId: req.params.id,
+    status: req.query.status,
+    limit: parseInt(req.query.limit) || 100
+  }));
+});
+
+router.post('/webhooks', admin, (req, res) => {
+  const validation = validateWebhookConfig(req.body);
+  if (!validation.valid) {
+    return res.status(400).json({ errors: validation.errors });
+  }
+  const webhook = state.createWebhook(req.body);
+  res.status(201).json(state.getWebhookSafe(webhook.id));
+});
+
+router.put('/webhooks/:id', admin, (req, res) => {
+  const existing = state.getWebhook(req.params.id);
+  if (!existing) {
+    return res.status(404).json({ error: 'Webhook not found' });
+  }
+  const validation = validateWebhookConfig({ ...existing, ...req.body });
+  if (!validation.valid) {
+    return res.status(400).json({ errors: validation.errors });
+  }
+  state.updateWebhook(req.params.id, req.body);
+  res.json(state.getWebhookSafe(req.params.id));
+});
+
+router.delete('/webhooks/:id', admin, (req, res) => {
+  const result = state.deleteWebhook(req.params.id);
+  if (result) {
+    res.json({ success: true });
+  } else {
+    res.status(404).json({ error: 'Webhook not found' });
+  }
+});
+
+router.post('/webhooks/:id/test', admin, async (req, res) => {
+  const webhook = state.getWebhook(req.params.id);
+  if (!webhook) {
+    return res.status(404).json({ error: 'Webhook not found' });
+  }
+  res.json(await testWebhook(webhook));
+});
+
+// ==================== STATUS PAGES ====================
+
+router.get('/status-pages', viewer, (req, res) => {
+  res.json(state.getAllStatusPages());
+});
+
+router.get('/status-pages/:id', viewer, (req, res) => {
+  const page = state.getStatusPage(req.params.id);
+  if (page) {
+    res.json(page);
+  } else {
+    res.status(404).json({ error: 'Status page not found' });
+  }
+});
+
+router.post('/status-pages', operator, (req, res) => {
+  const validation = state.validateStatusPageConfig(null, req.body);
+  if (!validation.valid) {
+    return res.status(400).json({ errors: validation.errors });
+  }
+  res.status(201).json(state.createStatusPage(req.body));
+});
+
+router.put('/status-pages/:id', operator, (req, res) => {
+  if (!state.getStatusPage(req.params.id)) {
+    return res.status(404).json({ error: 'Status page not found' });
+  }
+  const validation = state.validateStatusPageConfig(req.params.id, req.body);
+  if (!validation.valid) {
+    return res.status(400).json({ errors: validation.errors });
+  }
+  res.json(state.updateStatusPage(req.params.id, req.body));
+});
+
+router.delete('/status-pages/:id', operator, (req, res) => {
+  const result = state.deleteStatusPage(req.params.id);
+  if (result) {
+    res.json({ success: true });
+  } else {
+    res.status(404).json({ error: 'Status page not found' });
+  }
+});
+
+// Subscriber addresses are personal data, so only admins see them
+router.get('/status-pages/:id/subscribers', admin, (req, res) => {
+  if (!state.getStatusPage(req.params.id)) {
+    return res.status(404).json({ error: 'Status page not found' });
+  }
+  res.json(state.getStatusPageSubscribers(req.params.id));
+});
+
+router.delete('/status-pages/:id/subscribers/:subscriberId', admin, (req, res) => {
+  const result = state.deleteStatusPageSubscriber(req.params.id, req.params.subscriberId);
+  if (result) {
+    res.json({ success: true });
+  } else {
+    res.status(404).json({ error: 'Subscriber not found' });
+  }
+});
+
+// ==================== SLOS ====================
+
+router.get('/slos', viewer, (req, res) => {
+  res.json(state.getAllSlos());
+});
+
+router.get('/slos/status', viewer, (req, res) => {
+  res.json(getAllSloStatuses());
+});
+
+router.get('/slos/:id', viewer, (req, res) => {
+  const slo = state.getSlo(req.params.id);
+  if (slo) {
+    res.json(slo);
+  } else {
+    res.status(404).json({ error: 'SLO not found' });
+  }
+});
+
+router.get('/slos/:id/status', viewer, (req, res) => {
+  const slo = state.getSlo(req.params.id);
+  if (slo) {
+    res.json(getSloStatus(slo));
+  } else {
+    res.status(404).json({ error: 'SLO not found' });
+  }
+});
+
+router.post('/slos', operator, (req, res) => {
+  const validation = validateSloConfig(req.body);
+  if (!validation.valid) {
+    return res.status(400).json({ errors: validation.errors });
+  }
+  const slo = state.createSlo(req.body);
+  res.status(201).json(slo);
+});
+
+router.put('/slos/:id', operator, (req, res) => {
+  const existing = state.getSlo(req.params.id);
+  if (!existing) {
+    return res.status(404).json({ error: 'SLO not found' });
+  }
+  const validation = validateSloConfig({ ...existing, ...req.body });
+  if (!validation.valid) {
+    return res.status(400).json({ errors: validation.errors });
+  }
+  res.json(state.updateSlo(req.params.id, req.body));
+});
+
+router.delete('/slos/:id', operator, (req, res) => {
+  const result = state.deleteSlo(req.params.id);
+  if (result) {
+    res.json({ success: true });
+  } else {
+    res.status(404).json({ error: 'SLO not found' });
+  }
+});
+
+// ==================== MAINTENANCE WINDOWS ====================
+
+router.get('/maintenance-windows', viewer, (req, res) => {
+  res.json(state.getAllMaintenanceWindows());
+});
+
+router.get('/maintenance-windows/active', viewer, (req, res) => {
+  res.json(state.getActiveMaintenanceWindows());
+});
+
+router.get('/maintenance-windows/:id', viewer, (req, res) => {
+  const window = state.getAllMaintenanceWindows().find(w => w.id === req.params.id);
+  if (window) {
+    res.json(window);
+  } else {
+    res.status(404).json({ error: 'Maintenance window not found' });
+  }
+});
+
+router.post('/maintenance-windows', operator, (req, res) => {
+  const validation = validateMaintenanceWindow(req.body);
+  if (!validation.valid) {
+    return res.status(400).json({ errors: validation.errors });
+  }
+  const window = state.createMaintenanceWindow(req.body);
+  res.status(201).json(window);
+});
+
+router.put('/maintenance-windows/:id', operator, (req, res) => {
+  const existing = state.getMaintenanceWindow(req.params.id);
+  if (!existing) {
+    return res.status(404).json({ error: 'Maintenance window not found' });
+  }
+  const validation = validateMaintenanceWindow({ ...existing, ...req.body });
+  if (!validation.valid) {
+    return res.status(400).json({ errors: validation.errors });
+  }
+  res.json(state.updateMaintenanceWindow(req.params.id, req.body));
+});
+
+router.delete('/maintenance-windows/:id', operator, (req, res) => {
+  const result = state.deleteMaintenanceWindow(req.params.id);
+  if (result) {
+    res.json({ success: true });
+  } else {
+    res.status(404).json({ error: 'Maintenance window not found' });
+  }
+});
+
 // ==================== STATUSES ====================
 
-router.get('/statuses', (req, res) => {
+router.get('/statuses', viewer, (req, res) => {
   res.json(state.getAllStatuses());
 });
 
-router.get('/statuses/:id', (req, res) => {
+router.get('/statuses/:id', viewer, (req, res) => {
   const status = state.getStatus(req.params.id);
   if (status) {
     res.json(status);
@@ -278,12 +981,12 @@ router.get('/statuses/:id', (req, res) => {
 
 // ==================== ALERTS ====================
 
-router.get('/alerts', (req, res) => {
+router.get('/alerts', viewer, (req, res) => {
   const activeOnly = req.query.active === 'true';
   res.json(activeOnly ? state.getActiveAlerts() : state.getAllAlerts());
 });
 
-router.post('/alerts/:id/acknowledge', (req, res) => {
+router.post('/alerts/:id/acknowledge', operator, (req, res) => {
   const alert = state.acknowledgeAlert(req.params.id);
   if (alert) {
     res.json(alert);
@@ -292,7 +995,7 @@ router.post('/alerts/:id/acknowledge', (req, res) => {
   }
 });
 
-router.post('/alerts/:id/resolve', (req, res) => {
+router.post('/alerts/:id/resolve', operator, (req, res) => {
   const alert = state.resolveAlert(req.params.id);
   if (alert) {
     res.json(alert);
@@ -303,18 +1006,31 @@ router.post('/alerts/:id/resolve', (req, res) => {
 
 // ==================== INCIDENTS ====================
 
-router.get('/incidents', (req, res) => {
+router.get('/incidents', viewer, (req, res) => {
   const limit = parseInt(req.query.limit) || 100;
   res.json(state.getIncidents(limit));
 });
 
-router.get('/incidents/monitor/:monitorId', (req, res) => {
+router.get('/incidents/monitor/:monitorId', viewer, (req, res) => {
   res.json(state.getIncidentsByMonitor(req.params.monitorId));
 });
 
+// Post to the incident timeline; public updates appear on status pages and reach their subscribers
+router.post('/incidents/:id/updates', operator, (req, res) => {
+  const incident = state.getIncident(req.params.id);
+  if (!incident) {
+    return res.status(404).json({ error: 'Incident not found' });
+  }
+  const validation = validateIncidentUpdate(req.body, incident);
+  if (!validation.valid) {
+    return res.status(400).json({ errors: validation.errors });
+  }
+  res.status(201).json(state.addIncidentUpdate(req.params.id, { ...req.body, author: req.user.username }));
+});
+
 // ==================== ACTIVITY LOGS ====================
 
-router.get('/activity', (req, res) => {
+router.get('/activity', viewer, (req, res) => {
   const options = {
     entityType: req.query.entityType,
     entityId: req.query.entityId,
@@ -327,7 +1043,7 @@ router.get('/activity', (req, res) => {
   res.json(state.getActivityLogs(options));
 });
 
-router.get('/activity/:id', (req, res) => {
+router.get('/activity/:id', viewer, (req, res) => {
   const detail = state.getActivityDetail(req.params.id);
   if (detail) {
     res.json(detail);
@@ -338,7 +1054,7 @@ router.get('/activity/:id', (req, res) => {
 
 // ==================== LOGS ====================
 
-router.get('/logs', (req, res) => {
+router.get('/logs', viewer, (req, res) => {
   const options = {
     level: req.query.level,
     monitorId: req.query.monitorId,
@@ -347,49 +1063,76 @@ router.get('/logs', (req, res) => {
   res.json(state.getLogs(options));
 });
 
-router.delete('/logs', (req, res) => {
+router.delete('/logs', admin, (req, res) => {
   state.clearLogs();
   res.json({ success: true });
 });
 
 // ==================== SETTINGS ====================
 
-router.get('/settings', (req, res) => {
+router.get('/settings', viewer, (req, res) => {
   res.json(state.getSettings());
 });
 
-router.put('/settings', (req, res) => {
+router.put('/settings', admin, (req, res) => {
+  const validation = scheduler.validateSchedulerSettings(req.body);
+  if (!validation.valid) {
+    return res.status(400).json({ errors: validation.errors });
+  }
   state.updateSettings(req.body);
   res.json(state.getSettings());
 });
 
-router.post('/settings/test-email', async (req, res) => {
+router.post('/settings/test-email', admin, async (req, res) => {
   const result = await testEmailConfig(req.body, req.body.testEmail);
   res.json(result);
 });
 
-router.post('/settings/test-sms', async (req, res) => {
+router.get('/settings/sms-providers', viewer, (req, res) => {
+  res.json(listSmsProviders());
+});
+
+router.post('/settings/test-sms', admin, async (req, res) => {
   const result = await testSmsConfig(req.body, req.body.testPhone);
   res.json(result);
 });
 
-router.post('/settings/test-tts', async (req, res) => {
+router.post('/settings/test-tts', admin, async (req, res) => {
   const result = await testTts(req.body.text);
   res.json(result);
 });
 
 // ==================== STATS ====================
 
-router.get('/stats', (req, res) => {
+router.get('/stats', viewer, (req, res) => {
   res.json(state.getStats());
 });
 
+// ==================== SCHEDULER ====================
+
+router.get('/scheduler', viewer, (req, res) => {
+  res.json(scheduler.getSchedulerStats());
+});
+
+router.get('/scheduler/jobs', viewer, (req, res) => {
+  res.json(scheduler.getScheduledJobs());
+});
+
+// ==================== CERTIFICATES ====================
+
+router.get('/certificates', viewer, (req, res) => {
+  const certificates = getCertificateInventory();
+  res.json(req.query.level ? certificates.filter(c => c.level === req.query.level) : certificates);
+});
+
 // ==================== REPORTS ====================
 
-router.get('/reports/:type', async (req, res) => {
+router.get('/reports/:type', viewer, async (req, res) => {
   try {
     const options = {
       applicationId: req.query.applicationId,
+      from: req.query.from,
+      to: req.query.to,
       limit: parseInt(req.query.limit) || 50,
       activeOnly: req.query.activeOnly === 'true'
     };
@@ -406,28 +1149,43 @@ router.get('/reports/:type', async (req, res) => {
 
 // ==================== EXPORT/IMPORT ====================
 
-router.get('/export', (req, res) => {
+router.get('/export', admin, (req, res) => {
   const data = state.exportData();
   res.json(data);
 });
 
-router.post('/import', (req, res) => {
-  const result = state.importData(req.body);
+// Export including credentials, encrypted with the given passphrase
+router.post('/export', admin, (req, res) => {
+  const validation = validatePassphrase(req.body.passphrase);
+  if (!validation.valid) {
+    return res.status(400).json({ errors: validation.errors });
+  }
+  res.json(state.exportData({ passphrase: req.body.passphrase }));
+});
+
+// The passphrase for encrypted credentials travels in a header so the body stays the export file
+router.post('/import', admin, (req, res) => {
+  const result = state.importData(req.body, { passphrase: req.get('x-secrets-passphrase') });
   if (result.success) {
+    scheduler.syncMonitors(state.getAllMonitors());
     res.json(result);
   } else {
     res.status(400).json(result);
   }
 });
 
-// ==================== HEALTH ====================
+// ==================== SECRETS VAULT ====================
 
-router.get('/health', (req, res) => {
-  res.json({
-    status: 'healthy',
-    uptime: Date.now() - state.getStats().startTime,
-    version: '4.0.0'
-  });
+router.get('/secrets/status', admin, (req, res) => {
+  res.json(state.getVaultStatus());
+});
+
+router.post('/secrets/rotate', admin, (req, res) => {
+  try {
+    res.json({ success: true, ...state.rotateMasterKey() });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
 });
 
 module.exports = router;
@@ -0,0 +1,30 @@
+// routes/metricsRoutes.js - Prometheus Scrape Endpoint
+const express = require('express');
+const crypto = require('crypto');
+const state = require('../state/monitorState');
+const { hashToken } = require('../state/auth');
+const { authenticate, requireRole, getTokenFromHeaders } = require('../services/authService');
+const { renderMetrics } = require('../services/metricsService');
+
+const router = express.Router();
+
+// Hashing first gives equal-length buffers for the constant-time compare
+const matchesMetricsToken = (token) => {
+  const expected = state.getSettingsFull().metricsToken;
+  if (!expected || !token) return false;
+  return crypto.timingSafeEqual(Buffer.from(hashToken(token), 'hex'), Buffer.from(hashToken(expected), 'hex'));
+};
+
+// Prometheus scrapes with the configured bearer token; anyone else needs a viewer session
+const authenticateScrape = (req, res, next) => {
+  if (matchesMetricsToken(getTokenFromHeaders(req.headers))) return next();
+  authenticate(req, res, () => requireRole('viewer')(req, res, next));
+};
+
+router.get('/', authenticateScrape, (req, res) => {
+  res.set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+  res.set('Cache-Control', 'no-store');
+  res.send(renderMetrics());
+});
+
+module.exports = router;
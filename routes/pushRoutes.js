@@ -0,0 +1,60 @@
+// routes/pushRoutes.js - Heartbeat URLs for Push Monitors (no authentication, the token is the secret)
+const express = require('express');
+const state = require('../state/monitorState');
+const { PUSH_EVENTS, normalizeEvent, heartbeatResult } = require('../state/heartbeats');
+const { recordCheckResult } = require('../handlers/socketHandlers');
+
+const router = express.Router();
+
+// Unknown tokens and tokens of other monitor types look the same
+const findPushMonitor = (req, res, next) => {
+  const monitor = state.getMonitorByPushToken(req.params.token);
+  if (!monitor) {
+    return res.status(404).json({ error: 'Push monitor not found' });
+  }
+  req.monitor = monitor;
+  next();
+};
+
+// Event from the path (/:token/fail), ?status= or the body; message and duration (seconds) from the query or body
+const readHeartbeat = (req) => {
+  const body = req.body && typeof req.body === 'object' ? req.body : {};
+  const param = (...names) => names.map(name => req.query[name] ?? body[name]).find(value => value !== undefined);
+  return {
+    event: normalizeEvent(req.params.event || param('status', 'event')),
+    message: param('msg', 'message'),
+    duration: param('duration')
+  };
+};
+
+const receiveHeartbeat = async (req, res) => {
+  const { monitor } = req;
+  const { event, message, duration } = readHeartbeat(req);
+  if (!event) {
+    return res.status(400).json({ errors: [`Event must be one of: ${PUSH_EVENTS.join(', ')}`] });
+  }
+  // Jobs should not fail because their monitor is paused
+  if (!monitor.enabled) {
+    return res.json({ ok: true, ignored: 'Monitor is disabled' });
+  }
+
+  try {
+    if (event === 'start') {
+      state.recordHeartbeatStart(monitor.id);
+      req.app.get('io')?.emit('statuses-update', state.getAllStatuses());
+      return res.json({ ok: true, event });
+    }
+
+    const previous = state.getStatus(monitor.id)?.heartbeat;
+    const result = heartbeatResult(event, { message, duration }, previous, Date.now());
+    await recordCheckResult(req.app.get('io'), monitor, result);
+    res.json({ ok: true, event, status: state.getStatus(monitor.id)?.status });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+router.all('/:token', findPushMonitor, receiveHeartbeat);
+router.all('/:token/:event', findPushMonitor, receiveHeartbeat);
+
+module.exports = router;
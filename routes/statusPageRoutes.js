@@ -0,0 +1,68 @@
+// routes/statusPageRoutes.js - Public Status Pages (no authentication)
+const express = require('express');
+const path = require('path');
+const state = require('../state/monitorState');
+const { validateSubscriberEmail } = require('../state/statusPage');
+const { getStatusPageSummary, renderBadge, subscriptionsAvailable, requestSubscription } = require('../services/statusPageService');
+
+const router = express.Router();
+
+const STATUS_PAGE_FILE = path.join(__dirname, '..', 'public', 'status.html');
+
+// Disabled pages are indistinguishable from missing ones
+const findPage = (req, res, next) => {
+  const page = state.getStatusPageBySlug(req.params.slug);
+  if (!page || !page.enabled) {
+    return res.status(404).json({ error: 'Status page not found' });
+  }
+  req.statusPage = page;
+  next();
+};
+
+router.get('/:slug', findPage, (req, res) => {
+  res.sendFile(STATUS_PAGE_FILE);
+});
+
+// CORS is open so customers can embed the status in their own sites
+router.get('/:slug/summary.json', findPage, (req, res) => {
+  res.set('Access-Control-Allow-Origin', '*');
+  res.set('Cache-Control', 'public, max-age=30');
+  res.json(getStatusPageSummary(req.statusPage));
+});
+
+router.get('/:slug/badge.svg', findPage, (req, res) => {
+  const summary = getStatusPageSummary(req.statusPage);
+  const label = String(req.query.label || 'status').slice(0, 40);
+  res.set('Content-Type', 'image/svg+xml');
+  res.set('Cache-Control', 'public, max-age=60');
+  res.send(renderBadge(label, summary.status));
+});
+
+router.post('/:slug/subscribe', findPage, async (req, res) => {
+  if (!subscriptionsAvailable(req.statusPage)) {
+    return res.status(404).json({ error: 'Subscriptions are not available for this page' });
+  }
+  const validation = validateSubscriberEmail(req.body.email);
+  if (!validation.valid) {
+    return res.status(400).json({ errors: validation.errors });
+  }
+
+  const result = await requestSubscription(req.statusPage, req.body.email);
+  if (!result.success) {
+    return res.status(502).json({ error: 'The confirmation email could not be sent, please try again later' });
+  }
+  res.status(202).json({ message: 'Check your inbox for a link to confirm your subscription' });
+});
+
+// Email links land back on the page, which shows the outcome
+router.get('/:slug/confirm', findPage, (req, res) => {
+  const subscriber = state.confirmStatusPageSubscriber(req.statusPage.id, req.query.token);
+  res.redirect(`/status/${req.statusPage.slug}?${subscriber ? 'subscribed' : 'invalid-link'}`);
+});
+
+router.get('/:slug/unsubscribe', findPage, (req, res) => {
+  const subscriber = state.unsubscribeStatusPageSubscriber(req.statusPage.id, req.query.token);
+  res.redirect(`/status/${req.statusPage.slug}?${subscriber ? 'unsubscribed' : 'invalid-link'}`);
+});
+
+module.exports = router;
@@ -5,8 +5,17 @@ const { Server } = require('socket.io');
 const path = require('path');
 
 const apiRoutes = require('./routes/apiRoutes');
+const statusPageRoutes = require('./routes/statusPageRoutes');
+const metricsRoutes = require('./routes/metricsRoutes');
+const pushRoutes = require('./routes/pushRoutes');
 const { setupSocketHandlers, startAllMonitors, stopAllMonitors, startNetworkCheck, stopNetworkCheck } = require('./handlers/socketHandlers');
 const state = require('./state/monitorState');
+const { startSloEvaluation, stopSloEvaluation } = require('./services/sloService');
+const { startEscalationProcessing, stopEscalationProcessing } = require('./services/escalationService');
+const { registerWebhookEvents } = require('./services/notificationService');
+const { bootstrapAdmin } = require('./services/authService');
+const { registerStatusPageEvents } = require('./services/statusPageService');
+const { registerMetricsEvents } = require('./services/metricsService');
 
 const app = express();
 const server = http.createServer(app);
@@ -28,9 +37,19 @@ app.use(express.urlencoded({ extended: true, limit: '50mb' }));
 // Static files
 app.use(express.static(path.join(__dirname, 'public')));
 
+// Push monitor heartbeats (public, the token in the URL identifies the monitor)
+app.set('io', io);
+app.use('/api/push', pushRoutes);
+
 // API routes
 app.use('/api', apiRoutes);
 
+// Public status pages (read-only, no login)
+app.use('/status', statusPageRoutes);
+
+// Prometheus scrape endpoint (metrics token or viewer session)
+app.use('/metrics', metricsRoutes);
+
 // SPA fallback
 app.get('*', (req, res) => {
   res.sendFile(path.join(__dirname, 'public', 'index.html'));
@@ -42,6 +61,21 @@ setupSocketHandlers(io);
 // Start network connectivity check
 startNetworkCheck(io);
 
+// Start SLO burn-rate evaluation
+startSloEvaluation(io);
+
+// Start escalation policy processing (pending steps resume after a restart)
+startEscalationProcessing(io);
+
+// Forward incident events to outbound webhooks
+registerWebhookEvents();
+
+// Email status page subscribers about incidents on their pages
+registerStatusPageEvents();
+
+// Record check response times for the Prometheus histograms
+registerMetricsEvents();
+
 // Load saved state
 console.log('[SERVER] Loading saved state...');
 const loaded = state.loadState();
@@ -51,6 +85,9 @@ if (loaded) {
   console.log('[SERVER] Starting with fresh state');
 }
 
+// Create the first admin from the environment when there are no users yet
+bootstrapAdmin();
+
 // Start server
 server.listen(PORT, () => {
   console.log(`
@@ -100,6 +137,12 @@ const shutdown = async (signal) => {
   // Stop network check
   stopNetworkCheck();
   
+  // Stop SLO evaluation
+  stopSloEvaluation();
+  
+  // Stop escalation processing
+  stopEscalationProcessing();
+  
   // Stop all monitors
   stopAllMonitors();
   
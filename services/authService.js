@@ -0,0 +1,239 @@
+// services/authService.js - Session Authentication for REST and Socket.IO
+const state = require('../state/monitorState');
+const { ROLES, hasRole, validateUser, SESSION_TTL_MS } = require('../state/auth');
+
+const SESSION_COOKIE = 'pulse_session';
+
+let ioRef = null;
+
+// ==================== TOKENS ====================
+
+// Malformed percent-encoding (e.g. "%E0") makes decodeURIComponent throw; such cookies are skipped
+const decodeCookie = (value) => {
+  try {
+    return decodeURIComponent(value);
+  } catch (error) {
+    return undefined;
+  }
+};
+
+const parseCookies = (header) => Object.fromEntries(
+  String(header || '')
+    .split(';')
+    .map(part => part.trim().split('='))
+    .filter(([name, value]) => name && value !== undefined)
+    .map(([name, ...rest]) => [name, decodeCookie(rest.join('='))])
+    .filter(([, value]) => value !== undefined)
+);
+
+// Bearer token for API clients, session cookie for the dashboard
+const getTokenFromHeaders = (headers = {}) => {
+  const authorization = headers.authorization || '';
+  if (authorization.toLowerCase().startsWith('bearer ')) {
+    return authorization.slice(7).trim();
+  }
+  return parseCookies(headers.cookie)[SESSION_COOKIE] || null;
+};
+
+const setSessionCookie = (req, res, token) => {
+  res.cookie(SESSION_COOKIE, token, {
+    httpOnly: true,
+    sameSite: 'lax',
+    secure: req.secure,
+    maxAge: SESSION_TTL_MS,
+    path: '/'
+  });
+};
+
+const clearSessionCookie = (res) => {
+  res.clearCookie(SESSION_COOKIE, { path: '/' });
+};
+
+// ==================== LOGIN THROTTLING ====================
+
+// Failed logins are counted per client IP and per username over a window; once either count
+// reaches its limit further attempts are refused until the window ends
+const LOGIN_WINDOW_MS = 15 * 60 * 1000;
+const MAX_FAILURES_PER_IP = 20;
+const MAX_FAILURES_PER_USERNAME = 5;
+
+const loginFailures = new Map();
+
+const failureKeys = (ip, username) => [
+  [`ip:${ip}`, MAX_FAILURES_PER_IP],
+  [`user:${String(username || '').toLowerCase()}`, MAX_FAILURES_PER_USERNAME]
+];
+
+// Seconds until the caller may try again, or 0 when the attempt is allowed
+const getLoginRetryAfter = (ip, username) => {
+  const now = Date.now();
+  const waits = failureKeys(ip, username).map(([key, limit]) => {
+    const entry = loginFailures.get(key);
+    if (!entry || entry.resetAt <= now) return 0;
+    return entry.count >= limit ? Math.ceil((entry.resetAt - now) / 1000) : 0;
+  });
+  return Math.max(...waits);
+};
+
+const recordLoginFailure = (ip, username) => {
+  const now = Date.now();
+  for (const [key, entry] of loginFailures) {
+    if (entry.resetAt <= now) loginFailures.delete(key);
+  }
+  failureKeys(ip, username).forEach(([key]) => {
+    const entry = loginFailures.get(key) || { count: 0, resetAt: now + LOGIN_WINDOW_MS };
+    loginFailures.set(key, { ...entry, count: entry.count + 1 });
+  });
+};
+
+// A successful login clears the username's count; the IP's stays so one valid account can't reset it
+const clearLoginFailures = (username) => {
+  loginFailures.delete(`user:${String(username || '').toLowerCase()}`);
+};
+
+// Wraps state.authenticateUser; resolves to { user } or { retryAfter } when throttled
+const attemptLogin = async (ip, username, password) => {
+  const retryAfter = getLoginRetryAfter(ip, username);
+  if (retryAfter > 0) {
+    state.addLog('warn', `Login throttled for ${username || '(empty)'} from ${ip}`, {});
+    return { user: null, retryAfter };
+  }
+
+  const user = await state.authenticateUser(username, password);
+  if (user) {
+    clearLoginFailures(username);
+  } else {
+    recordLoginFailure(ip, username);
+  }
+  return { user, retryAfter: 0 };
+};
+
+// ==================== REST MIDDLEWARE ====================
+
+const authenticate = (req, res, next) => {
+  const token = getTokenFromHeaders(req.headers);
+  const auth = state.getSessionByToken(token);
+  if (!auth) {
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+  req.user = auth.user;
+  req.authSession = auth.session;
+  req.authToken = token;
+  next();
+};
+
+const requireRole = (role) => (req, res, next) => {
+  if (!hasRole(req.user, role)) {
+    return res.status(403).json({ error: `Requires ${role} role` });
+  }
+  next();
+};
+
+// ==================== SOCKET.IO ====================
+
+// Rooms per session, user and role, used for targeted disconnects and role-scoped broadcasts
+const joinAuthRooms = (socket, { session, user }) => {
+  if (socket.data.user && socket.data.user.role !== user.role) {
+    socket.leave(`role:${socket.data.user.role}`);
+  }
+  socket.data.user = user;
+  socket.join([`session:${session.id}`, `user:${user.id}`, `role:${user.role}`]);
+};
+
+// Handshake check: the dashboard sends its cookie, other clients pass { auth: { token } }
+// Any failure rejects the handshake; an exception here would leave the client hanging
+const authenticateSocket = (socket, next) => {
+  try {
+    const token = socket.handshake.auth?.token || getTokenFromHeaders(socket.handshake.headers);
+    const auth = state.getSessionByToken(token);
+    if (!auth) {
+      return next(new Error('Unauthorized'));
+    }
+    socket.data.token = token;
+    joinAuthRooms(socket, auth);
+  } catch (error) {
+    return next(new Error('Unauthorized'));
+  }
+  next();
+};
+
+// Per-event check against { viewer: [...], operator: [...], admin: [...] }; events not listed need admin.
+// The session is re-read on every event so logouts and role changes apply to open connections.
+const authorizeSocketEvents = (socket, eventRoles) => ([event, ...args], next) => {
+  const callback = typeof args[args.length - 1] === 'function' ? args[args.length - 1] : null;
+  const auth = state.getSessionByToken(socket.data.token);
+  if (!auth) {
+    callback?.({ success: false, error: 'Authentication required' });
+    socket.disconnect(true);
+    return;
+  }
+  joinAuthRooms(socket, auth);
+
+  const role = Object.keys(eventRoles).find(r => eventRoles[r].includes(event)) || 'admin';
+  if (!hasRole(auth.user, role)) {
+    state.addLog('warn', `Denied ${event} for ${auth.user.username} (requires ${role})`, { userId: auth.user.id });
+    callback?.({ success: false, error: `Requires ${role} role` });
+    return;
+  }
+  next();
+};
+
+const setupSocketAuth = (io) => {
+  ioRef = io;
+  io.use(authenticateSocket);
+};
+
+// Drop open connections after a logout, or for a user that was disabled, deleted or had the password reset
+const disconnectSession = (sessionId) => {
+  ioRef?.in(`session:${sessionId}`).disconnectSockets(true);
+};
+
+const disconnectUser = (userId) => {
+  ioRef?.in(`user:${userId}`).disconnectSockets(true);
+};
+
+// Emit only to connections whose role is at least `role`
+const emitToRole = (io, role, event, data) => {
+  const rooms = ROLES
+    .filter(r => hasRole({ role: r }, role))
+    .map(r => `role:${r}`);
+  io.to(rooms).emit(event, data);
+};
+
+// ==================== BOOTSTRAP ====================
+
+// First admin from ADMIN_USERNAME / ADMIN_PASSWORD; otherwise the dashboard offers first-run setup
+const bootstrapAdmin = () => {
+  if (state.hasUsers()) return null;
+
+  const { ADMIN_USERNAME, ADMIN_PASSWORD } = process.env;
+  if (ADMIN_USERNAME && ADMIN_PASSWORD) {
+    const validation = validateUser({ username: ADMIN_USERNAME, password: ADMIN_PASSWORD, role: 'admin' });
+    if (!validation.valid) {
+      console.error(`[AUTH] Cannot create admin from environment: ${validation.errors.join('; ')}`);
+      return null;
+    }
+    const user = state.createUser({ username: ADMIN_USERNAME, password: ADMIN_PASSWORD, role: 'admin' });
+    console.log(`[AUTH] Created admin user "${user.username}" from environment`);
+    return user;
+  }
+
+  console.log('[AUTH] No users yet - open the dashboard to create the first admin account');
+  return null;
+};
+
+module.exports = {
+  SESSION_COOKIE,
+  getTokenFromHeaders,
+  setSessionCookie,
+  clearSessionCookie,
+  authenticate,
+  requireRole,
+  attemptLogin,
+  authorizeSocketEvents,
+  setupSocketAuth,
+  disconnectSession,
+  disconnectUser,
+  emitToRole,
+  bootstrapAdmin
+};
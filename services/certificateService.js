@@ -0,0 +1,69 @@
+// services/certificateService.js - Certificate Expiry Alerts and Inventory
+const state = require('../state/monitorState');
+const {
+  LEVEL_SEVERITIES,
+  certificateThresholds,
+  certificateLevel,
+  expiryMessage,
+  buildCertificateInventory
+} = require('../state/certificates');
+const { sendAlertNotification } = require('./notificationService');
+
+const ALERT_TYPE = 'ssl_expiry';
+
+// ==================== INVENTORY ====================
+
+const getCertificateInventory = () => buildCertificateInventory(
+  state.getAllMonitors().map(monitor => ({ monitor, status: state.getStatus(monitor.id) })),
+  state.getSettingsFull()
+);
+
+// ==================== EXPIRY ALERTS ====================
+
+const findOpenExpiryAlert = (monitorId) => state.getAllAlerts().find(a =>
+  a.monitorId === monitorId && a.type === ALERT_TYPE && a.status !== 'resolved'
+);
+
+// One open alert per monitor: raised when the certificate enters the warning or critical range,
+// replaced when it gets more severe (or a different certificate is served) and resolved once renewed.
+// Checks that could not read a certificate leave the alert as it is.
+const evaluateCertificateAlerts = async (io, monitorId) => {
+  const monitor = state.getMonitor(monitorId);
+  const status = state.getStatus(monitorId);
+  const settings = state.getSettingsFull();
+  if (!monitor || !status?.sslInfo || status.status === 'MAINTENANCE') return null;
+
+  const { sslInfo } = status;
+  const level = settings.sslExpiryAlerts === false
+    ? 'ok'
+    : certificateLevel(sslInfo, certificateThresholds(monitor, settings));
+  if (!level) return null;
+  const open = findOpenExpiryAlert(monitorId);
+
+  if (!open && !LEVEL_SEVERITIES[level]) return null;
+  if (open && open.certificateLevel === level && open.validTo === sslInfo.validTo) return open;
+
+  if (open) {
+    state.resolveAlert(open.id);
+  }
+
+  let alert = null;
+  if (LEVEL_SEVERITIES[level]) {
+    alert = state.createAlert(monitorId, ALERT_TYPE, expiryMessage(sslInfo, level), LEVEL_SEVERITIES[level], {
+      certificateLevel: level,
+      validTo: sslInfo.validTo,
+      daysRemaining: sslInfo.daysRemaining
+    });
+  }
+
+  io?.emit('alerts-update', state.getAllAlerts());
+  if (alert) {
+    await sendAlertNotification(alert, monitor);
+  }
+  return alert;
+};
+
+module.exports = {
+  getCertificateInventory,
+  evaluateCertificateAlerts
+};
@@ -0,0 +1,84 @@
+// services/contentService.js - Content Change Alerts, Diffs and Baselines
+const state = require('../state/monitorState');
+const { diffLines, diffHunks } = require('../state/contentChange');
+const { sendAlertNotification } = require('./notificationService');
+
+const ALERT_TYPE = 'content_changed';
+
+const findOpenContentAlert = (monitorId) => state.getAllAlerts().find(a =>
+  a.monitorId === monitorId && a.type === ALERT_TYPE && a.status !== 'resolved'
+);
+
+const changeMessage = (monitor, content) =>
+  `Content changed on ${monitor.name}: ${content.added} line(s) added, ${content.removed} removed`;
+
+// ==================== ALERTS ====================
+
+// One open alert per monitor: raised when the page text first differs from the baseline, replaced
+// when it changes again and resolved once the page reverts or the new text is accepted. Monitors
+// in a maintenance window raise none.
+const evaluateContentAlerts = async (io, monitorId) => {
+  const monitor = state.getMonitor(monitorId);
+  const status = state.getStatus(monitorId);
+  if (!monitor || status?.status === 'MAINTENANCE') return null;
+  const content = status?.content;
+
+  const open = findOpenContentAlert(monitorId);
+  const changed = !!content?.changed && monitor.contentChangeAlert !== false;
+
+  if (!changed && !open) return null;
+  if (changed && open?.contentHash === content.hash) return open;
+
+  if (open) {
+    state.resolveAlert(open.id);
+  }
+
+  let alert = null;
+  if (changed) {
+    alert = state.createAlert(monitorId, ALERT_TYPE, changeMessage(monitor, content), 'warning', {
+      contentHash: content.hash,
+      baselineHash: content.baselineHash,
+      added: content.added,
+      removed: content.removed
+    });
+  }
+
+  io?.emit('alerts-update', state.getAllAlerts());
+  if (alert) {
+    await sendAlertNotification(alert, monitor);
+  }
+  return alert;
+};
+
+// ==================== DIFF & BASELINE ====================
+
+// Baseline and latest text side by side as a line diff; null when nothing has been captured yet
+const getContentDiff = (monitorId) => {
+  const snapshot = state.getContentSnapshot(monitorId);
+  if (!snapshot) return null;
+
+  const { baseline, current } = snapshot;
+  return {
+    monitorId,
+    changed: !!current,
+    baseline: { hash: baseline.hash, capturedAt: baseline.capturedAt, lines: baseline.text ? baseline.text.split('\n').length : 0 },
+    current: current ? { hash: current.hash, changedAt: current.changedAt, added: current.added, removed: current.removed } : null,
+    diff: current ? diffHunks(diffLines(baseline.text, current.text)) : []
+  };
+};
+
+// Accepts the changed text as the new baseline and resolves the alert it raised
+const acceptContentChange = async (io, monitorId) => {
+  const summary = state.acceptContentBaseline(monitorId);
+  if (!summary) return null;
+
+  await evaluateContentAlerts(io, monitorId);
+  io?.emit('statuses-update', state.getAllStatuses());
+  return summary;
+};
+
+module.exports = {
+  evaluateContentAlerts,
+  getContentDiff,
+  acceptContentChange
+};
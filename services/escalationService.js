@@ -0,0 +1,137 @@
+// services/escalationService.js - Escalation Policy Execution
+const state = require('../state/monitorState');
+const { notifyContacts } = require('./notificationService');
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+
+// How often pending escalation steps are checked
+const ESCALATION_TICK_MS = 15 * 1000;
+// Finished escalations are kept for this long
+const ESCALATION_RETENTION_MS = 7 * DAY;
+
+let escalationInterval = null;
+let ioRef = null;
+
+// Escalations with a step being sent right now (a slow SMTP server must not double-page)
+const inFlight = new Set();
+
+const broadcastEscalations = () => {
+  ioRef?.emit('escalations-update', state.getEscalations());
+};
+
+// ==================== STEP EXECUTION ====================
+
+// Fire the next step of an escalation if it is due; timers are plain timestamps in state,
+// so escalations carry on after a restart
+const runNextStep = async (escalation, now) => {
+  if (escalation.status !== 'active' || !escalation.nextStepAt || new Date(escalation.nextStepAt).getTime() > now) {
+    return false;
+  }
+
+  const alert = state.getAllAlerts().find(a => a.id === escalation.alertId);
+  if (!alert || alert.status !== 'active') {
+    state.endEscalationsForAlert(escalation.alertId, alert?.status === 'acknowledged' ? 'acknowledged' : 'resolved');
+    return true;
+  }
+
+  const policy = state.getEscalationPolicy(escalation.policyId);
+  if (!policy || policy.steps.length === 0) {
+    state.updateEscalation(escalation.id, { status: 'cancelled', nextStepAt: null, endedAt: new Date(now).toISOString() });
+    return true;
+  }
+
+  let stepIndex = escalation.currentStep + 1;
+  let cycle = escalation.cycle;
+  if (stepIndex >= policy.steps.length) {
+    stepIndex = 0;
+    cycle++;
+  }
+
+  const step = policy.steps[stepIndex];
+  const contacts = state.resolveEscalationTargets(step.targets, now);
+  const isFinal = stepIndex === policy.steps.length - 1 && cycle >= policy.repeat;
+
+  state.addLog('warn', `Escalation ${policy.name}: step ${stepIndex + 1} for ${alert.monitorName} (${contacts.length} contacts)`, {
+    escalationId: escalation.id,
+    alertId: alert.id
+  });
+
+  await notifyContacts(alert, escalation.monitor, contacts, { prefix: `[ESCALATION ${stepIndex + 1}]` });
+
+  // The alert may have been acknowledged while notifications were going out
+  const current = state.getEscalation(escalation.id) || escalation;
+  state.updateEscalation(escalation.id, {
+    currentStep: stepIndex,
+    cycle,
+    ...(current.status === 'active' ? {
+      status: isFinal ? 'completed' : 'active',
+      nextStepAt: isFinal ? null : new Date(now + step.escalateAfterMinutes * MINUTE).toISOString(),
+      endedAt: isFinal ? new Date(now).toISOString() : null
+    } : {}),
+    notifications: [...current.notifications, {
+      step: stepIndex + 1,
+      cycle,
+      at: new Date(now).toISOString(),
+      contacts: contacts.map(c => ({ id: c.id, name: c.name }))
+    }]
+  });
+  return true;
+};
+
+const advanceEscalation = async (escalation, now = Date.now()) => {
+  if (inFlight.has(escalation.id)) return false;
+  inFlight.add(escalation.id);
+  try {
+    return await runNextStep(escalation, now);
+  } finally {
+    inFlight.delete(escalation.id);
+  }
+};
+
+const startEscalations = async (alert, monitor, policyIds) => {
+  const started = policyIds
+    .map(policyId => state.createEscalation(alert, policyId, monitor))
+    .filter(Boolean);
+
+  for (const escalation of started) {
+    await advanceEscalation(escalation);
+  }
+  if (started.length > 0) broadcastEscalations();
+
+  return started;
+};
+
+const processEscalations = async () => {
+  let changed = false;
+  for (const escalation of state.getEscalations({ status: 'active' })) {
+    try {
+      changed = (await advanceEscalation(escalation)) || changed;
+    } catch (error) {
+      state.addLog('error', `Escalation step failed: ${error.message}`, { escalationId: escalation.id });
+    }
+  }
+  state.pruneEscalations(ESCALATION_RETENTION_MS);
+  if (changed) broadcastEscalations();
+};
+
+const startEscalationProcessing = (io) => {
+  stopEscalationProcessing();
+  ioRef = io;
+  escalationInterval = setInterval(processEscalations, ESCALATION_TICK_MS);
+  state.addLog('info', `Escalation processing started (every ${ESCALATION_TICK_MS / 1000}s)`, {});
+};
+
+const stopEscalationProcessing = () => {
+  if (escalationInterval) {
+    clearInterval(escalationInterval);
+    escalationInterval = null;
+  }
+};
+
+module.exports = {
+  startEscalations,
+  processEscalations,
+  startEscalationProcessing,
+  stopEscalationProcessing
+};
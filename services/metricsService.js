@@ -0,0 +1,196 @@
+// services/metricsService.js - Prometheus Text Exposition of Monitor, Incident and Scheduler Metrics
+const state = require('../state/monitorState');
+const { LATENCY_BUCKETS } = require('../state/historyStore');
+const scheduler = require('./scheduler');
+
+const PREFIX = 'pulse_';
+const MONITOR_STATUSES = ['UP', 'DOWN', 'PENDING', 'MAINTENANCE', 'FLAPPING', 'UNREACHABLE'];
+const ALERT_SEVERITIES = ['critical', 'warning', 'info'];
+
+// Same bucket bounds as the history store, in seconds
+const BUCKET_BOUNDS = LATENCY_BUCKETS.map(ms => ms / 1000);
+
+// Response time histograms since the process started: monitorId -> { buckets, count, sum }
+const responseTimes = new Map();
+let metricsEventsRegistered = false;
+
+// ==================== FORMAT ====================
+
+const escapeLabel = (value) => String(value ?? '')
+  .replace(/\\/g, '\\\\')
+  .replace(/\n/g, '\\n')
+  .replace(/"/g, '\\"');
+
+const formatLabels = (labels) => {
+  const entries = Object.entries(labels);
+  return entries.length ? `{${entries.map(([key, value]) => `${key}="${escapeLabel(value)}"`).join(',')}}` : '';
+};
+
+const formatValue = (value) => {
+  if (value === Infinity) return '+Inf';
+  return Number.isFinite(value) ? String(value) : 'NaN';
+};
+
+// One metric family: samples are [labels, value] or [labels, value, nameSuffix]
+const writeFamily = (lines, name, type, help, samples) => {
+  if (samples.length === 0) return;
+  lines.push(`# HELP ${PREFIX}${name} ${help}`, `# TYPE ${PREFIX}${name} ${type}`);
+  samples.forEach(([labels, value, suffix = '']) => {
+    lines.push(`${PREFIX}${name}${suffix}${formatLabels(labels)} ${formatValue(value)}`);
+  });
+};
+
+// ==================== RESPONSE TIMES ====================
+
+const observeResponseTime = (monitorId, ms) => {
+  let histogram = responseTimes.get(monitorId);
+  if (!histogram) {
+    histogram = { buckets: new Array(BUCKET_BOUNDS.length).fill(0), count: 0, sum: 0 };
+    responseTimes.set(monitorId, histogram);
+  }
+  const seconds = ms / 1000;
+  BUCKET_BOUNDS.forEach((bound, i) => {
+    if (seconds <= bound) histogram.buckets[i]++;
+  });
+  histogram.count++;
+  histogram.sum += seconds;
+};
+
+// Maintenance checks are left out, as they are from uptime and history response times
+const registerMetricsEvents = () => {
+  if (metricsEventsRegistered) return;
+  metricsEventsRegistered = true;
+  state.events.on('monitor.checked', ({ monitorId, status, result }) => {
+    if (status.status === 'MAINTENANCE' || typeof result.responseTime !== 'number') return;
+    observeResponseTime(monitorId, result.responseTime);
+  });
+};
+
+// ==================== COLLECTION ====================
+
+const monitorLabels = (monitor) => ({
+  monitor_id: monitor.id,
+  monitor: monitor.name,
+  type: monitor.type,
+  group: state.getGroup(monitor.groupId)?.name || '',
+  application: state.getApplication(monitor.applicationId)?.name || ''
+});
+
+const collectMonitorMetrics = (lines) => {
+  const monitors = state.getAllMonitors().map(monitor => ({
+    monitor,
+    labels: monitorLabels(monitor),
+    status: state.getStatus(monitor.id)
+  }));
+
+  writeFamily(lines, 'monitor_up', 'gauge', 'Whether the last check of the monitor succeeded (1) or not (0)',
+    monitors.filter(m => m.status).map(m => [m.labels, m.status.status === 'UP' ? 1 : 0]));
+
+  writeFamily(lines, 'monitor_status', 'gauge', 'Current monitor status, 1 for the active status',
+    monitors.filter(m => m.status).flatMap(m => MONITOR_STATUSES.map(status => [{ ...m.labels, status }, m.status.status === status ? 1 : 0])));
+
+  writeFamily(lines, 'monitor_degraded', 'gauge', 'Whether the monitor is up but failing a degraded assertion (e.g. too slow)',
+    monitors.filter(m => m.status).map(m => [m.labels, m.status.degraded ? 1 : 0]));
+
+  writeFamily(lines, 'monitor_enabled', 'gauge', 'Whether the monitor is enabled',
+    monitors.map(m => [m.labels, m.monitor.enabled ? 1 : 0]));
+
+  writeFamily(lines, 'monitor_response_time_last_seconds', 'gauge', 'Response time of the last check',
+    monitors.filter(m => typeof m.status?.responseTime === 'number').map(m => [m.labels, m.status.responseTime / 1000]));
+
+  writeFamily(lines, 'monitor_command_value', 'gauge', 'Value read from the output of the last SSH command check',
+    monitors.filter(m => typeof m.status?.commandResult?.value === 'number').map(m => [m.labels, m.status.commandResult.value]));
+
+  writeFamily(lines, 'monitor_query_time_last_seconds', 'gauge', 'Query time of the last database check, without connecting',
+    monitors.filter(m => typeof m.status?.queryTime === 'number').map(m => [m.labels, m.status.queryTime / 1000]));
+
+  writeFamily(lines, 'monitor_ping_packet_loss_percent', 'gauge', 'Packet loss of the last ICMP check',
+    monitors.filter(m => typeof m.status?.ping?.packetLoss === 'number').map(m => [m.labels, m.status.ping.packetLoss]));
+
+  writeFamily(lines, 'monitor_ping_jitter_seconds', 'gauge', 'RTT jitter of the last ICMP check',
+    monitors.filter(m => typeof m.status?.ping?.jitter === 'number').map(m => [m.labels, m.status.ping.jitter / 1000]));
+
+  writeFamily(lines, 'monitor_transfer_time_last_seconds', 'gauge', 'Listing and transfer time of the last FTP check, without connecting',
+    monitors.filter(m => typeof m.status?.transferTime === 'number').map(m => [m.labels, m.status.transferTime / 1000]));
+
+  writeFamily(lines, 'monitor_mail_delivery_time_last_seconds', 'gauge', 'Time the last round-trip probe of an SMTP monitor took to reach the mailbox',
+    monitors.filter(m => typeof m.status?.deliveryTime === 'number').map(m => [m.labels, m.status.deliveryTime / 1000]));
+
+  writeFamily(lines, 'monitor_response_time_seconds', 'histogram', 'Check response times since the server started',
+    monitors.filter(m => responseTimes.has(m.monitor.id)).flatMap(m => {
+      const histogram = responseTimes.get(m.monitor.id);
+      return [
+        ...BUCKET_BOUNDS.map((bound, i) => [{ ...m.labels, le: bound }, histogram.buckets[i], '_bucket']),
+        [{ ...m.labels, le: '+Inf' }, histogram.count, '_bucket'],
+        [m.labels, histogram.sum, '_sum'],
+        [m.labels, histogram.count, '_count']
+      ];
+    }));
+
+  writeFamily(lines, 'monitor_checks_total', 'counter', 'Checks counted towards uptime (maintenance excluded)',
+    monitors.filter(m => m.status).map(m => [m.labels, m.status.totalChecks || 0]));
+
+  writeFamily(lines, 'monitor_checks_successful_total', 'counter', 'Successful checks counted towards uptime',
+    monitors.filter(m => m.status).map(m => [m.labels, m.status.successfulChecks || 0]));
+
+  writeFamily(lines, 'monitor_consecutive_failures', 'gauge', 'Failed checks in a row',
+    monitors.filter(m => m.status).map(m => [m.labels, m.status.consecutiveFailures || 0]));
+
+  writeFamily(lines, 'monitor_ssl_days_remaining', 'gauge', 'Days until the TLS certificate expires',
+    monitors.filter(m => typeof m.status?.sslInfo?.daysRemaining === 'number').map(m => [m.labels, m.status.sslInfo.daysRemaining]));
+
+  writeFamily(lines, 'monitor_last_check_timestamp_seconds', 'gauge', 'Unix time of the last check',
+    monitors.filter(m => m.status?.lastCheck).map(m => [m.labels, Math.floor(new Date(m.status.lastCheck).getTime() / 1000)]));
+};
+
+const collectIncidentMetrics = (lines) => {
+  writeFamily(lines, 'incidents_open', 'gauge', 'Ongoing incidents',
+    [[{}, state.getStats().incidents.ongoing]]);
+
+  const active = state.getActiveAlerts();
+  writeFamily(lines, 'alerts_active', 'gauge', 'Active alerts by severity',
+    ALERT_SEVERITIES.map(severity => [{ severity }, active.filter(a => a.severity === severity).length]));
+};
+
+const collectSchedulerMetrics = (lines) => {
+  const stats = scheduler.getSchedulerStats();
+
+  writeFamily(lines, 'scheduler_jobs', 'gauge', 'Monitors with a scheduled check', [[{}, stats.jobs]]);
+  writeFamily(lines, 'scheduler_running_checks', 'gauge', 'Checks currently running', [[{}, stats.running]]);
+  writeFamily(lines, 'scheduler_running_checks_by_type', 'gauge', 'Checks currently running by monitor type',
+    Object.entries(stats.runningByType).map(([type, n]) => [{ type }, n]));
+  writeFamily(lines, 'scheduler_max_concurrent', 'gauge', 'Concurrent check limit', [[{}, stats.limits.maxConcurrent]]);
+  writeFamily(lines, 'scheduler_queue_depth', 'gauge', 'Checks waiting for a free slot', [[{}, stats.queueDepth]]);
+  writeFamily(lines, 'scheduler_oldest_queued_seconds', 'gauge', 'How long the oldest queued check has been overdue',
+    [[{}, stats.oldestQueuedMs / 1000]]);
+  writeFamily(lines, 'scheduler_lag_seconds', 'gauge', 'Delay between a check coming due and starting (recent samples)',
+    ['last', 'avg', 'max'].map(stat => [{ stat }, stats.lag[`${stat}Ms`] / 1000]));
+  writeFamily(lines, 'scheduler_checks_started_total', 'counter', 'Checks started', [[{}, stats.totals.started]]);
+  writeFamily(lines, 'scheduler_checks_completed_total', 'counter', 'Checks completed', [[{}, stats.totals.completed]]);
+  writeFamily(lines, 'scheduler_checks_failed_total', 'counter', 'Checks that threw instead of reporting a result',
+    [[{}, stats.totals.failed]]);
+  writeFamily(lines, 'scheduler_skipped_overlaps_total', 'counter', 'Runs skipped because the previous check was still running or queued',
+    [[{}, stats.totals.skippedOverlaps]]);
+};
+
+const collectServerMetrics = (lines) => {
+  const stats = state.getStats();
+  writeFamily(lines, 'network_connected', 'gauge', 'Whether the server has network connectivity',
+    [[{}, state.getNetworkStatus().isConnected ? 1 : 0]]);
+  writeFamily(lines, 'start_time_seconds', 'gauge', 'Unix time the server started',
+    [[{}, Math.floor(stats.startTime / 1000)]]);
+};
+
+const renderMetrics = () => {
+  const lines = [];
+  collectMonitorMetrics(lines);
+  collectIncidentMetrics(lines);
+  collectSchedulerMetrics(lines);
+  collectServerMetrics(lines);
+  return lines.join('\n') + '\n';
+};
+
+module.exports = {
+  renderMetrics,
+  registerMetricsEvents
+};
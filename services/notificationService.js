@@ -1,8 +1,11 @@
-// services/notificationService.js - Email, SMS, and TTS Notification Service
+// services/notificationService.js - Email, SMS, Webhook and TTS Notification Service
 const nodemailer = require('nodemailer');
 const axios = require('axios');
+const crypto = require('crypto');
 const { exec } = require('child_process');
 const state = require('../state/monitorState');
+const { renderTemplate } = require('./templateRenderer');
+const { getSmsProvider } = require('./smsProviders');
 
 // ==================== EMAIL SERVICE ====================
 
@@ -54,10 +57,7 @@ const sendEmail = async (to, subject, htmlContent, textContent) => {
 
 // ==================== SMS SERVICE ====================
 
-// mNotify API Configuration
-const MNOTIFY_ENDPOINT = 'https://api.mnotify.com/api/sms/quick';
-const MNOTIFY_API_KEY = 'nppoeaeolIEXKUXQ01pLXP7Tz';
-
+// Send through the configured provider (settings.smsProvider); see services/smsProviders.js
 const sendSms = async (phone, message) => {
   const settings = state.getSettingsFull();
   
@@ -66,36 +66,27 @@ const sendSms = async (phone, message) => {
     return { success: false, reason: 'SMS notifications disabled' };
   }
   
+  // Single phone number or array
+  const recipients = Array.isArray(phone) ? phone : [phone];
+  const provider = getSmsProvider(settings.smsProvider);
+  
   try {
-    // Single phone number or array
-    const recipients = Array.isArray(phone) ? phone : [phone];
-    
-    // Use mNotify API
-    const data = {
-      recipient: recipients,
-      sender: settings.smsSenderId || 'PulseMonitor',
-      message: message,
-      is_schedule: false,
-      schedule_date: ''
-    };
+    const result = await provider.send(settings, recipients, message);
+    const sent = result.results.filter(r => r.status === 'sent').map(r => r.recipient);
+    const failed = result.results.filter(r => r.status === 'failed');
     
-    const response = await axios.post(
-      `${MNOTIFY_ENDPOINT}?key=${MNOTIFY_API_KEY}`,
-      data,
-      { 
-        headers: { 'Content-Type': 'application/json' },
-        timeout: 30000
-      }
-    );
-    
-    state.addLog('info', `SMS sent to ${recipients.join(', ')}`, { message: message.substring(0, 50), recipientCount: recipients.length });
-    state.addActivity('notification_sent', 'sms', null, { phones: recipients, type: 'sms', recipientCount: recipients.length });
+    if (sent.length > 0) {
+      state.addLog('info', `SMS sent to ${sent.join(', ')} via ${provider.label}`, { message: message.substring(0, 50), recipientCount: sent.length });
+      state.addActivity('notification_sent', 'sms', null, { phones: sent, type: 'sms', provider: provider.name, recipientCount: sent.length });
+    }
+    failed.forEach(r => {
+      state.addLog('error', `SMS to ${r.recipient} failed via ${provider.label}: ${r.error}`, { phone: r.recipient, provider: provider.name });
+    });
     
-    return { success: true, response: response.data, recipientCount: recipients.length };
+    return { ...result, provider: provider.name, recipientCount: recipients.length };
   } catch (error) {
-    const phones = Array.isArray(phone) ? phone.join(', ') : phone;
-    state.addLog('error', `SMS failed: ${error.message}`, { phone: phones });
-    return { success: false, error: error.message };
+    state.addLog('error', `SMS failed via ${provider.label}: ${error.message}`, { phone: recipients.join(', ') });
+    return { success: false, error: error.message, provider: provider.name };
   }
 };
 
@@ -120,6 +111,186 @@ const sendSmsBatch = async (phones, message) => {
   }
 };
 
+// ==================== WEBHOOK SERVICE ====================
+
+const WEBHOOK_EVENTS = ['incident.created', 'incident.acknowledged', 'incident.resolved'];
+const WEBHOOK_METHODS = ['POST', 'PUT', 'PATCH'];
+const WEBHOOK_BACKOFF_MS = 1000;
+const WEBHOOK_MAX_BACKOFF_MS = 60000;
+
+let webhookEventsRegistered = false;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const buildWebhookPayload = (event, data = {}) => {
+  const { monitor, alert, incident } = data;
+  return {
+    event,
+    timestamp: new Date().toISOString(),
+    message: alert?.message || incident?.message || '',
+    monitor: monitor ? {
+      id: monitor.id,
+      name: monitor.name,
+      type: monitor.type,
+      url: monitor.url || null,
+      host: monitor.host || null,
+      applicationId: monitor.applicationId || null
+    } : null,
+    alert: alert || null,
+    incident: incident || null
+  };
+};
+
+// Signature over "<timestamp>.<body>" so receivers can reject replays
+const signWebhookBody = (secret, timestamp, body) =>
+  crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+
+const isRetryableStatus = (status) => status === 429 || status >= 500;
+
+const sendWebhook = async (webhook, event, payload) => {
+  const body = webhook.bodyTemplate ? renderTemplate(webhook.bodyTemplate, payload) : JSON.stringify(payload);
+  const delivery = state.addWebhookDelivery({
+    webhookId: webhook.id,
+    webhookName: webhook.name,
+    event,
+    url: webhook.url,
+    method: webhook.method
+  });
+  const maxAttempts = 1 + Math.max(0, webhook.maxRetries || 0);
+  
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    const timestamp = Math.floor(Date.now() / 1000);
+    const headers = { 'Content-Type': 'application/json', 'User-Agent': 'PulseMonitor-Webhook/4.0', ...webhook.headers };
+    if (webhook.secret) {
+      headers['X-Pulse-Timestamp'] = String(timestamp);
+      headers['X-Pulse-Signature'] = `sha256=${signWebhookBody(webhook.secret, timestamp, body)}`;
+    }
+    headers['X-Pulse-Event'] = event;
+    headers['X-Pulse-Delivery'] = delivery.id;
+    
+    const startTime = Date.now();
+    let result;
+    try {
+      const response = await axios({
+        url: webhook.url,
+        method: webhook.method || 'POST',
+        headers,
+        data: body,
+        timeout: webhook.timeout || 10000,
+        transformRequest: [(data) => data],
+        validateStatus: () => true
+      });
+      result = {
+        statusCode: response.status,
+        ok: response.status >= 200 && response.status < 300,
+        retryable: isRetryableStatus(response.status),
+        response: typeof response.data === 'string' ? response.data.substring(0, 500) : JSON.stringify(response.data ?? '').substring(0, 500)
+      };
+    } catch (error) {
+      result = { statusCode: null, ok: false, retryable: true, error: error.message };
+    }
+    
+    delivery.attempts.push({
+      attempt,
+      at: new Date(startTime).toISOString(),
+      durationMs: Date.now() - startTime,
+      statusCode: result.statusCode,
+      error: result.error || (result.ok ? null : `HTTP ${result.statusCode}`),
+      response: result.response
+    });
+    
+    if (result.ok) {
+      state.updateWebhookDelivery(delivery.id, { status: 'delivered', completedAt: new Date().toISOString() });
+      state.addActivity('notification_sent', 'webhook', webhook.id, { name: webhook.name, event, type: 'webhook', url: webhook.url });
+      return { success: true, deliveryId: delivery.id, statusCode: result.statusCode, attempts: attempt };
+    }
+    
+    if (!result.retryable || attempt === maxAttempts) break;
+    
+    // Exponential backoff: 1s, 2s, 4s, ... capped at a minute
+    const delay = Math.min(WEBHOOK_BACKOFF_MS * Math.pow(2, attempt - 1), WEBHOOK_MAX_BACKOFF_MS);
+    state.updateWebhookDelivery(delivery.id, { status: 'retrying', nextAttemptAt: new Date(Date.now() + delay).toISOString() });
+    await sleep(delay);
+  }
+  
+  const last = delivery.attempts[delivery.attempts.length - 1];
+  state.updateWebhookDelivery(delivery.id, { status: 'failed', nextAttemptAt: null, completedAt: new Date().toISOString() });
+  state.addLog('error', `Webhook ${webhook.name} failed for ${event}: ${last.error}`, { webhookId: webhook.id, deliveryId: delivery.id });
+  return { success: false, deliveryId: delivery.id, error: last.error, attempts: delivery.attempts.length };
+};
+
+// Deliver an event to every subscribed webhook
+const sendWebhookEvent = async (event, data) => {
+  const webhooks = state.getWebhooksForEvent(event);
+  if (webhooks.length === 0) return [];
+  
+  const payload = buildWebhookPayload(event, data);
+  return Promise.all(webhooks.map(webhook => sendWebhook(webhook, event, payload).catch(error => {
+    console.log('[NOTIFICATION] Webhook error:', error.message);
+    return { success: false, error: error.message };
+  })));
+};
+
+// Forward incident lifecycle events from the state to webhooks
+const registerWebhookEvents = () => {
+  if (webhookEventsRegistered) return;
+  webhookEventsRegistered = true;
+  WEBHOOK_EVENTS.forEach(event => {
+    state.events.on(event, (data) => {
+      sendWebhookEvent(event, data);
+    });
+  });
+};
+
+const validateWebhookConfig = (config) => {
+  const errors = [];
+  
+  if (!config.name) errors.push('Name is required');
+  
+  try {
+    const url = new URL(config.url);
+    if (!['http:', 'https:'].includes(url.protocol)) errors.push('URL must use http or https');
+  } catch (error) {
+    errors.push('A valid URL is required');
+  }
+  
+  if (config.method && !WEBHOOK_METHODS.includes(config.method.toUpperCase())) {
+    errors.push(`Method must be one of: ${WEBHOOK_METHODS.join(', ')}`);
+  }
+  
+  (config.events || []).forEach(event => {
+    if (!WEBHOOK_EVENTS.includes(event)) {
+      errors.push(`Unknown event: ${event}. Use one of: ${WEBHOOK_EVENTS.join(', ')}`);
+    }
+  });
+  
+  if (config.headers && (typeof config.headers !== 'object' || Array.isArray(config.headers))) {
+    errors.push('Headers must be an object');
+  }
+  
+  if (config.bodyTemplate) {
+    // Render with a sample payload to catch templates that do not produce JSON
+    try {
+      JSON.parse(renderTemplate(config.bodyTemplate, buildWebhookPayload('incident.created', {
+        monitor: { id: 'sample', name: 'Sample', type: 'http' },
+        alert: { id: 'sample', message: 'Sample alert', severity: 'critical' },
+        incident: { id: 'sample', message: 'Sample incident', status: 'ongoing' }
+      })));
+    } catch (error) {
+      errors.push(`Body template does not render to valid JSON: ${error.message}`);
+    }
+  }
+  
+  if (config.maxRetries !== undefined && !(parseInt(config.maxRetries) >= 0 && parseInt(config.maxRetries) <= 10)) {
+    errors.push('Max retries must be between 0 and 10');
+  }
+  
+  return {
+    valid: errors.length === 0,
+    errors
+  };
+};
+
 // ==================== TTS SERVICE ====================
 
 const speak = async (text, options = {}) => {
@@ -182,19 +353,65 @@ const speak = async (text, options = {}) => {
 
 // ==================== ALERT NOTIFICATION ====================
 
+// Email and SMS a list of contacts about an alert, honouring each contact's channel preferences
+const notifyContacts = async (alert, monitor, contacts, options = {}) => {
+  const settings = state.getSettingsFull();
+  const emailRecipients = contacts.filter(c => c.email && c.notifyEmail);
+  const smsRecipients = contacts.filter(c => c.phone && c.notifySms);
+  const prefix = options.prefix ? `${options.prefix} ` : '';
+  
+  console.log(`[NOTIFICATION] Sending alert to ${emailRecipients.length} email recipients and ${smsRecipients.length} SMS recipients`);
+  
+  // Send email notifications
+  if (settings.emailEnabled && emailRecipients.length > 0) {
+    for (const contact of emailRecipients) {
+      try {
+        const subject = `${prefix}[${alert.severity.toUpperCase()}] ${monitor?.name || 'Unknown'}: ${alert.type}`;
+        const html = generateAlertEmailHtml(alert, monitor);
+        const text = `${alert.type}: ${alert.message}\nMonitor: ${monitor?.name}\nTime: ${alert.createdAt}`;
+        
+        await sendEmail(contact.email, subject, html, text);
+      } catch (error) {
+        console.log('[NOTIFICATION] Email error:', error.message);
+      }
+    }
+  }
+  
+  // Send SMS notifications in batch
+  if (settings.smsEnabled && smsRecipients.length > 0) {
+    try {
+      const smsText = `${prefix}[${alert.severity}] ${monitor?.name}: ${alert.message}`;
+      const phones = smsRecipients.map(c => c.phone).filter(p => p);
+      
+      if (phones.length > 0) {
+        await sendSmsBatch(phones, smsText);
+      }
+    } catch (error) {
+      console.log('[NOTIFICATION] Batch SMS error:', error.message);
+    }
+  }
+  
+  return {
+    emailsSent: emailRecipients.length,
+    smsSent: smsRecipients.length
+  };
+};
+
 const sendAlertNotification = async (alert, monitor) => {
   try {
     const settings = state.getSettingsFull();
     
-    // Get recipients from contacts and groups
-    const { emailRecipients, smsRecipients } = state.getRecipientsForAlert();
+    // Get recipients from the routing rules (or all contacts when none match)
+    const { allRecipients, escalationPolicyIds } = state.getRecipientsForAlert({
+      monitor,
+      severity: alert.severity,
+      alertType: alert.type
+    });
     
     // Determine message
     const isDown = alert.type === 'incident' || alert.severity === 'critical';
     const alertText = settings.customAlertText || alert.message;
     
-    console.log(`[NOTIFICATION] Sending alert to ${emailRecipients.length} email recipients and ${smsRecipients.length} SMS recipients`);
-    
     // Play sound/TTS
     if (settings.soundEnabled && settings.ttsEnabled) {
       try {
@@ -207,38 +424,18 @@ const sendAlertNotification = async (alert, monitor) => {
       }
     }
     
-    // Send email notifications
-    if (settings.emailEnabled && emailRecipients.length > 0) {
-      for (const contact of emailRecipients) {
-        try {
-          const subject = `[${alert.severity.toUpperCase()}] ${monitor?.name || 'Unknown'}: ${alert.type}`;
-          const html = generateAlertEmailHtml(alert, monitor);
-          const text = `${alert.type}: ${alert.message}\nMonitor: ${monitor?.name}\nTime: ${alert.createdAt}`;
-          
-          await sendEmail(contact.email, subject, html, text);
-        } catch (error) {
-          console.log('[NOTIFICATION] Email error:', error.message);
-        }
-      }
-    }
+    const sent = await notifyContacts(alert, monitor, allRecipients);
     
-    // Send SMS notifications in batch
-    if (settings.smsEnabled && smsRecipients.length > 0) {
-      try {
-        const smsText = `[${alert.severity}] ${monitor?.name}: ${alert.message}`;
-        const phones = smsRecipients.map(c => c.phone).filter(p => p);
-        
-        if (phones.length > 0) {
-          await sendSmsBatch(phones, smsText);
-        }
-      } catch (error) {
-        console.log('[NOTIFICATION] Batch SMS error:', error.message);
-      }
+    // Escalation policies page their own targets step by step until the alert is acknowledged
+    let escalationsStarted = 0;
+    if (alert.status === 'active' && escalationPolicyIds.length > 0) {
+      const { startEscalations } = require('./escalationService');
+      escalationsStarted = (await startEscalations(alert, monitor, escalationPolicyIds)).length;
     }
     
     return {
-      emailsSent: emailRecipients.length,
-      smsSent: smsRecipients.length,
+      ...sent,
+      escalationsStarted,
       ttsFired: settings.soundEnabled && settings.ttsEnabled
     };
   } catch (error) {
@@ -247,6 +444,52 @@ const sendAlertNotification = async (alert, monitor) => {
   }
 };
 
+// Who would be notified for an alert on a monitor, without sending anything
+const previewAlertRecipients = (monitor, options = {}) => {
+  const settings = state.getSettingsFull();
+  const severity = options.severity || 'critical';
+  const alertType = options.alertType || 'incident';
+  const at = options.at ? new Date(options.at).getTime() : Date.now();
+  
+  const { emailRecipients, smsRecipients, matchedRules, escalationPolicyIds, fallback } = state.getRecipientsForAlert({
+    monitor,
+    severity,
+    alertType,
+    at
+  });
+  
+  return {
+    monitorId: monitor.id,
+    monitorName: monitor.name,
+    severity,
+    alertType,
+    at: new Date(at).toISOString(),
+    matchedRules,
+    fallback,
+    fallbackMode: fallback ? settings.alertRoutingFallback : null,
+    email: {
+      enabled: !!settings.emailEnabled,
+      recipients: emailRecipients.map(c => ({ id: c.id, name: c.name, email: c.email }))
+    },
+    sms: {
+      enabled: !!settings.smsEnabled,
+      recipients: smsRecipients.map(c => ({ id: c.id, name: c.name, phone: c.phone }))
+    },
+    escalations: escalationPolicyIds.map(policyId => {
+      const policy = state.getEscalationPolicy(policyId);
+      return {
+        policyId,
+        policyName: policy.name,
+        steps: policy.steps.map((step, index) => ({
+          step: index + 1,
+          escalateAfterMinutes: step.escalateAfterMinutes,
+          contacts: state.resolveEscalationTargets(step.targets, at).map(c => ({ id: c.id, name: c.name }))
+        }))
+      };
+    })
+  };
+};
+
 // ==================== EMAIL HTML TEMPLATE ====================
 
 const generateAlertEmailHtml = (alert, monitor) => {
@@ -342,38 +585,35 @@ const testEmailConfig = async (settings, testEmail) => {
   }
 };
 
+// settings: unsaved values from the settings form, layered over the stored ones
 const testSmsConfig = async (settings, testPhone) => {
   try {
     if (!testPhone) {
       return { success: false, error: 'Test phone number is required' };
     }
     
-    const testMessage = 'Pulse Monitor SMS test message - Configuration is working!';
+    const merged = { ...state.getSettingsFull(), ...state.withoutMaskedSecrets(settings || {}) };
+    const provider = getSmsProvider(merged.smsProvider);
+    const result = await provider.send(merged, [testPhone], 'Pulse Monitor SMS test message - Configuration is working!');
     
-    // Use mNotify API for testing
-    const data = {
-      recipient: [testPhone],
-      sender: settings.smsSenderId || 'PulseMonitor',
-      message: testMessage,
-      is_schedule: false,
-      schedule_date: ''
+    return {
+      ...result,
+      provider: provider.name,
+      message: result.success ? 'Test SMS sent successfully' : undefined,
+      error: result.success ? undefined : result.results[0]?.error
     };
-    
-    const response = await axios.post(
-      `https://api.mnotify.com/api/sms/quick?key=nppoeaeolIEXKUXQ01pLXP7Tz`,
-      data,
-      { 
-        headers: { 'Content-Type': 'application/json' },
-        timeout: 30000
-      }
-    );
-    
-    return { success: true, message: 'Test SMS sent successfully', response: response.data };
   } catch (error) {
     return { success: false, error: error.message };
   }
 };
 
+const testWebhook = async (webhook) => {
+  const payload = buildWebhookPayload('test', {
+    alert: { id: 'test', message: 'Pulse Monitor webhook test', severity: 'info', type: 'test', createdAt: new Date().toISOString() }
+  });
+  return sendWebhook({ ...webhook, maxRetries: 0 }, 'test', payload);
+};
+
 const testTts = async (text) => {
   return speak(text || 'This is a test of the text to speech system.', { force: true });
 };
@@ -382,9 +622,17 @@ module.exports = {
   sendEmail,
   sendSms,
   sendSmsBatch,
+  sendWebhook,
+  sendWebhookEvent,
+  registerWebhookEvents,
+  validateWebhookConfig,
+  WEBHOOK_EVENTS,
   speak,
+  notifyContacts,
   sendAlertNotification,
+  previewAlertRecipients,
   testEmailConfig,
   testSmsConfig,
+  testWebhook,
   testTts
 };
@@ -1,6 +1,8 @@
 // services/reportService.js - PDF Report Generation
 const PDFDocument = require('pdfkit');
 const state = require('../state/monitorState');
+const { getSloStatus } = require('./sloService');
+const { getCertificateInventory } = require('./certificateService');
 
 // Enhanced color palette with modern gradients
 const colors = {
@@ -150,9 +152,9 @@ const drawSectionTitle = (doc, title, subtitle = null) => {
   doc.fillColor(colors.text).font('Helvetica');
 };
 
-const drawStatusBadge = (doc, x, y, status, width = 70) => {
-  const color = status === 'UP' ? colors.success :
-                status === 'DOWN' ? colors.danger : colors.warning;
+const drawStatusBadge = (doc, x, y, status, width = 70, badgeColor = null) => {
+  const color = badgeColor || (status === 'UP' ? colors.success :
+                status === 'DOWN' ? colors.danger : colors.warning);
 
   // Shadow effect
   doc.roundedRect(x + 2, y + 2, width, 24, 5).fill('#00000010');
@@ -787,23 +789,28 @@ const generateActivityReport = (doc, options = {}) => {
 
 // ==================== REPORT: UPTIME ====================
 
+// Reporting period from options (defaults to the last 30 days)
+const getReportPeriod = (options = {}) => {
+  const to = options.to ? new Date(options.to) : new Date();
+  const from = options.from ? new Date(options.from) : new Date(to.getTime() - 30 * 24 * 60 * 60 * 1000);
+  return { from: from.toISOString(), to: to.toISOString() };
+};
+
 const generateUptimeReport = (doc, options = {}) => {
   const monitors = state.getAllMonitors();
-  const statuses = state.getAllStatuses();
+  const period = getReportPeriod(options);
   
   drawHeader(doc, 'Uptime Report', `${monitors.length} Monitors`);
   
   // Summary with visual card
-  drawSectionTitle(doc, 'Uptime Summary', 'System-wide uptime statistics');
+  drawSectionTitle(doc, 'Uptime Summary', `${formatDate(period.from)} - ${formatDate(period.to)}`);
 
   let totalUptime = 0;
   const uptimeData = monitors.map(monitor => {
-    const status = statuses[monitor.id];
-    const uptime = status?.totalChecks > 0
-      ? Math.round((status.successfulChecks / status.totalChecks) * 100)
-      : 0;
+    const summary = state.getMonitorHistorySummary(monitor.id, period);
+    const uptime = summary.uptime !== null ? summary.uptime : 0;
     totalUptime += uptime;
-    return { monitor, status, uptime };
+    return { monitor, summary, uptime };
   });
 
   const avgUptime = monitors.length > 0 ? totalUptime / monitors.length : 0;
@@ -830,7 +837,7 @@ const generateUptimeReport = (doc, options = {}) => {
   // Per-monitor uptime with enhanced layout
   drawSectionTitle(doc, 'Monitor Uptime', 'Individual monitor reliability metrics');
 
-  uptimeData.sort((a, b) => b.uptime - a.uptime).forEach(({ monitor, status, uptime }, index) => {
+  uptimeData.sort((a, b) => b.uptime - a.uptime).forEach(({ monitor, summary, uptime }, index) => {
     if (doc.y > doc.page.height - 70) {
       doc.addPage();
       drawFooter(doc);
@@ -866,7 +873,8 @@ const generateUptimeReport = (doc, options = {}) => {
     doc.font('Helvetica')
        .fontSize(8)
        .fillColor(colors.muted)
-       .text(`${status?.totalChecks || 0} checks`, 500, rowY + 18);
+       .text(`${summary.countedChecks} checks`, 500, rowY + 12)
+       .text(`avg ${summary.avgResponseTime !== null ? summary.avgResponseTime + 'ms' : '-'}`, 500, rowY + 24);
 
     doc.y = rowY + rowHeight;
     doc.fillColor(colors.text);
@@ -875,6 +883,224 @@ const generateUptimeReport = (doc, options = {}) => {
   drawFooter(doc);
 };
 
+// ==================== REPORT: SLA ====================
+
+const formatPercent = (value, digits = 3) => value === null || value === undefined ? 'N/A' : `${value.toFixed(digits)}%`;
+
+const generateSlaReport = (doc, options = {}) => {
+  const slos = state.getAllSlos();
+  const applications = state.getAllApplications();
+  const period = getReportPeriod(options);
+  
+  drawHeader(doc, 'SLA Report', `${slos.length} SLOs`);
+  
+  // Application availability over the reporting period
+  drawSectionTitle(doc, 'Application Availability', `${formatDate(period.from)} - ${formatDate(period.to)}`);
+  
+  applications.forEach((app, index) => {
+    if (doc.y > doc.page.height - 70) {
+      doc.addPage();
+      drawFooter(doc);
+      doc.y = 50;
+    }
+    
+    let totalChecks = 0;
+    let upChecks = 0;
+    app.monitorIds.forEach(monitorId => {
+      const summary = state.getMonitorHistorySummary(monitorId, period);
+      totalChecks += summary.countedChecks;
+      upChecks += summary.statuses.UP || 0;
+    });
+    const availability = totalChecks > 0 ? (upChecks / totalChecks) * 100 : null;
+    
+    const rowY = doc.y;
+    const rowHeight = 36;
+    if (index % 2 === 0) {
+      doc.roundedRect(45, rowY, doc.page.width - 90, rowHeight, 5).fill(colors.background);
+    }
+    
+    const availabilityColor = availability === null ? colors.muted :
+                              availability >= 99.9 ? colors.success :
+                              availability >= 99 ? colors.warning : colors.danger;
+    
+    doc.fontSize(11)
+       .font('Helvetica-Bold')
+       .fillColor(colors.text)
+       .text(app.name, 60, rowY + 11, { width: 220, ellipsis: true });
+    doc.fontSize(14)
+       .fillColor(availabilityColor)
+       .text(formatPercent(availability), 290, rowY + 9);
+    doc.font('Helvetica')
+       .fontSize(8)
+       .fillColor(colors.muted)
+       .text(`${totalChecks} checks`, 420, rowY + 13);
+    
+    doc.y = rowY + rowHeight;
+    doc.fillColor(colors.text);
+  });
+  
+  // SLO status and error budgets
+  drawSectionTitle(doc, 'Service Level Objectives', 'Error budgets and burn rates over each SLO window');
+  
+  if (slos.length === 0) {
+    doc.fontSize(11)
+       .fillColor(colors.muted)
+       .text('No SLOs defined', 60, doc.y);
+  }
+  
+  slos.forEach((slo) => {
+    if (doc.y > doc.page.height - 150) {
+      doc.addPage();
+      drawFooter(doc);
+      doc.y = 50;
+    }
+    
+    const sloStatus = getSloStatus(slo);
+    const target = slo.targetType === 'monitor'
+      ? state.getMonitor(slo.targetId)
+      : state.getApplication(slo.targetId);
+    const statusColor = sloStatus.status === 'met' ? colors.success :
+                        sloStatus.status === 'at_risk' ? colors.warning :
+                        sloStatus.status === 'breached' ? colors.danger : colors.muted;
+    
+    const cardY = doc.y;
+    const cardHeight = 110;
+    
+    doc.roundedRect(45, cardY, doc.page.width - 90, cardHeight, 6).fill(colors.white);
+    doc.roundedRect(45, cardY, doc.page.width - 90, cardHeight, 6)
+       .lineWidth(1)
+       .stroke(colors.border);
+    doc.roundedRect(45, cardY, 5, cardHeight, 6).fill(statusColor);
+    
+    // Name and target
+    doc.fontSize(12)
+       .font('Helvetica-Bold')
+       .fillColor(colors.text)
+       .text(slo.name, 65, cardY + 12, { width: 300 });
+    doc.fontSize(9)
+       .font('Helvetica')
+       .fillColor(colors.textLight)
+       .text(`${slo.targetType === 'monitor' ? 'Monitor' : 'Application'}: ${target?.name || 'Unknown'}`, 65, cardY + 30);
+    
+    const objectiveText = slo.indicator === 'latency'
+      ? `${slo.objective}% of checks < ${slo.latencyThreshold}ms over ${slo.windowDays} days`
+      : `${slo.objective}% availability over ${slo.windowDays} days`;
+    doc.text(`Objective: ${objectiveText}`, 65, cardY + 44);
+    
+    // Status badge
+    doc.roundedRect(doc.page.width - 160, cardY + 10, 95, 22, 5).fill(statusColor);
+    doc.fillColor(colors.white)
+       .fontSize(9)
+       .font('Helvetica-Bold')
+       .text(sloStatus.status.replace('_', ' ').toUpperCase(), doc.page.width - 160, cardY + 17, { width: 95, align: 'center' });
+    
+    // SLI and error budget
+    doc.fontSize(9)
+       .font('Helvetica')
+       .fillColor(colors.text)
+       .text(`SLI: ${formatPercent(sloStatus.sli)}`, 65, cardY + 62)
+       .text(`Events: ${sloStatus.goodEvents} good / ${sloStatus.totalEvents} total`, 200, cardY + 62);
+    
+    if (sloStatus.latency) {
+      doc.text(`Estimated p${slo.objective}: ${sloStatus.latency.estimatedPercentile ?? '-'}ms`, 380, cardY + 62);
+    }
+    
+    doc.text('Error budget remaining', 65, cardY + 82);
+    const remaining = sloStatus.errorBudget.remaining;
+    drawProgressBar(doc, 190, cardY + 80, 160, remaining ?? 0, statusColor);
+    
+    const burnText = sloStatus.burnRates
+      .map(r => `${r.longWindowMinutes >= 60 ? r.longWindowMinutes / 60 + 'h' : r.longWindowMinutes + 'm'}: ${r.longBurnRate !== null ? r.longBurnRate.toFixed(1) + 'x' : '-'}`)
+      .join('  ');
+    doc.fontSize(8)
+       .fillColor(colors.muted)
+       .text(`Burn rate ${burnText}`, 365, cardY + 84, { width: doc.page.width - 420 });
+    
+    doc.y = cardY + cardHeight + 10;
+    doc.fillColor(colors.text);
+  });
+  
+  drawFooter(doc);
+};
+
+// ==================== REPORT: CERTIFICATES ====================
+
+const generateCertificateReport = (doc) => {
+  const certificates = getCertificateInventory();
+  const levelColors = { ok: colors.success, warning: colors.warning, critical: colors.danger, expired: colors.danger };
+
+  drawHeader(doc, 'Certificate Inventory', `${certificates.length} Certificates`);
+
+  if (certificates.length === 0) {
+    doc.fontSize(12)
+       .fillColor(colors.muted)
+       .text('No certificates reported yet. HTTPS and TLS monitors report theirs after their first check.', 50, 200, { align: 'center' });
+    drawFooter(doc);
+    return;
+  }
+
+  drawSectionTitle(doc, 'Expiry Summary', 'Certificates by days remaining against their thresholds');
+
+  const summaryY = doc.y;
+  drawMetricCard(doc, 50, summaryY, 'Valid', certificates.filter(c => c.level === 'ok').length, colors.success);
+  drawMetricCard(doc, 165, summaryY, 'Expiring Soon', certificates.filter(c => c.level === 'warning').length, colors.warning);
+  drawMetricCard(doc, 280, summaryY, 'Critical', certificates.filter(c => c.level === 'critical').length, colors.danger);
+  drawMetricCard(doc, 395, summaryY, 'Expired / Invalid', certificates.filter(c => c.level === 'expired' || c.problems.length > 0).length, colors.dangerLight);
+
+  doc.y = summaryY + 110;
+  doc.fillColor(colors.text);
+
+  drawSectionTitle(doc, 'Certificates', 'Soonest expiry first');
+
+  certificates.forEach((cert, index) => {
+    if (doc.y > doc.page.height - 110) {
+      doc.addPage();
+      drawFooter(doc);
+      doc.y = 50;
+    }
+
+    const rowY = doc.y;
+    const rowHeight = 70;
+
+    if (index % 2 === 0) {
+      doc.roundedRect(45, rowY, doc.page.width - 90, rowHeight, 6).fill(colors.background);
+    }
+
+    doc.fillColor(colors.text)
+       .fontSize(11)
+       .font('Helvetica-Bold')
+       .text(cert.subject, 60, rowY + 8, { width: 280, ellipsis: true });
+
+    drawStatusBadge(doc, 360, rowY + 8, cert.level.toUpperCase(), 85, levelColors[cert.level]);
+
+    doc.font('Helvetica')
+       .fontSize(9)
+       .fillColor(colors.textLight)
+       .text(`${cert.monitorName} • ${cert.endpoint}`, 60, rowY + 26, { width: 290, ellipsis: true })
+       .text(`Issuer: ${cert.issuer}`, 60, rowY + 39, { width: 290, ellipsis: true });
+
+    doc.fontSize(9)
+       .fillColor(levelColors[cert.level])
+       .font('Helvetica-Bold')
+       .text(cert.daysRemaining < 0 ? `Expired ${-cert.daysRemaining} days ago` : `${cert.daysRemaining} days left`, 460, rowY + 14, { width: 90 });
+
+    doc.font('Helvetica')
+       .fontSize(8)
+       .fillColor(colors.muted)
+       .text(`Expires ${formatDate(cert.validTo)}`, 360, rowY + 39, { width: 190 });
+
+    if (cert.problems.length > 0) {
+      doc.fillColor(colors.danger)
+         .text(cert.problems.join('; '), 60, rowY + 53, { width: doc.page.width - 120, ellipsis: true });
+    }
+
+    doc.y = rowY + rowHeight + 4;
+    doc.fillColor(colors.text);
+  });
+
+  drawFooter(doc);
+};
+
 // ==================== MAIN GENERATION FUNCTION ====================
 
 const generateReport = (type, options = {}) => {
@@ -914,6 +1140,12 @@ const generateReport = (type, options = {}) => {
         case 'uptime':
           generateUptimeReport(doc, options);
           break;
+        case 'sla':
+          generateSlaReport(doc, options);
+          break;
+        case 'certificates':
+          generateCertificateReport(doc);
+          break;
         default:
           generateOverviewReport(doc);
       }
@@ -0,0 +1,346 @@
+// services/scheduler.js - Central Check Scheduler with Concurrency Limits
+const state = require('../state/monitorState');
+const { getRetryPolicy } = require('../state/statusPolicy');
+
+// How often due jobs are collected and queued checks dispatched
+const TICK_MS = 250;
+// First checks after startup are spread over this window (or the monitor interval, if shorter)
+const STARTUP_SPREAD_MS = 30 * 1000;
+// Jitter is capped so long intervals don't drift by minutes
+const MAX_JITTER_MS = 30 * 1000;
+// Lag samples kept for the average/max metric
+const LAG_SAMPLES = 200;
+
+const DEFAULT_LIMITS = {
+  maxConcurrent: 20,
+  typeLimits: { ssh: 5, sftp: 5, telnet: 5, 'ssh-command': 5 }
+};
+
+let runner = null;
+let tickInterval = null;
+
+// Periodic jobs per monitor
+const jobs = new Map();
+// Checks waiting for a free slot: { monitorId, type, dueAt, manual, waiters }
+let queue = [];
+// Checks in progress: monitorId -> { type, promise }
+const running = new Map();
+
+const metrics = {
+  started: 0,
+  completed: 0,
+  failed: 0,
+  skippedOverlaps: 0,
+  lagSamples: []
+};
+
+// ==================== LIMITS ====================
+
+// Read on every dispatch so settings changes apply without a restart
+const getLimits = () => {
+  const settings = state.getSettingsFull();
+  return {
+    maxConcurrent: parseInt(settings.schedulerMaxConcurrent) || DEFAULT_LIMITS.maxConcurrent,
+    typeLimits: { ...DEFAULT_LIMITS.typeLimits, ...(settings.schedulerTypeLimits || {}) },
+    jitterPercent: Math.max(0, parseFloat(settings.schedulerJitterPercent ?? 10) || 0)
+  };
+};
+
+// A type limit of 0 would queue that type's checks forever, so limits start at 1; types without
+// a limit only count against maxConcurrent
+const typeLimitFor = (typeLimits, type) => {
+  const limit = typeLimits[type];
+  if (limit === undefined || limit === null || limit === '') return Infinity;
+  return Math.max(parseInt(limit, 10) || 1, 1);
+};
+
+const validateSchedulerSettings = (settings) => {
+  const errors = [];
+  const isPositiveInteger = (value) => Number.isInteger(Number(value)) && Number(value) >= 1;
+
+  if (settings.schedulerMaxConcurrent !== undefined && !isPositiveInteger(settings.schedulerMaxConcurrent)) {
+    errors.push('Max concurrent checks must be a whole number of at least 1');
+  }
+  if (settings.schedulerTypeLimits !== undefined) {
+    const limits = settings.schedulerTypeLimits;
+    if (!limits || typeof limits !== 'object' || Array.isArray(limits)) {
+      errors.push('Concurrent checks per type must be an object of type: limit');
+    } else {
+      Object.entries(limits)
+        .filter(([, limit]) => !isPositiveInteger(limit))
+        .forEach(([type]) => errors.push(`Concurrent ${type} checks must be a whole number of at least 1`));
+    }
+  }
+
+  return {
+    valid: errors.length === 0,
+    errors
+  };
+};
+
+const runningCountByType = () => {
+  const counts = {};
+  running.forEach(({ type }) => { counts[type] = (counts[type] || 0) + 1; });
+  return counts;
+};
+
+// ==================== TIMING ====================
+
+const jitterFor = (intervalMs) => {
+  const { jitterPercent } = getLimits();
+  return Math.random() * Math.min(intervalMs * jitterPercent / 100, MAX_JITTER_MS);
+};
+
+// Next run keeps the job's phase (baseRunAt) and adds fresh jitter; a job that fell behind
+// starts again one interval from now instead of firing a burst of catch-up checks
+const advanceJob = (job, now) => {
+  job.baseRunAt += job.intervalMs;
+  if (job.baseRunAt <= now) job.baseRunAt = now + job.intervalMs;
+  job.nextRunAt = job.baseRunAt + jitterFor(job.intervalMs);
+};
+
+// A monitor confirming a failure (status.retry set) is re-checked after its retry interval
+const applyRetryInterval = (job) => {
+  const status = state.getStatus(job.monitorId);
+  if (!status?.retry) return;
+  const { retryIntervalMs } = getRetryPolicy(state.getMonitor(job.monitorId), state.getSettingsFull());
+  const retryAt = Date.now() + retryIntervalMs;
+  if (retryAt < job.nextRunAt) {
+    job.baseRunAt = retryAt;
+    job.nextRunAt = retryAt;
+  }
+};
+
+const recordLag = (lagMs) => {
+  metrics.lagSamples.push(lagMs);
+  if (metrics.lagSamples.length > LAG_SAMPLES) metrics.lagSamples.shift();
+};
+
+// ==================== QUEUE ====================
+
+const isQueued = (monitorId) => queue.some(entry => entry.monitorId === monitorId);
+
+const enqueue = (entry) => {
+  queue.push({ waiters: [], ...entry });
+  // Manual checks first, then oldest due time
+  queue.sort((a, b) => (b.manual - a.manual) || (a.dueAt - b.dueAt));
+};
+
+const startEntry = (entry) => {
+  const now = Date.now();
+  const job = jobs.get(entry.monitorId);
+  const lagMs = Math.max(0, now - entry.dueAt);
+  recordLag(lagMs);
+  metrics.started++;
+  if (job) {
+    job.lastStartedAt = now;
+    job.lastLagMs = lagMs;
+  }
+
+  const promise = Promise.resolve()
+    .then(() => runner(entry.monitorId))
+    .then(result => {
+      metrics.completed++;
+      entry.waiters.forEach(w => w.resolve(result));
+      return result;
+    })
+    .catch(error => {
+      metrics.failed++;
+      state.addLog('error', `Scheduled check failed: ${error.message}`, { monitorId: entry.monitorId });
+      entry.waiters.forEach(w => w.reject(error));
+    })
+    .finally(() => {
+      running.delete(entry.monitorId);
+      const current = jobs.get(entry.monitorId);
+      if (current) {
+        current.lastDurationMs = Date.now() - now;
+        applyRetryInterval(current);
+      }
+      dispatch();
+    });
+
+  running.set(entry.monitorId, { type: entry.type, promise });
+};
+
+// Start queued checks while global and per-type slots are free
+const dispatch = () => {
+  if (!runner) return;
+  const { maxConcurrent, typeLimits } = getLimits();
+  const counts = runningCountByType();
+
+  for (let i = 0; i < queue.length && running.size < maxConcurrent;) {
+    const entry = queue[i];
+    const typeLimit = typeLimitFor(typeLimits, entry.type);
+    if (running.has(entry.monitorId) || (counts[entry.type] || 0) >= typeLimit) {
+      i++;
+      continue;
+    }
+    queue.splice(i, 1);
+    counts[entry.type] = (counts[entry.type] || 0) + 1;
+    startEntry(entry);
+  }
+};
+
+const tick = () => {
+  const now = Date.now();
+  jobs.forEach(job => {
+    if (job.nextRunAt > now) return;
+    // Never overlap: a monitor still running (or waiting) from its last run skips this one
+    if (running.has(job.monitorId) || isQueued(job.monitorId)) {
+      job.skippedOverlaps++;
+      metrics.skippedOverlaps++;
+    } else {
+      enqueue({ monitorId: job.monitorId, type: job.type, dueAt: job.nextRunAt, manual: false });
+    }
+    advanceJob(job, now);
+  });
+  dispatch();
+};
+
+// ==================== JOBS ====================
+
+// Add or update a monitor's periodic job; immediate queues a first check right away
+const scheduleMonitor = (monitor, options = {}) => {
+  if (!monitor || !monitor.enabled) return;
+  const now = Date.now();
+  const intervalMs = (parseInt(monitor.schedule) || 60) * 1000;
+  const existing = jobs.get(monitor.id);
+
+  if (existing) {
+    existing.type = monitor.type;
+    if (existing.intervalMs !== intervalMs) {
+      existing.intervalMs = intervalMs;
+      existing.baseRunAt = Math.min(existing.baseRunAt, now + intervalMs);
+      existing.nextRunAt = existing.baseRunAt + jitterFor(intervalMs);
+    }
+  } else {
+    const firstRunAt = options.immediate ? now : now + Math.random() * Math.min(intervalMs, STARTUP_SPREAD_MS);
+    jobs.set(monitor.id, {
+      monitorId: monitor.id,
+      type: monitor.type,
+      intervalMs,
+      baseRunAt: firstRunAt,
+      nextRunAt: firstRunAt,
+      lastStartedAt: null,
+      lastDurationMs: null,
+      lastLagMs: null,
+      skippedOverlaps: 0
+    });
+    state.addLog('info', `Scheduled monitoring: ${monitor.name} (every ${intervalMs / 1000}s)`, { monitorId: monitor.id });
+  }
+
+  if (options.immediate) tick();
+};
+
+// Remove a monitor's job and any queued check; a check already running finishes normally
+const unscheduleMonitor = (monitorId) => {
+  jobs.delete(monitorId);
+  queue = queue.filter(entry => {
+    if (entry.monitorId !== monitorId) return true;
+    entry.waiters.forEach(w => w.reject(new Error('Monitor was unscheduled')));
+    return false;
+  });
+};
+
+// Make the jobs match a full monitor list, e.g. after an import
+const syncMonitors = (monitors) => {
+  const enabled = monitors.filter(m => m.enabled);
+  const ids = new Set(enabled.map(m => m.id));
+  Array.from(jobs.keys()).filter(id => !ids.has(id)).forEach(unscheduleMonitor);
+  enabled.forEach(monitor => scheduleMonitor(monitor));
+};
+
+// Check a monitor now through the queue; joins a check that is already running or queued
+const runNow = (monitorId) => {
+  if (!runner) return Promise.reject(new Error('Scheduler is not running'));
+  const current = running.get(monitorId);
+  if (current) return current.promise;
+
+  return new Promise((resolve, reject) => {
+    const queued = queue.find(entry => entry.monitorId === monitorId);
+    if (queued) {
+      queued.manual = true;
+      queued.waiters.push({ resolve, reject });
+    } else {
+      const monitor = state.getMonitor(monitorId);
+      if (!monitor) return reject(new Error('Monitor not found'));
+      enqueue({ monitorId, type: monitor.type, dueAt: Date.now(), manual: true, waiters: [{ resolve, reject }] });
+    }
+    dispatch();
+  });
+};
+
+// ==================== METRICS ====================
+
+const getSchedulerStats = () => {
+  const now = Date.now();
+  const samples = metrics.lagSamples;
+  const limits = getLimits();
+  return {
+    jobs: jobs.size,
+    running: running.size,
+    runningByType: runningCountByType(),
+    queueDepth: queue.length,
+    // How long the oldest waiting check has been overdue
+    oldestQueuedMs: queue.length ? Math.round(Math.max(0, now - Math.min(...queue.map(e => e.dueAt)))) : 0,
+    lag: {
+      lastMs: samples.length ? Math.round(samples[samples.length - 1]) : 0,
+      avgMs: samples.length ? Math.round(samples.reduce((a, b) => a + b, 0) / samples.length) : 0,
+      maxMs: samples.length ? Math.round(Math.max(...samples)) : 0
+    },
+    limits,
+    totals: {
+      started: metrics.started,
+      completed: metrics.completed,
+      failed: metrics.failed,
+      skippedOverlaps: metrics.skippedOverlaps
+    }
+  };
+};
+
+const getScheduledJobs = () => Array.from(jobs.values()).map(job => ({
+  monitorId: job.monitorId,
+  type: job.type,
+  intervalMs: job.intervalMs,
+  nextRunAt: new Date(job.nextRunAt).toISOString(),
+  running: running.has(job.monitorId),
+  queued: isQueued(job.monitorId),
+  lastStartedAt: job.lastStartedAt ? new Date(job.lastStartedAt).toISOString() : null,
+  lastDurationMs: job.lastDurationMs,
+  lastLagMs: job.lastLagMs === null ? null : Math.round(job.lastLagMs),
+  skippedOverlaps: job.skippedOverlaps
+}));
+
+// ==================== LIFECYCLE ====================
+
+// runner(monitorId) performs one check and resolves with its result
+const startScheduler = (checkRunner) => {
+  stopScheduler();
+  runner = checkRunner;
+  tickInterval = setInterval(tick, TICK_MS);
+  const { maxConcurrent } = getLimits();
+  state.addLog('info', `Scheduler started (max ${maxConcurrent} concurrent checks)`, {});
+};
+
+// Clears jobs and the queue; checks already running are left to finish
+const stopScheduler = () => {
+  if (tickInterval) {
+    clearInterval(tickInterval);
+    tickInterval = null;
+  }
+  jobs.clear();
+  queue.forEach(entry => entry.waiters.forEach(w => w.reject(new Error('Scheduler stopped'))));
+  queue = [];
+};
+
+module.exports = {
+  startScheduler,
+  stopScheduler,
+  scheduleMonitor,
+  unscheduleMonitor,
+  syncMonitors,
+  runNow,
+  getSchedulerStats,
+  getScheduledJobs,
+  validateSchedulerSettings
+};
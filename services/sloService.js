@@ -0,0 +1,279 @@
+// services/sloService.js - SLO Evaluation, Error Budgets and Burn-rate Alerts
+const state = require('../state/monitorState');
+const { LATENCY_BUCKETS, EXCLUDED_STATUSES } = require('../state/historyStore');
+const { sendAlertNotification } = require('./notificationService');
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+
+// Longest SLO window; hourly rollups are kept this long by default
+const MAX_WINDOW_DAYS = 365;
+
+let sloEvaluationInterval = null;
+
+// ==================== HELPERS ====================
+
+// Combine per-monitor history summaries into one set of counts
+const aggregateSummaries = (monitorIds, from, to) => {
+  const statuses = {};
+  const histogram = new Array(LATENCY_BUCKETS.length + 1).fill(0);
+
+  monitorIds.forEach(monitorId => {
+    const summary = state.getMonitorHistorySummary(monitorId, { from, to });
+    Object.entries(summary.statuses).forEach(([status, n]) => {
+      statuses[status] = (statuses[status] || 0) + n;
+    });
+    summary.histogram.forEach((n, i) => { histogram[i] += n; });
+  });
+
+  return { statuses, histogram };
+};
+
+// Number of histogram samples at or below a threshold (linear within a bucket)
+const countAtOrBelow = (histogram, threshold) => {
+  let count = 0;
+  let lower = 0;
+  for (let i = 0; i < LATENCY_BUCKETS.length; i++) {
+    const upper = LATENCY_BUCKETS[i];
+    if (threshold >= upper) {
+      count += histogram[i];
+    } else {
+      if (threshold > lower) {
+        count += histogram[i] * (threshold - lower) / (upper - lower);
+      }
+      return count;
+    }
+    lower = upper;
+  }
+  return count;
+};
+
+// Estimated latency percentile from a histogram
+const estimatePercentile = (histogram, percentile) => {
+  const total = histogram.reduce((sum, n) => sum + n, 0);
+  if (total === 0) return null;
+
+  const rank = total * (percentile / 100);
+  let cumulative = 0;
+  let lower = 0;
+  for (let i = 0; i < LATENCY_BUCKETS.length; i++) {
+    const upper = LATENCY_BUCKETS[i];
+    if (cumulative + histogram[i] >= rank && histogram[i] > 0) {
+      return Math.round(lower + (upper - lower) * ((rank - cumulative) / histogram[i]));
+    }
+    cumulative += histogram[i];
+    lower = upper;
+  }
+  return LATENCY_BUCKETS[LATENCY_BUCKETS.length - 1];
+};
+
+// Good/total events for an SLO over a period
+const measure = (slo, monitorIds, from, to) => {
+  const { statuses, histogram } = aggregateSummaries(monitorIds, from, to);
+
+  if (slo.indicator === 'latency') {
+    const total = histogram.reduce((sum, n) => sum + n, 0);
+    return {
+      total,
+      good: countAtOrBelow(histogram, slo.latencyThreshold),
+      histogram
+    };
+  }
+
+  const total = Object.entries(statuses)
+    .filter(([status]) => !EXCLUDED_STATUSES.includes(status))
+    .reduce((sum, [, n]) => sum + n, 0);
+  return { total, good: statuses.UP || 0, histogram };
+};
+
+const burnRateFor = (slo, monitorIds, windowMinutes, now) => {
+  const { total, good } = measure(slo, monitorIds, now - windowMinutes * MINUTE, now);
+  if (total === 0) return null;
+  const allowedBadFraction = 1 - slo.objective / 100;
+  const badFraction = (total - good) / total;
+  return allowedBadFraction > 0 ? badFraction / allowedBadFraction : (badFraction > 0 ? Infinity : 0);
+};
+
+// ==================== VALIDATION ====================
+
+const validateSloConfig = (config) => {
+  const errors = [];
+  
+  if (!config.name) errors.push('Name is required');
+  
+  if (config.targetType !== undefined && !['application', 'monitor'].includes(config.targetType)) {
+    errors.push('Target type must be application or monitor');
+  } else if (config.targetType === 'monitor') {
+    if (!state.getMonitor(config.targetId)) errors.push('Target monitor not found');
+  } else if (!state.getApplication(config.targetId)) {
+    errors.push('Target application not found');
+  }
+  
+  if (config.indicator && !['availability', 'latency'].includes(config.indicator)) {
+    errors.push('Indicator must be availability or latency');
+  }
+  
+  const objective = parseFloat(config.objective);
+  if (config.objective !== undefined && (isNaN(objective) || objective <= 0 || objective >= 100)) {
+    errors.push('Objective must be a percentage between 0 and 100');
+  }
+  
+  // Latencies are kept in buckets; above the largest bound every sample would count as bad
+  const maxLatency = LATENCY_BUCKETS[LATENCY_BUCKETS.length - 1];
+  if (config.latencyThreshold !== undefined &&
+      !(Number(config.latencyThreshold) > 0 && Number(config.latencyThreshold) <= maxLatency)) {
+    errors.push(`Latency threshold must be a positive number of milliseconds, at most ${maxLatency}`);
+  }
+  
+  const windowDays = Number(config.windowDays);
+  if (config.windowDays !== undefined && !(Number.isInteger(windowDays) && windowDays >= 1 && windowDays <= MAX_WINDOW_DAYS)) {
+    errors.push(`Window must be between 1 and ${MAX_WINDOW_DAYS} days`);
+  }
+  
+  if (config.burnRateRules !== undefined && !(Array.isArray(config.burnRateRules) && config.burnRateRules.every(rule =>
+    rule && ['longWindowMinutes', 'shortWindowMinutes', 'burnRate'].every(key => typeof rule[key] === 'number' && rule[key] > 0)))) {
+    errors.push('Burn rate rules need positive longWindowMinutes, shortWindowMinutes and burnRate numbers');
+  }
+  
+  return {
+    valid: errors.length === 0,
+    errors
+  };
+};
+
+// ==================== STATUS ====================
+
+const getSloStatus = (slo, now = Date.now()) => {
+  const monitorIds = state.getSloMonitorIds(slo);
+  const from = now - slo.windowDays * DAY;
+  const { total, good, histogram } = measure(slo, monitorIds, from, now);
+
+  const allowedBadFraction = 1 - slo.objective / 100;
+  const bad = total - good;
+  const sli = total > 0 ? (good / total) * 100 : null;
+  const budgetConsumed = total > 0 && allowedBadFraction > 0
+    ? (bad / (total * allowedBadFraction)) * 100
+    : null;
+
+  const burnRates = (slo.burnRateRules || []).map((rule, index) => {
+    const longBurnRate = burnRateFor(slo, monitorIds, rule.longWindowMinutes, now);
+    const shortBurnRate = burnRateFor(slo, monitorIds, rule.shortWindowMinutes, now);
+    return {
+      ...rule,
+      index,
+      longBurnRate,
+      shortBurnRate,
+      firing: longBurnRate !== null && shortBurnRate !== null &&
+        longBurnRate >= rule.burnRate && shortBurnRate >= rule.burnRate
+    };
+  });
+
+  let status = 'met';
+  if (sli === null) status = 'no_data';
+  else if (sli < slo.objective) status = 'breached';
+  else if (budgetConsumed !== null && budgetConsumed >= 75) status = 'at_risk';
+
+  return {
+    sloId: slo.id,
+    name: slo.name,
+    targetType: slo.targetType,
+    targetId: slo.targetId,
+    indicator: slo.indicator,
+    objective: slo.objective,
+    windowDays: slo.windowDays,
+    monitorCount: monitorIds.length,
+    status,
+    sli,
+    totalEvents: total,
+    goodEvents: Math.round(good),
+    badEvents: Math.round(bad),
+    errorBudget: {
+      allowedBadEvents: Math.floor(total * allowedBadFraction),
+      consumed: budgetConsumed,
+      remaining: budgetConsumed !== null ? Math.max(0, 100 - budgetConsumed) : null
+    },
+    latency: slo.indicator === 'latency' ? {
+      threshold: slo.latencyThreshold,
+      estimatedPercentile: estimatePercentile(histogram, slo.objective)
+    } : null,
+    burnRates,
+    evaluatedAt: new Date(now).toISOString()
+  };
+};
+
+const getAllSloStatuses = () => state.getAllSlos().map(slo => getSloStatus(slo));
+
+// ==================== BURN-RATE ALERTING ====================
+
+const formatWindow = (minutes) => minutes >= 60 ? `${minutes / 60}h` : `${minutes}m`;
+
+const evaluateSlos = async (io) => {
+  for (const slo of state.getAllSlos()) {
+    if (!slo.alertsEnabled) continue;
+
+    try {
+      const sloStatus = getSloStatus(slo);
+      const target = slo.targetType === 'monitor'
+        ? state.getMonitor(slo.targetId)
+        : state.getApplication(slo.targetId);
+
+      for (const rate of sloStatus.burnRates) {
+        const activeAlertId = slo.activeAlerts?.[rate.index];
+        // An alert resolved elsewhere (by an operator) no longer counts: the rule pages again while it fires
+        const activeAlert = activeAlertId
+          ? state.getAllAlerts().find(a => a.id === activeAlertId && a.status !== 'resolved')
+          : null;
+
+        if (rate.firing && !activeAlert) {
+          const message = `SLO "${slo.name}" is burning its error budget at ${rate.longBurnRate.toFixed(1)}x ` +
+            `over ${formatWindow(rate.longWindowMinutes)} (threshold ${rate.burnRate}x)`;
+          const alert = state.createAlert(
+            slo.targetType === 'monitor' ? slo.targetId : null,
+            'slo_burn',
+            message,
+            rate.severity,
+            { monitorName: `SLO: ${slo.name}`, sloId: slo.id }
+          );
+          state.setSloActiveAlert(slo.id, rate.index, alert.id);
+
+          io?.emit('alerts-update', state.getAllAlerts());
+          await sendAlertNotification(alert, {
+            name: `SLO: ${slo.name} (${target?.name || 'unknown target'})`,
+            type: 'slo',
+            applicationId: slo.targetType === 'application' ? slo.targetId : target?.applicationId
+          });
+        } else if (!rate.firing && activeAlertId) {
+          if (activeAlert) {
+            state.resolveAlert(activeAlertId);
+            io?.emit('alerts-update', state.getAllAlerts());
+          }
+          state.setSloActiveAlert(slo.id, rate.index, null);
+        }
+      }
+    } catch (error) {
+      state.addLog('error', `SLO evaluation failed for ${slo.name}: ${error.message}`, { sloId: slo.id });
+    }
+  }
+};
+
+const startSloEvaluation = (io) => {
+  stopSloEvaluation();
+  sloEvaluationInterval = setInterval(() => evaluateSlos(io), MINUTE);
+  state.addLog('info', 'SLO evaluation started (every 60s)', {});
+};
+
+const stopSloEvaluation = () => {
+  if (sloEvaluationInterval) {
+    clearInterval(sloEvaluationInterval);
+    sloEvaluationInterval = null;
+  }
+};
+
+module.exports = {
+  validateSloConfig,
+  getSloStatus,
+  getAllSloStatuses,
+  evaluateSlos,
+  startSloEvaluation,
+  stopSloEvaluation
+};
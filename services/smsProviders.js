@@ -0,0 +1,378 @@
+// services/smsProviders.js - SMS Provider Adapters (mNotify, generic HTTP, Twilio, SMPP)
+const axios = require('axios');
+const net = require('net');
+const { renderTemplate } = require('./templateRenderer');
+
+// Every adapter exposes send(settings, recipients, message) and resolves to
+// { success, results: [{ recipient, status: 'sent'|'failed', messageId, error }], response }
+
+const MNOTIFY_ENDPOINT = 'https://api.mnotify.com/api/sms/quick';
+const TWILIO_API_URL = 'https://api.twilio.com';
+const SMPP_DEFAULT_PORT = 2775;
+const REQUEST_TIMEOUT = 30000;
+// Largest PDU accepted from the SMSC (submit_sm responses are tiny; real PDUs stay well below this)
+const SMPP_MAX_PDU_LENGTH = 64 * 1024;
+
+// ==================== HELPERS ====================
+
+const digits = (phone) => String(phone || '').replace(/\D/g, '');
+
+// Providers often reformat numbers (0244... vs 233244...); compare on the trailing digits
+const samePhone = (a, b) => {
+  const da = digits(a);
+  const db = digits(b);
+  if (!da || !db) return false;
+  const n = Math.min(da.length, db.length, 9);
+  return da.slice(-n) === db.slice(-n);
+};
+
+const summarize = (results, response) => ({
+  success: results.length > 0 && results.every(r => r.status === 'sent'),
+  sent: results.filter(r => r.status === 'sent').length,
+  failed: results.filter(r => r.status === 'failed').length,
+  results,
+  response
+});
+
+const failAll = (recipients, error, response) =>
+  summarize(recipients.map(recipient => ({ recipient, status: 'failed', messageId: null, error })), response);
+
+const parseHeaders = (headers) => {
+  if (!headers) return {};
+  if (typeof headers === 'string') {
+    try {
+      return JSON.parse(headers);
+    } catch (error) {
+      return {};
+    }
+  }
+  return headers;
+};
+
+const pickMessageId = (data) => {
+  if (!data || typeof data !== 'object') return null;
+  return data.messageId || data.message_id || data.id || data.sid || data.data?.messageId || data.data?.id || null;
+};
+
+// ==================== MNOTIFY ====================
+
+// Quick SMS API: one request for all recipients, summary.numbers_sent lists accepted numbers
+const mnotify = {
+  name: 'mnotify',
+  label: 'mNotify',
+  send: async (settings, recipients, message) => {
+    if (!settings.smsApiKey) {
+      return failAll(recipients, 'mNotify API key is not configured');
+    }
+
+    const response = await axios.post(
+      settings.smsApiUrl || MNOTIFY_ENDPOINT,
+      {
+        recipient: recipients,
+        sender: settings.smsSenderId || 'PulseMonitor',
+        message,
+        is_schedule: false,
+        schedule_date: ''
+      },
+      {
+        params: { key: settings.smsApiKey },
+        headers: { 'Content-Type': 'application/json' },
+        timeout: REQUEST_TIMEOUT,
+        validateStatus: () => true
+      }
+    );
+
+    const data = response.data || {};
+    const accepted = response.status < 300 && (data.status === 'success' || String(data.code) === '2000');
+    if (!accepted) {
+      return failAll(recipients, data.message || `HTTP ${response.status}`, data);
+    }
+
+    const numbersSent = data.summary?.numbers_sent;
+    const messageId = data.summary?._id || null;
+    return summarize(recipients.map(recipient => {
+      const sent = !Array.isArray(numbersSent) || numbersSent.some(n => samePhone(n, recipient));
+      return { recipient, status: sent ? 'sent' : 'failed', messageId: sent ? messageId : null, error: sent ? null : 'Rejected by provider' };
+    }), data);
+  }
+};
+
+// ==================== GENERIC HTTP ====================
+
+// Driven by smsApiUrl, smsApiMethod, smsApiHeaders and smsApiBodyTemplate.
+// Templates using {{phone}} are sent once per recipient; otherwise once with {{phones}} (array)
+const http = {
+  name: 'http',
+  label: 'Generic HTTP API',
+  send: async (settings, recipients, message) => {
+    if (!settings.smsApiUrl) {
+      return failAll(recipients, 'SMS API URL is not configured');
+    }
+
+    const template = settings.smsApiBodyTemplate || '{"to":"{{phone}}","message":"{{message}}"}';
+    const perRecipient = /{{\s*phone\s*}}/.test(template) || !/{{\s*phones\s*}}/.test(template);
+    const method = (settings.smsApiMethod || 'POST').toUpperCase();
+    const headers = { 'Content-Type': 'application/json', ...parseHeaders(settings.smsApiHeaders) };
+    const context = {
+      message,
+      senderId: settings.smsSenderId || '',
+      sender: settings.smsSenderId || '',
+      apiKey: settings.smsApiKey || '',
+      phones: recipients
+    };
+
+    const request = async (body) => {
+      const response = await axios({
+        url: settings.smsApiUrl,
+        method,
+        headers,
+        ...(method === 'GET' ? { params: JSON.parse(body) } : { data: body }),
+        transformRequest: [(data) => data],
+        timeout: REQUEST_TIMEOUT,
+        validateStatus: () => true
+      });
+      return response;
+    };
+
+    if (perRecipient) {
+      const results = [];
+      const responses = [];
+      for (const recipient of recipients) {
+        try {
+          const response = await request(renderTemplate(template, { ...context, phone: recipient }));
+          const ok = response.status >= 200 && response.status < 300;
+          responses.push(response.data);
+          results.push({
+            recipient,
+            status: ok ? 'sent' : 'failed',
+            messageId: ok ? pickMessageId(response.data) : null,
+            error: ok ? null : `HTTP ${response.status}`
+          });
+        } catch (error) {
+          results.push({ recipient, status: 'failed', messageId: null, error: error.message });
+        }
+      }
+      return summarize(results, responses);
+    }
+
+    const response = await request(renderTemplate(template, context));
+    const ok = response.status >= 200 && response.status < 300;
+    if (!ok) return failAll(recipients, `HTTP ${response.status}`, response.data);
+    return summarize(recipients.map(recipient => ({
+      recipient,
+      status: 'sent',
+      messageId: pickMessageId(response.data),
+      error: null
+    })), response.data);
+  }
+};
+
+// ==================== TWILIO ====================
+
+// Messages API: one form-encoded request per recipient with basic auth
+const twilio = {
+  name: 'twilio',
+  label: 'Twilio',
+  send: async (settings, recipients, message) => {
+    if (!settings.twilioAccountSid || !settings.twilioAuthToken || !(settings.twilioFrom || settings.smsSenderId)) {
+      return failAll(recipients, 'Twilio account SID, auth token and sender are required');
+    }
+
+    const url = `${(settings.twilioApiUrl || TWILIO_API_URL).replace(/\/$/, '')}/2010-04-01/Accounts/${encodeURIComponent(settings.twilioAccountSid)}/Messages.json`;
+    const results = [];
+    const responses = [];
+
+    for (const recipient of recipients) {
+      try {
+        const response = await axios.post(
+          url,
+          new URLSearchParams({ To: recipient, From: settings.twilioFrom || settings.smsSenderId, Body: message }).toString(),
+          {
+            auth: { username: settings.twilioAccountSid, password: settings.twilioAuthToken },
+            headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+            timeout: REQUEST_TIMEOUT,
+            validateStatus: () => true
+          }
+        );
+        const data = response.data || {};
+        responses.push(data);
+        const failed = response.status >= 300 || data.error_code || ['failed', 'undelivered'].includes(data.status);
+        results.push({
+          recipient,
+          status: failed ? 'failed' : 'sent',
+          messageId: data.sid || null,
+          error: failed ? (data.message || data.error_message || `HTTP ${response.status}`) : null
+        });
+      } catch (error) {
+        results.push({ recipient, status: 'failed', messageId: null, error: error.message });
+      }
+    }
+
+    return summarize(results, responses);
+  }
+};
+
+// ==================== SMPP ====================
+
+const SMPP = {
+  BIND_TRANSMITTER: 0x00000002,
+  SUBMIT_SM: 0x00000004,
+  UNBIND: 0x00000006,
+  GENERIC_NACK: 0x80000000,
+  RESP: 0x80000000
+};
+
+const cString = (value) => Buffer.concat([Buffer.from(String(value || ''), 'latin1'), Buffer.from([0])]);
+
+const encodePdu = (commandId, sequence, body) => {
+  const header = Buffer.alloc(16);
+  header.writeUInt32BE(16 + body.length, 0);
+  header.writeUInt32BE(commandId, 4);
+  header.writeUInt32BE(0, 8);
+  header.writeUInt32BE(sequence, 12);
+  return Buffer.concat([header, body]);
+};
+
+const bindBody = (settings) => Buffer.concat([
+  cString(settings.smppSystemId),
+  cString(settings.smppPassword),
+  cString(settings.smppSystemType),
+  Buffer.from([0x34, 0, 0]), // interface_version 3.4, addr_ton, addr_npi
+  cString('')
+]);
+
+const submitBody = (settings, recipient, message) => {
+  const text = Buffer.from(message, 'latin1').subarray(0, 254);
+  return Buffer.concat([
+    cString(''), // service_type
+    Buffer.from([5, 0]), // source_addr_ton (alphanumeric), source_addr_npi
+    cString(settings.smppSourceAddr || settings.smsSenderId || ''),
+    Buffer.from([1, 1]), // dest_addr_ton (international), dest_addr_npi (ISDN)
+    cString(digits(recipient)),
+    Buffer.from([0, 0, 0]), // esm_class, protocol_id, priority_flag
+    cString(''), // schedule_delivery_time
+    cString(''), // validity_period
+    Buffer.from([1, 0, 0, 0, text.length]), // registered_delivery, replace_if_present, data_coding, sm_default_msg_id, sm_length
+    text
+  ]);
+};
+
+// Minimal SMPP v3.4 transmitter session: bind, one submit_sm per recipient, unbind
+const smppSession = (settings) => new Promise((resolve, reject) => {
+  const socket = net.createConnection({ host: settings.smppHost, port: parseInt(settings.smppPort) || SMPP_DEFAULT_PORT });
+  const pending = new Map();
+  let sequence = 0;
+  let buffer = Buffer.alloc(0);
+
+  const request = (commandId, body) => new Promise((res, rej) => {
+    sequence++;
+    pending.set(sequence, { res, rej });
+    socket.write(encodePdu(commandId, sequence, body));
+  });
+
+  const failPending = (error) => {
+    pending.forEach(({ rej }) => rej(error));
+    pending.clear();
+  };
+
+  socket.setTimeout(REQUEST_TIMEOUT);
+  socket.on('timeout', () => {
+    const error = new Error('SMPP connection timed out');
+    failPending(error);
+    socket.destroy();
+    reject(error);
+  });
+  socket.on('error', (error) => {
+    failPending(error);
+    reject(error);
+  });
+  socket.on('close', () => failPending(new Error('SMPP connection closed')));
+  socket.on('data', (chunk) => {
+    buffer = Buffer.concat([buffer, chunk]);
+    while (buffer.length >= 16) {
+      const length = buffer.readUInt32BE(0);
+      if (length < 16 || length > SMPP_MAX_PDU_LENGTH) {
+        // A bogus length would stall the parser (or buffer without limit): drop the session
+        const error = new Error(`SMPP server sent an invalid PDU length (${length})`);
+        buffer = Buffer.alloc(0);
+        failPending(error);
+        socket.destroy();
+        reject(error);
+        return;
+      }
+      if (buffer.length < length) break;
+      const pdu = {
+        commandId: buffer.readUInt32BE(4),
+        status: buffer.readUInt32BE(8),
+        sequence: buffer.readUInt32BE(12),
+        body: buffer.subarray(16, length)
+      };
+      buffer = buffer.subarray(length);
+      const waiter = pending.get(pdu.sequence);
+      if (waiter && (pdu.commandId & SMPP.RESP)) {
+        pending.delete(pdu.sequence);
+        waiter.res(pdu);
+      }
+    }
+  });
+  socket.on('connect', () => resolve({
+    request,
+    close: () => socket.end()
+  }));
+});
+
+const smpp = {
+  name: 'smpp',
+  label: 'SMPP',
+  send: async (settings, recipients, message) => {
+    if (!settings.smppHost || !settings.smppSystemId) {
+      return failAll(recipients, 'SMPP host and system ID are required');
+    }
+
+    let session;
+    try {
+      session = await smppSession(settings);
+      const bind = await session.request(SMPP.BIND_TRANSMITTER, bindBody(settings));
+      if (bind.status !== 0) {
+        return failAll(recipients, `SMPP bind failed (status 0x${bind.status.toString(16)})`);
+      }
+
+      const results = [];
+      for (const recipient of recipients) {
+        try {
+          const resp = await session.request(SMPP.SUBMIT_SM, submitBody(settings, recipient, message));
+          const ok = resp.commandId === ((SMPP.SUBMIT_SM | SMPP.RESP) >>> 0) && resp.status === 0;
+          results.push({
+            recipient,
+            status: ok ? 'sent' : 'failed',
+            messageId: ok ? resp.body.toString('latin1').replace(/\0.*$/, '') : null,
+            error: ok ? null : `SMPP submit_sm failed (status 0x${resp.status.toString(16)})`
+          });
+        } catch (error) {
+          results.push({ recipient, status: 'failed', messageId: null, error: error.message });
+        }
+      }
+
+      await session.request(SMPP.UNBIND, Buffer.alloc(0)).catch(() => {});
+      return summarize(results, null);
+    } catch (error) {
+      return failAll(recipients, error.message);
+    } finally {
+      session?.close();
+    }
+  }
+};
+
+// ==================== REGISTRY ====================
+
+const SMS_PROVIDERS = { mnotify, http, twilio, smpp };
+
+const getSmsProvider = (name) => SMS_PROVIDERS[name] || SMS_PROVIDERS.mnotify;
+
+const listSmsProviders = () => Object.values(SMS_PROVIDERS).map(p => ({ name: p.name, label: p.label }));
+
+module.exports = {
+  SMS_PROVIDERS,
+  getSmsProvider,
+  listSmsProviders
+};
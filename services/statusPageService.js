@@ -0,0 +1,322 @@
+// services/statusPageService.js - Public Status Page Summaries, Badges and Subscriber Notifications
+const state = require('../state/monitorState');
+const { NETWORK_ROOT } = require('../state/dependencies');
+const { componentStatus, worstStatus, publicMonitorStatus, uptimeRangeStart, buildUptimeBars } = require('../state/statusPage');
+const { sendEmail } = require('./notificationService');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Public summaries are rebuilt at most this often per page (history reads are not free)
+const SUMMARY_CACHE_MS = 30 * 1000;
+// Resolved incidents stay on the page this long
+const INCIDENT_HISTORY_DAYS = 14;
+// A pending subscription is not sent another confirmation email sooner than this
+const CONFIRMATION_RESEND_MS = 10 * 60 * 1000;
+
+const STATUS_LABELS = {
+  operational: 'Operational',
+  maintenance: 'Under Maintenance',
+  degraded: 'Degraded Performance',
+  partial_outage: 'Partial Outage',
+  major_outage: 'Major Outage'
+};
+
+const OVERALL_LABELS = {
+  operational: 'All Systems Operational',
+  maintenance: 'Scheduled Maintenance in Progress',
+  degraded: 'Degraded Performance',
+  partial_outage: 'Partial System Outage',
+  major_outage: 'Major System Outage'
+};
+
+const BADGE_COLORS = {
+  operational: '#22c55e',
+  maintenance: '#3b82f6',
+  degraded: '#eab308',
+  partial_outage: '#f97316',
+  major_outage: '#ef4444'
+};
+
+const UPDATE_LABELS = {
+  investigating: 'Investigating',
+  identified: 'Identified',
+  monitoring: 'Monitoring',
+  resolved: 'Resolved'
+};
+
+// pageId -> { key, builtAt, summary }
+const summaryCache = new Map();
+let statusPageEventsRegistered = false;
+
+// ==================== HELPERS ====================
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const isEmailConfigured = () => {
+  const settings = state.getSettingsFull();
+  return !!(settings.emailEnabled && settings.smtpHost && settings.smtpUser);
+};
+
+// Links in emails only ever use the configured publicUrl: the Host header of the request is
+// client-controlled and would let anyone point confirmation links at another site
+const publicBaseUrl = () => String(state.getSettingsFull().publicUrl || '').trim().replace(/\/+$/, '');
+
+const subscriptionsAvailable = (page) => page.allowSubscriptions && isEmailConfigured() && !!publicBaseUrl();
+
+// null without a publicUrl; emails then go out without links
+const pageUrl = (page) => {
+  const base = publicBaseUrl();
+  return base ? `${base}/status/${page.slug}` : null;
+};
+
+// ==================== INCIDENTS ====================
+
+const incidentMonitorIds = (incident) => [
+  incident.monitorId,
+  ...(incident.affectedMonitors || []).map(a => a.monitorId)
+];
+
+// What visitors see of an incident: its title, public updates and generic start/resolve entries.
+// Check messages and internal updates (retries, acknowledgements) are never shown.
+const toPublicIncident = (incident, components) => {
+  const ids = new Set(incidentMonitorIds(incident));
+  const affected = components.filter(c => c.monitors.some(m => ids.has(m.id))).map(c => c.name);
+  const manual = incident.updates.filter(u => u.manual && u.public);
+  const latest = manual[manual.length - 1];
+
+  const updates = [
+    { timestamp: incident.startedAt, status: 'investigating', message: `We are investigating an issue affecting ${affected.join(', ')}.` },
+    ...manual.map(u => ({ timestamp: u.timestamp, status: u.status, message: u.message }))
+  ];
+  if (incident.status === 'resolved' && !manual.some(u => u.status === 'resolved')) {
+    updates.push({ timestamp: incident.resolvedAt, status: 'resolved', message: 'This incident has been resolved.' });
+  }
+
+  return {
+    id: incident.id,
+    title: incident.title || `Service disruption: ${affected.join(', ')}`,
+    status: incident.status === 'resolved' ? 'resolved' : latest?.status || 'investigating',
+    components: affected,
+    startedAt: incident.startedAt,
+    resolvedAt: incident.resolvedAt,
+    updates: updates.reverse()
+  };
+};
+
+const getPageIncidents = (components) => {
+  const monitorIds = new Set(components.flatMap(c => c.monitors.map(m => m.id)));
+  const cutoff = Date.now() - INCIDENT_HISTORY_DAYS * DAY;
+  const relevant = state.getIncidents(1000).filter(incident =>
+    incident.monitorId !== NETWORK_ROOT.id &&
+    incidentMonitorIds(incident).some(id => monitorIds.has(id)) &&
+    (incident.status === 'ongoing' || new Date(incident.resolvedAt).getTime() >= cutoff)
+  );
+
+  return {
+    active: relevant.filter(i => i.status === 'ongoing').map(i => toPublicIncident(i, components)),
+    recent: relevant.filter(i => i.status === 'resolved').slice(0, 20).map(i => toPublicIncident(i, components))
+  };
+};
+
+// ==================== SUMMARY ====================
+
+const buildComponent = (component, page) => {
+  const from = uptimeRangeStart(page.uptimeDays);
+  const statuses = component.monitors.map(m => state.getStatus(m.id));
+  const history = component.monitors.map(m => state.getMonitorHistory(m.id, { from, resolution: '1d' }).points);
+  const { uptime, days } = buildUptimeBars(history, page.uptimeDays);
+  const status = componentStatus(statuses);
+
+  return {
+    name: component.name,
+    status,
+    statusLabel: STATUS_LABELS[status],
+    uptime: uptime === null ? null : Math.round(uptime * 1000) / 1000,
+    days,
+    monitors: page.showMonitors
+      ? component.monitors.map((m, i) => {
+        const monitorStatus = publicMonitorStatus(statuses[i]) || 'operational';
+        return { name: m.name, status: monitorStatus, statusLabel: STATUS_LABELS[monitorStatus] };
+      })
+      : []
+  };
+};
+
+const buildSummary = (page) => {
+  const components = state.getStatusPageComponents(page);
+  const built = components.map(c => buildComponent(c, page));
+  const status = worstStatus(built.map(c => c.status));
+
+  return {
+    page: {
+      slug: page.slug,
+      title: page.title,
+      description: page.description,
+      logoUrl: page.logoUrl,
+      brandColor: page.brandColor,
+      theme: page.theme,
+      footerText: page.footerText,
+      uptimeDays: page.uptimeDays,
+      allowSubscriptions: subscriptionsAvailable(page)
+    },
+    status,
+    statusLabel: OVERALL_LABELS[status],
+    components: built,
+    incidents: getPageIncidents(components),
+    updatedAt: new Date().toISOString()
+  };
+};
+
+// Cached per page; a page edit (updatedAt) or incident event rebuilds it
+const getStatusPageSummary = (page) => {
+  const cached = summaryCache.get(page.id);
+  if (cached && cached.key === page.updatedAt && Date.now() - cached.builtAt < SUMMARY_CACHE_MS) {
+    return cached.summary;
+  }
+  const summary = buildSummary(page);
+  summaryCache.set(page.id, { key: page.updatedAt, builtAt: Date.now(), summary });
+  return summary;
+};
+
+const clearSummaryCache = () => summaryCache.clear();
+
+// ==================== BADGE ====================
+
+// Approximate Verdana 11px text width, as flat badges are usually measured
+const textWidth = (text) => Math.round(String(text).length * 6.5 + 10);
+
+const renderBadge = (label, status) => {
+  const message = STATUS_LABELS[status].toLowerCase();
+  const color = BADGE_COLORS[status];
+  const labelWidth = textWidth(label);
+  const messageWidth = textWidth(message);
+  const width = labelWidth + messageWidth;
+  const safeLabel = escapeHtml(label);
+  const safeMessage = escapeHtml(message);
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="20" role="img" aria-label="${safeLabel}: ${safeMessage}">
+  <title>${safeLabel}: ${safeMessage}</title>
+  <linearGradient id="s" x2="0" y2="100%"><stop offset="0" stop-color="#bbb" stop-opacity=".1"/><stop offset="1" stop-opacity=".1"/></linearGradient>
+  <clipPath id="r"><rect width="${width}" height="20" rx="3" fill="#fff"/></clipPath>
+  <g clip-path="url(#r)">
+    <rect width="${labelWidth}" height="20" fill="#555"/>
+    <rect x="${labelWidth}" width="${messageWidth}" height="20" fill="${color}"/>
+    <rect width="${width}" height="20" fill="url(#s)"/>
+  </g>
+  <g fill="#fff" text-anchor="middle" font-family="Verdana,Geneva,DejaVu Sans,sans-serif" font-size="11">
+    <text x="${labelWidth / 2}" y="14">${safeLabel}</text>
+    <text x="${labelWidth + messageWidth / 2}" y="14">${safeMessage}</text>
+  </g>
+</svg>`;
+};
+
+// ==================== SUBSCRIPTIONS ====================
+
+const generateSubscriberEmailHtml = (page, subscriber, heading, body) => `
+<!DOCTYPE html>
+<html>
+<body style="font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; background: #f5f5f5; margin: 0; padding: 20px;">
+  <div style="max-width: 600px; margin: 0 auto; background: #ffffff; border-radius: 8px; overflow: hidden;">
+    <div style="background: ${page.brandColor}; color: white; padding: 20px;">
+      <h1 style="margin: 0; font-size: 20px;">${escapeHtml(page.title)}</h1>
+    </div>
+    <div style="padding: 30px; color: #333;">
+      <h2 style="margin-top: 0; font-size: 18px;">${escapeHtml(heading)}</h2>
+      ${body}
+      ${pageUrl(page) ? `<p><a href="${escapeHtml(pageUrl(page))}">View the status page</a></p>` : ''}
+    </div>
+    <div style="background: #f9f9f9; padding: 15px; text-align: center; font-size: 12px; color: #999;">
+      ${subscriber.confirmed && pageUrl(page)
+        ? `<a href="${escapeHtml(`${pageUrl(page)}/unsubscribe?token=${subscriber.token}`)}" style="color: #999;">Unsubscribe</a>`
+        : 'You received this because your address was entered on our status page.'}
+    </div>
+  </div>
+</body>
+</html>
+`;
+
+// Double opt-in: the address is only notified after following the emailed confirmation link.
+// Known addresses get the same answer, so the form doesn't reveal who is subscribed.
+const requestSubscription = async (page, email) => {
+  if (!pageUrl(page)) return { success: false, error: 'Public URL is not configured' };
+  const subscriber = state.addStatusPageSubscriber(page.id, email);
+  if (subscriber.confirmed) return { success: true };
+
+  const lastSent = subscriber.confirmationSentAt ? new Date(subscriber.confirmationSentAt).getTime() : 0;
+  if (Date.now() - lastSent < CONFIRMATION_RESEND_MS) return { success: true };
+
+  const confirmUrl = `${pageUrl(page)}/confirm?token=${subscriber.token}`;
+  const result = await sendEmail(
+    subscriber.email,
+    `Confirm your subscription to ${page.title}`,
+    generateSubscriberEmailHtml(page, subscriber, 'Confirm your subscription',
+      `<p>Follow this link to receive incident updates from ${escapeHtml(page.title)} by email:</p>` +
+      `<p><a href="${escapeHtml(confirmUrl)}">${escapeHtml(confirmUrl)}</a></p>` +
+      '<p>If you did not ask for this, ignore this email.</p>'),
+    `Confirm your subscription to ${page.title}: ${confirmUrl}`
+  );
+  if (result.success) state.markSubscriberConfirmationSent(subscriber.id);
+  return result;
+};
+
+// One email per subscriber, since each carries its own unsubscribe link
+const notifySubscribers = async (page, subject, heading, message) => {
+  const subscribers = state.getConfirmedSubscribers(page.id);
+  const url = pageUrl(page);
+  for (const subscriber of subscribers) {
+    const links = url ? `\n\n${url}\nUnsubscribe: ${url}/unsubscribe?token=${subscriber.token}` : '';
+    await sendEmail(
+      subscriber.email,
+      subject,
+      generateSubscriberEmailHtml(page, subscriber, heading, `<p>${escapeHtml(message)}</p>`),
+      `${heading}\n\n${message}${links}`
+    ).catch(error => state.addLog('error', `Status page email failed: ${error.message}`, { statusPageId: page.id }));
+  }
+  return subscribers.length;
+};
+
+const notifyPagesForIncident = (incident, { manualOnly, heading, message }) => {
+  if (!isEmailConfigured()) return;
+  state.getStatusPagesForMonitor(incident.monitorId)
+    .filter(page => page.allowSubscriptions && (manualOnly || page.autoNotify))
+    .forEach(page => {
+      const publicIncident = toPublicIncident(incident, state.getStatusPageComponents(page));
+      const text = message || publicIncident.updates[0].message;
+      notifySubscribers(page, `[${page.title}] ${heading}: ${publicIncident.title}`, `${heading}: ${publicIncident.title}`, text);
+    });
+};
+
+// Email subscribers when incidents on their pages start, get a public update or resolve
+const registerStatusPageEvents = () => {
+  if (statusPageEventsRegistered) return;
+  statusPageEventsRegistered = true;
+
+  state.events.on('incident.created', ({ incident }) => {
+    clearSummaryCache();
+    notifyPagesForIncident(incident, { manualOnly: false, heading: 'Investigating' });
+  });
+  state.events.on('incident.resolved', ({ incident }) => {
+    clearSummaryCache();
+    notifyPagesForIncident(incident, { manualOnly: false, heading: 'Resolved' });
+  });
+  state.events.on('incident.updated', ({ incident, update }) => {
+    clearSummaryCache();
+    if (!update.public) return;
+    notifyPagesForIncident(incident, { manualOnly: true, heading: UPDATE_LABELS[update.status], message: update.message });
+  });
+};
+
+module.exports = {
+  STATUS_LABELS,
+  getStatusPageSummary,
+  clearSummaryCache,
+  renderBadge,
+  subscriptionsAvailable,
+  requestSubscription,
+  registerStatusPageEvents
+};
@@ -0,0 +1,17 @@
+// services/templateRenderer.js - {{placeholder}} Rendering for JSON Templates
+
+const lookupPath = (context, keyPath) =>
+  keyPath.split('.').reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), context);
+
+// Replace {{path.to.value}} placeholders; values are JSON-escaped so templates stay valid JSON
+// and objects/arrays are inserted as JSON
+const renderTemplate = (template, context) => template.replace(/{{\s*([\w.]+)\s*}}/g, (match, keyPath) => {
+  const value = lookupPath(context, keyPath);
+  if (value === undefined || value === null) return '';
+  if (typeof value === 'object') return JSON.stringify(value);
+  return JSON.stringify(String(value)).slice(1, -1);
+});
+
+module.exports = {
+  renderTemplate
+};
@@ -0,0 +1,136 @@
+// state/alertRouting.js - Alert Routing Rule Evaluation
+const SEVERITIES = ['critical', 'warning', 'info'];
+const FALLBACK_MODES = ['all', 'none'];
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+// ==================== HELPERS ====================
+
+const parseClock = (value) => {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(String(value || ''));
+  if (!match) return null;
+  const hours = parseInt(match[1], 10);
+  const minutes = parseInt(match[2], 10);
+  if (hours > 24 || minutes > 59 || (hours === 24 && minutes > 0)) return null;
+  return hours * 60 + minutes;
+};
+
+// Weekday (0 = Sunday) and minute of day for a moment in a timezone
+const localTime = (at, timezone) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone || undefined,
+    weekday: 'short',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(new Date(at));
+  const get = (type) => parts.find(p => p.type === type)?.value;
+  return {
+    day: WEEKDAYS.indexOf(get('weekday').toLowerCase().slice(0, 3)),
+    minutes: parseInt(get('hour'), 10) * 60 + parseInt(get('minute'), 10)
+  };
+};
+
+// Time-of-day window: { days: [0-6], start: 'HH:MM', end: 'HH:MM', timezone }; end before start wraps midnight
+const withinTimeWindow = (timeWindow, at) => {
+  if (!timeWindow) return true;
+  const { day, minutes } = localTime(at, timeWindow.timezone);
+  const start = parseClock(timeWindow.start) ?? 0;
+  const end = parseClock(timeWindow.end) ?? 24 * 60;
+  const days = timeWindow.days && timeWindow.days.length ? timeWindow.days.map(Number) : null;
+
+  if (start <= end) {
+    return (!days || days.includes(day)) && minutes >= start && minutes < end;
+  }
+  // Overnight window: the part after midnight belongs to the previous day
+  if (minutes >= start) return !days || days.includes(day);
+  if (minutes < end) return !days || days.includes((day + 6) % 7);
+  return false;
+};
+
+const matchesList = (list, value) => !list || list.length === 0 || list.includes(value);
+
+// ==================== EVALUATION ====================
+
+// context: { monitor, severity, alertType, at }
+const ruleMatches = (rule, context) => {
+  if (!rule || rule.enabled === false) return false;
+
+  const match = rule.match || {};
+  const monitor = context.monitor || {};
+
+  if (!matchesList(match.monitorIds, monitor.id)) return false;
+  if (!matchesList(match.applicationIds, monitor.applicationId)) return false;
+  if (!matchesList(match.groupIds, monitor.groupId)) return false;
+  if (match.tags && match.tags.length > 0 && !match.tags.some(tag => (monitor.tags || []).includes(tag))) return false;
+  if (!matchesList(match.severities, context.severity)) return false;
+  if (!matchesList(match.alertTypes, context.alertType)) return false;
+
+  try {
+    return withinTimeWindow(match.timeWindow, context.at || Date.now());
+  } catch (error) {
+    console.error(`[ROUTING] Failed to evaluate time window for rule ${rule.name}:`, error.message);
+    return false;
+  }
+};
+
+// Matching rules in priority order, honouring "stop" on the first rule that has it set
+const selectRules = (rules, context) => {
+  const selected = [];
+  const ordered = [...rules].sort((a, b) => (a.priority || 0) - (b.priority || 0));
+
+  for (const rule of ordered) {
+    if (!ruleMatches(rule, context)) continue;
+    selected.push(rule);
+    if (rule.stop) break;
+  }
+  return selected;
+};
+
+// ==================== VALIDATION ====================
+
+const validateRoutingRule = (config) => {
+  const errors = [];
+  const match = config.match || {};
+
+  if (!config.name) errors.push('Name is required');
+
+  const targets = (config.contactIds || []).length + (config.contactGroupIds || []).length;
+  if (targets === 0 && !config.escalationPolicyId && !config.suppress) {
+    errors.push('Rule must notify at least one contact or contact group, start an escalation policy, or suppress notifications');
+  }
+
+  (match.severities || []).forEach(severity => {
+    if (!SEVERITIES.includes(severity)) {
+      errors.push(`Invalid severity: ${severity}. Use one of: ${SEVERITIES.join(', ')}`);
+    }
+  });
+
+  if (match.timeWindow) {
+    const { start, end, days, timezone } = match.timeWindow;
+    if (start !== undefined && parseClock(start) === null) errors.push('Time window start must be HH:MM');
+    if (end !== undefined && parseClock(end) === null) errors.push('Time window end must be HH:MM');
+    if (days && !days.every(d => Number.isInteger(Number(d)) && d >= 0 && d <= 6)) {
+      errors.push('Time window days must be 0 (Sunday) to 6 (Saturday)');
+    }
+    if (timezone) {
+      try {
+        new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+      } catch (error) {
+        errors.push(`Invalid timezone: ${timezone}`);
+      }
+    }
+  }
+
+  return {
+    valid: errors.length === 0,
+    errors
+  };
+};
+
+module.exports = {
+  SEVERITIES,
+  FALLBACK_MODES,
+  ruleMatches,
+  selectRules,
+  validateRoutingRule
+};
@@ -0,0 +1,85 @@
+// state/auth.js - Password Hashing, Roles and User Validation
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+// Roles in ascending order of privilege; each role can do everything the previous one can
+const ROLES = ['viewer', 'operator', 'admin'];
+
+const MIN_PASSWORD_LENGTH = 8;
+const USERNAME_PATTERN = /^[a-zA-Z0-9._@-]{3,64}$/;
+
+const SCRYPT_KEYLEN = 64;
+
+// Sessions expire this long after login
+const SESSION_TTL_MS = (parseInt(process.env.SESSION_TTL_HOURS) || 7 * 24) * 60 * 60 * 1000;
+
+// ==================== ROLES ====================
+
+const hasRole = (user, role) =>
+  !!user && ROLES.indexOf(user.role) >= ROLES.indexOf(role) && ROLES.includes(role);
+
+// ==================== PASSWORDS ====================
+
+// Stored as scrypt$<salt>$<hash>, both hex
+const hashPassword = (password) => {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = crypto.scryptSync(String(password), salt, SCRYPT_KEYLEN).toString('hex');
+  return `scrypt$${salt}$${hash}`;
+};
+
+// Async so a burst of login attempts doesn't block the event loop
+const verifyPassword = async (password, stored) => {
+  const [scheme, salt, hash] = String(stored || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+
+  const expected = Buffer.from(hash, 'hex');
+  const actual = await scrypt(String(password || ''), salt, expected.length);
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+};
+
+// ==================== SESSION TOKENS ====================
+
+const generateToken = () => crypto.randomBytes(32).toString('hex');
+
+// Sessions are stored by token hash so a leaked state file can't be replayed
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+// ==================== VALIDATION ====================
+
+// isNew requires a password; updates only validate fields that are present
+const validateUser = (config, isNew = true) => {
+  const errors = [];
+
+  if (isNew || config.username !== undefined) {
+    if (!USERNAME_PATTERN.test(config.username || '')) {
+      errors.push('Username must be 3-64 characters: letters, digits, . _ @ -');
+    }
+  }
+  if (isNew || config.password !== undefined) {
+    if (!config.password || String(config.password).length < MIN_PASSWORD_LENGTH) {
+      errors.push(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+    }
+  }
+  if ((isNew || config.role !== undefined) && !ROLES.includes(config.role)) {
+    errors.push(`Role must be one of: ${ROLES.join(', ')}`);
+  }
+
+  return {
+    valid: errors.length === 0,
+    errors
+  };
+};
+
+module.exports = {
+  ROLES,
+  MIN_PASSWORD_LENGTH,
+  SESSION_TTL_MS,
+  hasRole,
+  hashPassword,
+  verifyPassword,
+  generateToken,
+  hashToken,
+  validateUser
+};
@@ -0,0 +1,113 @@
+// state/certificates.js - TLS Certificate Rules: Expiry Levels, Thresholds and Inventory
+const { isBlank } = require('./values');
+
+const DEFAULT_WARNING_DAYS = 30;
+const DEFAULT_CRITICAL_DAYS = 7;
+const MAX_THRESHOLD_DAYS = 365;
+
+// Expiry levels, least to most severe
+const CERTIFICATE_LEVELS = ['ok', 'warning', 'critical', 'expired'];
+
+// Alert severity raised for each level that needs attention
+const LEVEL_SEVERITIES = { warning: 'warning', critical: 'critical', expired: 'critical' };
+
+// ==================== EXPIRY ====================
+
+// Monitor overrides (null = global setting), then the settings, then the defaults
+const certificateThresholds = (monitor, settings = {}) => ({
+  warningDays: monitor?.sslWarningDays ?? settings.sslWarningDays ?? DEFAULT_WARNING_DAYS,
+  criticalDays: monitor?.sslCriticalDays ?? settings.sslCriticalDays ?? DEFAULT_CRITICAL_DAYS
+});
+
+const certificateLevel = (sslInfo, thresholds) => {
+  if (typeof sslInfo?.daysRemaining !== 'number') return null;
+  if (sslInfo.daysRemaining < 0) return 'expired';
+  if (sslInfo.daysRemaining <= thresholds.criticalDays) return 'critical';
+  if (sslInfo.daysRemaining <= thresholds.warningDays) return 'warning';
+  return 'ok';
+};
+
+// Chain and hostname problems, independent of expiry
+const certificateProblems = (sslInfo) => {
+  const problems = [];
+  if (!sslInfo) return problems;
+  if (sslInfo.chainValid === false) problems.push(`Certificate chain invalid: ${sslInfo.chainError || 'untrusted'}`);
+  if (sslInfo.hostnameMatch === false) problems.push(`Hostname mismatch: certificate is not valid for ${sslInfo.hostname}`);
+  return problems;
+};
+
+const expiryMessage = (sslInfo, level) => level === 'expired'
+  ? `TLS certificate for ${sslInfo.subject} expired ${-sslInfo.daysRemaining} day(s) ago (${sslInfo.validTo})`
+  : `TLS certificate for ${sslInfo.subject} expires in ${sslInfo.daysRemaining} day(s) (${sslInfo.validTo})`;
+
+// ==================== INVENTORY ====================
+
+// One entry per monitor that has reported a certificate, soonest expiry first.
+// entries: [{ monitor, status }]
+const buildCertificateInventory = (entries, settings = {}) => entries
+  .filter(({ status }) => status?.sslInfo)
+  .map(({ monitor, status }) => {
+    const { sslInfo } = status;
+    const thresholds = certificateThresholds(monitor, settings);
+    return {
+      monitorId: monitor.id,
+      monitorName: monitor.name,
+      monitorType: monitor.type,
+      endpoint: monitor.url || (monitor.host ? `${monitor.host}:${monitor.port || sslInfo.port || 443}` : sslInfo.hostname),
+      subject: sslInfo.subject,
+      issuer: sslInfo.issuer,
+      altNames: sslInfo.altNames || [],
+      serialNumber: sslInfo.serialNumber || null,
+      fingerprint256: sslInfo.fingerprint256 || null,
+      protocol: sslInfo.protocol || null,
+      validFrom: sslInfo.validFrom,
+      validTo: sslInfo.validTo,
+      daysRemaining: sslInfo.daysRemaining,
+      level: certificateLevel(sslInfo, thresholds),
+      thresholds,
+      chainValid: sslInfo.chainValid ?? null,
+      chainError: sslInfo.chainError || null,
+      hostnameMatch: sslInfo.hostnameMatch ?? null,
+      problems: certificateProblems(sslInfo),
+      lastCheck: status.lastCheck
+    };
+  })
+  .sort((a, b) => a.daysRemaining - b.daysRemaining);
+
+// ==================== VALIDATION ====================
+
+// Thresholds of a monitor or the settings; blank values fall back to the next level
+const validateCertificateThresholds = (config) => {
+  const errors = [];
+
+  ['sslWarningDays', 'sslCriticalDays'].forEach(field => {
+    if (isBlank(config[field])) return;
+    const days = Number(config[field]);
+    if (!Number.isInteger(days) || days < 0 || days > MAX_THRESHOLD_DAYS) {
+      errors.push(`${field} must be a whole number of days between 0 and ${MAX_THRESHOLD_DAYS}`);
+    }
+  });
+
+  if (errors.length === 0 && !isBlank(config.sslWarningDays) && !isBlank(config.sslCriticalDays) &&
+      Number(config.sslCriticalDays) >= Number(config.sslWarningDays)) {
+    errors.push('sslCriticalDays must be lower than sslWarningDays');
+  }
+
+  return {
+    valid: errors.length === 0,
+    errors
+  };
+};
+
+module.exports = {
+  CERTIFICATE_LEVELS,
+  LEVEL_SEVERITIES,
+  DEFAULT_WARNING_DAYS,
+  DEFAULT_CRITICAL_DAYS,
+  certificateThresholds,
+  certificateLevel,
+  certificateProblems,
+  expiryMessage,
+  buildCertificateInventory,
+  validateCertificateThresholds
+};
@@ -0,0 +1,166 @@
+// state/commandOutput.js - SSH Command Monitor Rules: Exit Codes, Output Values and Thresholds
+const { evaluateJsonPath, validateAssertions } = require('./httpAssertions');
+const { isBlank } = require('./values');
+
+// How the value compared to the thresholds is read from stdout
+const VALUE_FORMATS = ['number', 'json'];
+
+// "above": higher is worse (disk %, load); "below": lower is worse (free memory, replicas)
+const THRESHOLD_DIRECTIONS = ['above', 'below'];
+
+// Assertions that apply to command output (stdout is the body)
+const OUTPUT_ASSERTION_TYPES = ['regex', 'body', 'jsonPath', 'size', 'responseTime'];
+
+// Output kept on the status for display
+const MAX_OUTPUT_LENGTH = 1000;
+
+const NUMBER_PATTERN = /-?\d+(?:\.\d+)?/;
+
+// ==================== EXIT CODES ====================
+
+// "0" or "0, 1" (also an array); defaults to 0
+const parseExitCodes = (value) => {
+  if (isBlank(value)) return [0];
+  return (Array.isArray(value) ? value : String(value).split(','))
+    .map(code => String(code).trim())
+    .filter(Boolean)
+    .map(Number);
+};
+
+const exitCodeMatches = (exitCode, expected) => parseExitCodes(expected).includes(exitCode);
+
+// ==================== VALUES ====================
+
+// number: the first capture group of sshValuePath (a regex) or the first number in the output;
+// json: the JSONPath sshValuePath of the parsed output. Throws when no number can be read.
+const parseCommandValue = (stdout, { format = 'number', path } = {}) => {
+  let raw;
+  if (format === 'json') {
+    let data;
+    try {
+      data = JSON.parse(stdout);
+    } catch (error) {
+      throw new Error('Output is not valid JSON');
+    }
+    [raw] = evaluateJsonPath(data, path || '$');
+    if (raw === undefined) throw new Error(`${path} not found in output`);
+  } else if (path) {
+    const match = new RegExp(path).exec(stdout);
+    if (!match) throw new Error(`Output does not match ${path}`);
+    raw = match[1] ?? match[0];
+  } else {
+    const match = NUMBER_PATTERN.exec(stdout);
+    if (!match) throw new Error('No number in output');
+    raw = match[0];
+  }
+
+  const value = typeof raw === 'number' ? raw : parseFloat(String(raw).replace(/[^\d.eE+-]/g, ''));
+  if (!Number.isFinite(value)) throw new Error(`Value ${JSON.stringify(raw)} is not a number`);
+  return value;
+};
+
+// ==================== THRESHOLDS ====================
+
+const hasThresholds = (monitor) => !isBlank(monitor.sshWarnThreshold) || !isBlank(monitor.sshCriticalThreshold);
+
+const breaches = (value, threshold, direction) => !isBlank(threshold) &&
+  (direction === 'below' ? value < Number(threshold) : value > Number(threshold));
+
+// 'critical', 'warning' or 'ok'
+const thresholdLevel = (value, monitor) => {
+  const direction = monitor.sshThresholdDirection || 'above';
+  if (breaches(value, monitor.sshCriticalThreshold, direction)) return 'critical';
+  if (breaches(value, monitor.sshWarnThreshold, direction)) return 'warning';
+  return 'ok';
+};
+
+const thresholdMessage = (value, level, monitor) => {
+  const direction = monitor.sshThresholdDirection || 'above';
+  const threshold = level === 'critical' ? monitor.sshCriticalThreshold : monitor.sshWarnThreshold;
+  return `value ${value} ${direction} ${level} threshold ${threshold}`;
+};
+
+const truncateOutput = (text) => text.length > MAX_OUTPUT_LENGTH ? `${text.slice(0, MAX_OUTPUT_LENGTH)}...` : text;
+
+// ==================== ACCESS ====================
+
+const COMMAND_FIELDS = ['sshCommand', 'sshSudo', 'sshSudoPassword'];
+
+// True when creating, testing or updating (existing: the stored monitor) gives control over a remote
+// command: any SSH command monitor, or a change to the command or sudo settings. Running commands
+// is admin-only, and an SSH command monitor runs with its stored credentials wherever it points.
+const controlsRemoteCommand = (data, existing = null) => {
+  if (data.type === 'ssh-command' || existing?.type === 'ssh-command') return true;
+  return COMMAND_FIELDS.some(key => key in data && data[key] !== '***' &&
+    (key === 'sshSudo' ? !!data[key] !== !!existing?.[key] : (data[key] || null) !== (existing?.[key] || null)));
+};
+
+// ==================== VALIDATION ====================
+
+const validateCommandConfig = (config) => {
+  const errors = [];
+
+  if (!config.host) errors.push('Host is required');
+  if (!config.username) errors.push('Username is required');
+  if (!config.password && !config.privateKey) errors.push('Password or private key is required');
+  if (!config.sshCommand || !String(config.sshCommand).trim()) errors.push('Command is required for SSH command monitors');
+
+  if (parseExitCodes(config.sshExpectedExitCodes).some(code => !Number.isInteger(code) || code < 0 || code > 255)) {
+    errors.push('Expected exit codes must be numbers between 0 and 255, e.g. "0, 1"');
+  }
+
+  const format = config.sshValueFormat || 'number';
+  if (!VALUE_FORMATS.includes(format)) {
+    errors.push(`Value format must be one of: ${VALUE_FORMATS.join(', ')}`);
+  } else if (!isBlank(config.sshValuePath)) {
+    try {
+      if (format === 'json') evaluateJsonPath(null, config.sshValuePath);
+      else new RegExp(config.sshValuePath);
+    } catch (error) {
+      errors.push(format === 'json' ? `Value path: ${error.message}` : 'Value pattern is not a valid regular expression');
+    }
+  }
+
+  ['sshWarnThreshold', 'sshCriticalThreshold'].forEach(field => {
+    if (!isBlank(config[field]) && !Number.isFinite(Number(config[field]))) {
+      errors.push(`${field} must be a number`);
+    }
+  });
+  const direction = config.sshThresholdDirection || 'above';
+  if (!THRESHOLD_DIRECTIONS.includes(direction)) {
+    errors.push(`Threshold direction must be one of: ${THRESHOLD_DIRECTIONS.join(', ')}`);
+  } else if (errors.length === 0 && !isBlank(config.sshWarnThreshold) && !isBlank(config.sshCriticalThreshold)) {
+    const warn = Number(config.sshWarnThreshold);
+    const critical = Number(config.sshCriticalThreshold);
+    if (direction === 'above' ? critical < warn : critical > warn) {
+      errors.push(`sshCriticalThreshold must be ${direction === 'above' ? 'at or above' : 'at or below'} sshWarnThreshold`);
+    }
+  }
+
+  errors.push(...validateAssertions(config.assertions).errors);
+  (Array.isArray(config.assertions) ? config.assertions : []).forEach((assertion, i) => {
+    if (assertion && !OUTPUT_ASSERTION_TYPES.includes(assertion.type)) {
+      errors.push(`Assertion ${i + 1}: command output supports ${OUTPUT_ASSERTION_TYPES.join(', ')}`);
+    }
+  });
+
+  return {
+    valid: errors.length === 0,
+    errors
+  };
+};
+
+module.exports = {
+  VALUE_FORMATS,
+  THRESHOLD_DIRECTIONS,
+  OUTPUT_ASSERTION_TYPES,
+  exitCodeMatches,
+  parseExitCodes,
+  parseCommandValue,
+  hasThresholds,
+  thresholdLevel,
+  thresholdMessage,
+  truncateOutput,
+  controlsRemoteCommand,
+  validateCommandConfig
+};
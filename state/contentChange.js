@@ -0,0 +1,214 @@
+// state/contentChange.js - Web Page Change Detection: Text Extraction, Hashing and Line Diffs
+const crypto = require('crypto');
+const { isBlank } = require('./values');
+
+// Text kept per snapshot; longer pages are compared on their beginning only
+const MAX_TEXT_LENGTH = 200000;
+
+// Memory budget of a diff (trace entries); beyond it the changed lines are listed without alignment
+const MAX_DIFF_CELLS = 4000000;
+
+// Unchanged lines shown around each change in a diff
+const DIFF_CONTEXT_LINES = 3;
+
+const BLOCK_TAGS = 'address|article|aside|blockquote|br|dd|div|dl|dt|fieldset|figcaption|figure|footer|form|h[1-6]|header|hr|li|main|nav|ol|p|pre|section|table|tbody|td|th|thead|tr|ul';
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+// "a\nb" or ["a", "b"] -> ["a", "b"]
+const parseList = (value) => (Array.isArray(value) ? value : String(value ?? '').split('\n'))
+  .map(item => String(item).trim())
+  .filter(Boolean);
+
+// ==================== TEXT ====================
+
+const decodeEntities = (text) => text.replace(/&(#x[\da-f]+|#\d+|[a-z]+);/gi, (entity, name) => {
+  if (name[0] === '#') {
+    const code = name[1].toLowerCase() === 'x' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+    return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : entity;
+  }
+  return ENTITIES[name.toLowerCase()] ?? entity;
+});
+
+const looksLikeHtml = (body, contentType) => /html|xml/i.test(contentType || '') || /^\s*<(!doctype|html|head|body)\b/i.test(body);
+
+// Visible text of a page, one block per line: scripts, styles and markup are dropped so that
+// changes to asset URLs or attributes don't count as content changes
+const extractText = (body, contentType) => {
+  let text = String(body || '');
+  if (looksLikeHtml(text, contentType)) {
+    text = text
+      .replace(/<!--[\s\S]*?-->/g, '')
+      .replace(/<(script|style|noscript|template|svg)\b[\s\S]*?<\/\1\s*>/gi, '')
+      .replace(new RegExp(`<\\/?(?:${BLOCK_TAGS})\\b[^>]*>`, 'gi'), '\n')
+      .replace(/<[^>]*>/g, '');
+    text = decodeEntities(text);
+  }
+  return text
+    .split(/\r?\n/)
+    .map(line => line.replace(/\s+/g, ' ').trim())
+    .filter(Boolean)
+    .join('\n')
+    .slice(0, MAX_TEXT_LENGTH);
+};
+
+// Dynamic parts (dates, counters, CSRF tokens) removed before comparing
+const stripIgnored = (text, patterns) => parseList(patterns).reduce(
+  (result, pattern) => result.replace(new RegExp(pattern, 'g'), ''),
+  text
+).split('\n').map(line => line.trim()).filter(Boolean).join('\n');
+
+const hashText = (text) => crypto.createHash('sha256').update(text).digest('hex');
+
+// What a check records: the compared text and its hash
+const contentSnapshot = (body, contentType, monitor) => {
+  const text = stripIgnored(extractText(body, contentType), monitor.contentIgnorePatterns);
+  return { hash: hashText(text), text };
+};
+
+// ==================== DIFF ====================
+
+// Shortest edit script between two line lists (Myers' O(ND) algorithm), or null when it needs more
+// edits than the trace memory allows
+const shortestEdit = (a, b) => {
+  const max = a.length + b.length;
+  const offset = max + 1;
+  const maxEdits = Math.min(max, Math.floor(MAX_DIFF_CELLS / (2 * max + 3)));
+  const v = new Int32Array(2 * max + 3);
+  const trace = [];
+
+  for (let d = 0; d <= maxEdits; d++) {
+    trace.push(v.slice());
+    for (let k = -d; k <= d; k += 2) {
+      let x = k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])
+        ? v[offset + k + 1]
+        : v[offset + k - 1] + 1;
+      let y = x - k;
+      while (x < a.length && y < b.length && a[x] === b[y]) {
+        x++;
+        y++;
+      }
+      v[offset + k] = x;
+      if (x >= a.length && y >= b.length) return backtrack(a, b, trace, offset);
+    }
+  }
+  return null;
+};
+
+const backtrack = (a, b, trace, offset) => {
+  const lines = [];
+  let x = a.length;
+  let y = b.length;
+  for (let d = trace.length - 1; d >= 0; d--) {
+    const v = trace[d];
+    const k = x - y;
+    const previousK = k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1]) ? k + 1 : k - 1;
+    const previousX = v[offset + previousK];
+    const previousY = previousX - previousK;
+    while (x > previousX && y > previousY) {
+      lines.push({ op: ' ', text: a[--x] });
+      y--;
+    }
+    if (d > 0) {
+      if (x === previousX) lines.push({ op: '+', text: b[--y] });
+      else lines.push({ op: '-', text: a[--x] });
+    }
+  }
+  return lines.reverse();
+};
+
+// Line diff as [{ op: ' ' | '-' | '+', text }]; when the texts are too different to align within
+// MAX_DIFF_CELLS the changed middle is listed as removed, then added
+const diffLines = (before, after) => {
+  const a = before ? before.split('\n') : [];
+  const b = after ? after.split('\n') : [];
+
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const midA = a.slice(start, endA);
+  const midB = b.slice(start, endB);
+  const middle = shortestEdit(midA, midB) || [
+    ...midA.map(text => ({ op: '-', text })),
+    ...midB.map(text => ({ op: '+', text }))
+  ];
+
+  return [
+    ...a.slice(0, start).map(text => ({ op: ' ', text })),
+    ...middle,
+    ...a.slice(endA).map(text => ({ op: ' ', text }))
+  ];
+};
+
+const diffStats = (lines) => ({
+  added: lines.filter(line => line.op === '+').length,
+  removed: lines.filter(line => line.op === '-').length
+});
+
+// Changed lines with DIFF_CONTEXT_LINES of context; longer unchanged runs become { op: '@', skipped }
+const diffHunks = (lines, context = DIFF_CONTEXT_LINES) => {
+  const keep = lines.map(() => false);
+  lines.forEach((line, index) => {
+    if (line.op === ' ') return;
+    for (let k = Math.max(0, index - context); k <= Math.min(lines.length - 1, index + context); k++) keep[k] = true;
+  });
+
+  const hunks = [];
+  let skipped = 0;
+  lines.forEach((line, index) => {
+    if (keep[index]) {
+      if (skipped) hunks.push({ op: '@', skipped });
+      skipped = 0;
+      hunks.push(line);
+    } else {
+      skipped++;
+    }
+  });
+  if (skipped) hunks.push({ op: '@', skipped });
+  return hunks;
+};
+
+// ==================== VALIDATION ====================
+
+const validateContentConfig = (config) => {
+  const errors = [];
+
+  if (!isBlank(config.negativeKeywords) && !Array.isArray(config.negativeKeywords) && typeof config.negativeKeywords !== 'string') {
+    errors.push('negativeKeywords must be a list of strings');
+  }
+  if (!isBlank(config.contentIgnorePatterns)) {
+    if (!Array.isArray(config.contentIgnorePatterns) && typeof config.contentIgnorePatterns !== 'string') {
+      errors.push('contentIgnorePatterns must be a list of regular expressions');
+    } else {
+      parseList(config.contentIgnorePatterns).forEach(pattern => {
+        try {
+          new RegExp(pattern, 'g');
+        } catch (error) {
+          errors.push(`Content ignore pattern "${pattern}" is not a valid regular expression`);
+        }
+      });
+    }
+  }
+
+  return {
+    valid: errors.length === 0,
+    errors
+  };
+};
+
+module.exports = {
+  parseList,
+  extractText,
+  hashText,
+  contentSnapshot,
+  diffLines,
+  diffStats,
+  diffHunks,
+  validateContentConfig
+};
@@ -0,0 +1,120 @@
+// state/databaseChecks.js - Database Monitor Rules: Defaults, Commands and Result Documents
+const { validateAssertions } = require('./httpAssertions');
+
+const DATABASE_TYPES = ['postgres', 'mysql', 'redis', 'mongodb'];
+
+const DEFAULT_PORTS = { postgres: 5432, mysql: 3306, redis: 6379, mongodb: 27017 };
+
+// Run when a monitor has no dbQuery: cheap round trips that need no schema
+const DEFAULT_QUERIES = { postgres: 'SELECT 1', mysql: 'SELECT 1', redis: 'PING', mongodb: '{"ping": 1}' };
+
+const DATABASE_NAMES = { postgres: 'PostgreSQL', mysql: 'MySQL', redis: 'Redis', mongodb: 'MongoDB' };
+
+// Assertions that make sense on a query result (it is exposed as a JSON document)
+const RESULT_ASSERTION_TYPES = ['jsonPath', 'regex', 'body', 'size', 'responseTime'];
+
+const databaseQuery = (monitor) => monitor.dbQuery || DEFAULT_QUERIES[monitor.type];
+
+// ==================== COMMANDS ====================
+
+// Redis commands as typed in redis-cli: words separated by spaces, quotes group words
+const parseRedisCommand = (command) => {
+  const words = [];
+  const pattern = /"((?:[^"\\]|\\.)*)"|'([^']*)'|(\S+)/g;
+  let match;
+  while ((match = pattern.exec(String(command))) !== null) {
+    words.push(match[1] !== undefined ? match[1].replace(/\\(.)/g, '$1') : match[2] ?? match[3]);
+  }
+  if (words.length === 0) throw new Error('Redis command is empty');
+  return words;
+};
+
+// MongoDB commands are a JSON document run against the database, e.g. {"ping": 1}
+const parseMongoCommand = (command) => {
+  let document;
+  try {
+    document = JSON.parse(command);
+  } catch (error) {
+    throw new Error('MongoDB command must be a JSON document, e.g. {"ping": 1}');
+  }
+  if (!document || typeof document !== 'object' || Array.isArray(document) || Object.keys(document).length === 0) {
+    throw new Error('MongoDB command must be a JSON document, e.g. {"ping": 1}');
+  }
+  return document;
+};
+
+// ==================== RESULTS ====================
+
+// Assertions see SQL results as { rows, rowCount } and Redis/MongoDB replies as { result }
+const resultDocument = (type, result) => {
+  if (type === 'postgres' || type === 'mysql') {
+    return { rows: result.rows, rowCount: result.rowCount };
+  }
+  return { result };
+};
+
+// Buffers (Redis binary replies), BigInts and driver types become plain JSON
+const serializeResult = (document) => JSON.stringify(document, (key, value) => {
+  if (typeof value === 'bigint') return value.toString();
+  if (value && value.type === 'Buffer' && Array.isArray(value.data)) return Buffer.from(value.data).toString();
+  return value;
+});
+
+const describeResult = (type, document) => {
+  if (type === 'postgres' || type === 'mysql') return `${document.rowCount ?? 0} row(s)`;
+  const text = serializeResult(document.result) ?? 'null';
+  return text.length > 60 ? `${text.slice(0, 57)}...` : text;
+};
+
+// ==================== VALIDATION ====================
+
+const validateDatabaseConfig = (config) => {
+  const errors = [];
+  const type = config.type?.toLowerCase();
+  const name = DATABASE_NAMES[type];
+
+  if (!config.host) errors.push(`Host is required for ${name} monitors`);
+  if (config.port !== undefined && config.port !== null && config.port !== '' &&
+      (!Number.isInteger(Number(config.port)) || Number(config.port) < 1 || Number(config.port) > 65535)) {
+    errors.push('Port must be between 1 and 65535');
+  }
+
+  if (config.dbQuery) {
+    try {
+      if (type === 'redis') parseRedisCommand(config.dbQuery);
+      if (type === 'mongodb') parseMongoCommand(config.dbQuery);
+    } catch (error) {
+      errors.push(error.message);
+    }
+  }
+  if (type === 'redis' && config.database !== undefined && config.database !== null && config.database !== '' &&
+      !(Number.isInteger(Number(config.database)) && Number(config.database) >= 0)) {
+    errors.push('Redis database must be a database number');
+  }
+
+  errors.push(...validateAssertions(config.assertions).errors);
+  (Array.isArray(config.assertions) ? config.assertions : []).forEach((assertion, i) => {
+    if (assertion && !RESULT_ASSERTION_TYPES.includes(assertion.type)) {
+      errors.push(`Assertion ${i + 1}: ${name} results support ${RESULT_ASSERTION_TYPES.join(', ')}`);
+    }
+  });
+
+  return {
+    valid: errors.length === 0,
+    errors
+  };
+};
+
+module.exports = {
+  DATABASE_TYPES,
+  DEFAULT_PORTS,
+  DATABASE_NAMES,
+  RESULT_ASSERTION_TYPES,
+  databaseQuery,
+  parseRedisCommand,
+  parseMongoCommand,
+  resultDocument,
+  serializeResult,
+  describeResult,
+  validateDatabaseConfig
+};
@@ -0,0 +1,179 @@
+// state/dependencies.js - Monitor/Application Dependency Graph and Root-cause Evaluation
+const DEPENDENCY_TYPES = ['monitor', 'application'];
+
+// Pseudo-parent used when the server itself loses connectivity
+const NETWORK_ROOT = { type: 'network', id: 'NETWORK', name: 'Network' };
+
+// ==================== REFERENCES ====================
+
+const nodeKey = (ref) => `${ref.type}:${ref.id}`;
+
+// Accepts [{ type, id }]; drops malformed entries and duplicates
+const normalizeDependencies = (dependencies) => {
+  const seen = new Set();
+  return (Array.isArray(dependencies) ? dependencies : [])
+    .filter(d => d && DEPENDENCY_TYPES.includes(d.type) && d.id)
+    .map(d => ({ type: d.type, id: String(d.id) }))
+    .filter(d => !seen.has(nodeKey(d)) && seen.add(nodeKey(d)));
+};
+
+const lookup = (ref, { monitors, applications }) =>
+  ref.type === 'monitor' ? monitors.get(ref.id) : applications.get(ref.id);
+
+// ==================== GRAPH ====================
+
+// Direct parents of a node; monitors also inherit the dependencies of their application
+const getParents = (ref, ctx) => {
+  const entity = lookup(ref, ctx);
+  if (!entity) return [];
+  const own = normalizeDependencies(entity.dependencies);
+  if (ref.type !== 'monitor' || !entity.applicationId) return own;
+
+  // An application may depend on one of its own monitors; that monitor doesn't inherit a dependency on itself
+  const app = ctx.applications.get(entity.applicationId);
+  const ownKeys = new Set(own.map(nodeKey));
+  const inherited = normalizeDependencies(app?.dependencies)
+    .filter(d => !ownKeys.has(nodeKey(d)) && nodeKey(d) !== nodeKey(ref))
+    .map(d => ({ ...d, inheritedFrom: app.id }));
+  return [...own, ...inherited];
+};
+
+// What a node's state depends on: its parents, and for applications also their member monitors
+const getUpstream = (ref, ctx) => {
+  const upstream = getParents(ref, ctx);
+  if (ref.type === 'application') {
+    const app = ctx.applications.get(ref.id);
+    (app?.monitorIds || []).forEach(id => upstream.push({ type: 'monitor', id }));
+  }
+  return upstream;
+};
+
+// True if `target` is reachable from `start` by following upstream edges
+const reaches = (start, target, ctx, visited = new Set()) => {
+  const key = nodeKey(start);
+  if (key === nodeKey(target)) return true;
+  if (visited.has(key)) return false;
+  visited.add(key);
+  return getUpstream(start, ctx).some(next => reaches(next, target, ctx, visited));
+};
+
+// Nodes whose effective parents include `ref`
+const getChildren = (ref, ctx) => {
+  const children = [];
+  const key = nodeKey(ref);
+  ctx.monitors.forEach(m => {
+    if (getParents({ type: 'monitor', id: m.id }, ctx).some(p => nodeKey(p) === key)) {
+      children.push({ type: 'monitor', id: m.id });
+    }
+  });
+  ctx.applications.forEach(a => {
+    if (getParents({ type: 'application', id: a.id }, ctx).some(p => nodeKey(p) === key)) {
+      children.push({ type: 'application', id: a.id });
+    }
+  });
+  return children;
+};
+
+// Nodes and edges for the dashboard: 'depends' edges point from child to parent, 'member' edges from monitor to application
+const buildGraph = (ctx) => {
+  const nodes = [];
+  const edges = [];
+
+  ctx.applications.forEach(app => {
+    nodes.push({ key: nodeKey({ type: 'application', id: app.id }), type: 'application', id: app.id, name: app.name });
+    normalizeDependencies(app.dependencies).forEach(d => {
+      edges.push({ from: nodeKey({ type: 'application', id: app.id }), to: nodeKey(d), kind: 'depends' });
+    });
+  });
+  ctx.monitors.forEach(monitor => {
+    const key = nodeKey({ type: 'monitor', id: monitor.id });
+    nodes.push({ key, type: 'monitor', id: monitor.id, name: monitor.name, status: ctx.statuses.get(monitor.id)?.status || 'PENDING' });
+    normalizeDependencies(monitor.dependencies).forEach(d => edges.push({ from: key, to: nodeKey(d), kind: 'depends' }));
+    if (monitor.applicationId && ctx.applications.has(monitor.applicationId)) {
+      edges.push({ from: key, to: nodeKey({ type: 'application', id: monitor.applicationId }), kind: 'member' });
+    }
+  });
+
+  return { nodes, edges };
+};
+
+// ==================== ROOT CAUSE ====================
+
+const describe = (ref, ctx) => ({ type: ref.type, id: ref.id, name: lookup(ref, ctx)?.name || ref.id });
+
+// Parent state as seen by a failing child: 'down' (root cause known), 'pending' (parent still retrying) or null
+const parentState = (monitorId, ctx) => {
+  const status = ctx.statuses.get(monitorId);
+  // A disabled parent keeps its last status; it no longer explains anything
+  if (!status || ctx.monitors.get(monitorId)?.enabled === false) return null;
+  const ref = { type: 'monitor', id: monitorId };
+  if (status.status === 'DOWN') return { state: 'down', rootCause: describe(ref, ctx) };
+  if (status.status === 'UNREACHABLE') return { state: 'down', rootCause: status.rootCause || describe(ref, ctx) };
+  if (status.status === 'PENDING' && status.retry) return { state: 'pending', rootCause: describe(ref, ctx) };
+  return null;
+};
+
+// The parent explaining a failure of `monitorId`, preferring one that is confirmed down.
+// An application parent is down when any of its member monitors is (the child itself excluded).
+const findBlockingParent = (monitorId, ctx) => {
+  let pending = null;
+  for (const parent of getParents({ type: 'monitor', id: monitorId }, ctx)) {
+    const candidates = parent.type === 'monitor'
+      ? [parent.id]
+      : (ctx.applications.get(parent.id)?.monitorIds || []).filter(id => id !== monitorId);
+
+    for (const id of candidates) {
+      const found = parentState(id, ctx);
+      if (!found) continue;
+      const result = { ...found, parent: describe(parent, ctx) };
+      if (found.state === 'down') return result;
+      pending = pending || result;
+    }
+  }
+  return pending;
+};
+
+// ==================== VALIDATION ====================
+
+// ref is the entity being saved ({ type, id }, id null for new entities); ctx must already contain the
+// proposed version of it so inherited dependencies (a monitor's application) are checked for cycles too
+const validateDependencies = (ref, dependencies, ctx) => {
+  const errors = [];
+
+  if (dependencies !== undefined && dependencies !== null && !Array.isArray(dependencies)) {
+    errors.push('Dependencies must be a list of { type, id }');
+  } else {
+    (dependencies || []).forEach(d => {
+      if (!d || !DEPENDENCY_TYPES.includes(d.type) || !d.id) {
+        errors.push(`Dependency type must be one of: ${DEPENDENCY_TYPES.join(', ')}, with an id`);
+      } else if (!lookup(d, ctx)) {
+        errors.push(`Dependency ${d.type} ${d.id} not found`);
+      } else if (ref.id && d.type === ref.type && d.id === ref.id) {
+        errors.push('An entity cannot depend on itself');
+      }
+    });
+  }
+
+  if (errors.length === 0 && ref.id) {
+    getParents(ref, ctx)
+      .filter(p => lookup(p, ctx) && !(p.type === ref.type && p.id === ref.id) && reaches(p, ref, ctx))
+      .forEach(p => errors.push(`Depending on ${p.type} "${lookup(p, ctx).name}" would create a cycle`));
+  }
+
+  return {
+    valid: errors.length === 0,
+    errors
+  };
+};
+
+module.exports = {
+  DEPENDENCY_TYPES,
+  NETWORK_ROOT,
+  nodeKey,
+  normalizeDependencies,
+  getParents,
+  getChildren,
+  buildGraph,
+  findBlockingParent,
+  validateDependencies
+};
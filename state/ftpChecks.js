@@ -0,0 +1,62 @@
+// state/ftpChecks.js - FTP Monitor Rules: Security Modes, Remote Paths, Probe Files and Validation
+const crypto = require('crypto');
+const path = require('path');
+const { isBlank } = require('./values');
+
+// none: plain FTP; explicit: AUTH TLS after connecting (FTPES); implicit: TLS from the start (FTPS, port 990)
+const FTP_SECURITY_MODES = ['none', 'explicit', 'implicit'];
+
+const DEFAULT_PORTS = { none: 21, explicit: 21, implicit: 990 };
+
+// Files uploaded by round trips start with this prefix, so leftovers are easy to spot
+const PROBE_PREFIX = '.pulse-probe-';
+
+const ftpPort = (security, port) => Number(port) || DEFAULT_PORTS[security || 'none'];
+
+// "/pub/data/export.csv" -> { directory: '/pub/data', name: 'export.csv' }; relative paths stay
+// relative to the login directory
+const splitRemotePath = (remotePath) => {
+  const normalized = path.posix.normalize(String(remotePath).trim());
+  return { directory: path.posix.dirname(normalized), name: path.posix.basename(normalized) };
+};
+
+// Path of a probe file in the directory (default: the login directory)
+const probePath = (directory) => {
+  const name = `${PROBE_PREFIX}${crypto.randomBytes(8).toString('hex')}.txt`;
+  return isBlank(directory) ? name : path.posix.join(directory, name);
+};
+
+const probeContent = () => `Pulse Monitor FTP round trip ${new Date().toISOString()} ${crypto.randomBytes(16).toString('hex')}\n`;
+
+// ==================== VALIDATION ====================
+
+const validateFtpConfig = (config) => {
+  const errors = [];
+
+  if (!config.host) errors.push('Host is required for FTP monitors');
+  if (!isBlank(config.port) && (!Number.isInteger(Number(config.port)) || Number(config.port) < 1 || Number(config.port) > 65535)) {
+    errors.push('Port must be between 1 and 65535');
+  }
+  if (!FTP_SECURITY_MODES.includes(config.ftpSecurity || 'none')) {
+    errors.push(`FTP security must be one of: ${FTP_SECURITY_MODES.join(', ')}`);
+  }
+  if (!isBlank(config.ftpFile) && /\/$/.test(String(config.ftpFile).trim())) {
+    errors.push('ftpFile must be a file path, not a directory');
+  }
+
+  return {
+    valid: errors.length === 0,
+    errors
+  };
+};
+
+module.exports = {
+  FTP_SECURITY_MODES,
+  DEFAULT_PORTS,
+  PROBE_PREFIX,
+  ftpPort,
+  splitRemotePath,
+  probePath,
+  probeContent,
+  validateFtpConfig
+};
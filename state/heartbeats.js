@@ -0,0 +1,178 @@
+// state/heartbeats.js - Push Monitor Rules: Heartbeat Events, Deadlines and Run Durations
+const crypto = require('crypto');
+const cronParser = require('cron-parser');
+const { toMillis, isBlank } = require('./values');
+
+// What a job reports: finished OK, failed, or started (opens a run whose duration is tracked)
+const PUSH_EVENTS = ['success', 'fail', 'start'];
+
+// Accepted spellings of ?status= and the /:event path segment
+const EVENT_ALIASES = {
+  success: 'success', up: 'success', ok: 'success',
+  fail: 'fail', down: 'fail', failure: 'fail', error: 'fail',
+  start: 'start', started: 'start', running: 'start'
+};
+
+const DEFAULT_GRACE_SECONDS = 60;
+const MIN_PERIOD_SECONDS = 10;
+const MAX_MESSAGE_LENGTH = 500;
+
+const generatePushToken = () => crypto.randomBytes(24).toString('base64url');
+
+const normalizeEvent = (value) => EVENT_ALIASES[String(value || 'success').toLowerCase()] || null;
+
+// ==================== DEADLINES ====================
+
+const graceMs = (monitor) => (isBlank(monitor.pushGrace) ? DEFAULT_GRACE_SECONDS : Number(monitor.pushGrace)) * 1000;
+
+// The next heartbeat is due one period after the last one, or for a cron schedule at the first
+// scheduled run after it; until the first heartbeat, counting starts when monitoring did (`since`).
+// Grace covers the job's own run time and clock skew.
+const heartbeatDeadline = (monitor, heartbeat, since) => {
+  const from = toMillis(heartbeat?.lastPingAt) ?? since;
+  if (monitor.pushCron) {
+    const interval = cronParser.parseExpression(monitor.pushCron, {
+      currentDate: new Date(from),
+      tz: monitor.pushTimezone || undefined
+    });
+    return interval.next().toDate().getTime() + graceMs(monitor);
+  }
+  return from + Number(monitor.pushPeriod) * 1000 + graceMs(monitor);
+};
+
+const formatDuration = (ms) => {
+  const seconds = Math.round(ms / 1000);
+  if (seconds < 120) return `${seconds}s`;
+  if (seconds < 7200) return `${Math.round(seconds / 60)} min`;
+  if (seconds < 172800) return `${Math.round(seconds / 3600)} h`;
+  return `${Math.round(seconds / 86400)} days`;
+};
+
+const expectation = (monitor) => monitor.pushCron
+  ? `cron ${monitor.pushCron}${monitor.pushTimezone ? ` ${monitor.pushTimezone}` : ''}`
+  : `every ${formatDuration(Number(monitor.pushPeriod) * 1000)}`;
+
+// ==================== EVALUATION ====================
+
+// Result of a scheduled check: DOWN when a run is overdue, still running past pushMaxDuration
+// or the last heartbeat reported a failure; PENDING while waiting for the first heartbeat
+const evaluateHeartbeat = (monitor, heartbeat, now, since) => {
+  const base = { responseTime: heartbeat?.lastDurationMs ?? null };
+  const startedAt = toMillis(heartbeat?.startedAt);
+  const maxDurationMs = isBlank(monitor.pushMaxDuration) ? null : Number(monitor.pushMaxDuration) * 1000;
+
+  if (startedAt !== null && maxDurationMs !== null && now - startedAt > maxDurationMs) {
+    return {
+      ...base,
+      status: 'DOWN',
+      message: `Run started ${formatDuration(now - startedAt)} ago has not finished (max ${formatDuration(maxDurationMs)})`
+    };
+  }
+
+  if (heartbeat?.lastEvent === 'fail') {
+    return {
+      ...base,
+      status: 'DOWN',
+      message: `Job reported failure${heartbeat.lastMessage ? `: ${heartbeat.lastMessage}` : ''}`
+    };
+  }
+
+  const deadline = heartbeatDeadline(monitor, heartbeat, since);
+  const lastPingAt = toMillis(heartbeat?.lastPingAt);
+  if (now > deadline) {
+    return {
+      ...base,
+      status: 'DOWN',
+      message: lastPingAt !== null
+        ? `No heartbeat for ${formatDuration(now - lastPingAt)} (expected ${expectation(monitor)})`
+        : `No heartbeat received (expected ${expectation(monitor)})`
+    };
+  }
+
+  if (lastPingAt === null) {
+    return {
+      ...base,
+      status: 'PENDING',
+      message: `Waiting for the first heartbeat (due by ${new Date(deadline).toISOString()})`
+    };
+  }
+
+  return {
+    ...base,
+    status: 'UP',
+    message: `Last heartbeat ${formatDuration(now - lastPingAt)} ago${heartbeat.lastMessage ? `: ${heartbeat.lastMessage}` : ''}`
+  };
+};
+
+// Result recorded when a success or fail heartbeat arrives. The run duration is the reported one
+// (seconds), otherwise the time since the matching start event.
+const heartbeatResult = (event, { message, duration } = {}, previous, now) => {
+  const startedAt = toMillis(previous?.startedAt);
+  const durationMs = !isBlank(duration) && Number.isFinite(Number(duration))
+    ? Math.round(Number(duration) * 1000)
+    : startedAt !== null ? now - startedAt : null;
+  const text = isBlank(message) ? null : String(message).slice(0, MAX_MESSAGE_LENGTH);
+
+  return {
+    status: event === 'fail' ? 'DOWN' : 'UP',
+    responseTime: durationMs,
+    message: event === 'fail'
+      ? `Job reported failure${text ? `: ${text}` : ''}`
+      : `Heartbeat received${text ? `: ${text}` : ''}`,
+    heartbeatEvent: event,
+    heartbeat: {
+      lastPingAt: new Date(now).toISOString(),
+      lastEvent: event,
+      lastMessage: text,
+      lastDurationMs: durationMs,
+      startedAt: null,
+      pings: (previous?.pings || 0) + 1
+    }
+  };
+};
+
+// ==================== VALIDATION ====================
+
+const validatePushConfig = (config) => {
+  const errors = [];
+
+  if (isBlank(config.pushPeriod) && isBlank(config.pushCron)) {
+    errors.push('Push monitors need a period (pushPeriod) or a cron expression (pushCron)');
+  }
+  if (!isBlank(config.pushPeriod) && !isBlank(config.pushCron)) {
+    errors.push('Use either pushPeriod or pushCron, not both');
+  }
+  if (!isBlank(config.pushPeriod) &&
+      (!Number.isFinite(Number(config.pushPeriod)) || Number(config.pushPeriod) < MIN_PERIOD_SECONDS)) {
+    errors.push(`pushPeriod must be at least ${MIN_PERIOD_SECONDS} seconds`);
+  }
+  if (!isBlank(config.pushCron)) {
+    try {
+      cronParser.parseExpression(config.pushCron, { tz: config.pushTimezone || undefined });
+    } catch (error) {
+      errors.push(`Invalid cron expression: ${error.message}`);
+    }
+  }
+  if (!isBlank(config.pushGrace) && !(Number(config.pushGrace) >= 0)) {
+    errors.push('pushGrace must be a number of seconds (0 or more)');
+  }
+  if (!isBlank(config.pushMaxDuration) && !(Number(config.pushMaxDuration) > 0)) {
+    errors.push('pushMaxDuration must be a positive number of seconds');
+  }
+
+  return {
+    valid: errors.length === 0,
+    errors
+  };
+};
+
+module.exports = {
+  PUSH_EVENTS,
+  DEFAULT_GRACE_SECONDS,
+  generatePushToken,
+  normalizeEvent,
+  heartbeatDeadline,
+  evaluateHeartbeat,
+  heartbeatResult,
+  validatePushConfig
+};
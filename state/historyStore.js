@@ -0,0 +1,413 @@
+// state/historyStore.js - Append-only Time-Series Storage for Check Results
+const fs = require('fs');
+const path = require('path');
+const { toMillis } = require('./values');
+
+const HISTORY_DIR = path.join(process.env.PULSE_DATA_DIR || path.join(__dirname, '..', 'data'), 'history');
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+// Supported resolutions: raw samples plus three rollup levels
+const RESOLUTIONS = ['raw', '1m', '1h', '1d'];
+const ROLLUP_RESOLUTIONS = ['1m', '1h', '1d'];
+const BUCKET_SIZES = { '1m': MINUTE, '1h': HOUR, '1d': DAY };
+
+// Default retention per resolution (days)
+const DEFAULT_RETENTION_DAYS = { raw: 7, '1m': 30, '1h': 365, '1d': 1825 };
+
+// Statuses left out of uptime and response time figures: planned work, failures still being retried
+// and checks cut off by a failed dependency (its incident carries the downtime). FLAPPING counts
+// against uptime.
+const EXCLUDED_STATUSES = ['MAINTENANCE', 'PENDING', 'UNREACHABLE'];
+
+// Response time histogram bounds (ms); the last slot counts everything above
+const LATENCY_BUCKETS = [50, 100, 250, 500, 1000, 2500, 5000, 10000];
+
+// Open (not yet complete) rollup buckets per monitor: monitorId -> { '1m': bucket, ... }
+const openBuckets = new Map();
+const dirtyMonitors = new Set();
+
+// ==================== HELPERS ====================
+
+const ensureDir = (dir) => {
+  if (!fs.existsSync(dir)) {
+    fs.mkdirSync(dir, { recursive: true });
+  }
+};
+
+const monitorDir = (monitorId) => path.join(HISTORY_DIR, String(monitorId).replace(/[^a-zA-Z0-9_-]/g, '_'));
+
+// Partition key for a timestamp: daily files for raw/1m, monthly for 1h, yearly for 1d
+const partitionKey = (resolution, t) => {
+  const iso = new Date(t).toISOString();
+  if (resolution === '1h') return iso.slice(0, 7);
+  if (resolution === '1d') return iso.slice(0, 4);
+  return iso.slice(0, 10);
+};
+
+// Start and end (exclusive) of the period a partition key covers
+const partitionRange = (resolution, key) => {
+  if (resolution === '1h') {
+    const [y, m] = key.split('-').map(Number);
+    return [Date.UTC(y, m - 1, 1), Date.UTC(y, m, 1)];
+  }
+  if (resolution === '1d') {
+    const y = Number(key);
+    return [Date.UTC(y, 0, 1), Date.UTC(y + 1, 0, 1)];
+  }
+  const start = new Date(`${key}T00:00:00.000Z`).getTime();
+  return [start, start + DAY];
+};
+
+const partitionFile = (monitorId, resolution, key) =>
+  path.join(monitorDir(monitorId), resolution, `${key}.jsonl`);
+
+// Keys of the partition files that exist and overlap [from, to], oldest first. Listing the
+// directory keeps long spans cheap: a range of years costs one readdir, not a probe per day.
+const partitionKeysBetween = (monitorId, resolution, from, to) => {
+  const dir = path.join(monitorDir(monitorId), resolution);
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir)
+    .filter(file => file.endsWith('.jsonl'))
+    .map(file => file.slice(0, -'.jsonl'.length))
+    .filter(key => {
+      const [start, end] = partitionRange(resolution, key);
+      return end > from && start <= to;
+    })
+    .sort();
+};
+
+const appendLine = (monitorId, resolution, t, record) => {
+  const file = partitionFile(monitorId, resolution, partitionKey(resolution, t));
+  ensureDir(path.dirname(file));
+  fs.appendFileSync(file, JSON.stringify(record) + '\n');
+};
+
+const readLines = (file) => {
+  if (!fs.existsSync(file)) return [];
+  return fs.readFileSync(file, 'utf8')
+    .split('\n')
+    .filter(Boolean)
+    .map(line => {
+      try {
+        return JSON.parse(line);
+      } catch (error) {
+        return null;
+      }
+    })
+    .filter(Boolean);
+};
+
+// ==================== ROLLUP BUCKETS ====================
+
+const createBucket = (resolution, start) => ({
+  timestamp: new Date(start).toISOString(),
+  resolution,
+  count: 0,
+  statuses: {},
+  responseTime: createTiming(),
+  histogram: new Array(LATENCY_BUCKETS.length + 1).fill(0)
+});
+
+const createTiming = () => ({ min: null, max: null, avg: null, sum: 0, count: 0 });
+
+const isTime = (value) => typeof value === 'number' && !isNaN(value);
+
+// Averages are whole milliseconds; ping statistics keep two decimals (sub-millisecond RTTs)
+const roundTo = (value, digits) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+const addTiming = (r, rt, digits = 0) => {
+  r.sum += rt;
+  r.count++;
+  r.min = r.min === null ? rt : Math.min(r.min, rt);
+  r.max = r.max === null ? rt : Math.max(r.max, rt);
+  r.avg = roundTo(r.sum / r.count, digits);
+};
+
+// Combine a rolled-up timing into another
+const mergeTiming = (r, pr, digits = 0) => {
+  if (!pr?.count) return;
+  r.sum += pr.sum;
+  r.count += pr.count;
+  r.min = r.min === null ? pr.min : Math.min(r.min, pr.min);
+  r.max = r.max === null ? pr.max : Math.max(r.max, pr.max);
+  r.avg = roundTo(r.sum / r.count, digits);
+};
+
+// Packet loss (%), average RTT and jitter (ms) of ICMP checks, as min/avg/max over the samples
+const PING_METRICS = { packetLoss: 'packetLoss', rtt: 'avg', jitter: 'jitter' };
+
+const addToBucket = (bucket, sample) => {
+  bucket.count++;
+  bucket.statuses[sample.status] = (bucket.statuses[sample.status] || 0) + 1;
+
+  const rt = sample.responseTime;
+  if (isTime(rt) && !EXCLUDED_STATUSES.includes(sample.status)) {
+    addTiming(bucket.responseTime, rt);
+
+    const slot = LATENCY_BUCKETS.findIndex(bound => rt <= bound);
+    bucket.histogram[slot === -1 ? LATENCY_BUCKETS.length : slot]++;
+  }
+
+  // Step timings of HTTP flows, by step name
+  if (Array.isArray(sample.steps) && !EXCLUDED_STATUSES.includes(sample.status)) {
+    sample.steps.filter(step => isTime(step.responseTime)).forEach(step => {
+      bucket.steps = bucket.steps || {};
+      bucket.steps[step.name] = bucket.steps[step.name] || createTiming();
+      addTiming(bucket.steps[step.name], step.responseTime);
+    });
+  }
+
+  if (sample.ping && !EXCLUDED_STATUSES.includes(sample.status)) {
+    Object.entries(PING_METRICS).forEach(([metric, statistic]) => {
+      if (!isTime(sample.ping[statistic])) return;
+      bucket.ping = bucket.ping || {};
+      bucket.ping[metric] = bucket.ping[metric] || createTiming();
+      addTiming(bucket.ping[metric], sample.ping[statistic], 2);
+    });
+  }
+};
+
+const openBucketsFile = (monitorId) => path.join(monitorDir(monitorId), 'open.json');
+
+const getOpenBuckets = (monitorId) => {
+  if (!openBuckets.has(monitorId)) {
+    let buckets = {};
+    try {
+      const file = openBucketsFile(monitorId);
+      if (fs.existsSync(file)) {
+        buckets = JSON.parse(fs.readFileSync(file, 'utf8'));
+      }
+    } catch (error) {
+      console.error(`[HISTORY] Failed to read open buckets for ${monitorId}:`, error.message);
+    }
+    openBuckets.set(monitorId, buckets);
+  }
+  return openBuckets.get(monitorId);
+};
+
+// ==================== WRITE ====================
+
+const recordSample = (monitorId, entry) => {
+  try {
+    const t = toMillis(entry.timestamp) || Date.now();
+    const sample = { ...entry, timestamp: new Date(t).toISOString() };
+
+    appendLine(monitorId, 'raw', t, sample);
+
+    const buckets = getOpenBuckets(monitorId);
+    ROLLUP_RESOLUTIONS.forEach(resolution => {
+      const start = Math.floor(t / BUCKET_SIZES[resolution]) * BUCKET_SIZES[resolution];
+      const current = buckets[resolution];
+
+      if (current && toMillis(current.timestamp) !== start) {
+        appendLine(monitorId, resolution, toMillis(current.timestamp), current);
+        buckets[resolution] = null;
+      }
+      if (!buckets[resolution]) {
+        buckets[resolution] = createBucket(resolution, start);
+      }
+      addToBucket(buckets[resolution], sample);
+    });
+
+    dirtyMonitors.add(monitorId);
+    return sample;
+  } catch (error) {
+    console.error(`[HISTORY] Failed to record sample for ${monitorId}:`, error.message);
+    return null;
+  }
+};
+
+// Persist open buckets so partial rollups survive restarts
+const flush = () => {
+  dirtyMonitors.forEach(monitorId => {
+    try {
+      const file = openBucketsFile(monitorId);
+      ensureDir(path.dirname(file));
+      fs.writeFileSync(file, JSON.stringify(openBuckets.get(monitorId) || {}));
+    } catch (error) {
+      console.error(`[HISTORY] Failed to flush open buckets for ${monitorId}:`, error.message);
+    }
+  });
+  dirtyMonitors.clear();
+};
+
+const removeMonitor = (monitorId) => {
+  openBuckets.delete(monitorId);
+  dirtyMonitors.delete(monitorId);
+  try {
+    fs.rmSync(monitorDir(monitorId), { recursive: true, force: true });
+  } catch (error) {
+    console.error(`[HISTORY] Failed to remove history for ${monitorId}:`, error.message);
+  }
+};
+
+// ==================== QUERY ====================
+
+// Pick a resolution that keeps the number of points reasonable for the span
+const autoResolution = (from, to) => {
+  const span = to - from;
+  if (span <= 2 * HOUR) return 'raw';
+  if (span <= 2 * DAY) return '1m';
+  if (span <= 90 * DAY) return '1h';
+  return '1d';
+};
+
+// options.retentionDays: the configured retention, as passed to prune(); nothing older is read
+const query = (monitorId, options = {}) => {
+  const to = toMillis(options.to) ?? Date.now();
+  let from = toMillis(options.from) ?? to - DAY;
+  let resolution = options.resolution || 'auto';
+
+  if (resolution === 'auto') {
+    resolution = autoResolution(from, to);
+  }
+  if (!RESOLUTIONS.includes(resolution)) {
+    throw new Error(`Invalid resolution: ${resolution}. Use one of: auto, ${RESOLUTIONS.join(', ')}`);
+  }
+
+  const retention = { ...DEFAULT_RETENTION_DAYS, ...options.retentionDays };
+  from = Math.max(from, Date.now() - retention[resolution] * DAY);
+
+  let points = [];
+  partitionKeysBetween(monitorId, resolution, from, to).forEach(key => {
+    points = points.concat(readLines(partitionFile(monitorId, resolution, key)));
+  });
+
+  // Include the bucket that is still being filled
+  if (resolution !== 'raw') {
+    const open = getOpenBuckets(monitorId)[resolution];
+    if (open) points.push(open);
+  }
+
+  points = points
+    .filter(p => {
+      const t = toMillis(p.timestamp);
+      return t >= from && t <= to;
+    })
+    .sort((a, b) => toMillis(a.timestamp) - toMillis(b.timestamp));
+
+  if (options.limit) {
+    points = points.slice(-options.limit);
+  }
+
+  return {
+    monitorId,
+    resolution,
+    from: new Date(from).toISOString(),
+    to: new Date(to).toISOString(),
+    points
+  };
+};
+
+// Aggregate a period into one summary (uptime, response times, status counts)
+const summarize = (monitorId, options = {}) => {
+  const to = toMillis(options.to) ?? Date.now();
+  const from = toMillis(options.from) ?? to - 30 * DAY;
+  const span = to - from;
+  const resolution = options.resolution || (span <= 2 * DAY ? '1m' : span <= 90 * DAY ? '1h' : '1d');
+
+  const { points } = query(monitorId, { from, to, resolution, retentionDays: options.retentionDays });
+  const summary = createBucket(resolution, from);
+
+  points.forEach(p => {
+    if (resolution === 'raw') {
+      addToBucket(summary, p);
+      return;
+    }
+    summary.count += p.count;
+    Object.entries(p.statuses || {}).forEach(([status, n]) => {
+      summary.statuses[status] = (summary.statuses[status] || 0) + n;
+    });
+    mergeTiming(summary.responseTime, p.responseTime);
+    (p.histogram || []).forEach((n, i) => { summary.histogram[i] += n; });
+    Object.entries(p.steps || {}).forEach(([name, timing]) => {
+      summary.steps = summary.steps || {};
+      summary.steps[name] = summary.steps[name] || createTiming();
+      mergeTiming(summary.steps[name], timing);
+    });
+    Object.entries(p.ping || {}).forEach(([metric, timing]) => {
+      summary.ping = summary.ping || {};
+      summary.ping[metric] = summary.ping[metric] || createTiming();
+      mergeTiming(summary.ping[metric], timing, 2);
+    });
+  });
+
+  const r = summary.responseTime;
+  const up = summary.statuses.UP || 0;
+  const excluded = EXCLUDED_STATUSES.reduce((sum, status) => sum + (summary.statuses[status] || 0), 0);
+  const countedChecks = summary.count - excluded;
+
+  return {
+    monitorId,
+    from: new Date(from).toISOString(),
+    to: new Date(to).toISOString(),
+    resolution,
+    totalChecks: summary.count,
+    countedChecks,
+    statuses: summary.statuses,
+    uptime: countedChecks > 0 ? (up / countedChecks) * 100 : null,
+    avgResponseTime: r.count > 0 ? Math.round(r.sum / r.count) : null,
+    minResponseTime: r.min,
+    maxResponseTime: r.max,
+    histogram: summary.histogram,
+    ...(summary.steps ? {
+      steps: Object.fromEntries(Object.entries(summary.steps).map(([name, t]) => [name, {
+        avgResponseTime: t.count > 0 ? Math.round(t.sum / t.count) : null,
+        minResponseTime: t.min,
+        maxResponseTime: t.max
+      }]))
+    } : {}),
+    ...(summary.ping ? {
+      ping: Object.fromEntries(Object.entries(summary.ping).map(([metric, t]) => [metric, { avg: t.avg, min: t.min, max: t.max }]))
+    } : {})
+  };
+};
+
+// ==================== RETENTION ====================
+
+const prune = (retentionDays = {}) => {
+  const retention = { ...DEFAULT_RETENTION_DAYS, ...retentionDays };
+  const now = Date.now();
+  let removed = 0;
+
+  if (!fs.existsSync(HISTORY_DIR)) return 0;
+
+  fs.readdirSync(HISTORY_DIR).forEach(monitorDirName => {
+    RESOLUTIONS.forEach(resolution => {
+      const dir = path.join(HISTORY_DIR, monitorDirName, resolution);
+      if (!fs.existsSync(dir)) return;
+
+      const cutoff = now - retention[resolution] * DAY;
+      fs.readdirSync(dir).forEach(file => {
+        const key = file.replace(/\.jsonl$/, '');
+        try {
+          const [, end] = partitionRange(resolution, key);
+          if (end <= cutoff) {
+            fs.unlinkSync(path.join(dir, file));
+            removed++;
+          }
+        } catch (error) {
+          console.error(`[HISTORY] Failed to prune ${file}:`, error.message);
+        }
+      });
+    });
+  });
+
+  return removed;
+};
+
+module.exports = {
+  RESOLUTIONS,
+  LATENCY_BUCKETS,
+  EXCLUDED_STATUSES,
+  DEFAULT_RETENTION_DAYS,
+  recordSample,
+  flush,
+  removeMonitor,
+  query,
+  summarize,
+  prune
+};
@@ -0,0 +1,307 @@
+// state/httpAssertions.js - HTTP Response Assertions: Status, JSONPath, Regex, Headers, Size and Latency
+const ASSERTION_TYPES = ['status', 'jsonPath', 'regex', 'body', 'header', 'size', 'responseTime'];
+
+// Operators each assertion type accepts; the first is the default
+const OPERATORS = {
+  status: ['in', 'notIn'],
+  jsonPath: ['eq', 'neq', 'gt', 'gte', 'lt', 'lte', 'contains', 'notContains', 'matches', 'exists', 'notExists'],
+  regex: ['matches', 'notMatches'],
+  body: ['contains', 'notContains'],
+  header: ['eq', 'neq', 'contains', 'notContains', 'matches', 'exists', 'notExists'],
+  size: ['lte', 'lt', 'gte', 'gt', 'eq'],
+  responseTime: ['lt', 'lte']
+};
+
+// What a failed assertion does to the check: DOWN, or UP flagged as degraded
+const FAIL_ACTIONS = ['down', 'degraded'];
+
+const VALUELESS_OPERATORS = ['exists', 'notExists'];
+const STATUS_SPEC_PATTERN = /^\d{3}(-\d{3})?$/;
+
+// ==================== JSONPATH ====================
+
+// Subset of JSONPath: $, .key, ['key'], [index] (negative from the end), [*] and .* wildcards.
+// Returns the list of matched values (empty when the path does not exist).
+const parseJsonPath = (path) => {
+  const source = String(path || '').trim();
+  if (!source.startsWith('$')) throw new Error('JSONPath must start with $');
+
+  const segments = [];
+  const pattern = /\.([A-Za-z_$][\w$-]*|\*)|\[\s*(?:'((?:[^'\\]|\\.)*)'|"((?:[^"\\]|\\.)*)"|(-?\d+)|(\*))\s*\]/y;
+  pattern.lastIndex = 1;
+  while (pattern.lastIndex < source.length) {
+    const start = pattern.lastIndex;
+    const match = pattern.exec(source);
+    if (!match) throw new Error(`Invalid JSONPath at "${source.slice(start)}"`);
+    const [, dotKey, singleQuoted, doubleQuoted, index, star] = match;
+    if (dotKey === '*' || star) segments.push({ wildcard: true });
+    else if (index !== undefined) segments.push({ index: parseInt(index) });
+    else segments.push({ key: dotKey ?? (singleQuoted ?? doubleQuoted).replace(/\\(.)/g, '$1') });
+  }
+  return segments;
+};
+
+const evaluateJsonPath = (data, path) => parseJsonPath(path).reduce((values, segment) => values.flatMap(value => {
+  if (value === null || typeof value !== 'object') return [];
+  if (segment.wildcard) return Array.isArray(value) ? value : Object.values(value);
+  if (segment.index !== undefined) {
+    if (!Array.isArray(value)) return [];
+    const i = segment.index < 0 ? value.length + segment.index : segment.index;
+    return i in value ? [value[i]] : [];
+  }
+  return Object.prototype.hasOwnProperty.call(value, segment.key) ? [value[segment.key]] : [];
+}), [data]);
+
+// ==================== COMPARISON ====================
+
+const isNumeric = (value) => value !== null && value !== '' && typeof value !== 'boolean' && !Number.isNaN(Number(value));
+
+const asText = (value) => typeof value === 'object' && value !== null ? JSON.stringify(value) : String(value);
+
+// Numbers compare numerically, everything else as text (objects as JSON)
+const compare = (operator, actual, expected) => {
+  switch (operator) {
+    case 'eq': return isNumeric(actual) && isNumeric(expected) ? Number(actual) === Number(expected) : asText(actual) === asText(expected);
+    case 'neq': return !compare('eq', actual, expected);
+    case 'gt': return isNumeric(actual) && Number(actual) > Number(expected);
+    case 'gte': return isNumeric(actual) && Number(actual) >= Number(expected);
+    case 'lt': return isNumeric(actual) && Number(actual) < Number(expected);
+    case 'lte': return isNumeric(actual) && Number(actual) <= Number(expected);
+    case 'contains': return Array.isArray(actual)
+      ? actual.some(item => compare('eq', item, expected))
+      : asText(actual).includes(String(expected));
+    case 'notContains': return !compare('contains', actual, expected);
+    case 'matches': return new RegExp(expected).test(asText(actual));
+    default: return false;
+  }
+};
+
+// "200-299, 301" style lists of codes and ranges
+const parseStatusSpec = (value) => (Array.isArray(value) ? value : String(value ?? '').split(','))
+  .map(part => String(part).trim())
+  .filter(Boolean);
+
+const statusMatches = (code, spec) => parseStatusSpec(spec).some(part => {
+  const [from, to] = part.split('-').map(Number);
+  return to ? code >= from && code <= to : code === from;
+});
+
+// ==================== ASSERTIONS ====================
+
+const defaultOperator = (type) => OPERATORS[type]?.[0];
+
+// Text that must not appear in the body (maintenance banners, defacement), as a list or one per line
+const negativeKeywordAssertions = (monitor) => (Array.isArray(monitor.negativeKeywords)
+  ? monitor.negativeKeywords
+  : String(monitor.negativeKeywords ?? '').split('\n'))
+  .map(keyword => String(keyword).trim())
+  .filter(Boolean)
+  .map(keyword => ({ type: 'body', operator: 'notContains', value: keyword }));
+
+// Monitors without assertions keep their expectedStatus (a code or list of codes) and expectedContent;
+// negative keywords apply either way
+const effectiveAssertions = (monitor) => {
+  if (Array.isArray(monitor.assertions) && monitor.assertions.length > 0) {
+    return [...monitor.assertions, ...negativeKeywordAssertions(monitor)];
+  }
+
+  const assertions = [{ type: 'status', operator: 'in', value: parseStatusSpec(monitor.expectedStatus || 200).join(',') }];
+  if (monitor.expectedContent) {
+    assertions.push({ type: 'body', operator: 'contains', value: monitor.expectedContent });
+  }
+  return [...assertions, ...negativeKeywordAssertions(monitor)];
+};
+
+const describeAssertion = (assertion) => {
+  const operator = assertion.operator || defaultOperator(assertion.type);
+  const subject = assertion.path ? `${assertion.type} ${assertion.path}` : assertion.type;
+  return VALUELESS_OPERATORS.includes(operator)
+    ? `${subject} ${operator}`
+    : `${subject} ${operator} ${JSON.stringify(assertion.value)}`;
+};
+
+// Latency rules degrade by default, everything else fails the check
+const summarize = (assertion, operator) => ({
+  type: assertion.type,
+  path: assertion.path || null,
+  operator,
+  expected: assertion.value ?? null,
+  onFail: assertion.onFail || (assertion.type === 'responseTime' ? 'degraded' : 'down'),
+  description: describeAssertion({ ...assertion, operator })
+});
+
+// response: { status, headers (lower-cased names), body (text), size (bytes), responseTime (ms) }
+const evaluateAssertion = (assertion, response) => {
+  const operator = assertion.operator || defaultOperator(assertion.type);
+  let actual;
+  let passed;
+
+  try {
+    switch (assertion.type) {
+      case 'status':
+        actual = response.status;
+        passed = statusMatches(actual, assertion.value) === (operator === 'in');
+        break;
+      case 'jsonPath': {
+        let data;
+        try {
+          data = JSON.parse(response.body);
+        } catch (error) {
+          throw new Error('Response is not valid JSON');
+        }
+        const values = evaluateJsonPath(data, assertion.path);
+        actual = values.length === 1 ? values[0] : values.length === 0 ? undefined : values;
+        if (operator === 'exists') passed = values.length > 0;
+        else if (operator === 'notExists') passed = values.length === 0;
+        // Negative operators must hold for every match, the others for any
+        else if (['neq', 'notContains'].includes(operator)) passed = values.length > 0 && values.every(v => compare(operator, v, assertion.value));
+        else passed = values.some(v => compare(operator, v, assertion.value));
+        break;
+      }
+      case 'regex':
+        passed = new RegExp(assertion.value, assertion.flags || '').test(response.body) === (operator === 'matches');
+        break;
+      case 'body':
+        passed = response.body.includes(String(assertion.value)) === (operator === 'contains');
+        break;
+      case 'header': {
+        actual = response.headers[String(assertion.path).toLowerCase()];
+        if (operator === 'exists') passed = actual !== undefined;
+        else if (operator === 'notExists') passed = actual === undefined;
+        else passed = actual !== undefined && compare(operator, Array.isArray(actual) ? actual.join(', ') : actual, assertion.value);
+        break;
+      }
+      case 'size':
+        actual = response.size;
+        passed = compare(operator, actual, assertion.value);
+        break;
+      case 'responseTime':
+        actual = response.responseTime;
+        passed = compare(operator, actual, assertion.value);
+        break;
+      default:
+        throw new Error(`Unknown assertion type: ${assertion.type}`);
+    }
+  } catch (error) {
+    return { ...summarize(assertion, operator), passed: false, actual: actual ?? null, error: error.message };
+  }
+
+  return { ...summarize(assertion, operator), passed, actual: actual ?? null };
+};
+
+const formatFailure = (result) => {
+  if (result.error) return `${result.description} (${result.error})`;
+  return result.actual === null ? result.description : `${result.description} (got ${JSON.stringify(result.actual)})`;
+};
+
+// Evaluates every assertion; the check is DOWN if one marked "down" fails and degraded if only "degraded" ones do
+const evaluateAssertions = (assertions, response) => {
+  const results = assertions.map(assertion => evaluateAssertion(assertion, response));
+  const failed = results.filter(r => !r.passed);
+  const failedDown = failed.filter(r => r.onFail === 'down');
+  const failedDegraded = failed.filter(r => r.onFail === 'degraded');
+
+  return {
+    results,
+    passed: failedDown.length === 0,
+    degraded: failedDown.length === 0 && failedDegraded.length > 0,
+    failed: failed.map(formatFailure)
+  };
+};
+
+// ==================== VALIDATION ====================
+
+const validateRegex = (pattern, flags) => {
+  try {
+    new RegExp(pattern, flags || '');
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+const validateAssertions = (assertions) => {
+  const errors = [];
+  if (assertions === undefined || assertions === null) return { valid: true, errors };
+  if (!Array.isArray(assertions)) {
+    return { valid: false, errors: ['Assertions must be a list'] };
+  }
+
+  assertions.forEach((assertion, i) => {
+    const label = `Assertion ${i + 1}`;
+    if (!assertion || !ASSERTION_TYPES.includes(assertion.type)) {
+      errors.push(`${label}: type must be one of: ${ASSERTION_TYPES.join(', ')}`);
+      return;
+    }
+    const operator = assertion.operator || defaultOperator(assertion.type);
+    if (!OPERATORS[assertion.type].includes(operator)) {
+      errors.push(`${label}: operator for ${assertion.type} must be one of: ${OPERATORS[assertion.type].join(', ')}`);
+    }
+    if (assertion.onFail && !FAIL_ACTIONS.includes(assertion.onFail)) {
+      errors.push(`${label}: onFail must be one of: ${FAIL_ACTIONS.join(', ')}`);
+    }
+
+    const needsValue = !VALUELESS_OPERATORS.includes(operator);
+    if (needsValue && (assertion.value === undefined || assertion.value === null || assertion.value === '')) {
+      errors.push(`${label}: value is required`);
+      return;
+    }
+
+    switch (assertion.type) {
+      case 'status':
+        if (parseStatusSpec(assertion.value).some(part => !STATUS_SPEC_PATTERN.test(part))) {
+          errors.push(`${label}: status must be codes or ranges like "200-299, 301"`);
+        }
+        break;
+      case 'jsonPath':
+        try {
+          parseJsonPath(assertion.path);
+        } catch (error) {
+          errors.push(`${label}: ${error.message}`);
+        }
+        if (operator === 'matches' && !validateRegex(assertion.value)) errors.push(`${label}: invalid regular expression`);
+        break;
+      case 'regex':
+        if (!validateRegex(assertion.value, assertion.flags)) errors.push(`${label}: invalid regular expression`);
+        break;
+      case 'header':
+        if (!assertion.path) errors.push(`${label}: header name (path) is required`);
+        if (operator === 'matches' && !validateRegex(assertion.value)) errors.push(`${label}: invalid regular expression`);
+        break;
+      case 'size':
+      case 'responseTime':
+        if (!isNumeric(assertion.value) || Number(assertion.value) < 0) errors.push(`${label}: value must be a non-negative number`);
+        break;
+    }
+  });
+
+  return {
+    valid: errors.length === 0,
+    errors
+  };
+};
+
+// expectedStatus: a code, a list of codes or a "200-299, 301" string
+const validateExpectedStatus = (value) => {
+  const errors = [];
+  if (value !== undefined && value !== null && value !== '' &&
+      parseStatusSpec(value).some(part => !STATUS_SPEC_PATTERN.test(part))) {
+    errors.push('Expected status must be codes or ranges like "200-299, 301"');
+  }
+  return {
+    valid: errors.length === 0,
+    errors
+  };
+};
+
+module.exports = {
+  ASSERTION_TYPES,
+  OPERATORS,
+  FAIL_ACTIONS,
+  evaluateJsonPath,
+  statusMatches,
+  effectiveAssertions,
+  evaluateAssertions,
+  validateAssertions,
+  validateExpectedStatus
+};
@@ -0,0 +1,230 @@
+// state/httpFlow.js - Multi-step HTTP Transactions: Variables, Extraction and Cookies
+const { evaluateJsonPath, validateAssertions, validateExpectedStatus } = require('./httpAssertions');
+
+const MAX_STEPS = 20;
+const HTTP_METHODS = ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'HEAD', 'OPTIONS'];
+
+// Where a step can take a variable from
+const EXTRACT_SOURCES = ['jsonPath', 'header', 'cookie', 'regex', 'status', 'body'];
+
+// Sources that need a path (JSONPath, header/cookie name or pattern)
+const PATH_SOURCES = ['jsonPath', 'header', 'cookie', 'regex'];
+
+// Filled from the monitor credentials
+const BUILTIN_VARIABLES = ['username', 'password'];
+
+const VARIABLE_NAME_PATTERN = /^[A-Za-z_][\w]*$/;
+const PLACEHOLDER_PATTERN = /{{\s*([A-Za-z_][\w]*)\s*}}/g;
+
+// ==================== VARIABLES ====================
+
+// Variables a flow starts with: its own `variables` plus the monitor credentials,
+// so a login step can send {{password}} without the password appearing in the steps
+const initialVariables = (monitor) => ({
+  ...(monitor.variables || {}),
+  ...(monitor.username ? { username: monitor.username } : {}),
+  ...(monitor.password ? { password: monitor.password } : {})
+});
+
+// Replace {{name}} placeholders; unknown variables become empty
+const interpolate = (value, variables) => {
+  if (typeof value === 'string') {
+    return value.replace(PLACEHOLDER_PATTERN, (match, name) => {
+      const resolved = variables[name];
+      return resolved === undefined || resolved === null ? '' : String(resolved);
+    });
+  }
+  if (Array.isArray(value)) return value.map(item => interpolate(item, variables));
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, interpolate(item, variables)]));
+  }
+  return value;
+};
+
+const placeholdersIn = (value) => {
+  if (typeof value === 'string') return Array.from(value.matchAll(PLACEHOLDER_PATTERN), match => match[1]);
+  if (value && typeof value === 'object') return Object.values(value).flatMap(placeholdersIn);
+  return [];
+};
+
+// ==================== COOKIES ====================
+
+// The URLs a flow's steps call, with the flow's own variables filled in; credentials are sent there
+const stepUrls = (monitor) => (Array.isArray(monitor.steps) ? monitor.steps : [])
+  .map(step => interpolate(step?.url || '', monitor.variables || {}));
+
+// A name=value jar shared by all steps; domain, path and expiry attributes are not tracked
+const storeCookies = (jar, setCookie) => {
+  [].concat(setCookie || []).forEach(header => {
+    const [pair] = String(header).split(';');
+    const separator = pair.indexOf('=');
+    if (separator <= 0) return;
+    jar[pair.slice(0, separator).trim()] = pair.slice(separator + 1).trim();
+  });
+  return jar;
+};
+
+const cookieHeader = (jar) => Object.entries(jar).map(([name, value]) => `${name}=${value}`).join('; ');
+
+// ==================== EXTRACTION ====================
+
+// response: { status, headers (lower-cased names), body (text) }; cookies: the jar after this step
+const extractValue = (rule, response, cookies) => {
+  switch (rule.from) {
+    case 'jsonPath': {
+      let data;
+      try {
+        data = JSON.parse(response.body);
+      } catch (error) {
+        throw new Error('Response is not valid JSON');
+      }
+      const [value] = evaluateJsonPath(data, rule.path);
+      return typeof value === 'object' && value !== null ? JSON.stringify(value) : value;
+    }
+    case 'header': {
+      const value = response.headers[String(rule.path).toLowerCase()];
+      return Array.isArray(value) ? value.join(', ') : value;
+    }
+    case 'cookie':
+      return cookies[rule.path];
+    case 'regex': {
+      const match = new RegExp(rule.path, rule.flags || '').exec(response.body);
+      // The first capture group when there is one, otherwise the whole match
+      return match ? match[1] ?? match[0] : undefined;
+    }
+    case 'status':
+      return response.status;
+    case 'body':
+      return response.body;
+    default:
+      throw new Error(`Unknown extraction source: ${rule.from}`);
+  }
+};
+
+// Returns the extracted values and the rules that found nothing
+const extractVariables = (rules, response, cookies) => {
+  const values = {};
+  const errors = [];
+
+  (rules || []).forEach(rule => {
+    const source = rule.path ? `${rule.from} ${rule.path}` : rule.from;
+    try {
+      const value = extractValue(rule, response, cookies);
+      if (value === undefined || value === null) {
+        errors.push(`could not extract ${rule.name} from ${source}`);
+      } else {
+        values[rule.name] = value;
+      }
+    } catch (error) {
+      errors.push(`could not extract ${rule.name} from ${source} (${error.message})`);
+    }
+  });
+
+  return { values, errors };
+};
+
+// ==================== VALIDATION ====================
+
+const validateExtractRules = (rules, label) => {
+  const errors = [];
+  if (rules === undefined || rules === null) return errors;
+  if (!Array.isArray(rules)) return [`${label}: extract must be a list`];
+
+  rules.forEach((rule, i) => {
+    const ruleLabel = `${label}, extract ${i + 1}`;
+    if (!rule || !VARIABLE_NAME_PATTERN.test(rule.name || '')) {
+      errors.push(`${ruleLabel}: name must be letters, digits or underscores`);
+      return;
+    }
+    if (!EXTRACT_SOURCES.includes(rule.from)) {
+      errors.push(`${ruleLabel}: from must be one of: ${EXTRACT_SOURCES.join(', ')}`);
+      return;
+    }
+    if (PATH_SOURCES.includes(rule.from) && !rule.path) {
+      errors.push(`${ruleLabel}: path is required for ${rule.from}`);
+      return;
+    }
+    if (rule.from === 'jsonPath') {
+      try {
+        evaluateJsonPath(null, rule.path);
+      } catch (error) {
+        errors.push(`${ruleLabel}: ${error.message}`);
+      }
+    }
+    if (rule.from === 'regex') {
+      try {
+        new RegExp(rule.path, rule.flags || '');
+      } catch (error) {
+        errors.push(`${ruleLabel}: invalid regular expression`);
+      }
+    }
+  });
+
+  return errors;
+};
+
+// Steps may only use variables defined up front or extracted by an earlier step
+const validateFlow = (config) => {
+  const errors = [];
+  const { steps, variables } = config;
+
+  if (!Array.isArray(steps) || steps.length === 0) {
+    return { valid: false, errors: ['At least one step is required for HTTP flow monitors'] };
+  }
+  if (steps.length > MAX_STEPS) {
+    errors.push(`HTTP flows can have at most ${MAX_STEPS} steps`);
+  }
+  if (variables !== undefined && variables !== null &&
+      (typeof variables !== 'object' || Array.isArray(variables))) {
+    errors.push('Variables must be an object of name/value pairs');
+  }
+
+  const defined = new Set([...BUILTIN_VARIABLES, ...Object.keys(variables || {})]);
+
+  steps.forEach((step, i) => {
+    const label = `Step ${i + 1}${step?.name ? ` (${step.name})` : ''}`;
+    if (!step || typeof step !== 'object') {
+      errors.push(`${label}: must be an object`);
+      return;
+    }
+    if (!step.url) errors.push(`${label}: URL is required`);
+    if (step.method && !HTTP_METHODS.includes(String(step.method).toUpperCase())) {
+      errors.push(`${label}: method must be one of: ${HTTP_METHODS.join(', ')}`);
+    }
+    if (step.headers !== undefined && step.headers !== null &&
+        (typeof step.headers !== 'object' || Array.isArray(step.headers))) {
+      errors.push(`${label}: headers must be an object`);
+    }
+
+    const undefinedVariables = [...new Set(placeholdersIn([step.url, step.headers, step.body]))]
+      .filter(name => !defined.has(name));
+    if (undefinedVariables.length > 0) {
+      errors.push(`${label}: undefined variable(s) ${undefinedVariables.join(', ')}`);
+    }
+
+    errors.push(...validateExpectedStatus(step.expectedStatus).errors.map(error => `${label}: ${error}`));
+    errors.push(...validateAssertions(step.assertions).errors.map(error => `${label}: ${error}`));
+    errors.push(...validateExtractRules(step.extract, label));
+
+    (Array.isArray(step.extract) ? step.extract : []).forEach(rule => {
+      if (rule?.name) defined.add(rule.name);
+    });
+  });
+
+  return {
+    valid: errors.length === 0,
+    errors
+  };
+};
+
+module.exports = {
+  MAX_STEPS,
+  EXTRACT_SOURCES,
+  initialVariables,
+  interpolate,
+  stepUrls,
+  storeCookies,
+  cookieHeader,
+  extractVariables,
+  validateFlow
+};
@@ -0,0 +1,116 @@
+// state/icmpChecks.js - ICMP Monitor Rules: Packet Counts, RTT Statistics, Jitter and Loss Thresholds
+const { isBlank } = require('./values');
+
+const DEFAULT_PACKET_COUNT = 1;
+const MAX_PACKET_COUNT = 20;
+
+// Seconds between packets of one run where ping allows less than a second without root (Linux);
+// elsewhere ping's default of one second applies
+const FAST_INTERVAL_SECONDS = 0.2;
+
+// [field, label, unit, statistic] of the thresholds; warning marks the check degraded, critical DOWN
+const THRESHOLDS = [
+  ['icmpLoss', 'packet loss', '%', 'packetLoss'],
+  ['icmpRtt', 'average RTT', 'ms', 'avg']
+];
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const packetCount = (monitor) => Math.min(
+  Math.max(parseInt(monitor.icmpPacketCount, 10) || DEFAULT_PACKET_COUNT, 1),
+  MAX_PACKET_COUNT
+);
+
+// Extra ping arguments for a run of count packets
+const intervalArgs = (count, platform = process.platform) =>
+  count > 1 && platform === 'linux' ? ['-i', String(FAST_INTERVAL_SECONDS)] : [];
+
+// ==================== STATISTICS ====================
+
+// times: RTTs (ms) of the replies received, in order. Jitter is the mean absolute difference
+// between consecutive RTTs (RFC 3550 without smoothing); min/avg/max/jitter are null when no
+// reply came back.
+const pingStatistics = (times, sent) => {
+  const received = Math.min(times.length, sent);
+  const packetLoss = sent > 0 ? round(((sent - received) / sent) * 100) : 100;
+  if (received === 0) {
+    return { sent, received, packetLoss, min: null, avg: null, max: null, jitter: null };
+  }
+
+  const replies = times.slice(0, received);
+  const jitter = replies.length > 1
+    ? replies.slice(1).reduce((sum, time, i) => sum + Math.abs(time - replies[i]), 0) / (replies.length - 1)
+    : 0;
+
+  return {
+    sent,
+    received,
+    packetLoss,
+    min: round(Math.min(...replies)),
+    avg: round(replies.reduce((sum, time) => sum + time, 0) / received),
+    max: round(Math.max(...replies)),
+    jitter: round(jitter)
+  };
+};
+
+// ==================== THRESHOLDS ====================
+
+const breaches = (value, threshold) => value !== null && !isBlank(threshold) && value > Number(threshold);
+
+// 'critical', 'warning' or null, with the thresholds crossed at that level
+const pingLevel = (stats, monitor) => {
+  const crossed = (suffix) => THRESHOLDS
+    .filter(([field, , , statistic]) => breaches(stats[statistic], monitor[`${field}${suffix}`]))
+    .map(([field, label, unit, statistic]) => `${label} ${stats[statistic]}${unit} above ${monitor[`${field}${suffix}`]}${unit}`);
+
+  const critical = crossed('Critical');
+  if (critical.length) return { level: 'critical', problems: critical };
+  const warnings = crossed('Warn');
+  return { level: warnings.length ? 'warning' : null, problems: warnings };
+};
+
+const describeStatistics = (stats) => stats.sent > 1
+  ? `${stats.received}/${stats.sent} replies, ${stats.packetLoss}% loss, rtt min/avg/max ${stats.min}/${stats.avg}/${stats.max}ms, jitter ${stats.jitter}ms`
+  : `${Math.round(stats.avg)}ms`;
+
+// ==================== VALIDATION ====================
+
+const validateIcmpConfig = (config) => {
+  const errors = [];
+
+  if (!isBlank(config.icmpPacketCount)) {
+    const count = Number(config.icmpPacketCount);
+    if (!Number.isInteger(count) || count < 1 || count > MAX_PACKET_COUNT) {
+      errors.push(`icmpPacketCount must be between 1 and ${MAX_PACKET_COUNT}`);
+    }
+  }
+
+  THRESHOLDS.forEach(([field, , unit]) => {
+    const warn = config[`${field}Warn`];
+    const critical = config[`${field}Critical`];
+    [[`${field}Warn`, warn], [`${field}Critical`, critical]].forEach(([name, value]) => {
+      if (!isBlank(value) && !(Number(value) >= 0 && (unit !== '%' || Number(value) <= 100))) {
+        errors.push(unit === '%' ? `${name} must be a percentage between 0 and 100` : `${name} must be a number of milliseconds (0 or more)`);
+      }
+    });
+    if (!isBlank(warn) && !isBlank(critical) && Number(critical) < Number(warn)) {
+      errors.push(`${field}Critical must be at or above ${field}Warn`);
+    }
+  });
+
+  return {
+    valid: errors.length === 0,
+    errors
+  };
+};
+
+module.exports = {
+  DEFAULT_PACKET_COUNT,
+  MAX_PACKET_COUNT,
+  packetCount,
+  intervalArgs,
+  pingStatistics,
+  pingLevel,
+  describeStatistics,
+  validateIcmpConfig
+};
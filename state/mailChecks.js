@@ -0,0 +1,125 @@
+// state/mailChecks.js - Mail Monitor Rules: Ports, Security Modes, Probe Messages and Validation
+const crypto = require('crypto');
+const { isBlank } = require('./values');
+
+const MAIL_TYPES = ['smtp', 'imap', 'pop3'];
+
+// none: plain text; starttls: upgrade after the greeting (STARTTLS / STLS); tls: implicit TLS from the start
+const SECURITY_MODES = ['none', 'starttls', 'tls'];
+
+const DEFAULT_PORTS = {
+  smtp: { none: 25, starttls: 587, tls: 465 },
+  imap: { none: 143, starttls: 143, tls: 993 },
+  pop3: { none: 110, starttls: 110, tls: 995 }
+};
+
+const MAIL_NAMES = { smtp: 'SMTP', imap: 'IMAP', pop3: 'POP3' };
+
+const DEFAULT_MAILBOX = 'INBOX';
+
+// Seconds a round-trip probe may take to show up in the mailbox, and how often it is looked for
+const DEFAULT_ROUND_TRIP_TIMEOUT = 60;
+const ROUND_TRIP_POLL_MS = 2000;
+
+const PROBE_HEADER = 'X-Pulse-Probe';
+
+const mailPort = (type, security, port) => Number(port) || DEFAULT_PORTS[type][security || 'none'];
+
+// ==================== PROTOCOL HELPERS ====================
+
+// IMAP quoted string; backslashes and quotes are escaped
+const imapQuote = (value) => `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+
+// SASL PLAIN initial response: authzid NUL authcid NUL password
+const saslPlain = (username, password) => Buffer.from(`\0${username}\0${password}`).toString('base64');
+
+// AUTH mechanisms from an EHLO reply ("AUTH PLAIN LOGIN", also the old "AUTH=PLAIN" form)
+const authMechanisms = (capabilities) => capabilities
+  .filter(line => /^AUTH[ =]/i.test(line))
+  .flatMap(line => line.slice(5).trim().toUpperCase().split(/\s+/));
+
+// ==================== ROUND TRIP ====================
+
+const probeToken = () => crypto.randomBytes(12).toString('hex');
+
+// A short plain text message identified by its token (subject and header); lines starting with
+// a dot are escaped for the DATA phase
+const buildProbeMessage = ({ from, to, token, hostname, date = new Date() }) => [
+  `From: ${from}`,
+  `To: ${to}`,
+  `Subject: Pulse mail probe ${token}`,
+  `Date: ${date.toUTCString()}`,
+  `Message-ID: <${token}@${hostname}>`,
+  `${PROBE_HEADER}: ${token}`,
+  'MIME-Version: 1.0',
+  'Content-Type: text/plain; charset=utf-8',
+  '',
+  'Round-trip probe sent by Pulse Monitor. It is deleted once it has been received.',
+  `Sent: ${date.toISOString()}`
+].map(line => (line.startsWith('.') ? `.${line}` : line)).join('\r\n');
+
+// ==================== VALIDATION ====================
+
+const EMAIL_PATTERN = /^[^\s@<>]+@[^\s@<>]+$/;
+
+const validatePort = (value, label, errors) => {
+  if (!isBlank(value) && (!Number.isInteger(Number(value)) || Number(value) < 1 || Number(value) > 65535)) {
+    errors.push(`${label} must be between 1 and 65535`);
+  }
+};
+
+const validateMailConfig = (config) => {
+  const errors = [];
+  const type = config.type?.toLowerCase();
+  const name = MAIL_NAMES[type];
+
+  if (!config.host) errors.push(`Host is required for ${name} monitors`);
+  validatePort(config.port, 'Port', errors);
+  if (!SECURITY_MODES.includes(config.mailSecurity || 'none')) {
+    errors.push(`Security must be one of: ${SECURITY_MODES.join(', ')}`);
+  }
+  if (config.username && !config.password) {
+    errors.push('Password is required when a username is set');
+  }
+
+  if (config.mailRoundTrip) {
+    if (type !== 'smtp') {
+      errors.push('Round-trip probes are sent by SMTP monitors');
+    } else {
+      if (!EMAIL_PATTERN.test(config.mailFrom || '')) errors.push('Round trip: sender address (mailFrom) is required');
+      if (!EMAIL_PATTERN.test(config.mailTo || '')) errors.push('Round trip: recipient address (mailTo) is required');
+      if (!config.imapHost) errors.push('Round trip: IMAP host is required');
+      validatePort(config.imapPort, 'Round trip: IMAP port', errors);
+      if (!SECURITY_MODES.includes(config.imapSecurity || 'none')) {
+        errors.push(`Round trip: IMAP security must be one of: ${SECURITY_MODES.join(', ')}`);
+      }
+      if (!config.imapUsername || !config.imapPassword) errors.push('Round trip: IMAP username and password are required');
+      if (!isBlank(config.mailRoundTripTimeout) && !(Number(config.mailRoundTripTimeout) > 0)) {
+        errors.push('Round trip: timeout must be a positive number of seconds');
+      }
+    }
+  }
+
+  return {
+    valid: errors.length === 0,
+    errors
+  };
+};
+
+module.exports = {
+  MAIL_TYPES,
+  SECURITY_MODES,
+  DEFAULT_PORTS,
+  MAIL_NAMES,
+  DEFAULT_MAILBOX,
+  DEFAULT_ROUND_TRIP_TIMEOUT,
+  ROUND_TRIP_POLL_MS,
+  PROBE_HEADER,
+  mailPort,
+  imapQuote,
+  saslPlain,
+  authMechanisms,
+  probeToken,
+  buildProbeMessage,
+  validateMailConfig
+};
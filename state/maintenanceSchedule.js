@@ -0,0 +1,184 @@
+// state/maintenanceSchedule.js - Maintenance Window Schedule Evaluation
+const cronParser = require('cron-parser');
+const { rrulestr } = require('rrule');
+const { toMillis } = require('./values');
+
+const MINUTE = 60 * 1000;
+
+// Schedule types: one-off window, cron expression or iCalendar RRULE
+const SCHEDULE_TYPES = ['once', 'cron', 'rrule'];
+
+// ==================== HELPERS ====================
+
+// Optional overall bounds for recurring windows
+const withinBounds = (window, at) => {
+  const startsAt = toMillis(window.startsAt);
+  const endsAt = toMillis(window.endsAt);
+  if (startsAt !== null && at < startsAt) return false;
+  if (endsAt !== null && at >= endsAt) return false;
+  return true;
+};
+
+const parseRrule = (window) => {
+  // Without DTSTART the rule would be anchored to "now"; fall back to startsAt or the creation time
+  const text = window.rrule.includes('DTSTART')
+    ? window.rrule
+    : `DTSTART:${new Date(window.startsAt || window.createdAt || 0).toISOString().replace(/[-:]|\.\d{3}/g, '')}\nRRULE:${window.rrule.replace(/^RRULE:/, '')}`;
+  return rrulestr(text);
+};
+
+// Start of the most recent occurrence at or before `at`
+const previousOccurrence = (window, at) => {
+  switch (window.scheduleType) {
+    case 'cron': {
+      const interval = cronParser.parseExpression(window.cron, {
+        currentDate: new Date(at + 1000),
+        tz: window.timezone || undefined
+      });
+      return interval.prev().toDate().getTime();
+    }
+    case 'rrule': {
+      const occurrence = parseRrule(window).before(new Date(at), true);
+      return occurrence ? occurrence.getTime() : null;
+    }
+    default:
+      return toMillis(window.startsAt);
+  }
+};
+
+const nextOccurrence = (window, at) => {
+  switch (window.scheduleType) {
+    case 'cron': {
+      const interval = cronParser.parseExpression(window.cron, {
+        currentDate: new Date(at),
+        tz: window.timezone || undefined
+      });
+      return interval.next().toDate().getTime();
+    }
+    case 'rrule': {
+      const occurrence = parseRrule(window).after(new Date(at), false);
+      return occurrence ? occurrence.getTime() : null;
+    }
+    default: {
+      const startsAt = toMillis(window.startsAt);
+      return startsAt !== null && startsAt > at ? startsAt : null;
+    }
+  }
+};
+
+// ==================== EVALUATION ====================
+
+const isWindowActive = (window, at = Date.now()) => {
+  if (!window || window.enabled === false) return false;
+
+  try {
+    if (window.scheduleType === 'once' || !window.scheduleType) {
+      const startsAt = toMillis(window.startsAt);
+      const endsAt = toMillis(window.endsAt);
+      return startsAt !== null && endsAt !== null && at >= startsAt && at < endsAt;
+    }
+
+    if (!withinBounds(window, at)) return false;
+
+    const start = previousOccurrence(window, at);
+    if (start === null) return false;
+    return at < start + (window.durationMinutes || 60) * MINUTE;
+  } catch (error) {
+    console.error(`[MAINTENANCE] Failed to evaluate window ${window.name}:`, error.message);
+    return false;
+  }
+};
+
+// Current or upcoming period of a window ({ start, end } or null)
+const getWindowPeriod = (window, at = Date.now()) => {
+  try {
+    if (window.scheduleType === 'once' || !window.scheduleType) {
+      const start = toMillis(window.startsAt);
+      const end = toMillis(window.endsAt);
+      return end !== null && end > at ? { start: new Date(start).toISOString(), end: new Date(end).toISOString() } : null;
+    }
+
+    const duration = (window.durationMinutes || 60) * MINUTE;
+    let start = isWindowActive(window, at) ? previousOccurrence(window, at) : nextOccurrence(window, at);
+    if (start === null || !withinBounds(window, start)) return null;
+    return { start: new Date(start).toISOString(), end: new Date(start + duration).toISOString() };
+  } catch (error) {
+    return null;
+  }
+};
+
+// Does a window apply to a monitor (directly, through its group or its application)?
+const windowCoversMonitor = (window, monitor) => {
+  if (!monitor) return false;
+  const scope = window.scope || {};
+  return (scope.monitorIds || []).includes(monitor.id) ||
+    (!!monitor.groupId && (scope.groupIds || []).includes(monitor.groupId)) ||
+    (!!monitor.applicationId && (scope.applicationIds || []).includes(monitor.applicationId));
+};
+
+// ==================== VALIDATION ====================
+
+const validateMaintenanceWindow = (config) => {
+  const errors = [];
+  const scheduleType = config.scheduleType || 'once';
+
+  if (!config.name) errors.push('Name is required');
+
+  if (!SCHEDULE_TYPES.includes(scheduleType)) {
+    errors.push(`Schedule type must be one of: ${SCHEDULE_TYPES.join(', ')}`);
+  }
+
+  const scope = config.scope || {};
+  const scopeSize = (scope.monitorIds || []).length + (scope.groupIds || []).length + (scope.applicationIds || []).length;
+  if (scopeSize === 0) {
+    errors.push('Scope must include at least one monitor, group or application');
+  }
+
+  if (scheduleType === 'once') {
+    const startsAt = toMillis(config.startsAt);
+    const endsAt = toMillis(config.endsAt);
+    if (startsAt === null) errors.push('Start time is required');
+    if (endsAt === null) errors.push('End time is required');
+    if (startsAt !== null && endsAt !== null && endsAt <= startsAt) {
+      errors.push('End time must be after start time');
+    }
+  }
+
+  if (scheduleType === 'cron') {
+    try {
+      cronParser.parseExpression(config.cron || '', { tz: config.timezone || undefined });
+      if (!config.cron) errors.push('Cron expression is required');
+    } catch (error) {
+      errors.push(`Invalid cron expression: ${error.message}`);
+    }
+  }
+
+  if (scheduleType === 'rrule') {
+    try {
+      if (!config.rrule) {
+        errors.push('RRULE is required');
+      } else {
+        parseRrule(config);
+      }
+    } catch (error) {
+      errors.push(`Invalid RRULE: ${error.message}`);
+    }
+  }
+
+  if (scheduleType !== 'once' && config.durationMinutes !== undefined && !(parseInt(config.durationMinutes) > 0)) {
+    errors.push('Duration must be a positive number of minutes');
+  }
+
+  return {
+    valid: errors.length === 0,
+    errors
+  };
+};
+
+module.exports = {
+  SCHEDULE_TYPES,
+  isWindowActive,
+  getWindowPeriod,
+  windowCoversMonitor,
+  validateMaintenanceWindow
+};
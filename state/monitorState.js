@@ -1,11 +1,48 @@
 // state/monitorState.js - Pure Functional State Management with Persistence
 const { v4: uuidv4 } = require('uuid');
+const { EventEmitter } = require('events');
 const fs = require('fs');
 const path = require('path');
-
-const DATA_DIR = path.join(__dirname, '..', 'data');
+const historyStore = require('./historyStore');
+const maintenanceSchedule = require('./maintenanceSchedule');
+const alertRouting = require('./alertRouting');
+const onCall = require('./onCall');
+const auth = require('./auth');
+const secretVault = require('./secretVault');
+const statusPolicy = require('./statusPolicy');
+const dependencies = require('./dependencies');
+const statusPage = require('./statusPage');
+const heartbeats = require('./heartbeats');
+const contentChange = require('./contentChange');
+const httpFlow = require('./httpFlow');
+
+const DATA_DIR = process.env.PULSE_DATA_DIR || path.join(__dirname, '..', 'data');
 const STATE_FILE = path.join(DATA_DIR, 'state.json');
 
+// Incident lifecycle events ('incident.created', 'incident.acknowledged', 'incident.resolved', 'incident.updated')
+// for channels that react to state changes, such as webhooks and status page subscribers, and
+// 'monitor.checked' after every recorded check result
+const events = new EventEmitter();
+
+// Monitor fields holding credentials; masked whenever monitors leave the server
+const MONITOR_SECRETS = ['password', 'privateKey', 'sshSudoPassword', 'imapPassword'];
+
+// Where a monitor credential is sent: the round-trip IMAP server, otherwise the host or a flow's
+// step URLs. A stored credential is dropped when this changes, unless it is entered again.
+const secretDestination = (monitor, key) => JSON.stringify(key === 'imapPassword'
+  ? [monitor.imapHost || null]
+  : [monitor.host || null, httpFlow.stepUrls(monitor)]);
+
+// Settings holding credentials; masked in getSettings()
+const SECRET_SETTINGS = ['smtpPass', 'smsApiKey', 'twilioAuthToken', 'smppPassword', 'metricsToken'];
+
+// Webhook delivery log size
+const WEBHOOK_DELIVERY_LIMIT = 500;
+
+// Recent checks kept on the status object for dashboard sparklines;
+// the full history lives in the time-series store (state/historyStore.js)
+const RECENT_HISTORY_LIMIT = 30;
+
 // Ensure data directory exists
 const ensureDataDir = () => {
   if (!fs.existsSync(DATA_DIR)) {
@@ -27,12 +64,43 @@ const createInitialState = () => ({
   // Monitor statuses
   statuses: new Map(),
   
+  // Page text of HTTP monitors with change detection: accepted baseline and latest differing version
+  contentSnapshots: new Map(),
+  
   // Contacts for notifications
   contacts: new Map(),
   
   // Contact groups
   contactGroups: new Map(),
   
+  // Service level objectives
+  slos: new Map(),
+  
+  // Maintenance windows
+  maintenanceWindows: new Map(),
+  
+  // Alert routing rules
+  routingRules: new Map(),
+  
+  // On-call schedules and escalation policies
+  onCallSchedules: new Map(),
+  escalationPolicies: new Map(),
+  
+  // Running escalations (one per alert and policy)
+  escalations: new Map(),
+  
+  // Outbound webhooks and their delivery log
+  webhooks: new Map(),
+  webhookDeliveries: [],
+  
+  // Public status pages and their email subscribers
+  statusPages: new Map(),
+  statusPageSubscribers: new Map(),
+  
+  // User accounts and login sessions (keyed by token hash)
+  users: new Map(),
+  sessions: new Map(),
+  
   // Incidents
   incidents: [],
   
@@ -66,14 +134,46 @@ const createInitialState = () => ({
     smtpUser: '',
     smtpPass: '',
     smtpFrom: '',
-    // SMS Settings (generic HTTP API)
+    // SMS Settings - provider: mnotify, http (generic templated API), twilio or smpp
     smsEnabled: true,
+    smsProvider: 'mnotify',
     smsApiUrl: '',
-    smsApiKey: 'nppoeaeolIEXKUXQ01pLXP7Tz',
+    smsApiKey: '',
     smsApiMethod: 'POST',
     smsApiHeaders: {},
     smsApiBodyTemplate: '{"to":"{{phone}}","message":"{{message}}"}',
-    smsSenderId: 'PULSE'
+    smsSenderId: 'PULSE',
+    twilioAccountSid: '',
+    twilioAuthToken: '',
+    twilioFrom: '',
+    smppHost: '',
+    smppPort: 2775,
+    smppSystemId: '',
+    smppPassword: '',
+    smppSystemType: '',
+    smppSourceAddr: '',
+    // Alert routing: who is notified when no routing rule matches ('all' contacts or 'none')
+    alertRoutingFallback: 'all',
+    // History retention (days) per resolution
+    historyRetentionDays: { ...historyStore.DEFAULT_RETENTION_DAYS },
+    // Scheduler: concurrent checks overall and per monitor type, and random spread added to each interval
+    schedulerMaxConcurrent: 20,
+    schedulerTypeLimits: { ssh: 5, sftp: 5, telnet: 5, 'ssh-command': 5 },
+    schedulerJitterPercent: 10,
+    // Flap detection: this many UP/DOWN changes within the window marks a monitor FLAPPING
+    flapDetectionEnabled: true,
+    flapWindowMinutes: 30,
+    flapThreshold: 6,
+    // While the server has no connectivity, failing monitors are UNREACHABLE under the network incident
+    networkOutageSuppression: true,
+    // Base URL of this server as status page visitors reach it, used for links in subscriber emails
+    publicUrl: '',
+    // Bearer token Prometheus sends to scrape /metrics; without it a viewer session is required
+    metricsToken: '',
+    // Certificate expiry alerts: warning / critical when this many days remain (monitors can override)
+    sslExpiryAlerts: true,
+    sslWarningDays: 30,
+    sslCriticalDays: 7
   },
   
   // Network status
@@ -89,6 +189,34 @@ const createInitialState = () => ({
 
 let state = createInitialState();
 
+// ==================== SECRETS ====================
+
+const pickKeys = (obj, keys) => Object.fromEntries(keys.filter(key => obj[key]).map(key => [key, obj[key]]));
+const omitKeys = (obj, keys) => Object.fromEntries(Object.entries(obj).filter(([key]) => !keys.includes(key)));
+
+// Credentials gathered for encryption: { monitors: { id: {...} }, settings: {...}, webhooks: { id: secret } }
+const collectSecrets = () => ({
+  monitors: Object.fromEntries(Array.from(state.monitors.values())
+    .map(m => [m.id, pickKeys(m, MONITOR_SECRETS)])
+    .filter(([, secrets]) => Object.keys(secrets).length > 0)),
+  settings: pickKeys(state.settings, SECRET_SETTINGS),
+  webhooks: Object.fromEntries(Array.from(state.webhooks.values())
+    .filter(w => w.secret)
+    .map(w => [w.id, w.secret]))
+});
+
+const applySecrets = (secrets) => {
+  Object.entries(secrets.monitors || {}).forEach(([id, values]) => {
+    const monitor = state.monitors.get(id);
+    if (monitor) Object.assign(monitor, pickKeys(values, MONITOR_SECRETS));
+  });
+  Object.assign(state.settings, pickKeys(secrets.settings || {}, SECRET_SETTINGS));
+  Object.entries(secrets.webhooks || {}).forEach(([id, secret]) => {
+    const webhook = state.webhooks.get(id);
+    if (webhook) webhook.secret = secret;
+  });
+};
+
 // ==================== PERSISTENCE ====================
 
 const saveState = () => {
@@ -97,26 +225,37 @@ const saveState = () => {
     const dataToSave = {
       applications: Array.from(state.applications.entries()),
       monitors: Array.from(state.monitors.entries()).map(([id, m]) => {
-        // Exclude sensitive data from monitors
-        const { password, privateKey, ...safe } = m;
-        return [id, { ...safe, hasPassword: !!password, hasPrivateKey: !!privateKey }];
-      }),
-      monitorsSecure: Array.from(state.monitors.entries()).map(([id, m]) => {
-        return [id, { password: m.password, privateKey: m.privateKey }];
+        return [id, { ...omitKeys(m, MONITOR_SECRETS), hasPassword: !!m.password, hasPrivateKey: !!m.privateKey }];
       }),
+      // Monitor, settings and webhook credentials, encrypted with the master key
+      secrets: secretVault.encrypt(collectSecrets()),
       groups: Array.from(state.groups.entries()),
       statuses: Array.from(state.statuses.entries()),
+      contentSnapshots: Array.from(state.contentSnapshots.entries()),
       contacts: Array.from(state.contacts.entries()),
       contactGroups: Array.from(state.contactGroups.entries()),
+      slos: Array.from(state.slos.entries()),
+      maintenanceWindows: Array.from(state.maintenanceWindows.entries()),
+      routingRules: Array.from(state.routingRules.entries()),
+      onCallSchedules: Array.from(state.onCallSchedules.entries()),
+      escalationPolicies: Array.from(state.escalationPolicies.entries()),
+      escalations: Array.from(state.escalations.entries()),
+      webhooks: Array.from(state.webhooks.entries()).map(([id, w]) => [id, omitKeys(w, ['secret'])]),
+      webhookDeliveries: state.webhookDeliveries.slice(0, WEBHOOK_DELIVERY_LIMIT),
+      statusPages: Array.from(state.statusPages.entries()),
+      statusPageSubscribers: Array.from(state.statusPageSubscribers.entries()),
+      users: Array.from(state.users.entries()),
+      sessions: Array.from(state.sessions.entries()),
       incidents: state.incidents.slice(-1000),
       alerts: state.alerts.slice(-500),
       activityLogs: state.activityLogs.slice(-5000),
       logs: state.logs.slice(-2000),
-      settings: state.settings,
+      settings: omitKeys(state.settings, SECRET_SETTINGS),
       savedAt: new Date().toISOString()
     };
     
     fs.writeFileSync(STATE_FILE, JSON.stringify(dataToSave, null, 2));
+    historyStore.flush();
     return true;
   } catch (error) {
     console.error('[STATE] Failed to save state:', error.message);
@@ -137,38 +276,97 @@ const loadState = () => {
     state.groups = new Map(data.groups || []);
     state.contacts = new Map(data.contacts || []);
     state.contactGroups = new Map(data.contactGroups || []);
+    state.slos = new Map(data.slos || []);
+    state.maintenanceWindows = new Map(data.maintenanceWindows || []);
+    state.routingRules = new Map(data.routingRules || []);
+    state.onCallSchedules = new Map(data.onCallSchedules || []);
+    state.escalationPolicies = new Map(data.escalationPolicies || []);
+    state.escalations = new Map(data.escalations || []);
+    state.contentSnapshots = new Map(data.contentSnapshots || []);
+    state.webhooks = new Map(data.webhooks || []);
+    state.webhookDeliveries = data.webhookDeliveries || [];
+    state.statusPages = new Map(data.statusPages || []);
+    state.statusPageSubscribers = new Map(data.statusPageSubscribers || []);
+    state.users = new Map(data.users || []);
+    state.sessions = new Map(data.sessions || []);
     state.incidents = data.incidents || [];
     state.alerts = data.alerts || [];
     state.activityLogs = data.activityLogs || [];
     state.logs = data.logs || [];
     state.settings = { ...state.settings, ...data.settings };
     
-    // Load monitors with secure data
-    const secureMap = new Map(data.monitorsSecure || []);
-    state.monitors = new Map((data.monitors || []).map(([id, m]) => {
-      const secure = secureMap.get(id) || {};
-      return [id, { ...m, password: secure.password, privateKey: secure.privateKey }];
+    state.monitors = new Map((data.monitors || []).map(([id, m]) => [id, { ...m }]));
+    
+    // Credentials: decrypt the vault, or take the plaintext fields of a state file written before it existed
+    let reencrypt = true;
+    if (data.secrets) {
+      applySecrets(secretVault.decrypt(data.secrets));
+      reencrypt = secretVault.needsReencryption(data.secrets);
+    } else {
+      (data.monitorsSecure || []).forEach(([id, secure]) => {
+        const monitor = state.monitors.get(id);
+        if (monitor) Object.assign(monitor, pickKeys(secure, MONITOR_SECRETS));
+      });
+    }
+    
+    // Settings changes used to log the credentials in plaintext
+    const exposedSettings = state.activityLogs.filter(log => log.entityType === 'settings' &&
+      [log, log.details || {}].some(holder => ['previousState', 'newState'].some(field => hasPlainSecrets(holder[field]))));
+    exposedSettings.forEach(log => [log, log.details || {}].forEach(holder => {
+      ['previousState', 'newState'].forEach(field => {
+        if (holder[field]) holder[field] = maskSettings(holder[field]);
+      });
     }));
     
     // Load statuses
     state.statuses = new Map((data.statuses || []).map(([id, s]) => {
-      return [id, { ...s, history: s.history || [] }];
+      return [id, { ...s, history: (s.history || []).slice(0, RECENT_HISTORY_LIMIT) }];
     }));
     
+    pruneHistory();
+    
+    if (reencrypt || exposedSettings.length > 0) {
+      saveState();
+      if (reencrypt) {
+        console.log(data.secrets
+          ? '[STATE] Re-encrypted secrets with the current master key'
+          : '[STATE] Migrated plaintext credentials to the encrypted secrets vault');
+      }
+      if (exposedSettings.length > 0) {
+        console.log(`[STATE] Masked credentials in ${exposedSettings.length} settings activity entries`);
+      }
+    }
+    
     console.log(`[STATE] Loaded state: ${state.monitors.size} monitors, ${state.applications.size} applications`);
     return true;
   } catch (error) {
+    // Never start with empty credentials (and overwrite them on the next save) when the key is wrong
+    if (error.code === 'VAULT_LOCKED') throw error;
     console.error('[STATE] Failed to load state:', error.message);
     return false;
   }
 };
 
-// Auto-save every 30 seconds
+// Auto-save every 30 seconds; housekeeping timers do not keep the process alive on their own
 setInterval(() => {
   if (state.monitors.size > 0 || state.applications.size > 0) {
     saveState();
   }
-}, 30000);
+}, 30000).unref();
+
+// Apply history retention every hour
+const pruneHistory = () => {
+  try {
+    const removed = historyStore.prune(state.settings.historyRetentionDays);
+    if (removed > 0) {
+      console.log(`[STATE] Pruned ${removed} expired history files`);
+    }
+  } catch (error) {
+    console.error('[STATE] Failed to prune history:', error.message);
+  }
+};
+
+setInterval(pruneHistory, 60 * 60 * 1000).unref();
 
 // ==================== ACTIVITY LOGGING ====================
 
@@ -209,6 +407,14 @@ const getEntityName = (entityType, entityId) => {
     case 'group': return state.groups.get(entityId)?.name || entityId;
     case 'contact': return state.contacts.get(entityId)?.name || entityId;
     case 'contactGroup': return state.contactGroups.get(entityId)?.name || entityId;
+    case 'slo': return state.slos.get(entityId)?.name || entityId;
+    case 'maintenance': return state.maintenanceWindows.get(entityId)?.name || entityId;
+    case 'routingRule': return state.routingRules.get(entityId)?.name || entityId;
+    case 'schedule': return state.onCallSchedules.get(entityId)?.name || entityId;
+    case 'escalationPolicy': return state.escalationPolicies.get(entityId)?.name || entityId;
+    case 'webhook': return state.webhooks.get(entityId)?.name || entityId;
+    case 'statusPage': return state.statusPages.get(entityId)?.title || entityId;
+    case 'user': return state.users.get(entityId)?.username || entityId;
     default: return entityId;
   }
 };
@@ -260,6 +466,7 @@ const createApplication = (data) => {
     color: data.color || '#6366f1',
     tags: data.tags || [],
     monitorIds: [],
+    dependencies: dependencies.normalizeDependencies(data.dependencies),
     createdAt: new Date().toISOString(),
     updatedAt: new Date().toISOString()
   };
@@ -283,6 +490,9 @@ const updateApplication = (id, data) => {
     id,
     updatedAt: new Date().toISOString()
   };
+  if (data.dependencies !== undefined) {
+    updated.dependencies = dependencies.normalizeDependencies(data.dependencies);
+  }
   
   state.applications.set(id, updated);
   addActivity('update', 'application', id, { 
@@ -310,6 +520,8 @@ const deleteApplication = (id) => {
   });
   
   state.applications.delete(id);
+  removeDependencyReferences({ type: 'application', id });
+  removeStatusPageComponents({ type: 'application', id });
   addActivity('delete', 'application', id, { name: app.name, previousState: app });
   addLog('info', `Application deleted: ${app.name}`, { applicationId: id });
   saveState();
@@ -334,10 +546,13 @@ const getApplicationHealth = (applicationId) => {
   const up = monitors.filter(m => m.status?.status === 'UP').length;
   const down = monitors.filter(m => m.status?.status === 'DOWN').length;
   const pending = monitors.filter(m => !m.status || m.status.status === 'PENDING').length;
+  const maintenance = monitors.filter(m => m.status?.status === 'MAINTENANCE').length;
+  const flapping = monitors.filter(m => m.status?.status === 'FLAPPING').length;
+  const unreachable = monitors.filter(m => m.status?.status === 'UNREACHABLE').length;
   
   let health = 'healthy';
   if (down > 0) health = 'critical';
-  else if (pending > 0) health = 'warning';
+  else if (pending > 0 || flapping > 0 || unreachable > 0) health = 'warning';
   
   return {
     applicationId,
@@ -347,6 +562,9 @@ const getApplicationHealth = (applicationId) => {
     up,
     down,
     pending,
+    maintenance,
+    flapping,
+    unreachable,
     uptime: total > 0 ? Math.round((up / total) * 100) : 0,
     monitors: monitors.map(m => ({
       id: m.monitor.id,
@@ -434,16 +652,94 @@ const createMonitor = (data) => {
     // SSH specific
     sshSudo: data.sshSudo || false,
     sshSudoPassword: data.sshSudoPassword || null,
+    // SSH command specific: command to run, accepted exit codes ("0, 1"), how to read a value from
+    // stdout (number: first number or the regex sshValuePath; json: the JSONPath sshValuePath)
+    // and the thresholds it is compared to ("above": higher is worse, "below": lower is worse)
+    sshCommand: data.sshCommand || null,
+    sshExpectedExitCodes: data.sshExpectedExitCodes ?? null,
+    sshValueFormat: data.sshValueFormat || 'number',
+    sshValuePath: data.sshValuePath || null,
+    sshWarnThreshold: data.sshWarnThreshold ?? null,
+    sshCriticalThreshold: data.sshCriticalThreshold ?? null,
+    sshThresholdDirection: data.sshThresholdDirection || 'above',
+    // Push specific: secret token of the heartbeat URL, the expected schedule (period in seconds
+    // or a cron expression), grace seconds before a late run counts as missed and the longest
+    // a started run may take (seconds)
+    pushToken: data.type === 'push' ? heartbeats.generatePushToken() : null,
+    pushPeriod: data.pushPeriod ?? null,
+    pushCron: data.pushCron || null,
+    pushTimezone: data.pushTimezone || null,
+    pushGrace: data.pushGrace ?? null,
+    pushMaxDuration: data.pushMaxDuration ?? null,
     // HTTP specific
     method: data.method || 'GET',
     headers: data.headers || {},
     body: data.body || null,
     expectedStatus: data.expectedStatus || 200,
     expectedContent: data.expectedContent || null,
+    // Response checks ({ type, path, operator, value, onFail }); without any, expectedStatus/expectedContent apply
+    assertions: data.assertions || [],
+    // Text that marks the check DOWN when found in the body (applies with or without assertions)
+    negativeKeywords: contentChange.parseList(data.negativeKeywords),
+    // Change detection: hash the page text (minus the ignore patterns), compare it with the
+    // baseline and raise a content_changed alert when it differs
+    contentChangeDetection: data.contentChangeDetection || false,
+    contentIgnorePatterns: contentChange.parseList(data.contentIgnorePatterns),
+    contentChangeAlert: data.contentChangeAlert !== false,
     ignoreTls: data.ignoreTls || false,
+    // HTTP flow specific: ordered steps ({ name, method, url, headers, body, assertions, extract })
+    // and starting {{variables}}; username/password are available as {{username}}/{{password}}
+    steps: data.steps || [],
+    variables: data.variables || {},
+    // Database specific (postgres, mysql, redis, mongodb): database name (Redis: number, MongoDB: auth database),
+    // query or command to run (default: a ping) and whether to connect over TLS
+    database: data.database || null,
+    dbQuery: data.dbQuery || null,
+    dbTls: data.dbTls || false,
+    // DNS specific
+    dnsServer: data.dnsServer || null,
+    dnsRecordType: data.dnsRecordType || 'A',
+    dnsExpected: data.dnsExpected || [],
+    // TLS specific: SNI/hostname to verify (default host)
+    tlsServername: data.tlsServername || null,
+    // ICMP specific: echo requests per check and the packet loss (%) and average RTT (ms) above which
+    // the check is degraded (warn) or DOWN (critical)
+    icmpPacketCount: data.icmpPacketCount ?? null,
+    icmpLossWarn: data.icmpLossWarn ?? null,
+    icmpLossCritical: data.icmpLossCritical ?? null,
+    icmpRttWarn: data.icmpRttWarn ?? null,
+    icmpRttCritical: data.icmpRttCritical ?? null,
+    // FTP specific: none, explicit (AUTH TLS) or implicit TLS; directory to list (default: login
+    // directory), a file that must exist and whether to upload, download and delete a probe file
+    ftpSecurity: data.ftpSecurity || 'none',
+    ftpPath: data.ftpPath || null,
+    ftpFile: data.ftpFile || null,
+    ftpRoundTrip: data.ftpRoundTrip || false,
+    // Mail specific (smtp, imap, pop3): none, starttls or tls (implicit); username/password log in
+    mailSecurity: data.mailSecurity || 'none',
+    // SMTP round trip: send a probe from mailFrom to mailTo and wait up to mailRoundTripTimeout
+    // seconds for it to arrive in the IMAP mailbox, which it is then deleted from
+    mailRoundTrip: data.mailRoundTrip || false,
+    mailFrom: data.mailFrom || null,
+    mailTo: data.mailTo || null,
+    mailRoundTripTimeout: data.mailRoundTripTimeout ?? null,
+    imapHost: data.imapHost || null,
+    imapPort: data.imapPort || null,
+    imapSecurity: data.imapSecurity || 'none',
+    imapUsername: data.imapUsername || null,
+    imapPassword: data.imapPassword || null,
+    imapMailbox: data.imapMailbox || null,
+    // Certificate expiry alert thresholds in days (null = global setting)
+    sslWarningDays: data.sslWarningDays ?? null,
+    sslCriticalDays: data.sslCriticalDays ?? null,
     // Timing
     timeout: data.timeout || 10000,
     schedule: data.schedule || 60,
+    // Failed re-checks before DOWN (null = global setting) and seconds between them
+    retries: data.retries ?? null,
+    retryInterval: data.retryInterval || null,
+    // Parents ({ type: 'monitor' | 'application', id }) whose outage makes this monitor UNREACHABLE
+    dependencies: dependencies.normalizeDependencies(data.dependencies),
     // Organization
     groupId: data.groupId || null,
     applicationId: data.applicationId || null,
@@ -479,7 +775,7 @@ const createMonitor = (data) => {
   addActivity('create', 'monitor', id, { 
     name: monitor.name, 
     type: monitor.type,
-    newState: { ...monitor, password: undefined, privateKey: undefined }
+    newState: maskMonitor(monitor)
   });
   addLog('info', `Monitor created: ${monitor.name}`, { monitorId: id });
   saveState();
@@ -491,15 +787,40 @@ const updateMonitor = (id, data) => {
   const monitor = state.monitors.get(id);
   if (!monitor) return null;
   
-  const previousState = { ...monitor, password: undefined, privateKey: undefined };
+  const previousState = maskMonitor(monitor);
   const previousAppId = monitor.applicationId;
   
+  // Masked credentials sent back by clients keep the stored values; push tokens only change through rotatePushToken
+  const changes = Object.fromEntries(
+    Object.entries(data).filter(([key, value]) => !(MONITOR_SECRETS.includes(key) && value === '***') && key !== 'pushToken')
+  );
+  
   const updated = {
     ...monitor,
-    ...data,
+    ...changes,
     id,
     updatedAt: new Date().toISOString()
   };
+  // Credentials not sent again don't follow the monitor to a different host or flow URL
+  MONITOR_SECRETS.forEach(key => {
+    if (!(key in changes) && secretDestination(updated, key) !== secretDestination(monitor, key)) {
+      updated[key] = null;
+    }
+  });
+  if (updated.type === 'push' && !updated.pushToken) {
+    updated.pushToken = heartbeats.generatePushToken();
+  }
+  if (changes.dependencies !== undefined) {
+    updated.dependencies = dependencies.normalizeDependencies(changes.dependencies);
+  }
+  ['negativeKeywords', 'contentIgnorePatterns'].forEach(key => {
+    if (changes[key] !== undefined) updated[key] = contentChange.parseList(changes[key]);
+  });
+  // A different page or different ignore patterns start over with a new baseline
+  if (!updated.contentChangeDetection || updated.url !== monitor.url ||
+      JSON.stringify(updated.contentIgnorePatterns) !== JSON.stringify(monitor.contentIgnorePatterns)) {
+    state.contentSnapshots.delete(id);
+  }
   
   state.monitors.set(id, updated);
   
@@ -526,7 +847,7 @@ const updateMonitor = (id, data) => {
   addActivity('update', 'monitor', id, {
     name: updated.name,
     previousState,
-    newState: { ...updated, password: undefined, privateKey: undefined },
+    newState: maskMonitor(updated),
     changes: Object.keys(data)
   });
   addLog('info', `Monitor updated: ${updated.name}`, { monitorId: id });
@@ -550,10 +871,13 @@ const deleteMonitor = (id) => {
   
   state.monitors.delete(id);
   state.statuses.delete(id);
+  state.contentSnapshots.delete(id);
+  historyStore.removeMonitor(id);
+  removeDependencyReferences({ type: 'monitor', id });
   
   addActivity('delete', 'monitor', id, { 
     name: monitor.name,
-    previousState: { ...monitor, password: undefined, privateKey: undefined }
+    previousState: maskMonitor(monitor)
   });
   addLog('info', `Monitor deleted: ${monitor.name}`, { monitorId: id });
   saveState();
@@ -563,12 +887,94 @@ const deleteMonitor = (id) => {
 
 const getMonitor = (id) => state.monitors.get(id);
 
-const getAllMonitors = () => Array.from(state.monitors.values()).map(m => ({
-  ...m,
-  password: m.password ? '***' : null,
-  privateKey: m.privateKey ? '***' : null,
-  sshSudoPassword: m.sshSudoPassword ? '***' : null
-}));
+const getMonitorByPushToken = (token) => token
+  ? Array.from(state.monitors.values()).find(m => m.type === 'push' && m.pushToken === token) || null
+  : null;
+
+// New heartbeat URL; the old one stops working immediately
+const rotatePushToken = (id) => {
+  const monitor = state.monitors.get(id);
+  if (!monitor || monitor.type !== 'push') return null;
+  
+  monitor.pushToken = heartbeats.generatePushToken();
+  monitor.updatedAt = new Date().toISOString();
+  addActivity('rotate_push_token', 'monitor', id, { name: monitor.name });
+  addLog('info', `Push URL rotated: ${monitor.name}`, { monitorId: id });
+  saveState();
+  return monitor;
+};
+
+// ==================== CONTENT SNAPSHOTS ====================
+
+const contentSummary = (snapshot) => ({
+  hash: snapshot.current?.hash || snapshot.baseline.hash,
+  baselineHash: snapshot.baseline.hash,
+  baselineAt: snapshot.baseline.capturedAt,
+  changed: !!snapshot.current,
+  changedAt: snapshot.current?.changedAt || null,
+  added: snapshot.current?.added || 0,
+  removed: snapshot.current?.removed || 0
+});
+
+// The first text seen becomes the baseline; later texts that differ from it are kept as `current`
+// (with line counts of the diff) until an operator accepts them or the page reverts
+const recordContentSnapshot = (monitorId, { hash, text }) => {
+  const now = new Date().toISOString();
+  const snapshot = state.contentSnapshots.get(monitorId);
+  
+  if (!snapshot) {
+    const created = { baseline: { hash, text, capturedAt: now }, current: null };
+    state.contentSnapshots.set(monitorId, created);
+    return contentSummary(created);
+  }
+  
+  if (hash === snapshot.baseline.hash) {
+    snapshot.current = null;
+  } else if (snapshot.current?.hash !== hash) {
+    const stats = contentChange.diffStats(contentChange.diffLines(snapshot.baseline.text, text));
+    snapshot.current = { hash, text, changedAt: now, ...stats };
+  }
+  return contentSummary(snapshot);
+};
+
+const getContentSnapshot = (monitorId) => state.contentSnapshots.get(monitorId) || null;
+
+// Makes the changed text the new baseline
+const acceptContentBaseline = (monitorId) => {
+  const snapshot = state.contentSnapshots.get(monitorId);
+  if (!snapshot?.current) return null;
+  
+  const { hash, text } = snapshot.current;
+  snapshot.baseline = { hash, text, capturedAt: new Date().toISOString() };
+  snapshot.current = null;
+  
+  const summary = contentSummary(snapshot);
+  const status = state.statuses.get(monitorId);
+  if (status) status.content = summary;
+  
+  const monitor = state.monitors.get(monitorId);
+  addActivity('accept_content', 'monitor', monitorId, { name: monitor?.name, hash });
+  addLog('info', `Content baseline updated: ${monitor?.name}`, { monitorId });
+  saveState();
+  return summary;
+};
+
+// A job reported that it started: opens a run without recording a check
+const recordHeartbeatStart = (monitorId) => {
+  const status = state.statuses.get(monitorId);
+  if (!status) return null;
+  
+  status.heartbeat = { ...(status.heartbeat || {}), startedAt: new Date().toISOString() };
+  return status.heartbeat;
+};
+
+const maskMonitor = (monitor) => ({
+  ...monitor,
+  ...Object.fromEntries(MONITOR_SECRETS.map(key => [key, monitor[key] ? '***' : null]))
+});
+
+const getMonitorSafe = (id) => state.monitors.has(id) ? maskMonitor(state.monitors.get(id)) : null;
+const getAllMonitors = () => Array.from(state.monitors.values()).map(maskMonitor);
 
 const getMonitorsByGroup = (groupId) => 
   Array.from(state.monitors.values()).filter(m => m.groupId === groupId);
@@ -579,6 +985,71 @@ const getMonitorsByApplication = (applicationId) =>
 const getEnabledMonitors = () => 
   Array.from(state.monitors.values()).filter(m => m.enabled);
 
+// ==================== DEPENDENCIES ====================
+
+const dependencyContext = () => ({
+  monitors: state.monitors,
+  applications: state.applications,
+  statuses: state.statuses
+});
+
+// Validate against the graph as it would be after saving `data` (id null for new entities)
+const validateEntityDependencies = (type, id, data) => {
+  const key = type === 'monitor' ? 'monitors' : 'applications';
+  const proposed = new Map(state[key]);
+  if (id && proposed.has(id)) {
+    proposed.set(id, { ...proposed.get(id), ...data, id });
+  }
+  const ctx = { ...dependencyContext(), [key]: proposed };
+
+  // Moving a monitor into an application also makes it a member there
+  if (type === 'monitor' && id && data.applicationId && state.applications.has(data.applicationId)) {
+    const app = state.applications.get(data.applicationId);
+    ctx.applications = new Map(state.applications);
+    ctx.applications.set(app.id, { ...app, monitorIds: [...new Set([...app.monitorIds, id])] });
+  }
+  return dependencies.validateDependencies({ type, id }, data.dependencies, ctx);
+};
+
+const removeDependencyReferences = (ref) => {
+  const key = dependencies.nodeKey(ref);
+  [state.monitors, state.applications].forEach(map => {
+    map.forEach(entity => {
+      if ((entity.dependencies || []).some(d => dependencies.nodeKey(d) === key)) {
+        entity.dependencies = entity.dependencies.filter(d => dependencies.nodeKey(d) !== key);
+      }
+    });
+  });
+};
+
+const getDependencyGraph = () => dependencies.buildGraph(dependencyContext());
+
+// Effective parents (including inherited) and dependents of a monitor or application
+const getEntityDependencies = (type, id) => {
+  const ctx = dependencyContext();
+  const describe = (ref) => {
+    const entity = ref.type === 'monitor' ? state.monitors.get(ref.id) : state.applications.get(ref.id);
+    return {
+      ...ref,
+      name: entity?.name || ref.id,
+      ...(ref.type === 'monitor' ? { status: state.statuses.get(ref.id)?.status || 'PENDING' } : {})
+    };
+  };
+  return {
+    parents: dependencies.getParents({ type, id }, ctx).map(describe),
+    children: dependencies.getChildren({ type, id }, ctx).map(describe)
+  };
+};
+
+// Why a failing monitor can't be judged on its own: a down (or still retrying) parent, or a network outage
+// network: false for results that arrived over the network (push heartbeats), which an outage cannot explain
+const findBlockingParent = (monitorId, { network = true } = {}) => {
+  if (network && state.settings.networkOutageSuppression !== false && state.networkStatus.isConnected === false) {
+    return { state: 'down', parent: dependencies.NETWORK_ROOT, rootCause: dependencies.NETWORK_ROOT };
+  }
+  return dependencies.findBlockingParent(monitorId, dependencyContext());
+};
+
 // ==================== GROUPS ====================
 
 const createGroup = (data) => {
@@ -633,6 +1104,7 @@ const deleteGroup = (id) => {
   });
   
   state.groups.delete(id);
+  removeStatusPageComponents({ type: 'group', id });
   addActivity('delete', 'group', id, { name: group.name, previousState: group });
   addLog('info', `Group deleted: ${group.name}`, { groupId: id });
   saveState();
@@ -649,9 +1121,7 @@ const getGroupWithMonitors = (groupId) => {
   if (!group) return null;
   
   const monitors = getMonitorsByGroup(groupId).map(m => ({
-    ...m,
-    password: m.password ? '***' : null,
-    privateKey: m.privateKey ? '***' : null,
+    ...maskMonitor(m),
     status: state.statuses.get(m.id)
   }));
   
@@ -775,40 +1245,42 @@ const deleteContactGroup = (id) => {
 const getContactGroup = (id) => state.contactGroups.get(id);
 const getAllContactGroups = () => Array.from(state.contactGroups.values());
 
+const wantsNotifications = (contact) =>
+  contact.notifyOnDown || contact.notifyOnUp || contact.notifyOnIncident;
+
 const getContactsForAlert = () => {
   // Get all contacts that should receive alerts
-  return Array.from(state.contacts.values()).filter(c => 
-    c.notifyOnDown || c.notifyOnUp || c.notifyOnIncident
-  );
+  return Array.from(state.contacts.values()).filter(wantsNotifications);
+};
+
+// Contacts of a rule, with contact groups expanded
+const getRoutingRuleContacts = (rule) => {
+  const contactIds = new Set(rule.contactIds || []);
+  (rule.contactGroupIds || []).forEach(groupId => {
+    (state.contactGroups.get(groupId)?.contactIds || []).forEach(id => contactIds.add(id));
+  });
+  return Array.from(contactIds).map(id => state.contacts.get(id)).filter(Boolean);
 };
 
-const getRecipientsForAlert = () => {
-  // Collect all email and SMS recipients from both direct contacts and groups
+// Resolve who gets notified for an alert.
+// context: { monitor, severity, alertType, at } - matched against the routing rules;
+// when no rule matches, settings.alertRoutingFallback decides ('all' contacts or 'none')
+const getRecipientsForAlert = (context = {}) => {
   const recipientMap = new Map(); // Use map to avoid duplicates
+  const rules = alertRouting.selectRules(Array.from(state.routingRules.values()), context);
+  const fallback = rules.length === 0;
   
-  // Get all contacts
-  const contacts = Array.from(state.contacts.values());
-  
-  // Get all contact groups
-  const contactGroups = Array.from(state.contactGroups.values());
-  
-  // Add direct contacts that want notifications
-  for (const contact of contacts) {
-    if (contact.notifyOnDown || contact.notifyOnUp || contact.notifyOnIncident) {
-      recipientMap.set(contact.id, contact);
-    }
-  }
-  
-  // Expand groups and add member contacts
-  for (const group of contactGroups) {
-    if (group.contactIds && Array.isArray(group.contactIds)) {
-      for (const contactId of group.contactIds) {
-        const contact = state.contacts.get(contactId);
-        if (contact && (contact.notifyOnDown || contact.notifyOnUp || contact.notifyOnIncident)) {
-          recipientMap.set(contact.id, contact);
-        }
-      }
+  if (fallback) {
+    if (state.settings.alertRoutingFallback !== 'none') {
+      // Add direct contacts that want notifications (contact group members are contacts too)
+      getContactsForAlert().forEach(contact => recipientMap.set(contact.id, contact));
     }
+  } else {
+    rules.filter(rule => !rule.suppress).forEach(rule => {
+      getRoutingRuleContacts(rule)
+        .filter(wantsNotifications)
+        .forEach(contact => recipientMap.set(contact.id, contact));
+    });
   }
   
   // Convert map to array
@@ -823,161 +1295,1397 @@ const getRecipientsForAlert = () => {
   return {
     emailRecipients,
     smsRecipients,
-    allRecipients
+    allRecipients,
+    matchedRules: rules.map(rule => ({ id: rule.id, name: rule.name, suppress: !!rule.suppress })),
+    escalationPolicyIds: [...new Set(rules
+      .filter(rule => !rule.suppress && rule.escalationPolicyId && state.escalationPolicies.has(rule.escalationPolicyId))
+      .map(rule => rule.escalationPolicyId))],
+    fallback
   };
 };
 
-// ==================== STATUSES ====================
+// ==================== ROUTING RULES ====================
 
-const updateStatus = (monitorId, statusData) => {
-  const currentStatus = state.statuses.get(monitorId) || {
-    status: 'PENDING',
-    consecutiveFailures: 0,
-    totalChecks: 0,
-    successfulChecks: 0,
-    history: []
+const normalizeRoutingMatch = (match = {}) => ({
+  monitorIds: match.monitorIds || [],
+  applicationIds: match.applicationIds || [],
+  groupIds: match.groupIds || [],
+  tags: match.tags || [],
+  severities: match.severities || [],
+  alertTypes: match.alertTypes || [],
+  timeWindow: match.timeWindow || null
+});
+
+const createRoutingRule = (data) => {
+  const id = uuidv4();
+  const rule = {
+    id,
+    name: data.name,
+    description: data.description || '',
+    enabled: data.enabled !== false,
+    // Lower priority values are evaluated first
+    priority: parseInt(data.priority) || 0,
+    match: normalizeRoutingMatch(data.match),
+    contactIds: data.contactIds || [],
+    contactGroupIds: data.contactGroupIds || [],
+    // Optional escalation policy started for matching alerts
+    escalationPolicyId: data.escalationPolicyId || null,
+    // suppress: matching alerts notify nobody; stop: skip lower-priority rules
+    suppress: data.suppress || false,
+    stop: data.stop || false,
+    createdAt: new Date().toISOString(),
+    updatedAt: new Date().toISOString()
   };
   
-  const monitor = state.monitors.get(monitorId);
-  const previousStatus = currentStatus.status;
-  const isUp = statusData.status === 'UP';
-  
-  // Update consecutive failures
-  const consecutiveFailures = isUp ? 0 : currentStatus.consecutiveFailures + 1;
-  
-  // Create history entry
-  const historyEntry = {
-    timestamp: new Date().toISOString(),
-    status: statusData.status,
-    responseTime: statusData.responseTime,
-    message: statusData.message
-  };
+  state.routingRules.set(id, rule);
+  addActivity('create', 'routingRule', id, { name: rule.name, newState: rule });
+  addLog('info', `Routing rule created: ${rule.name}`, { routingRuleId: id });
+  saveState();
   
-  // Keep last 100 history entries
-  const history = [historyEntry, ...(currentStatus.history || [])].slice(0, 100);
+  return rule;
+};
+
+const updateRoutingRule = (id, data) => {
+  const rule = state.routingRules.get(id);
+  if (!rule) return null;
   
-  const newStatus = {
-    status: statusData.status,
-    responseTime: statusData.responseTime,
-    message: statusData.message,
-    lastCheck: new Date().toISOString(),
-    consecutiveFailures,
-    totalChecks: currentStatus.totalChecks + 1,
-    successfulChecks: isUp ? currentStatus.successfulChecks + 1 : currentStatus.successfulChecks,
-    history,
-    sslInfo: statusData.sslInfo || null
+  const previousState = { ...rule };
+  const updated = {
+    ...rule,
+    ...data,
+    id,
+    priority: data.priority !== undefined ? parseInt(data.priority) || 0 : rule.priority,
+    match: normalizeRoutingMatch(data.match || rule.match),
+    updatedAt: new Date().toISOString()
   };
   
-  state.statuses.set(monitorId, newStatus);
-  
-  // Log status change
-  if (previousStatus !== statusData.status) {
-    addActivity('status_change', 'monitor', monitorId, {
-      name: monitor?.name,
-      previousStatus,
-      newStatus: statusData.status,
-      responseTime: statusData.responseTime,
-      message: statusData.message
-    });
-  }
+  state.routingRules.set(id, updated);
+  addActivity('update', 'routingRule', id, {
+    name: updated.name,
+    previousState,
+    newState: updated,
+    changes: Object.keys(data)
+  });
+  addLog('info', `Routing rule updated: ${updated.name}`, { routingRuleId: id });
+  saveState();
   
-  // Check for incident creation/resolution
-  if (previousStatus === 'UP' && statusData.status === 'DOWN') {
-    // Create incident immediately on first failure if coming from UP state
-    createIncident(monitorId, statusData.message);
-  } else if (previousStatus === 'DOWN' && statusData.status === 'DOWN') {
-    // For subsequent failures, only create additional alert if threshold crossed
-    if (consecutiveFailures >= state.settings.consecutiveFailuresThreshold) {
-      // Check if incident already exists
-      const existingIncident = state.incidents.find(i => 
-        i.monitorId === monitorId && i.status === 'ongoing'
-      );
-      if (!existingIncident) {
-        createIncident(monitorId, statusData.message);
-      }
-    }
-  } else if (previousStatus === 'DOWN' && statusData.status === 'UP' && state.settings.autoResolve) {
-    resolveIncidentForMonitor(monitorId);
-  }
+  return updated;
+};
+
+const deleteRoutingRule = (id) => {
+  const rule = state.routingRules.get(id);
+  if (!rule) return false;
   
+  state.routingRules.delete(id);
+  addActivity('delete', 'routingRule', id, { name: rule.name, previousState: rule });
+  addLog('info', `Routing rule deleted: ${rule.name}`, { routingRuleId: id });
   saveState();
-  return newStatus;
+  
+  return true;
 };
 
-const getStatus = (monitorId) => state.statuses.get(monitorId);
-
-const getAllStatuses = () => {
-  const statuses = {};
-  state.statuses.forEach((status, id) => {
-    statuses[id] = status;
-  });
-  return statuses;
-};
+const getRoutingRule = (id) => state.routingRules.get(id);
+const getAllRoutingRules = () => Array.from(state.routingRules.values())
+  .sort((a, b) => (a.priority || 0) - (b.priority || 0));
 
-// ==================== ALERTS ====================
+// ==================== ON-CALL SCHEDULES ====================
 
-const createAlert = (monitorId, type, message, severity = 'critical') => {
-  const monitor = state.monitors.get(monitorId);
+const createSchedule = (data) => {
   const id = uuidv4();
-  
-  const alert = {
+  const schedule = {
     id,
-    monitorId,
-    monitorName: monitor?.name || 'Unknown',
-    type,
-    message,
-    severity,
-    status: 'active',
-    acknowledgedAt: null,
-    resolvedAt: null,
-    createdAt: new Date().toISOString()
+    name: data.name,
+    description: data.description || '',
+    enabled: data.enabled !== false,
+    // daily or weekly handoffs, counted from rotationStart
+    rotationType: data.rotationType || 'weekly',
+    rotationStart: data.rotationStart || new Date().toISOString(),
+    participants: data.participants || [],
+    overrides: [],
+    createdAt: new Date().toISOString(),
+    updatedAt: new Date().toISOString()
   };
   
-  state.alerts.unshift(alert);
-  
-  addActivity('alert_created', 'monitor', monitorId, {
-    name: monitor?.name,
-    alertId: id,
-    type,
-    message,
-    severity
-  });
-  addLog('warn', `Alert: ${monitor?.name} - ${message}`, { monitorId, alertId: id });
+  state.onCallSchedules.set(id, schedule);
+  addActivity('create', 'schedule', id, { name: schedule.name, newState: schedule });
+  addLog('info', `On-call schedule created: ${schedule.name}`, { scheduleId: id });
   saveState();
   
-  return alert;
+  return schedule;
 };
 
-const acknowledgeAlert = (alertId) => {
-  const alert = state.alerts.find(a => a.id === alertId);
-  if (!alert) return null;
+const updateSchedule = (id, data) => {
+  const schedule = state.onCallSchedules.get(id);
+  if (!schedule) return null;
   
-  alert.status = 'acknowledged';
-  alert.acknowledgedAt = new Date().toISOString();
+  const previousState = { ...schedule };
+  const updated = {
+    ...schedule,
+    ...data,
+    id,
+    // Overrides are managed through addScheduleOverride/removeScheduleOverride
+    overrides: schedule.overrides,
+    updatedAt: new Date().toISOString()
+  };
   
-  addActivity('alert_acknowledged', 'monitor', alert.monitorId, {
-    alertId,
-    monitorName: alert.monitorName
+  state.onCallSchedules.set(id, updated);
+  addActivity('update', 'schedule', id, {
+    name: updated.name,
+    previousState,
+    newState: updated,
+    changes: Object.keys(data)
   });
+  addLog('info', `On-call schedule updated: ${updated.name}`, { scheduleId: id });
   saveState();
   
-  return alert;
+  return updated;
 };
 
-const resolveAlert = (alertId) => {
-  const alert = state.alerts.find(a => a.id === alertId);
-  if (!alert) return null;
+const deleteSchedule = (id) => {
+  const schedule = state.onCallSchedules.get(id);
+  if (!schedule) return false;
   
-  alert.status = 'resolved';
-  alert.resolvedAt = new Date().toISOString();
+  state.onCallSchedules.delete(id);
+  addActivity('delete', 'schedule', id, { name: schedule.name, previousState: schedule });
+  addLog('info', `On-call schedule deleted: ${schedule.name}`, { scheduleId: id });
+  saveState();
   
-  addActivity('alert_resolved', 'monitor', alert.monitorId, {
-    alertId,
-    monitorName: alert.monitorName
+  return true;
+};
+
+const addScheduleOverride = (scheduleId, data) => {
+  const schedule = state.onCallSchedules.get(scheduleId);
+  if (!schedule) return null;
+  
+  const override = {
+    id: uuidv4(),
+    contactId: data.contactId,
+    startsAt: new Date(data.startsAt).toISOString(),
+    endsAt: new Date(data.endsAt).toISOString(),
+    reason: data.reason || '',
+    createdAt: new Date().toISOString()
+  };
+  
+  schedule.overrides = [...(schedule.overrides || []), override];
+  schedule.updatedAt = new Date().toISOString();
+  addActivity('update', 'schedule', scheduleId, {
+    name: schedule.name,
+    override,
+    contactName: state.contacts.get(override.contactId)?.name
   });
+  addLog('info', `On-call override added to ${schedule.name}`, { scheduleId, overrideId: override.id });
   saveState();
   
-  return alert;
+  return override;
+};
+
+const removeScheduleOverride = (scheduleId, overrideId) => {
+  const schedule = state.onCallSchedules.get(scheduleId);
+  if (!schedule || !(schedule.overrides || []).some(o => o.id === overrideId)) return false;
+  
+  schedule.overrides = schedule.overrides.filter(o => o.id !== overrideId);
+  schedule.updatedAt = new Date().toISOString();
+  addActivity('update', 'schedule', scheduleId, { name: schedule.name, removedOverrideId: overrideId });
+  saveState();
+  
+  return true;
+};
+
+const getSchedule = (id) => state.onCallSchedules.get(id);
+const getAllSchedules = () => Array.from(state.onCallSchedules.values());
+
+// Who is on call for a schedule, with the contact resolved
+const getOnCallNow = (scheduleId, at = Date.now()) => {
+  const schedule = state.onCallSchedules.get(scheduleId);
+  if (!schedule) return null;
+  
+  const current = onCall.getOnCall(schedule, at);
+  return {
+    scheduleId,
+    scheduleName: schedule.name,
+    at: new Date(at).toISOString(),
+    onCall: current ? { ...current, contact: state.contacts.get(current.contactId) || null } : null,
+    upcoming: onCall.getUpcomingShifts(schedule, 5, at).map(shift => ({
+      ...shift,
+      contactName: state.contacts.get(shift.contactId)?.name || null
+    }))
+  };
+};
+
+// ==================== ESCALATION POLICIES ====================
+
+const normalizeEscalationSteps = (steps = []) => steps.map(step => ({
+  targets: (step.targets || []).map(t => ({ type: t.type, id: t.id })),
+  escalateAfterMinutes: parseInt(step.escalateAfterMinutes) || 0
+}));
+
+const createEscalationPolicy = (data) => {
+  const id = uuidv4();
+  const policy = {
+    id,
+    name: data.name,
+    description: data.description || '',
+    // Each step notifies its targets, then waits escalateAfterMinutes for an acknowledgement
+    steps: normalizeEscalationSteps(data.steps),
+    // Extra passes through all steps when nobody acknowledges
+    repeat: parseInt(data.repeat) || 0,
+    createdAt: new Date().toISOString(),
+    updatedAt: new Date().toISOString()
+  };
+  
+  state.escalationPolicies.set(id, policy);
+  addActivity('create', 'escalationPolicy', id, { name: policy.name, newState: policy });
+  addLog('info', `Escalation policy created: ${policy.name}`, { escalationPolicyId: id });
+  saveState();
+  
+  return policy;
+};
+
+const updateEscalationPolicy = (id, data) => {
+  const policy = state.escalationPolicies.get(id);
+  if (!policy) return null;
+  
+  const previousState = { ...policy };
+  const updated = {
+    ...policy,
+    ...data,
+    id,
+    steps: data.steps ? normalizeEscalationSteps(data.steps) : policy.steps,
+    repeat: data.repeat !== undefined ? parseInt(data.repeat) || 0 : policy.repeat,
+    updatedAt: new Date().toISOString()
+  };
+  
+  state.escalationPolicies.set(id, updated);
+  addActivity('update', 'escalationPolicy', id, {
+    name: updated.name,
+    previousState,
+    newState: updated,
+    changes: Object.keys(data)
+  });
+  addLog('info', `Escalation policy updated: ${updated.name}`, { escalationPolicyId: id });
+  saveState();
+  
+  return updated;
+};
+
+const deleteEscalationPolicy = (id) => {
+  const policy = state.escalationPolicies.get(id);
+  if (!policy) return false;
+  
+  state.escalationPolicies.delete(id);
+  addActivity('delete', 'escalationPolicy', id, { name: policy.name, previousState: policy });
+  addLog('info', `Escalation policy deleted: ${policy.name}`, { escalationPolicyId: id });
+  saveState();
+  
+  return true;
+};
+
+const getEscalationPolicy = (id) => state.escalationPolicies.get(id);
+const getAllEscalationPolicies = () => Array.from(state.escalationPolicies.values());
+
+// Contacts behind a list of escalation targets (schedules resolve to whoever is on call)
+const resolveEscalationTargets = (targets = [], at = Date.now()) => {
+  const contactIds = new Set();
+  targets.forEach(target => {
+    if (target.type === 'contact') {
+      contactIds.add(target.id);
+    } else if (target.type === 'contactGroup') {
+      (state.contactGroups.get(target.id)?.contactIds || []).forEach(id => contactIds.add(id));
+    } else if (target.type === 'schedule') {
+      const current = onCall.getOnCall(state.onCallSchedules.get(target.id), at);
+      if (current) contactIds.add(current.contactId);
+    }
+  });
+  return Array.from(contactIds).map(id => state.contacts.get(id)).filter(Boolean);
+};
+
+// ==================== ESCALATIONS ====================
+
+const createEscalation = (alert, policyId, monitor) => {
+  const policy = state.escalationPolicies.get(policyId);
+  if (!policy) return null;
+  
+  // One escalation per alert and policy
+  const existing = Array.from(state.escalations.values())
+    .find(e => e.alertId === alert.id && e.policyId === policyId);
+  if (existing) return null;
+  
+  const id = uuidv4();
+  const escalation = {
+    id,
+    alertId: alert.id,
+    policyId,
+    policyName: policy.name,
+    // Snapshot so notifications can be sent after a restart
+    monitor: monitor ? { id: monitor.id, name: monitor.name, type: monitor.type, url: monitor.url, host: monitor.host, port: monitor.port, applicationId: monitor.applicationId } : null,
+    status: 'active',
+    currentStep: -1,
+    cycle: 0,
+    nextStepAt: new Date().toISOString(),
+    notifications: [],
+    startedAt: new Date().toISOString(),
+    endedAt: null
+  };
+  
+  state.escalations.set(id, escalation);
+  addLog('info', `Escalation started: ${policy.name} for ${alert.monitorName}`, { escalationId: id, alertId: alert.id });
+  saveState();
+  
+  return escalation;
+};
+
+const updateEscalation = (id, data) => {
+  const escalation = state.escalations.get(id);
+  if (!escalation) return null;
+  
+  const updated = { ...escalation, ...data, id };
+  state.escalations.set(id, updated);
+  saveState();
+  
+  return updated;
+};
+
+// Stop escalations for an alert (acknowledged, resolved)
+const endEscalationsForAlert = (alertId, status) => {
+  let ended = 0;
+  state.escalations.forEach((escalation, id) => {
+    if (escalation.alertId === alertId && escalation.status === 'active') {
+      state.escalations.set(id, { ...escalation, status, nextStepAt: null, endedAt: new Date().toISOString() });
+      addLog('info', `Escalation ${status}: ${escalation.policyName}`, { escalationId: id, alertId });
+      ended++;
+    }
+  });
+  return ended;
+};
+
+const getEscalation = (id) => state.escalations.get(id);
+const getEscalations = (filters = {}) => {
+  let escalations = Array.from(state.escalations.values());
+  if (filters.status) escalations = escalations.filter(e => e.status === filters.status);
+  if (filters.alertId) escalations = escalations.filter(e => e.alertId === filters.alertId);
+  return escalations.sort((a, b) => new Date(b.startedAt) - new Date(a.startedAt));
+};
+
+// Drop finished escalations older than the given age
+const pruneEscalations = (maxAgeMs) => {
+  const cutoff = Date.now() - maxAgeMs;
+  state.escalations.forEach((escalation, id) => {
+    if (escalation.status !== 'active' && new Date(escalation.endedAt || escalation.startedAt).getTime() < cutoff) {
+      state.escalations.delete(id);
+    }
+  });
+};
+
+// ==================== WEBHOOKS ====================
+
+const createWebhook = (data) => {
+  const id = uuidv4();
+  const webhook = {
+    id,
+    name: data.name,
+    enabled: data.enabled !== false,
+    url: data.url,
+    method: (data.method || 'POST').toUpperCase(),
+    headers: data.headers || {},
+    // JSON body with {{placeholders}}; empty sends the full event payload
+    bodyTemplate: data.bodyTemplate || '',
+    // HMAC-SHA256 signing secret (optional)
+    secret: data.secret || null,
+    events: data.events || ['incident.created', 'incident.acknowledged', 'incident.resolved'],
+    maxRetries: data.maxRetries !== undefined ? parseInt(data.maxRetries) : 3,
+    timeout: parseInt(data.timeout) || 10000,
+    createdAt: new Date().toISOString(),
+    updatedAt: new Date().toISOString()
+  };
+  
+  state.webhooks.set(id, webhook);
+  addActivity('create', 'webhook', id, { name: webhook.name, newState: { ...webhook, secret: undefined } });
+  addLog('info', `Webhook created: ${webhook.name}`, { webhookId: id });
+  saveState();
+  
+  return webhook;
+};
+
+const updateWebhook = (id, data) => {
+  const webhook = state.webhooks.get(id);
+  if (!webhook) return null;
+  
+  const previousState = { ...webhook, secret: undefined };
+  const updated = {
+    ...webhook,
+    ...data,
+    id,
+    method: (data.method || webhook.method).toUpperCase(),
+    // The masked value sent back by clients keeps the stored secret
+    secret: data.secret === '***' || data.secret === undefined ? webhook.secret : data.secret || null,
+    updatedAt: new Date().toISOString()
+  };
+  
+  state.webhooks.set(id, updated);
+  addActivity('update', 'webhook', id, {
+    name: updated.name,
+    previousState,
+    newState: { ...updated, secret: undefined },
+    changes: Object.keys(data)
+  });
+  addLog('info', `Webhook updated: ${updated.name}`, { webhookId: id });
+  saveState();
+  
+  return updated;
+};
+
+const deleteWebhook = (id) => {
+  const webhook = state.webhooks.get(id);
+  if (!webhook) return false;
+  
+  state.webhooks.delete(id);
+  addActivity('delete', 'webhook', id, { name: webhook.name, previousState: { ...webhook, secret: undefined } });
+  addLog('info', `Webhook deleted: ${webhook.name}`, { webhookId: id });
+  saveState();
+  
+  return true;
+};
+
+const maskWebhook = (webhook) => ({ ...webhook, secret: webhook.secret ? '***' : null });
+
+const getWebhook = (id) => state.webhooks.get(id);
+const getWebhookSafe = (id) => state.webhooks.has(id) ? maskWebhook(state.webhooks.get(id)) : null;
+const getAllWebhooks = () => Array.from(state.webhooks.values()).map(maskWebhook);
+const getWebhooksForEvent = (event) => Array.from(state.webhooks.values())
+  .filter(w => w.enabled && (w.events || []).includes(event));
+
+const addWebhookDelivery = (data) => {
+  const delivery = {
+    id: uuidv4(),
+    status: 'pending',
+    attempts: [],
+    createdAt: new Date().toISOString(),
+    completedAt: null,
+    ...data
+  };
+  
+  state.webhookDeliveries.unshift(delivery);
+  if (state.webhookDeliveries.length > WEBHOOK_DELIVERY_LIMIT) {
+    state.webhookDeliveries = state.webhookDeliveries.slice(0, WEBHOOK_DELIVERY_LIMIT);
+  }
+  
+  return delivery;
+};
+
+const updateWebhookDelivery = (id, data) => {
+  const delivery = state.webhookDeliveries.find(d => d.id === id);
+  if (!delivery) return null;
+  Object.assign(delivery, data);
+  return delivery;
+};
+
+const getWebhookDeliveries = (filters = {}) => {
+  let deliveries = state.webhookDeliveries;
+  if (filters.webhookId) deliveries = deliveries.filter(d => d.webhookId === filters.webhookId);
+  if (filters.status) deliveries = deliveries.filter(d => d.status === filters.status);
+  return deliveries.slice(0, filters.limit || 100);
+};
+
+// ==================== STATUS PAGES ====================
+
+const normalizeStatusPageComponents = (components) => (Array.isArray(components) ? components : [])
+  .filter(c => c && statusPage.COMPONENT_TYPES.includes(c.type) && c.id)
+  .map(c => ({ type: c.type, id: String(c.id), name: c.name || '' }));
+
+const createStatusPage = (data) => {
+  const id = uuidv4();
+  const page = {
+    id,
+    slug: data.slug,
+    title: data.title,
+    description: data.description || '',
+    enabled: data.enabled !== false,
+    // Applications and groups shown as component groups, in display order; name overrides the public label
+    components: normalizeStatusPageComponents(data.components),
+    showMonitors: data.showMonitors !== false,
+    uptimeDays: parseInt(data.uptimeDays) || 90,
+    // Subscribers always get manual public updates; autoNotify also emails detected outages and recoveries
+    allowSubscriptions: data.allowSubscriptions !== false,
+    autoNotify: data.autoNotify !== false,
+    // Branding
+    logoUrl: data.logoUrl || '',
+    brandColor: data.brandColor || '#6366f1',
+    theme: data.theme || 'light',
+    footerText: data.footerText || '',
+    createdAt: new Date().toISOString(),
+    updatedAt: new Date().toISOString()
+  };
+  
+  state.statusPages.set(id, page);
+  addActivity('create', 'statusPage', id, { name: page.title, newState: page });
+  addLog('info', `Status page created: ${page.title} (/status/${page.slug})`, { statusPageId: id });
+  saveState();
+  
+  return page;
+};
+
+const updateStatusPage = (id, data) => {
+  const page = state.statusPages.get(id);
+  if (!page) return null;
+  
+  const previousState = { ...page };
+  const updated = {
+    ...page,
+    ...data,
+    id,
+    components: data.components !== undefined ? normalizeStatusPageComponents(data.components) : page.components,
+    uptimeDays: data.uptimeDays !== undefined ? parseInt(data.uptimeDays) || 90 : page.uptimeDays,
+    createdAt: page.createdAt,
+    updatedAt: new Date().toISOString()
+  };
+  
+  state.statusPages.set(id, updated);
+  addActivity('update', 'statusPage', id, {
+    name: updated.title,
+    previousState,
+    newState: updated,
+    changes: Object.keys(data)
+  });
+  addLog('info', `Status page updated: ${updated.title}`, { statusPageId: id });
+  saveState();
+  
+  return updated;
+};
+
+const deleteStatusPage = (id) => {
+  const page = state.statusPages.get(id);
+  if (!page) return false;
+  
+  state.statusPages.delete(id);
+  state.statusPageSubscribers.forEach((subscriber, subscriberId) => {
+    if (subscriber.pageId === id) state.statusPageSubscribers.delete(subscriberId);
+  });
+  addActivity('delete', 'statusPage', id, { name: page.title, previousState: page });
+  addLog('info', `Status page deleted: ${page.title}`, { statusPageId: id });
+  saveState();
+  
+  return true;
+};
+
+const getStatusPage = (id) => state.statusPages.get(id);
+const getStatusPageBySlug = (slug) => Array.from(state.statusPages.values()).find(p => p.slug === slug) || null;
+const getAllStatusPages = () => Array.from(state.statusPages.values());
+
+// Validates the page as it would be after applying data (id null for a new page)
+const validateStatusPageConfig = (id, data) => {
+  const existing = id ? state.statusPages.get(id) : null;
+  return statusPage.validateStatusPage({ ...existing, ...data }, id, {
+    applications: state.applications,
+    groups: state.groups,
+    statusPages: state.statusPages
+  });
+};
+
+const removeStatusPageComponents = (ref) => {
+  state.statusPages.forEach(page => {
+    if (page.components.some(c => c.type === ref.type && c.id === ref.id)) {
+      page.components = page.components.filter(c => !(c.type === ref.type && c.id === ref.id));
+    }
+  });
+};
+
+// Component groups of a page with their enabled monitors; missing applications/groups are skipped
+const getStatusPageComponents = (page) => page.components
+  .map(component => {
+    const source = component.type === 'application'
+      ? state.applications.get(component.id)
+      : state.groups.get(component.id);
+    if (!source) return null;
+    const monitors = component.type === 'application'
+      ? source.monitorIds.map(id => state.monitors.get(id)).filter(Boolean)
+      : getMonitorsByGroup(component.id);
+    return {
+      ...component,
+      name: component.name || source.name,
+      monitors: monitors.filter(m => m.enabled)
+    };
+  })
+  .filter(Boolean);
+
+// Enabled pages showing a monitor, used to pick who hears about its incidents
+const getStatusPagesForMonitor = (monitorId) => getAllStatusPages()
+  .filter(page => page.enabled && getStatusPageComponents(page).some(c => c.monitors.some(m => m.id === monitorId)));
+
+// ==================== STATUS PAGE SUBSCRIBERS ====================
+
+// Tokens confirm and cancel a subscription from email links; they never leave the server otherwise
+const toSafeSubscriber = ({ token, ...subscriber }) => subscriber;
+
+// Returns the existing subscription for the same address, confirmed or not
+const addStatusPageSubscriber = (pageId, email) => {
+  const address = String(email).trim().toLowerCase();
+  const existing = Array.from(state.statusPageSubscribers.values())
+    .find(s => s.pageId === pageId && s.email === address);
+  if (existing) return existing;
+  
+  const id = uuidv4();
+  const subscriber = {
+    id,
+    pageId,
+    email: address,
+    token: auth.generateToken(),
+    confirmed: false,
+    confirmationSentAt: null,
+    confirmedAt: null,
+    createdAt: new Date().toISOString()
+  };
+  
+  state.statusPageSubscribers.set(id, subscriber);
+  saveState();
+  
+  return subscriber;
+};
+
+const markSubscriberConfirmationSent = (id) => {
+  const subscriber = state.statusPageSubscribers.get(id);
+  if (!subscriber) return null;
+  subscriber.confirmationSentAt = new Date().toISOString();
+  saveState();
+  return subscriber;
+};
+
+const findSubscriberByToken = (pageId, token) => Array.from(state.statusPageSubscribers.values())
+  .find(s => token && s.pageId === pageId && s.token === String(token)) || null;
+
+const confirmStatusPageSubscriber = (pageId, token) => {
+  const subscriber = findSubscriberByToken(pageId, token);
+  if (!subscriber) return null;
+  
+  if (!subscriber.confirmed) {
+    subscriber.confirmed = true;
+    subscriber.confirmedAt = new Date().toISOString();
+    addActivity('subscriber_confirmed', 'statusPage', subscriber.pageId, { email: subscriber.email });
+    addLog('info', `Status page subscription confirmed: ${subscriber.email}`, { statusPageId: subscriber.pageId });
+    saveState();
+  }
+  
+  return subscriber;
+};
+
+const unsubscribeStatusPageSubscriber = (pageId, token) => {
+  const subscriber = findSubscriberByToken(pageId, token);
+  if (!subscriber) return null;
+  
+  state.statusPageSubscribers.delete(subscriber.id);
+  addActivity('subscriber_removed', 'statusPage', subscriber.pageId, { email: subscriber.email });
+  addLog('info', `Status page subscriber unsubscribed: ${subscriber.email}`, { statusPageId: subscriber.pageId });
+  saveState();
+  
+  return subscriber;
+};
+
+const deleteStatusPageSubscriber = (pageId, id) => {
+  const subscriber = state.statusPageSubscribers.get(id);
+  if (!subscriber || subscriber.pageId !== pageId) return false;
+  
+  state.statusPageSubscribers.delete(id);
+  addActivity('subscriber_removed', 'statusPage', pageId, { email: subscriber.email });
+  saveState();
+  
+  return true;
+};
+
+const getStatusPageSubscribers = (pageId) => Array.from(state.statusPageSubscribers.values())
+  .filter(s => s.pageId === pageId)
+  .map(toSafeSubscriber);
+
+// Confirmed subscribers including their tokens, for building unsubscribe links
+const getConfirmedSubscribers = (pageId) => Array.from(state.statusPageSubscribers.values())
+  .filter(s => s.pageId === pageId && s.confirmed);
+
+// ==================== USERS ====================
+
+const toSafeUser = (user) => {
+  if (!user) return null;
+  const { passwordHash, ...safe } = user;
+  return safe;
+};
+
+const createUser = (data) => {
+  const id = uuidv4();
+  const user = {
+    id,
+    username: data.username,
+    displayName: data.displayName || data.username,
+    role: data.role || 'viewer',
+    enabled: data.enabled !== false,
+    passwordHash: auth.hashPassword(data.password),
+    lastLoginAt: null,
+    createdAt: new Date().toISOString(),
+    updatedAt: new Date().toISOString()
+  };
+  
+  state.users.set(id, user);
+  addActivity('create', 'user', id, { name: user.username, newState: toSafeUser(user) });
+  addLog('info', `User created: ${user.username} (${user.role})`, { userId: id });
+  saveState();
+  
+  return toSafeUser(user);
+};
+
+// A password change or disabling the account ends the user's sessions (except keepSessionId)
+const updateUser = (id, data, options = {}) => {
+  const user = state.users.get(id);
+  if (!user) return null;
+  
+  const { password, passwordHash, ...changes } = data;
+  const updated = {
+    ...user,
+    ...changes,
+    id,
+    passwordHash: password ? auth.hashPassword(password) : user.passwordHash,
+    updatedAt: new Date().toISOString()
+  };
+  
+  state.users.set(id, updated);
+  if (password || updated.enabled === false) {
+    revokeUserSessions(id, options.keepSessionId);
+  }
+  addActivity('update', 'user', id, {
+    name: updated.username,
+    previousState: toSafeUser(user),
+    newState: toSafeUser(updated),
+    changes: Object.keys(data).map(key => (key === 'password' ? 'password' : key))
+  });
+  addLog('info', `User updated: ${updated.username}`, { userId: id });
+  saveState();
+  
+  return toSafeUser(updated);
+};
+
+const deleteUser = (id) => {
+  const user = state.users.get(id);
+  if (!user) return false;
+  
+  state.users.delete(id);
+  revokeUserSessions(id);
+  addActivity('delete', 'user', id, { name: user.username, previousState: toSafeUser(user) });
+  addLog('info', `User deleted: ${user.username}`, { userId: id });
+  saveState();
+  
+  return true;
+};
+
+const getUser = (id) => toSafeUser(state.users.get(id));
+const getAllUsers = () => Array.from(state.users.values()).map(toSafeUser);
+const hasUsers = () => state.users.size > 0;
+
+const findUserByUsername = (username) => {
+  const name = String(username || '').toLowerCase();
+  return Array.from(state.users.values()).find(u => u.username.toLowerCase() === name);
+};
+
+// Whether applying changes (or deleting, when changes is null) would leave no enabled admin
+const isLastAdmin = (id, changes = null) => {
+  const user = state.users.get(id);
+  if (!user || user.role !== 'admin' || user.enabled === false) return false;
+  if (changes && (changes.role === undefined || changes.role === 'admin') && changes.enabled !== false) return false;
+  return !Array.from(state.users.values()).some(u => u.id !== id && u.role === 'admin' && u.enabled !== false);
+};
+
+// Check credentials; resolves to the safe user or null
+const authenticateUser = async (username, password) => {
+  const user = findUserByUsername(username);
+  if (!user || user.enabled === false || !(await auth.verifyPassword(password, user.passwordHash))) {
+    addLog('warn', `Failed login for ${username || '(empty)'}`, {});
+    return null;
+  }
+  
+  user.lastLoginAt = new Date().toISOString();
+  return toSafeUser(user);
+};
+
+// ==================== SESSIONS ====================
+
+// Returns the raw token once; only its hash is stored
+const createSession = (userId, metadata = {}) => {
+  const token = auth.generateToken();
+  const now = Date.now();
+  const session = {
+    id: uuidv4(),
+    userId,
+    ip: metadata.ip || null,
+    userAgent: metadata.userAgent || null,
+    createdAt: new Date(now).toISOString(),
+    lastSeenAt: new Date(now).toISOString(),
+    expiresAt: new Date(now + auth.SESSION_TTL_MS).toISOString()
+  };
+  
+  pruneSessions();
+  state.sessions.set(auth.hashToken(token), session);
+  saveState();
+  
+  return { token, session };
+};
+
+// Resolve a token to { session, user }; expired sessions and disabled users resolve to null
+const getSessionByToken = (token) => {
+  if (!token) return null;
+  const key = auth.hashToken(token);
+  const session = state.sessions.get(key);
+  if (!session) return null;
+  
+  const user = state.users.get(session.userId);
+  if (!user || user.enabled === false || new Date(session.expiresAt).getTime() <= Date.now()) {
+    state.sessions.delete(key);
+    return null;
+  }
+  
+  session.lastSeenAt = new Date().toISOString();
+  return { session, user: toSafeUser(user) };
+};
+
+const deleteSession = (token) => state.sessions.delete(auth.hashToken(token || ''));
+
+const revokeUserSessions = (userId, keepSessionId = null) => {
+  state.sessions.forEach((session, key) => {
+    if (session.userId === userId && session.id !== keepSessionId) {
+      state.sessions.delete(key);
+    }
+  });
+};
+
+const pruneSessions = () => {
+  const now = Date.now();
+  state.sessions.forEach((session, key) => {
+    if (new Date(session.expiresAt).getTime() <= now) {
+      state.sessions.delete(key);
+    }
+  });
+};
+
+// ==================== STATUSES ====================
+
+const updateStatus = (monitorId, statusData) => {
+  const currentStatus = state.statuses.get(monitorId) || {
+    status: 'PENDING',
+    consecutiveFailures: 0,
+    totalChecks: 0,
+    successfulChecks: 0,
+    history: []
+  };
+  
+  const monitor = state.monitors.get(monitorId);
+  const previousStatus = currentStatus.status;
+  
+  // Inside a maintenance window the result is recorded as MAINTENANCE and never raises incidents
+  const maintenanceWindow = getActiveMaintenanceWindow(monitorId);
+  if (maintenanceWindow) {
+    statusData = {
+      ...statusData,
+      status: 'MAINTENANCE',
+      checkStatus: statusData.status,
+      maintenanceWindowId: maintenanceWindow.id,
+      message: `Maintenance: ${maintenanceWindow.name} (${statusData.status}: ${statusData.message})`
+    };
+  }
+  
+  const inMaintenance = statusData.status === 'MAINTENANCE';
+  const isUp = statusData.status === 'UP';
+  
+  // Update consecutive failures; a check that reports PENDING itself (a push monitor waiting for its
+  // first heartbeat) has no result yet and leaves the count alone
+  const consecutiveFailures = isUp || inMaintenance ? 0
+    : statusData.status === 'PENDING' ? currentStatus.consecutiveFailures
+    : currentStatus.consecutiveFailures + 1;
+  
+  // Retry before DOWN: failures within the retry budget stay PENDING (and are re-checked sooner by the scheduler)
+  const { retries } = statusPolicy.getRetryPolicy(monitor, state.settings);
+  const stableStatus = currentStatus.stableStatus || (statusPolicy.STABLE_STATUSES.includes(previousStatus) ? previousStatus : null);
+  
+  // Dependencies: failing while a parent is down makes the monitor UNREACHABLE; while a parent is
+  // still retrying, this monitor keeps retrying too so the parent gets to raise the incident
+  const blocking = statusData.status === 'DOWN' ? findBlockingParent(monitorId, { network: !statusData.heartbeatEvent }) : null;
+  const unreachable = blocking?.state === 'down';
+  const retrying = statusData.status === 'DOWN' && !unreachable && stableStatus !== 'DOWN' &&
+    (consecutiveFailures <= retries || blocking?.state === 'pending');
+  const confirmedStatus = unreachable ? 'UNREACHABLE' : retrying ? 'PENDING' : statusData.status;
+  
+  // Flap detection over changes between UP and DOWN; maintenance pauses it
+  const flapPolicy = statusPolicy.getFlapPolicy(state.settings);
+  const transitions = statusPolicy.recordTransition(currentStatus.transitions, stableStatus, confirmedStatus, flapPolicy);
+  const flapping = !inMaintenance && !unreachable && statusPolicy.isFlapping(transitions, previousStatus === 'FLAPPING', flapPolicy);
+  const status = flapping ? 'FLAPPING' : confirmedStatus;
+  
+  let message = statusData.message;
+  if (flapping) {
+    message = `Flapping (${transitions.length} state changes in ${Math.round(flapPolicy.windowMs / 60000)} min) - ${statusData.status}: ${statusData.message}`;
+  } else if (unreachable) {
+    const via = blocking.rootCause.id !== blocking.parent.id ? ` (root cause: ${blocking.rootCause.name})` : '';
+    message = `Unreachable: ${blocking.parent.name} is down${via} - ${statusData.message}`;
+  } else if (retrying) {
+    const waiting = blocking?.state === 'pending' ? ` (waiting for ${blocking.parent.name})` : '';
+    message = `Retry ${consecutiveFailures}/${retries}${waiting}: ${statusData.message}`;
+  }
+  
+  // Create history entry: the recorded status, with the check's own result when it differs
+  const checkStatus = inMaintenance ? statusData.checkStatus : statusData.status;
+  const historyEntry = {
+    timestamp: new Date().toISOString(),
+    status,
+    ...(checkStatus !== status ? { checkStatus } : {}),
+    responseTime: statusData.responseTime,
+    message: statusData.message,
+    // Query latency of database checks (responseTime includes connecting and authenticating)
+    ...(typeof statusData.queryTime === 'number' ? { queryTime: statusData.queryTime } : {}),
+    // Packet count, loss, RTT min/avg/max and jitter of ICMP checks
+    ...(statusData.ping ? { ping: statusData.ping } : {}),
+    // Listing and transfer time of FTP checks
+    ...(typeof statusData.transferTime === 'number' ? { transferTime: statusData.transferTime } : {}),
+    // Time a mail round-trip probe took to reach the mailbox
+    ...(typeof statusData.deliveryTime === 'number' ? { deliveryTime: statusData.deliveryTime } : {}),
+    // Event and payload of push heartbeats (scheduled push checks carry none)
+    ...(statusData.heartbeatEvent ? { event: statusData.heartbeatEvent } : {}),
+    // Value read from the output of SSH command checks
+    ...(typeof statusData.commandResult?.value === 'number' ? { value: statusData.commandResult.value } : {}),
+    // Hash of the page text of HTTP checks with change detection
+    ...(statusData.content ? { contentHash: statusData.content.hash } : {}),
+    // Per-step timings of HTTP flows
+    ...(statusData.steps ? { steps: statusData.steps.map(({ name, status, responseTime }) => ({ name, status, responseTime })) } : {}),
+    ...(inMaintenance ? { maintenanceWindowId: statusData.maintenanceWindowId } : {})
+  };
+  
+  // Append to the time-series store and keep a short recent list on the status
+  historyStore.recordSample(monitorId, historyEntry);
+  const history = [historyEntry, ...(currentStatus.history || [])].slice(0, RECENT_HISTORY_LIMIT);
+  
+  const newStatus = {
+    status,
+    responseTime: statusData.responseTime,
+    queryTime: statusData.queryTime ?? null,
+    deliveryTime: statusData.deliveryTime ?? null,
+    transferTime: statusData.transferTime ?? null,
+    // Packet statistics of ICMP checks
+    ping: statusData.ping || null,
+    // Listing, file and round-trip details of FTP checks
+    transfer: statusData.transfer || null,
+    message,
+    lastCheck: new Date().toISOString(),
+    consecutiveFailures,
+    // Uptime counters leave out the statuses the history store excludes (maintenance, retries, unreachable)
+    totalChecks: historyStore.EXCLUDED_STATUSES.includes(status) ? currentStatus.totalChecks : currentStatus.totalChecks + 1,
+    successfulChecks: status === 'UP' ? currentStatus.successfulChecks + 1 : currentStatus.successfulChecks,
+    history,
+    sslInfo: statusData.sslInfo || null,
+    // Responding but failing a "degraded" assertion (e.g. slower than its latency threshold)
+    degraded: status === 'UP' && !!statusData.degraded,
+    assertions: statusData.assertions || null,
+    steps: statusData.steps || null,
+    // Last heartbeat of push monitors (time, event, message, run duration, open run)
+    heartbeat: statusData.heartbeat || currentStatus.heartbeat || null,
+    // Exit code, output, value and threshold level of SSH command checks
+    commandResult: statusData.commandResult || null,
+    // Page text compared with its baseline (failed checks keep the last comparison)
+    content: monitor?.contentChangeDetection
+      ? (statusData.content ? recordContentSnapshot(monitorId, statusData.content) : currentStatus.content || null)
+      : null,
+    // Result of the check itself when the recorded status differs (PENDING while retrying, FLAPPING)
+    checkStatus: status !== statusData.status ? statusData.status : null,
+    retry: retrying && !flapping ? { attempt: consecutiveFailures, of: retries } : null,
+    rootCause: unreachable ? blocking.rootCause : null,
+    stableStatus: statusPolicy.STABLE_STATUSES.includes(confirmedStatus) ? confirmedStatus : stableStatus,
+    transitions
+  };
+  
+  state.statuses.set(monitorId, newStatus);
+  
+  // Log status change
+  if (previousStatus !== status) {
+    addActivity('status_change', 'monitor', monitorId, {
+      name: monitor?.name,
+      previousStatus,
+      newStatus: status,
+      responseTime: statusData.responseTime,
+      message
+    });
+  }
+  
+  // Incidents follow confirmed DOWN/UP; while FLAPPING no new incidents are opened or resolved
+  const ongoingIncident = state.incidents.find(i => i.monitorId === monitorId && i.status === 'ongoing');
+  if (status === 'DOWN') {
+    if (!ongoingIncident) {
+      createIncident(monitorId, statusData.message);
+    }
+  } else if (status === 'UNREACHABLE') {
+    foldIntoIncident(monitorId, blocking.rootCause);
+  } else if (status === 'FLAPPING') {
+    if (previousStatus !== 'FLAPPING') {
+      markFlapping(monitorId, ongoingIncident, message);
+    }
+  } else if (status === 'UP' && ongoingIncident && state.settings.autoResolve) {
+    resolveIncidentForMonitor(monitorId);
+  }
+  
+  if (previousStatus === 'UNREACHABLE' && status !== 'UNREACHABLE') {
+    unfoldFromIncidents(monitorId);
+  }
+  
+  events.emit('monitor.checked', { monitorId, monitor, status: newStatus, result: statusData });
+  
+  // Check results are persisted by the history store; the snapshot is picked up by auto-save
+  return newStatus;
+};
+
+// An UNREACHABLE monitor is listed on the root cause's incident instead of opening (and paging for) its own
+const foldIntoIncident = (monitorId, rootCause) => {
+  const incident = state.incidents.find(i => i.monitorId === rootCause.id && i.status === 'ongoing');
+  if (!incident) return null;
+  
+  incident.affectedMonitors = incident.affectedMonitors || [];
+  if (!incident.affectedMonitors.some(a => a.monitorId === monitorId && !a.recoveredAt)) {
+    const monitor = state.monitors.get(monitorId);
+    const now = new Date().toISOString();
+    incident.affectedMonitors.push({ monitorId, monitorName: monitor?.name || 'Unknown', since: now, recoveredAt: null });
+    incident.updates.push({
+      timestamp: now,
+      status: 'affected',
+      message: `${monitor?.name || 'Unknown'} is unreachable`
+    });
+  }
+  return incident;
+};
+
+const unfoldFromIncidents = (monitorId) => {
+  const now = new Date().toISOString();
+  state.incidents.forEach(incident => {
+    (incident.affectedMonitors || [])
+      .filter(a => a.monitorId === monitorId && !a.recoveredAt)
+      .forEach(a => { a.recoveredAt = now; });
+  });
+};
+
+const markFlapping = (monitorId, ongoingIncident, message) => {
+  const monitor = state.monitors.get(monitorId);
+  if (ongoingIncident) {
+    ongoingIncident.updates.push({
+      timestamp: new Date().toISOString(),
+      status: 'flapping',
+      message: 'Monitor is flapping; further state changes are suppressed until it stabilizes'
+    });
+  }
+  addActivity('flapping', 'monitor', monitorId, { name: monitor?.name, message });
+  addLog('warn', `Monitor flapping: ${monitor?.name} - ${message}`, { monitorId });
+};
+
+const getStatus = (monitorId) => state.statuses.get(monitorId);
+
+// ==================== MAINTENANCE WINDOWS ====================
+
+const normalizeMaintenanceScope = (scope = {}) => ({
+  monitorIds: scope.monitorIds || [],
+  groupIds: scope.groupIds || [],
+  applicationIds: scope.applicationIds || []
+});
+
+// Parsed window settings; create and update both go through this, so stored windows hold only these fields
+const maintenanceFields = (data) => ({
+  name: data.name,
+  description: data.description || '',
+  enabled: data.enabled !== false,
+  // once: startsAt/endsAt; cron/rrule: recurring with durationMinutes (startsAt/endsAt bound the series)
+  scheduleType: data.scheduleType || 'once',
+  startsAt: data.startsAt || null,
+  endsAt: data.endsAt || null,
+  cron: data.cron || null,
+  rrule: data.rrule || null,
+  timezone: data.timezone || null,
+  durationMinutes: parseInt(data.durationMinutes) || 60,
+  scope: normalizeMaintenanceScope(data.scope)
+});
+
+const createMaintenanceWindow = (data) => {
+  const id = uuidv4();
+  const window = {
+    id,
+    ...maintenanceFields(data),
+    createdAt: new Date().toISOString(),
+    updatedAt: new Date().toISOString()
+  };
+  
+  state.maintenanceWindows.set(id, window);
+  addActivity('create', 'maintenance', id, { name: window.name, newState: window });
+  addLog('info', `Maintenance window created: ${window.name}`, { maintenanceWindowId: id });
+  saveState();
+  
+  return window;
+};
+
+const updateMaintenanceWindow = (id, data) => {
+  const window = state.maintenanceWindows.get(id);
+  if (!window) return null;
+  
+  const previousState = { ...window };
+  const updated = {
+    ...window,
+    ...maintenanceFields({ ...window, ...data, scope: data.scope || window.scope }),
+    id,
+    updatedAt: new Date().toISOString()
+  };
+  
+  state.maintenanceWindows.set(id, updated);
+  addActivity('update', 'maintenance', id, {
+    name: updated.name,
+    previousState,
+    newState: updated,
+    changes: Object.keys(data)
+  });
+  addLog('info', `Maintenance window updated: ${updated.name}`, { maintenanceWindowId: id });
+  saveState();
+  
+  return updated;
+};
+
+const deleteMaintenanceWindow = (id) => {
+  const window = state.maintenanceWindows.get(id);
+  if (!window) return false;
+  
+  state.maintenanceWindows.delete(id);
+  addActivity('delete', 'maintenance', id, { name: window.name, previousState: window });
+  addLog('info', `Maintenance window deleted: ${window.name}`, { maintenanceWindowId: id });
+  saveState();
+  
+  return true;
+};
+
+const getMaintenanceWindow = (id) => state.maintenanceWindows.get(id);
+
+const getAllMaintenanceWindows = () => Array.from(state.maintenanceWindows.values()).map(w => ({
+  ...w,
+  active: maintenanceSchedule.isWindowActive(w),
+  period: maintenanceSchedule.getWindowPeriod(w)
+}));
+
+const getActiveMaintenanceWindows = () =>
+  getAllMaintenanceWindows().filter(w => w.active);
+
+// First active window covering a monitor, if any
+const getActiveMaintenanceWindow = (monitorId, at = Date.now()) => {
+  const monitor = state.monitors.get(monitorId);
+  if (!monitor) return null;
+  
+  for (const window of state.maintenanceWindows.values()) {
+    if (maintenanceSchedule.windowCoversMonitor(window, monitor) && maintenanceSchedule.isWindowActive(window, at)) {
+      return window;
+    }
+  }
+  return null;
+};
+
+const getAllStatuses = () => {
+  const statuses = {};
+  state.statuses.forEach((status, id) => {
+    statuses[id] = status;
+  });
+  return statuses;
+};
+
+// ==================== HISTORY ====================
+
+const getMonitorHistory = (monitorId, options = {}) =>
+  historyStore.query(monitorId, { ...options, retentionDays: state.settings.historyRetentionDays });
+
+const getMonitorHistorySummary = (monitorId, options = {}) =>
+  historyStore.summarize(monitorId, { ...options, retentionDays: state.settings.historyRetentionDays });
+
+// ==================== SLOS ====================
+
+// Multi-window burn-rate rules (Google SRE workbook defaults for a 30 day window)
+const DEFAULT_BURN_RATE_RULES = [
+  { longWindowMinutes: 60, shortWindowMinutes: 5, burnRate: 14.4, severity: 'critical' },
+  { longWindowMinutes: 360, shortWindowMinutes: 30, burnRate: 6, severity: 'critical' },
+  { longWindowMinutes: 4320, shortWindowMinutes: 360, burnRate: 1, severity: 'warning' }
+];
+
+// Parsed SLO settings; create and update both go through this, so stored SLOs always hold numbers
+const sloFields = (data) => ({
+  name: data.name,
+  description: data.description || '',
+  // Target: an application or a single monitor
+  targetType: data.targetType === 'monitor' ? 'monitor' : 'application',
+  targetId: data.targetId,
+  // availability: share of UP checks; latency: share of checks faster than latencyThreshold
+  indicator: data.indicator === 'latency' ? 'latency' : 'availability',
+  objective: parseFloat(data.objective) || 99.9,
+  latencyThreshold: parseInt(data.latencyThreshold) || 500,
+  windowDays: parseInt(data.windowDays) || 30,
+  burnRateRules: data.burnRateRules || DEFAULT_BURN_RATE_RULES,
+  alertsEnabled: data.alertsEnabled !== false
+});
+
+const createSlo = (data) => {
+  const id = uuidv4();
+  const slo = {
+    id,
+    ...sloFields(data),
+    // Active burn-rate alerts keyed by rule index
+    activeAlerts: {},
+    createdAt: new Date().toISOString(),
+    updatedAt: new Date().toISOString()
+  };
+  
+  state.slos.set(id, slo);
+  addActivity('create', 'slo', id, { name: slo.name, newState: slo, relatedEntities: [slo.targetId] });
+  addLog('info', `SLO created: ${slo.name}`, { sloId: id });
+  saveState();
+  
+  return slo;
+};
+
+const updateSlo = (id, data) => {
+  const slo = state.slos.get(id);
+  if (!slo) return null;
+  
+  const previousState = { ...slo };
+  const updated = {
+    ...slo,
+    ...sloFields({ ...slo, ...data }),
+    id,
+    activeAlerts: data.activeAlerts || slo.activeAlerts || {},
+    updatedAt: new Date().toISOString()
+  };
+  
+  state.slos.set(id, updated);
+  addActivity('update', 'slo', id, {
+    name: updated.name,
+    previousState,
+    newState: updated,
+    changes: Object.keys(data)
+  });
+  addLog('info', `SLO updated: ${updated.name}`, { sloId: id });
+  saveState();
+  
+  return updated;
+};
+
+const deleteSlo = (id) => {
+  const slo = state.slos.get(id);
+  if (!slo) return false;
+  
+  state.slos.delete(id);
+  addActivity('delete', 'slo', id, { name: slo.name, previousState: slo });
+  addLog('info', `SLO deleted: ${slo.name}`, { sloId: id });
+  saveState();
+  
+  return true;
+};
+
+const getSlo = (id) => state.slos.get(id);
+const getAllSlos = () => Array.from(state.slos.values());
+
+// Monitor IDs an SLO covers
+const getSloMonitorIds = (slo) => {
+  if (slo.targetType === 'monitor') {
+    return state.monitors.has(slo.targetId) ? [slo.targetId] : [];
+  }
+  const app = state.applications.get(slo.targetId);
+  return app ? app.monitorIds.filter(id => state.monitors.has(id)) : [];
+};
+
+// Records which alert is active for a burn-rate rule without touching updatedAt/activity
+const setSloActiveAlert = (id, ruleIndex, alertId) => {
+  const slo = state.slos.get(id);
+  if (!slo) return null;
+  
+  const activeAlerts = { ...(slo.activeAlerts || {}) };
+  if (alertId) {
+    activeAlerts[ruleIndex] = alertId;
+  } else {
+    delete activeAlerts[ruleIndex];
+  }
+  slo.activeAlerts = activeAlerts;
+  saveState();
+  
+  return slo;
+};
+
+// ==================== ALERTS ====================
+
+const createAlert = (monitorId, type, message, severity = 'critical', details = {}) => {
+  const monitor = state.monitors.get(monitorId);
+  const id = uuidv4();
+  
+  const alert = {
+    id,
+    monitorId,
+    monitorName: monitor?.name || 'Unknown',
+    type,
+    message,
+    severity,
+    status: 'active',
+    acknowledgedAt: null,
+    resolvedAt: null,
+    createdAt: new Date().toISOString(),
+    ...details
+  };
+  
+  state.alerts.unshift(alert);
+  
+  addActivity('alert_created', 'monitor', monitorId, {
+    name: monitor?.name,
+    alertId: id,
+    type,
+    message,
+    severity
+  });
+  addLog('warn', `Alert: ${alert.monitorName} - ${message}`, { monitorId, alertId: id });
+  saveState();
+  
+  return alert;
+};
+
+const acknowledgeAlert = (alertId) => {
+  const alert = state.alerts.find(a => a.id === alertId);
+  if (!alert) return null;
+  
+  alert.status = 'acknowledged';
+  alert.acknowledgedAt = new Date().toISOString();
+  endEscalationsForAlert(alertId, 'acknowledged');
+  
+  // Acknowledging an incident alert acknowledges the ongoing incident
+  const incident = alert.type === 'incident'
+    ? state.incidents.find(i => i.monitorId === alert.monitorId && i.status === 'ongoing')
+    : null;
+  if (incident && !incident.acknowledgedAt) {
+    incident.acknowledgedAt = alert.acknowledgedAt;
+    incident.updates.push({
+      timestamp: alert.acknowledgedAt,
+      status: 'acknowledged',
+      message: 'Incident acknowledged'
+    });
+  }
+  
+  addActivity('alert_acknowledged', 'monitor', alert.monitorId, {
+    alertId,
+    monitorName: alert.monitorName
+  });
+  saveState();
+  if (incident) {
+    events.emit('incident.acknowledged', { incident, alert, monitor: state.monitors.get(alert.monitorId) });
+  }
+  
+  return alert;
+};
+
+const resolveAlert = (alertId) => {
+  const alert = state.alerts.find(a => a.id === alertId);
+  if (!alert) return null;
+  
+  alert.status = 'resolved';
+  alert.resolvedAt = new Date().toISOString();
+  endEscalationsForAlert(alertId, 'resolved');
+  
+  addActivity('alert_resolved', 'monitor', alert.monitorId, {
+    alertId,
+    monitorName: alert.monitorName
+  });
+  saveState();
+  
+  return alert;
 };
 
 const getActiveAlerts = () => state.alerts.filter(a => a.status === 'active');
@@ -992,7 +2700,7 @@ const createIncident = (monitorId, message) => {
   const incident = {
     id,
     monitorId,
-    monitorName: monitor?.name || 'Unknown',
+    monitorName: monitor?.name || (monitorId === dependencies.NETWORK_ROOT.id ? dependencies.NETWORK_ROOT.name : 'Unknown'),
     status: 'ongoing',
     message,
     startedAt: new Date().toISOString(),
@@ -1008,7 +2716,7 @@ const createIncident = (monitorId, message) => {
   state.incidents.unshift(incident);
   
   // Create alert
-  createAlert(monitorId, 'incident', message, 'critical');
+  const alert = createAlert(monitorId, 'incident', message, 'critical');
   
   addActivity('incident_created', 'monitor', monitorId, {
     name: monitor?.name,
@@ -1017,6 +2725,7 @@ const createIncident = (monitorId, message) => {
   });
   addLog('error', `Incident started: ${monitor?.name} - ${message}`, { monitorId, incidentId: id });
   saveState();
+  events.emit('incident.created', { incident, alert, monitor });
   
   return incident;
 };
@@ -1035,12 +2744,14 @@ const resolveIncidentForMonitor = (monitorId) => {
     message: 'Service recovered'
   });
   
-  // Resolve related alerts
+  // Resolve the incident's alert; certificate, content and SLO alerts of the monitor have their own lifecycle
+  const alert = state.alerts.find(a => a.monitorId === monitorId && a.type === 'incident' && a.status !== 'resolved');
   state.alerts
-    .filter(a => a.monitorId === monitorId && a.status === 'active')
+    .filter(a => a.monitorId === monitorId && a.type === 'incident' && a.status === 'active')
     .forEach(a => {
       a.status = 'resolved';
       a.resolvedAt = now.toISOString();
+      endEscalationsForAlert(a.id, 'resolved');
     });
   
   addActivity('incident_resolved', 'monitor', monitorId, {
@@ -1050,6 +2761,7 @@ const resolveIncidentForMonitor = (monitorId) => {
   });
   addLog('info', `Incident resolved: ${incident.monitorName}`, { monitorId, incidentId: incident.id });
   saveState();
+  events.emit('incident.resolved', { incident, alert: alert || null, monitor: state.monitors.get(monitorId) });
   
   return incident;
 };
@@ -1059,6 +2771,42 @@ const getIncidents = (limit = 100) => state.incidents.slice(0, limit);
 const getIncidentsByMonitor = (monitorId) => 
   state.incidents.filter(i => i.monitorId === monitorId);
 
+const getIncident = (id) => state.incidents.find(i => i.id === id) || null;
+
+// Operator communication on the incident timeline; public updates are shown on status pages
+// and emailed to their subscribers. A title, if given, replaces the public incident title.
+const addIncidentUpdate = (incidentId, data) => {
+  const incident = getIncident(incidentId);
+  if (!incident) return null;
+  
+  const update = {
+    timestamp: new Date().toISOString(),
+    status: data.status,
+    message: String(data.message).trim(),
+    manual: true,
+    public: data.public !== false,
+    author: data.author || null
+  };
+  incident.updates.push(update);
+  if (data.title) incident.title = String(data.title).trim();
+  
+  addActivity('incident_updated', 'monitor', incident.monitorId, {
+    incidentId,
+    monitorName: incident.monitorName,
+    status: update.status,
+    message: update.message,
+    public: update.public
+  });
+  addLog('info', `Incident update (${update.status}): ${incident.monitorName} - ${update.message}`, {
+    monitorId: incident.monitorId,
+    incidentId
+  });
+  saveState();
+  events.emit('incident.updated', { incident, update, monitor: state.monitors.get(incident.monitorId) });
+  
+  return incident;
+};
+
 // ==================== LOGS ====================
 
 const addLog = (level, message, metadata = {}) => {
@@ -1101,13 +2849,14 @@ const clearLogs = () => {
 
 // ==================== SETTINGS ====================
 
-const updateSettings = (newSettings) => {
+const updateSettings = (settings) => {
+  const newSettings = withoutMaskedSecrets(settings);
   const previousSettings = { ...state.settings };
   state.settings = { ...state.settings, ...newSettings };
   
   addActivity('update', 'settings', 'system', {
-    previousState: previousSettings,
-    newState: state.settings,
+    previousState: maskSettings(previousSettings),
+    newState: maskSettings(state.settings),
     changes: Object.keys(newSettings)
   });
   addLog('info', 'Settings updated', { changes: Object.keys(newSettings) });
@@ -1116,12 +2865,20 @@ const updateSettings = (newSettings) => {
   return state.settings;
 };
 
-const getSettings = () => ({
-  ...state.settings,
-  smtpPass: state.settings.smtpPass ? '***' : '',
-  smsApiKey: state.settings.smsApiKey ? '***' : ''
+const hasPlainSecrets = (settings) => !!settings && SECRET_SETTINGS.some(key => settings[key] && settings[key] !== '***');
+
+const maskSettings = (settings) => ({
+  ...settings,
+  ...Object.fromEntries(SECRET_SETTINGS.map(key => [key, settings[key] ? '***' : '']))
 });
 
+const getSettings = () => maskSettings(state.settings);
+
+// Drop masked secrets ('***' as sent back by clients) so they don't overwrite stored values
+const withoutMaskedSecrets = (settings) => Object.fromEntries(
+  Object.entries(settings).filter(([key, value]) => !(SECRET_SETTINGS.includes(key) && value === '***'))
+);
+
 const getSettingsFull = () => state.settings;
 
 // ==================== STATS ====================
@@ -1133,6 +2890,9 @@ const getStats = () => {
   const up = statuses.filter(s => s.status === 'UP').length;
   const down = statuses.filter(s => s.status === 'DOWN').length;
   const pending = statuses.filter(s => s.status === 'PENDING').length;
+  const maintenance = statuses.filter(s => s.status === 'MAINTENANCE').length;
+  const flapping = statuses.filter(s => s.status === 'FLAPPING').length;
+  const unreachable = statuses.filter(s => s.status === 'UNREACHABLE').length;
   
   const avgResponseTime = statuses
     .filter(s => s.responseTime)
@@ -1147,7 +2907,10 @@ const getStats = () => {
       enabled: monitors.filter(m => m.enabled).length,
       up,
       down,
-      pending
+      pending,
+      maintenance,
+      flapping,
+      unreachable
     },
     applications: {
       total: state.applications.size
@@ -1194,19 +2957,30 @@ const setNetworkStatus = (isConnected) => {
 
 // ==================== EXPORT/IMPORT ====================
 
-const exportData = () => {
+// With a passphrase, credentials are included encrypted so another instance can import them
+const exportData = (options = {}) => {
   return {
     applications: Array.from(state.applications.values()),
     monitors: Array.from(state.monitors.values()).map(m => ({
       ...m,
       password: undefined,
       privateKey: undefined,
-      sshSudoPassword: undefined
+      sshSudoPassword: undefined,
+      imapPassword: undefined
     })),
     groups: Array.from(state.groups.values()),
     contacts: Array.from(state.contacts.values()),
     contactGroups: Array.from(state.contactGroups.values()),
+    slos: Array.from(state.slos.values()).map(slo => ({ ...slo, activeAlerts: {} })),
+    maintenanceWindows: Array.from(state.maintenanceWindows.values()),
+    routingRules: Array.from(state.routingRules.values()),
+    onCallSchedules: Array.from(state.onCallSchedules.values()),
+    escalationPolicies: Array.from(state.escalationPolicies.values()),
+    webhooks: Array.from(state.webhooks.values()).map(w => ({ ...w, secret: undefined })),
+    statusPages: Array.from(state.statusPages.values()),
+    statusPageSubscribers: Array.from(state.statusPageSubscribers.values()),
     settings: getSettings(),
+    ...(options.passphrase ? { secrets: secretVault.encryptWithPassphrase(collectSecrets(), options.passphrase) } : {}),
     exportedAt: new Date().toISOString(),
     version: '4.0.0'
   };
@@ -1272,8 +3046,16 @@ const normalizeImportData = (data) => {
   return normalized;
 };
 
-const importData = (data) => {
+const importData = (data, options = {}) => {
   try {
+    // Encrypted credentials need the export passphrase; decrypt first so a wrong one changes nothing
+    let secrets = null;
+    if (data.secrets && options.passphrase) {
+      secrets = secretVault.decryptWithPassphrase(data.secrets, options.passphrase);
+    } else if (data.secrets) {
+      addLog('warn', 'Import contains encrypted secrets but no passphrase was given; credentials were not imported');
+    }
+    
     // Normalize the data format - handle both old Map format and new export format
     const normalized = normalizeImportData(data);
     
@@ -1289,7 +3071,7 @@ const importData = (data) => {
     if (normalized.applications) {
       normalized.applications.forEach(a => {
         const id = a.id || uuidv4();
-        state.applications.set(id, { ...a, id, monitorIds: a.monitorIds || [] });
+        state.applications.set(id, { ...a, id, monitorIds: a.monitorIds || [], dependencies: dependencies.normalizeDependencies(a.dependencies) });
       });
     }
     
@@ -1297,12 +3079,12 @@ const importData = (data) => {
     if (normalized.monitors) {
       normalized.monitors.forEach(m => {
         const id = m.id || uuidv4();
+        const existing = state.monitors.get(id);
         
-        // Normalize expectedStatus: convert array to first element or default to 200
-        let expectedStatus = m.expectedStatus || 200;
-        if (Array.isArray(expectedStatus)) {
-          expectedStatus = expectedStatus[0] || 200;
-        }
+        // expectedStatus may be a code, a list of codes or a range string; empty lists mean 200
+        const expectedStatus = Array.isArray(m.expectedStatus) && m.expectedStatus.length === 0
+          ? 200
+          : m.expectedStatus || 200;
         
         // Ensure all required fields have defaults (mirroring createMonitor logic)
         const monitor = {
@@ -1316,22 +3098,82 @@ const importData = (data) => {
           port: m.port || null,
           // Authentication with defaults
           username: m.username || null,
-          password: m.password || null,
-          privateKey: m.privateKey || null,
+          password: m.password || existing?.password || null,
+          privateKey: m.privateKey || existing?.privateKey || null,
           // SSH specific with defaults
           sshSudo: m.sshSudo || false,
-          sshSudoPassword: m.sshSudoPassword || null,
+          sshSudoPassword: m.sshSudoPassword || existing?.sshSudoPassword || null,
+          sshCommand: m.sshCommand || null,
+          sshExpectedExitCodes: m.sshExpectedExitCodes ?? null,
+          sshValueFormat: m.sshValueFormat || 'number',
+          sshValuePath: m.sshValuePath || null,
+          sshWarnThreshold: m.sshWarnThreshold ?? null,
+          sshCriticalThreshold: m.sshCriticalThreshold ?? null,
+          sshThresholdDirection: m.sshThresholdDirection || 'above',
+          // Push specific with defaults; imported monitors keep their heartbeat URL
+          pushToken: m.type === 'push' ? (m.pushToken || heartbeats.generatePushToken()) : null,
+          pushPeriod: m.pushPeriod ?? null,
+          pushCron: m.pushCron || null,
+          pushTimezone: m.pushTimezone || null,
+          pushGrace: m.pushGrace ?? null,
+          pushMaxDuration: m.pushMaxDuration ?? null,
           // HTTP specific with defaults
           method: m.method || 'GET',
           headers: m.headers || {},
           body: m.body || null,
           expectedStatus: expectedStatus,
           expectedContent: m.expectedContent || null,
+          assertions: Array.isArray(m.assertions) ? m.assertions : [],
+          negativeKeywords: contentChange.parseList(m.negativeKeywords),
+          contentChangeDetection: m.contentChangeDetection || false,
+          contentIgnorePatterns: contentChange.parseList(m.contentIgnorePatterns),
+          contentChangeAlert: m.contentChangeAlert !== false,
           ignoreTls: m.ignoreTls || false,
           followRedirects: m.followRedirects !== false,
+          // HTTP flow specific with defaults
+          steps: Array.isArray(m.steps) ? m.steps : [],
+          variables: m.variables && typeof m.variables === 'object' ? m.variables : {},
+          // Database specific with defaults
+          database: m.database || null,
+          dbQuery: m.dbQuery || null,
+          dbTls: m.dbTls || false,
+          // DNS specific with defaults
+          dnsServer: m.dnsServer || null,
+          dnsRecordType: m.dnsRecordType || 'A',
+          dnsExpected: m.dnsExpected || [],
+          // TLS specific with defaults
+          tlsServername: m.tlsServername || null,
+          // ICMP specific with defaults
+          icmpPacketCount: m.icmpPacketCount ?? null,
+          icmpLossWarn: m.icmpLossWarn ?? null,
+          icmpLossCritical: m.icmpLossCritical ?? null,
+          icmpRttWarn: m.icmpRttWarn ?? null,
+          icmpRttCritical: m.icmpRttCritical ?? null,
+          // FTP specific with defaults
+          ftpSecurity: m.ftpSecurity || 'none',
+          ftpPath: m.ftpPath || null,
+          ftpFile: m.ftpFile || null,
+          ftpRoundTrip: m.ftpRoundTrip || false,
+          // Mail specific with defaults
+          mailSecurity: m.mailSecurity || 'none',
+          mailRoundTrip: m.mailRoundTrip || false,
+          mailFrom: m.mailFrom || null,
+          mailTo: m.mailTo || null,
+          mailRoundTripTimeout: m.mailRoundTripTimeout ?? null,
+          imapHost: m.imapHost || null,
+          imapPort: m.imapPort || null,
+          imapSecurity: m.imapSecurity || 'none',
+          imapUsername: m.imapUsername || null,
+          imapPassword: m.imapPassword || existing?.imapPassword || null,
+          imapMailbox: m.imapMailbox || null,
+          sslWarningDays: m.sslWarningDays ?? null,
+          sslCriticalDays: m.sslCriticalDays ?? null,
           // Timing with defaults
           timeout: m.timeout || 10000,
           schedule: m.schedule || 60,
+          retries: m.retries ?? null,
+          retryInterval: m.retryInterval || null,
+          dependencies: dependencies.normalizeDependencies(m.dependencies),
           // Organization with defaults
           groupId: m.groupId || null,
           applicationId: m.applicationId || null,
@@ -1380,9 +3222,81 @@ const importData = (data) => {
       });
     }
     
+    // Import SLOs
+    if (normalized.slos) {
+      normalized.slos.forEach(slo => {
+        const id = slo.id || uuidv4();
+        state.slos.set(id, { ...slo, id, activeAlerts: {} });
+      });
+    }
+    
+    // Import maintenance windows
+    if (normalized.maintenanceWindows) {
+      normalized.maintenanceWindows.forEach(w => {
+        const id = w.id || uuidv4();
+        const { active, period, ...window } = w;
+        state.maintenanceWindows.set(id, { ...window, id, scope: normalizeMaintenanceScope(window.scope) });
+      });
+    }
+    
+    // Import routing rules
+    if (normalized.routingRules) {
+      normalized.routingRules.forEach(r => {
+        const id = r.id || uuidv4();
+        state.routingRules.set(id, { ...r, id, match: normalizeRoutingMatch(r.match) });
+      });
+    }
+    
+    // Import on-call schedules and escalation policies
+    if (normalized.onCallSchedules) {
+      normalized.onCallSchedules.forEach(sc => {
+        const id = sc.id || uuidv4();
+        state.onCallSchedules.set(id, { ...sc, id, participants: sc.participants || [], overrides: sc.overrides || [] });
+      });
+    }
+    if (normalized.escalationPolicies) {
+      normalized.escalationPolicies.forEach(p => {
+        const id = p.id || uuidv4();
+        state.escalationPolicies.set(id, { ...p, id, steps: normalizeEscalationSteps(p.steps) });
+      });
+    }
+    
+    // Import webhooks (secrets are not exported; an existing secret is kept)
+    if (normalized.webhooks) {
+      normalized.webhooks.forEach(w => {
+        const id = w.id || uuidv4();
+        const existing = state.webhooks.get(id);
+        state.webhooks.set(id, { ...w, id, secret: w.secret || existing?.secret || null });
+      });
+    }
+    
+    // Import status pages (components pointing at missing applications or groups are dropped)
+    if (normalized.statusPages) {
+      normalized.statusPages.forEach(p => {
+        const id = p.id || uuidv4();
+        const components = normalizeStatusPageComponents(p.components)
+          .filter(c => (c.type === 'application' ? state.applications : state.groups).has(c.id));
+        state.statusPages.set(id, { ...p, id, components });
+      });
+    }
+    
+    // Import subscribers of imported pages
+    if (normalized.statusPageSubscribers) {
+      normalized.statusPageSubscribers
+        .filter(sub => state.statusPages.has(sub.pageId))
+        .forEach(sub => {
+          const id = sub.id || uuidv4();
+          state.statusPageSubscribers.set(id, { ...sub, id, token: sub.token || auth.generateToken() });
+        });
+    }
+    
     // Import settings (partial)
     if (normalized.settings) {
-      state.settings = { ...state.settings, ...normalized.settings };
+      state.settings = { ...state.settings, ...withoutMaskedSecrets(normalized.settings) };
+    }
+    
+    if (secrets) {
+      applySecrets(secrets);
     }
     
     addActivity('import', 'system', 'system', {
@@ -1400,6 +3314,17 @@ const importData = (data) => {
   }
 };
 
+// ==================== MASTER KEY ====================
+
+// New master key in the key file; everything is re-encrypted with it right away
+const rotateMasterKey = () => {
+  const result = secretVault.rotateKey();
+  saveState();
+  addActivity('rotate_key', 'system', 'system', { name: 'Master key', ...result });
+  addLog('info', `Master key rotated: ${result.previousKeyId} -> ${result.keyId}`);
+  return result;
+};
+
 // ==================== RESET ====================
 
 const resetState = () => {
@@ -1409,6 +3334,8 @@ const resetState = () => {
 };
 
 module.exports = {
+  events,
+  
   // Persistence
   loadState,
   saveState,
@@ -1424,6 +3351,9 @@ module.exports = {
   getApplication,
   getAllApplications,
   getApplicationHealth,
+  validateEntityDependencies,
+  getDependencyGraph,
+  getEntityDependencies,
   addMonitorToApplication,
   removeMonitorFromApplication,
   
@@ -1432,6 +3362,12 @@ module.exports = {
   updateMonitor,
   deleteMonitor,
   getMonitor,
+  getMonitorSafe,
+  getMonitorByPushToken,
+  rotatePushToken,
+  recordHeartbeatStart,
+  getContentSnapshot,
+  acceptContentBaseline,
   getAllMonitors,
   getMonitorsByGroup,
   getMonitorsByApplication,
@@ -1461,11 +3397,102 @@ module.exports = {
   getContactsForAlert,
   getRecipientsForAlert,
   
+  // Routing Rules
+  createRoutingRule,
+  updateRoutingRule,
+  deleteRoutingRule,
+  getRoutingRule,
+  getAllRoutingRules,
+  
+  // On-call Schedules
+  createSchedule,
+  updateSchedule,
+  deleteSchedule,
+  addScheduleOverride,
+  removeScheduleOverride,
+  getSchedule,
+  getAllSchedules,
+  getOnCallNow,
+  
+  // Escalation Policies
+  createEscalationPolicy,
+  updateEscalationPolicy,
+  deleteEscalationPolicy,
+  getEscalationPolicy,
+  getAllEscalationPolicies,
+  resolveEscalationTargets,
+  
+  // Escalations
+  createEscalation,
+  updateEscalation,
+  endEscalationsForAlert,
+  getEscalation,
+  getEscalations,
+  pruneEscalations,
+  
+  // Webhooks
+  createWebhook,
+  updateWebhook,
+  deleteWebhook,
+  getWebhook,
+  getWebhookSafe,
+  getAllWebhooks,
+  getWebhooksForEvent,
+  addWebhookDelivery,
+  updateWebhookDelivery,
+  getWebhookDeliveries,
+  
+  // Status pages
+  createStatusPage,
+  updateStatusPage,
+  deleteStatusPage,
+  getStatusPage,
+  getStatusPageBySlug,
+  getAllStatusPages,
+  validateStatusPageConfig,
+  getStatusPageComponents,
+  getStatusPagesForMonitor,
+  addStatusPageSubscriber,
+  markSubscriberConfirmationSent,
+  confirmStatusPageSubscriber,
+  unsubscribeStatusPageSubscriber,
+  deleteStatusPageSubscriber,
+  getStatusPageSubscribers,
+  getConfirmedSubscribers,
+  
+  // Users and sessions
+  createUser,
+  updateUser,
+  deleteUser,
+  getUser,
+  getAllUsers,
+  hasUsers,
+  findUserByUsername,
+  isLastAdmin,
+  authenticateUser,
+  createSession,
+  getSessionByToken,
+  deleteSession,
+  revokeUserSessions,
+  
   // Statuses
   updateStatus,
   getStatus,
   getAllStatuses,
   
+  // History
+  getMonitorHistory,
+  getMonitorHistorySummary,
+  
+  // SLOs
+  createSlo,
+  updateSlo,
+  deleteSlo,
+  getSlo,
+  getAllSlos,
+  getSloMonitorIds,
+  setSloActiveAlert,
+  
   // Alerts
   createAlert,
   acknowledgeAlert,
@@ -1478,6 +3505,8 @@ module.exports = {
   resolveIncidentForMonitor,
   getIncidents,
   getIncidentsByMonitor,
+  getIncident,
+  addIncidentUpdate,
   
   // Activity Logs
   addActivity,
@@ -1493,6 +3522,16 @@ module.exports = {
   updateSettings,
   getSettings,
   getSettingsFull,
+  withoutMaskedSecrets,
+  
+  // Maintenance Windows
+  createMaintenanceWindow,
+  updateMaintenanceWindow,
+  deleteMaintenanceWindow,
+  getMaintenanceWindow,
+  getAllMaintenanceWindows,
+  getActiveMaintenanceWindows,
+  getActiveMaintenanceWindow,
   
   // Stats
   getStats,
@@ -1501,6 +3540,10 @@ module.exports = {
   exportData,
   importData,
   
+  // Secrets vault
+  rotateMasterKey,
+  getVaultStatus: secretVault.getVaultStatus,
+  
   // Reset
   resetState
 };
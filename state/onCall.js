@@ -0,0 +1,145 @@
+// state/onCall.js - On-call Rotation and Escalation Policy Evaluation
+const { toMillis } = require('./values');
+
+const HOUR = 60 * 60 * 1000;
+
+// Rotation types and their handoff interval
+const ROTATION_TYPES = { daily: 24 * HOUR, weekly: 7 * 24 * HOUR };
+const TARGET_TYPES = ['contact', 'contactGroup', 'schedule'];
+
+// ==================== HELPERS ====================
+
+// Override covering a moment, latest created wins
+const activeOverride = (schedule, at) =>
+  (schedule.overrides || [])
+    .filter(o => at >= toMillis(o.startsAt) && at < toMillis(o.endsAt))
+    .sort((a, b) => toMillis(b.createdAt) - toMillis(a.createdAt))[0] || null;
+
+// ==================== ROTATION ====================
+
+// Rotation slot at a moment: handoffs happen every interval from rotationStart
+const rotationSlot = (schedule, at) => {
+  const participants = schedule.participants || [];
+  const start = toMillis(schedule.rotationStart);
+  const interval = ROTATION_TYPES[schedule.rotationType] || ROTATION_TYPES.weekly;
+  if (participants.length === 0 || start === null || at < start) return null;
+
+  const shift = Math.floor((at - start) / interval);
+  return {
+    contactId: participants[shift % participants.length],
+    shiftStart: start + shift * interval,
+    shiftEnd: start + (shift + 1) * interval
+  };
+};
+
+// Who is on call: { contactId, source: 'override'|'rotation', until } or null
+const getOnCall = (schedule, at = Date.now()) => {
+  if (!schedule || schedule.enabled === false) return null;
+
+  const override = activeOverride(schedule, at);
+  if (override) {
+    return { contactId: override.contactId, source: 'override', overrideId: override.id, until: override.endsAt };
+  }
+
+  const slot = rotationSlot(schedule, at);
+  if (!slot) return null;
+  return { contactId: slot.contactId, source: 'rotation', until: new Date(slot.shiftEnd).toISOString() };
+};
+
+// Upcoming rotation shifts (overrides applied) for display
+const getUpcomingShifts = (schedule, count = 5, at = Date.now()) => {
+  const shifts = [];
+  let slot = rotationSlot(schedule, Math.max(at, toMillis(schedule.rotationStart) || at));
+  while (slot && shifts.length < count) {
+    const override = activeOverride(schedule, Math.max(slot.shiftStart, at));
+    shifts.push({
+      contactId: override ? override.contactId : slot.contactId,
+      startsAt: new Date(slot.shiftStart).toISOString(),
+      endsAt: new Date(slot.shiftEnd).toISOString(),
+      overridden: !!override
+    });
+    slot = rotationSlot(schedule, slot.shiftEnd);
+  }
+  return shifts;
+};
+
+// ==================== VALIDATION ====================
+
+const validateSchedule = (config) => {
+  const errors = [];
+
+  if (!config.name) errors.push('Name is required');
+  if (config.rotationType && !ROTATION_TYPES[config.rotationType]) {
+    errors.push(`Rotation type must be one of: ${Object.keys(ROTATION_TYPES).join(', ')}`);
+  }
+  if (!Array.isArray(config.participants) || config.participants.length === 0) {
+    errors.push('At least one participant is required');
+  }
+  if (config.rotationStart && toMillis(config.rotationStart) === null) {
+    errors.push('Rotation start must be a valid date');
+  }
+
+  return {
+    valid: errors.length === 0,
+    errors
+  };
+};
+
+const validateOverride = (config) => {
+  const errors = [];
+  const startsAt = toMillis(config.startsAt);
+  const endsAt = toMillis(config.endsAt);
+
+  if (!config.contactId) errors.push('Contact is required');
+  if (startsAt === null) errors.push('Start time is required');
+  if (endsAt === null) errors.push('End time is required');
+  if (startsAt !== null && endsAt !== null && endsAt <= startsAt) {
+    errors.push('End time must be after start time');
+  }
+
+  return {
+    valid: errors.length === 0,
+    errors
+  };
+};
+
+const validateEscalationPolicy = (config) => {
+  const errors = [];
+
+  if (!config.name) errors.push('Name is required');
+  if (!Array.isArray(config.steps) || config.steps.length === 0) {
+    errors.push('At least one escalation step is required');
+  } else {
+    config.steps.forEach((step, i) => {
+      if (!Array.isArray(step.targets) || step.targets.length === 0) {
+        errors.push(`Step ${i + 1} needs at least one target`);
+      }
+      (step.targets || []).forEach(target => {
+        if (!TARGET_TYPES.includes(target.type)) {
+          errors.push(`Step ${i + 1}: target type must be one of: ${TARGET_TYPES.join(', ')}`);
+        }
+      });
+      if (i < config.steps.length - 1 && !(parseInt(step.escalateAfterMinutes) > 0)) {
+        errors.push(`Step ${i + 1}: escalate-after minutes must be a positive number`);
+      }
+    });
+  }
+  if (config.repeat !== undefined && !(parseInt(config.repeat) >= 0)) {
+    errors.push('Repeat count must be zero or more');
+  }
+
+  return {
+    valid: errors.length === 0,
+    errors
+  };
+};
+
+module.exports = {
+  ROTATION_TYPES,
+  TARGET_TYPES,
+  getOnCall,
+  getUpcomingShifts,
+  validateSchedule,
+  validateOverride,
+  validateEscalationPolicy
+};
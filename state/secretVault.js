@@ -0,0 +1,191 @@
+// state/secretVault.js - AES-256-GCM Encryption for Stored Credentials
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const DATA_DIR = process.env.PULSE_DATA_DIR || path.join(__dirname, '..', 'data');
+const DEFAULT_KEY_FILE = path.join(DATA_DIR, 'master.key');
+
+// Master key sources, in order: PULSE_MASTER_KEY, the key file (PULSE_MASTER_KEY_FILE or data/master.key).
+// Keys being rotated out go in PULSE_MASTER_KEY_PREVIOUS (comma-separated) until the state has been re-saved.
+const KEY_ENV = 'PULSE_MASTER_KEY';
+const KEY_FILE_ENV = 'PULSE_MASTER_KEY_FILE';
+const PREVIOUS_KEYS_ENV = 'PULSE_MASTER_KEY_PREVIOUS';
+
+const ALGORITHM = 'aes-256-gcm';
+const VERSION = 1;
+
+const MIN_PASSPHRASE_LENGTH = 8;
+
+let keyring = null;
+
+// ==================== KEYS ====================
+
+// 64 hex characters or base64 of 32 bytes are used as-is; anything else is treated as a passphrase
+const toKey = (material) => {
+  const value = String(material).trim();
+  if (/^[0-9a-f]{64}$/i.test(value)) return Buffer.from(value, 'hex');
+  const decoded = Buffer.from(value, 'base64');
+  if (decoded.length === 32 && decoded.toString('base64') === value) return decoded;
+  return crypto.scryptSync(value, 'pulse-monitor-vault', 32);
+};
+
+const keyId = (key) => crypto.createHash('sha256').update(key).digest('hex').slice(0, 12);
+
+const keyFilePath = () => process.env[KEY_FILE_ENV] || DEFAULT_KEY_FILE;
+
+const writeKeyFile = (file, key) => {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, key.toString('hex') + '\n', { mode: 0o600 });
+};
+
+const loadKeyring = () => {
+  if (keyring) return keyring;
+
+  let current;
+  if (process.env[KEY_ENV]) {
+    current = { key: toKey(process.env[KEY_ENV]), source: 'env' };
+  } else {
+    const file = keyFilePath();
+    if (!fs.existsSync(file)) {
+      writeKeyFile(file, crypto.randomBytes(32));
+      console.log(`[VAULT] Generated new master key in ${file} - back it up, secrets cannot be recovered without it`);
+    }
+    current = { key: toKey(fs.readFileSync(file, 'utf8')), source: 'file', file };
+  }
+  current.id = keyId(current.key);
+
+  const previous = String(process.env[PREVIOUS_KEYS_ENV] || '')
+    .split(',')
+    .map(v => v.trim())
+    .filter(Boolean)
+    .map(material => {
+      const key = toKey(material);
+      return { key, id: keyId(key), source: 'env' };
+    });
+
+  keyring = { current, previous };
+  return keyring;
+};
+
+const findKey = (id) => {
+  const { current, previous } = loadKeyring();
+  return [current, ...previous].find(k => k.id === id) || null;
+};
+
+// ==================== ENVELOPES ====================
+
+const seal = (value, key) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  const data = Buffer.concat([cipher.update(JSON.stringify(value), 'utf8'), cipher.final()]);
+  return {
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+    data: data.toString('base64')
+  };
+};
+
+const open = (envelope, key) => {
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, Buffer.from(envelope.iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(envelope.tag, 'base64'));
+  const data = Buffer.concat([decipher.update(Buffer.from(envelope.data, 'base64')), decipher.final()]);
+  return JSON.parse(data.toString('utf8'));
+};
+
+const vaultError = (message) => Object.assign(new Error(message), { code: 'VAULT_LOCKED' });
+
+// Encrypt with the current master key
+const encrypt = (value) => {
+  const { current } = loadKeyring();
+  return { v: VERSION, alg: ALGORITHM, kid: current.id, ...seal(value, current.key) };
+};
+
+// Decrypt with whichever configured key sealed the envelope
+const decrypt = (envelope) => {
+  const entry = findKey(envelope.kid);
+  if (!entry) {
+    throw vaultError(`Secrets were encrypted with master key ${envelope.kid}, which is not configured. ` +
+      `Set ${KEY_ENV} (or the key file) to that key, or list it in ${PREVIOUS_KEYS_ENV}.`);
+  }
+  try {
+    return open(envelope, entry.key);
+  } catch (error) {
+    throw vaultError(`Failed to decrypt secrets with master key ${entry.id}: ${error.message}`);
+  }
+};
+
+// Whether an envelope should be re-encrypted with the current key
+const needsReencryption = (envelope) => envelope.kid !== loadKeyring().current.id;
+
+// ==================== PASSPHRASE ENVELOPES ====================
+
+const validatePassphrase = (passphrase) => {
+  const errors = [];
+  if (!passphrase || String(passphrase).length < MIN_PASSPHRASE_LENGTH) {
+    errors.push(`Passphrase must be at least ${MIN_PASSPHRASE_LENGTH} characters`);
+  }
+  return {
+    valid: errors.length === 0,
+    errors
+  };
+};
+
+// Used by exports so secrets can move between instances that have different master keys
+const encryptWithPassphrase = (value, passphrase) => {
+  const salt = crypto.randomBytes(16);
+  const key = crypto.scryptSync(String(passphrase), salt, 32);
+  return { v: VERSION, alg: ALGORITHM, kdf: 'scrypt', salt: salt.toString('base64'), ...seal(value, key) };
+};
+
+const decryptWithPassphrase = (envelope, passphrase) => {
+  const key = crypto.scryptSync(String(passphrase), Buffer.from(envelope.salt, 'base64'), 32);
+  try {
+    return open(envelope, key);
+  } catch (error) {
+    throw new Error('Wrong passphrase or corrupted secrets');
+  }
+};
+
+// ==================== ROTATION ====================
+
+// Replace the key file with a new random key; the old key stays usable in memory so the caller
+// can re-encrypt. Keys from the environment are rotated by changing the environment instead.
+const rotateKey = () => {
+  const { current, previous } = loadKeyring();
+  if (current.source !== 'file') {
+    throw new Error(`Master key comes from ${KEY_ENV}; set the new key there and the old one in ${PREVIOUS_KEYS_ENV}`);
+  }
+
+  const key = crypto.randomBytes(32);
+  fs.copyFileSync(current.file, `${current.file}.${current.id}.bak`);
+  writeKeyFile(current.file, key);
+  keyring = {
+    current: { key, id: keyId(key), source: 'file', file: current.file },
+    previous: [current, ...previous]
+  };
+
+  return { previousKeyId: current.id, keyId: keyring.current.id };
+};
+
+const getVaultStatus = () => {
+  const { current, previous } = loadKeyring();
+  return {
+    algorithm: ALGORITHM,
+    keyId: current.id,
+    keySource: current.source,
+    keyFile: current.source === 'file' ? current.file : null,
+    previousKeyIds: previous.map(k => k.id)
+  };
+};
+
+module.exports = {
+  encrypt,
+  decrypt,
+  needsReencryption,
+  validatePassphrase,
+  encryptWithPassphrase,
+  decryptWithPassphrase,
+  rotateKey,
+  getVaultStatus
+};
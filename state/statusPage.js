@@ -0,0 +1,188 @@
+// state/statusPage.js - Public Status Page Rules: Component Status, Uptime Bars and Validation
+const { EXCLUDED_STATUSES } = require('./historyStore');
+
+const COMPONENT_TYPES = ['application', 'group'];
+const THEMES = ['light', 'dark'];
+// Statuses an operator can post on the public incident timeline
+const UPDATE_STATUSES = ['investigating', 'identified', 'monitoring', 'resolved'];
+
+// Customer-facing component states, least to most severe
+const COMPONENT_STATUSES = ['operational', 'maintenance', 'degraded', 'partial_outage', 'major_outage'];
+
+const SLUG_PATTERN = /^[a-z0-9](?:[a-z0-9-]{0,62}[a-z0-9])?$/;
+const COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const MAX_UPTIME_DAYS = 90;
+const DAY = 24 * 60 * 60 * 1000;
+
+// Daily uptime below these percentages colours the bar degraded / down
+const DAY_THRESHOLDS = { degraded: 99.9, down: 99 };
+
+// ==================== COMPONENT STATUS ====================
+
+// Monitor status as a customer sees it: UNREACHABLE is still an outage, slow (degraded) checks are degraded,
+// retries and unknowns are not shown.
+// Monitors unreachable because this server lost its network say nothing about the service itself.
+const publicMonitorStatus = (status) => {
+  switch (status?.status) {
+    case 'UP': return status.degraded ? 'degraded' : 'operational';
+    case 'DOWN': return 'major_outage';
+    case 'UNREACHABLE': return status.rootCause?.type === 'network' ? null : 'major_outage';
+    case 'FLAPPING': return 'degraded';
+    case 'MAINTENANCE': return 'maintenance';
+    default: return null;
+  }
+};
+
+// A component is a major outage when all of its monitors are down, a partial outage when some are
+const componentStatus = (monitorStatuses) => {
+  const known = monitorStatuses.map(publicMonitorStatus).filter(Boolean);
+  if (known.length === 0) return 'operational';
+
+  const down = known.filter(s => s === 'major_outage').length;
+  if (down > 0) return down === known.length ? 'major_outage' : 'partial_outage';
+  if (known.includes('degraded')) return 'degraded';
+  if (known.every(s => s === 'maintenance')) return 'maintenance';
+  return 'operational';
+};
+
+const worstStatus = (statuses) => statuses.reduce(
+  (worst, s) => COMPONENT_STATUSES.indexOf(s) > COMPONENT_STATUSES.indexOf(worst) ? s : worst,
+  'operational'
+);
+
+// ==================== UPTIME BARS ====================
+
+const dayStatus = (uptime) => {
+  if (uptime === null) return null;
+  if (uptime < DAY_THRESHOLDS.down) return 'major_outage';
+  if (uptime < DAY_THRESHOLDS.degraded) return 'degraded';
+  return 'operational';
+};
+
+// Start of the first day shown for a bar of `days` days ending today (UTC)
+const uptimeRangeStart = (days, now = Date.now()) => {
+  const today = new Date(now);
+  return Date.UTC(today.getUTCFullYear(), today.getUTCMonth(), today.getUTCDate()) - (days - 1) * DAY;
+};
+
+// Merge the daily history points of several monitors into one bar per day.
+// pointsPerMonitor: arrays of 1d rollups ({ timestamp, count, statuses })
+const buildUptimeBars = (pointsPerMonitor, days, now = Date.now()) => {
+  const start = uptimeRangeStart(days, now);
+  const bars = Array.from({ length: days }, (_, i) => ({
+    date: new Date(start + i * DAY).toISOString().slice(0, 10),
+    up: 0,
+    counted: 0
+  }));
+
+  pointsPerMonitor.forEach(points => points.forEach(p => {
+    const index = Math.floor((new Date(p.timestamp).getTime() - start) / DAY);
+    if (index < 0 || index >= days) return;
+    const excluded = EXCLUDED_STATUSES.reduce((sum, status) => sum + (p.statuses?.[status] || 0), 0);
+    bars[index].up += p.statuses?.UP || 0;
+    bars[index].counted += (p.count || 0) - excluded;
+  }));
+
+  const totals = bars.reduce((t, b) => ({ up: t.up + b.up, counted: t.counted + b.counted }), { up: 0, counted: 0 });
+  return {
+    uptime: totals.counted > 0 ? (totals.up / totals.counted) * 100 : null,
+    days: bars.map(b => {
+      const uptime = b.counted > 0 ? (b.up / b.counted) * 100 : null;
+      return { date: b.date, uptime, status: dayStatus(uptime) };
+    })
+  };
+};
+
+// ==================== VALIDATION ====================
+
+const isHttpUrl = (value) => {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch (error) {
+    return false;
+  }
+};
+
+// ctx: { applications, groups, statusPages } maps; id is null for a new page
+const validateStatusPage = (config, id, ctx) => {
+  const errors = [];
+
+  if (!config.title) errors.push('Title is required');
+
+  if (!SLUG_PATTERN.test(String(config.slug || ''))) {
+    errors.push('Slug must be 1-64 lowercase letters, digits or dashes, not starting or ending with a dash');
+  } else if (Array.from(ctx.statusPages.values()).some(p => p.slug === config.slug && p.id !== id)) {
+    errors.push(`Slug "${config.slug}" is already used by another status page`);
+  }
+
+  if (config.components !== undefined && !Array.isArray(config.components)) {
+    errors.push('Components must be a list of { type, id }');
+  } else {
+    (config.components || []).forEach(c => {
+      if (!c || !COMPONENT_TYPES.includes(c.type) || !c.id) {
+        errors.push(`Component type must be one of: ${COMPONENT_TYPES.join(', ')}, with an id`);
+      } else if (!(c.type === 'application' ? ctx.applications : ctx.groups).has(c.id)) {
+        errors.push(`Component ${c.type} ${c.id} not found`);
+      }
+    });
+  }
+
+  if (config.brandColor && !COLOR_PATTERN.test(config.brandColor)) errors.push('Brand color must be a hex color like #6366f1');
+  if (config.logoUrl && !isHttpUrl(config.logoUrl)) errors.push('Logo URL must be an http(s) URL');
+  if (config.theme && !THEMES.includes(config.theme)) errors.push(`Theme must be one of: ${THEMES.join(', ')}`);
+
+  if (config.uptimeDays !== undefined && config.uptimeDays !== null && config.uptimeDays !== '') {
+    const days = Number(config.uptimeDays);
+    if (!Number.isInteger(days) || days < 1 || days > MAX_UPTIME_DAYS) {
+      errors.push(`Uptime days must be a whole number between 1 and ${MAX_UPTIME_DAYS}`);
+    }
+  }
+
+  return {
+    valid: errors.length === 0,
+    errors
+  };
+};
+
+const validateIncidentUpdate = (config, incident) => {
+  const errors = [];
+
+  if (!UPDATE_STATUSES.includes(config.status)) {
+    errors.push(`Status must be one of: ${UPDATE_STATUSES.join(', ')}`);
+  } else if (config.status === 'resolved' && incident?.status === 'ongoing') {
+    errors.push('The incident is still ongoing; it is resolved when its monitor recovers');
+  }
+  if (!config.message || !String(config.message).trim()) errors.push('Message is required');
+
+  return {
+    valid: errors.length === 0,
+    errors
+  };
+};
+
+const validateSubscriberEmail = (email) => {
+  const errors = [];
+  if (!EMAIL_PATTERN.test(String(email || '').trim())) errors.push('A valid email address is required');
+  return {
+    valid: errors.length === 0,
+    errors
+  };
+};
+
+module.exports = {
+  COMPONENT_TYPES,
+  COMPONENT_STATUSES,
+  UPDATE_STATUSES,
+  THEMES,
+  MAX_UPTIME_DAYS,
+  publicMonitorStatus,
+  componentStatus,
+  worstStatus,
+  uptimeRangeStart,
+  buildUptimeBars,
+  validateStatusPage,
+  validateIncidentUpdate,
+  validateSubscriberEmail
+};
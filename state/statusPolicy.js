@@ -0,0 +1,86 @@
+// state/statusPolicy.js - Retry-before-DOWN and Flap Detection Rules
+const MINUTE = 60 * 1000;
+
+// Re-checks while confirming a failure run this often unless the monitor sets retryInterval (capped at its schedule)
+const DEFAULT_RETRY_INTERVAL_SECONDS = 20;
+const MAX_RETRIES = 10;
+const MIN_RETRY_INTERVAL_SECONDS = 5;
+
+// Statuses that count as a state change for flap detection
+const STABLE_STATUSES = ['UP', 'DOWN'];
+
+// ==================== RETRIES ====================
+
+// Failed checks tolerated before DOWN: the monitor's own retries, else the global
+// consecutiveFailuresThreshold (failures before alert) minus the check that failed first
+const getRetryPolicy = (monitor = {}, settings = {}) => {
+  const schedule = parseInt(monitor.schedule) || 60;
+  const retries = monitor.retries !== undefined && monitor.retries !== null && monitor.retries !== ''
+    ? parseInt(monitor.retries) || 0
+    : Math.max(0, (parseInt(settings.consecutiveFailuresThreshold) || 1) - 1);
+  const retryInterval = parseInt(monitor.retryInterval) || Math.min(schedule, DEFAULT_RETRY_INTERVAL_SECONDS);
+
+  return {
+    retries: Math.min(retries, MAX_RETRIES),
+    retryIntervalMs: retryInterval * 1000
+  };
+};
+
+// ==================== FLAPPING ====================
+
+const getFlapPolicy = (settings = {}) => ({
+  enabled: settings.flapDetectionEnabled !== false,
+  windowMs: (parseFloat(settings.flapWindowMinutes) || 30) * MINUTE,
+  threshold: Math.max(2, parseInt(settings.flapThreshold) || 6)
+});
+
+// Keep state-change timestamps inside the window, adding one if the stable status changed
+const recordTransition = (transitions = [], previousStable, currentStable, policy, now = Date.now()) => {
+  const recent = transitions.filter(t => now - new Date(t).getTime() < policy.windowMs);
+  if (STABLE_STATUSES.includes(previousStable) && STABLE_STATUSES.includes(currentStable) && previousStable !== currentStable) {
+    recent.push(new Date(now).toISOString());
+  }
+  return recent;
+};
+
+// Flapping starts at `threshold` changes in the window and ends once they drop to half of it,
+// so a monitor doesn't bounce in and out of FLAPPING on the boundary
+const isFlapping = (transitions, wasFlapping, policy) => {
+  if (!policy.enabled) return false;
+  return wasFlapping
+    ? transitions.length > Math.floor(policy.threshold / 2)
+    : transitions.length >= policy.threshold;
+};
+
+// ==================== VALIDATION ====================
+
+const validateRetryConfig = (config) => {
+  const errors = [];
+
+  if (config.retries !== undefined && config.retries !== null && config.retries !== '') {
+    const retries = Number(config.retries);
+    if (!Number.isInteger(retries) || retries < 0 || retries > MAX_RETRIES) {
+      errors.push(`Retries must be a whole number between 0 and ${MAX_RETRIES}`);
+    }
+  }
+  if (config.retryInterval !== undefined && config.retryInterval !== null && config.retryInterval !== '') {
+    const interval = Number(config.retryInterval);
+    if (!Number.isFinite(interval) || interval < MIN_RETRY_INTERVAL_SECONDS) {
+      errors.push(`Retry interval must be at least ${MIN_RETRY_INTERVAL_SECONDS} seconds`);
+    }
+  }
+
+  return {
+    valid: errors.length === 0,
+    errors
+  };
+};
+
+module.exports = {
+  STABLE_STATUSES,
+  getRetryPolicy,
+  getFlapPolicy,
+  recordTransition,
+  isFlapping,
+  validateRetryConfig
+};
@@ -0,0 +1,19 @@
+// state/values.js - Shared Value Helpers for Config and Timestamps
+
+// Unset form fields arrive as undefined, null or ''
+const isBlank = (value) => value === undefined || value === null || value === '';
+
+// Epoch milliseconds from a Date-parsable value, a number or a string of digits (as in query
+// parameters); null when blank or unparsable
+const toMillis = (value) => {
+  if (isBlank(value)) return null;
+  if (typeof value === 'number') return value;
+  if (/^\d+$/.test(String(value))) return parseInt(value, 10);
+  const ms = new Date(value).getTime();
+  return isNaN(ms) ? null : ms;
+};
+
+module.exports = {
+  isBlank,
+  toMillis
+};
@@ -0,0 +1,473 @@
+#!/usr/bin/env node
+
+/**
+ * Database Monitor Tests
+ * Runs postgres, mysql, redis and mongodb checks through the real drivers against in-process
+ * protocol stubs on 127.0.0.1: just enough of each wire protocol to log in and answer a few queries
+ * Run: node --test test-database-monitors.js
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const net = require('net');
+const { BSON } = require('mongodb');
+const { checkMonitorOnce, validateMonitorConfig } = require('./monitors/monitorEngine');
+
+const USER = 'monitor';
+const PASSWORD = 's3cret';
+
+// Canned results per query: column names and types, rows as text
+const SQL_RESULTS = {
+  'SELECT 1': { columns: [['?column?', 'int']], rows: [['1']] },
+  'SELECT state, jobs FROM queue_stats': {
+    columns: [['state', 'text'], ['jobs', 'int']],
+    rows: [['pending', '3'], ['failed', '0']]
+  }
+};
+
+// ==================== POSTGRESQL ====================
+
+const PG_TYPES = { int: 23, text: 25 };
+
+const pgMessage = (type, ...parts) => {
+  const body = Buffer.concat(parts);
+  const header = Buffer.alloc(5);
+  header.write(type, 0);
+  header.writeUInt32BE(body.length + 4, 1);
+  return Buffer.concat([header, body]);
+};
+
+const int16 = (value) => {
+  const buf = Buffer.alloc(2);
+  buf.writeUInt16BE(value);
+  return buf;
+};
+
+const int32 = (value) => {
+  const buf = Buffer.alloc(4);
+  buf.writeInt32BE(value);
+  return buf;
+};
+
+const cstr = (value) => Buffer.from(`${value}\0`);
+
+const pgError = (code, message) => pgMessage('E', cstr('SERROR'), cstr('VERROR'), cstr(`C${code}`), cstr(`M${message}`), Buffer.from([0]));
+
+const pgReady = () => pgMessage('Z', Buffer.from('I'));
+
+const pgResult = ({ columns, rows }) => Buffer.concat([
+  pgMessage('T', int16(columns.length), ...columns.map(([name, type]) =>
+    Buffer.concat([cstr(name), int32(0), int16(0), int32(PG_TYPES[type]), int16(4), int32(-1), int16(0)]))),
+  ...rows.map(row => pgMessage('D', int16(row.length), ...row.map(value => Buffer.concat([int32(Buffer.byteLength(value)), Buffer.from(value)])))),
+  pgMessage('C', cstr(`SELECT ${rows.length}`))
+]);
+
+// Cleartext password authentication, then the simple query protocol
+const handlePostgres = (socket) => {
+  let buffer = Buffer.alloc(0);
+  let started = false;
+  socket.on('error', () => {});
+  socket.on('data', (chunk) => {
+    buffer = Buffer.concat([buffer, chunk]);
+    for (;;) {
+      if (!started) {
+        if (buffer.length < 4 || buffer.length < buffer.readUInt32BE(0)) return;
+        buffer = buffer.subarray(buffer.readUInt32BE(0));
+        started = true;
+        socket.write(pgMessage('R', int32(3)));
+        continue;
+      }
+      if (buffer.length < 5 || buffer.length < buffer.readUInt32BE(1) + 1) return;
+      const type = String.fromCharCode(buffer[0]);
+      const body = buffer.subarray(5, buffer.readUInt32BE(1) + 1);
+      buffer = buffer.subarray(buffer.readUInt32BE(1) + 1);
+
+      if (type === 'p') {
+        if (body.toString().replace(/\0$/, '') !== PASSWORD) {
+          socket.end(pgError('28P01', `password authentication failed for user "${USER}"`));
+          return;
+        }
+        socket.write(Buffer.concat([pgMessage('R', int32(0)), pgMessage('K', int32(1), int32(2)), pgReady()]));
+      } else if (type === 'Q') {
+        const sql = body.toString().replace(/\0$/, '').trim();
+        const result = SQL_RESULTS[sql];
+        socket.write(Buffer.concat([result ? pgResult(result) : pgError('42P01', 'relation does not exist'), pgReady()]));
+      } else if (type === 'X') {
+        socket.end();
+      }
+    }
+  });
+};
+
+// ==================== MYSQL ====================
+
+const MYSQL_TYPES = { int: 0x08, text: 0xfd };
+const MYSQL_CAPABILITIES = 0x1 | 0x4 | 0x8 | 0x200 | 0x2000 | 0x8000 | 0x20000 | 0x80000;
+const CLIENT = { CONNECT_WITH_DB: 0x8, PLUGIN_AUTH_LENENC: 0x200000 };
+
+const sha1 = (...parts) => parts.reduce((hash, part) => hash.update(part), crypto.createHash('sha1')).digest();
+
+// mysql_native_password: SHA1(password) XOR SHA1(scramble + SHA1(SHA1(password)))
+const nativePasswordToken = (password, scramble) => {
+  const stage1 = sha1(password);
+  const stage2 = sha1(scramble, sha1(stage1));
+  return Buffer.from(stage1.map((byte, i) => byte ^ stage2[i]));
+};
+
+const lenenc = (value) => {
+  const data = Buffer.from(String(value));
+  return Buffer.concat([Buffer.from([data.length]), data]);
+};
+
+const mysqlPacket = (sequence, payload) => {
+  const header = Buffer.alloc(4);
+  header.writeUIntLE(payload.length, 0, 3);
+  header[3] = sequence;
+  return Buffer.concat([header, payload]);
+};
+
+const mysqlOk = (sequence) => mysqlPacket(sequence, Buffer.from([0x00, 0, 0, 0x02, 0, 0, 0]));
+const mysqlEof = (sequence) => mysqlPacket(sequence, Buffer.from([0xfe, 0, 0, 0x02, 0]));
+
+const mysqlError = (sequence, code, state, message) => {
+  const codeBuf = Buffer.alloc(2);
+  codeBuf.writeUInt16LE(code);
+  return mysqlPacket(sequence, Buffer.concat([Buffer.from([0xff]), codeBuf, Buffer.from(`#${state}${message}`)]));
+};
+
+const mysqlHandshake = (scramble) => {
+  const flags = Buffer.alloc(4);
+  flags.writeUInt32LE(MYSQL_CAPABILITIES);
+  return mysqlPacket(0, Buffer.concat([
+    Buffer.from([10]), cstr('8.0.36-stub'), int32(7),
+    scramble.subarray(0, 8), Buffer.from([0]),
+    flags.subarray(0, 2), Buffer.from([33]), Buffer.from([2, 0]), flags.subarray(2, 4),
+    Buffer.from([21]), Buffer.alloc(10),
+    scramble.subarray(8), Buffer.from([0]),
+    cstr('mysql_native_password')
+  ]));
+};
+
+const mysqlResult = ({ columns, rows }) => {
+  let sequence = 1;
+  const packets = [mysqlPacket(sequence++, Buffer.from([columns.length]))];
+  columns.forEach(([name, type]) => {
+    const tail = Buffer.alloc(13);
+    tail[0] = 0x0c;
+    tail.writeUInt16LE(type === 'int' ? 63 : 33, 1);
+    tail.writeUInt32LE(type === 'int' ? 11 : 255, 3);
+    tail[7] = MYSQL_TYPES[type];
+    packets.push(mysqlPacket(sequence++, Buffer.concat([lenenc('def'), lenenc(''), lenenc(''), lenenc(''), lenenc(name), lenenc(name), tail])));
+  });
+  packets.push(mysqlEof(sequence++));
+  rows.forEach(row => packets.push(mysqlPacket(sequence++, Buffer.concat(row.map(lenenc)))));
+  packets.push(mysqlEof(sequence++));
+  return Buffer.concat(packets);
+};
+
+// Reads the handshake response: user, auth token and (optional) database
+const parseHandshakeResponse = (payload) => {
+  const flags = payload.readUInt32LE(0);
+  let offset = 32;
+  const userEnd = payload.indexOf(0, offset);
+  const user = payload.subarray(offset, userEnd).toString();
+  offset = userEnd + 1;
+  const tokenLength = payload[offset++];
+  const token = payload.subarray(offset, offset + tokenLength);
+  offset += tokenLength;
+  const database = flags & CLIENT.CONNECT_WITH_DB ? payload.subarray(offset, payload.indexOf(0, offset)).toString() : '';
+  return { user, token, database };
+};
+
+const handleMysql = (socket) => {
+  const scramble = crypto.randomBytes(20).map(byte => (byte % 94) + 33);
+  let buffer = Buffer.alloc(0);
+  let authenticated = false;
+  socket.on('error', () => {});
+  socket.write(mysqlHandshake(scramble));
+  socket.on('data', (chunk) => {
+    buffer = Buffer.concat([buffer, chunk]);
+    while (buffer.length >= 4 && buffer.length >= 4 + buffer.readUIntLE(0, 3)) {
+      const length = buffer.readUIntLE(0, 3);
+      const sequence = buffer[3];
+      const payload = buffer.subarray(4, 4 + length);
+      buffer = buffer.subarray(4 + length);
+
+      if (!authenticated) {
+        const { user, token, database } = parseHandshakeResponse(payload);
+        if (user !== USER || !token.equals(nativePasswordToken(PASSWORD, scramble))) {
+          socket.end(mysqlError(sequence + 1, 1045, '28000', `Access denied for user '${user}'@'localhost' (using password: YES)`));
+          return;
+        }
+        if (database && database !== 'app') {
+          socket.end(mysqlError(sequence + 1, 1049, '42000', `Unknown database '${database}'`));
+          return;
+        }
+        authenticated = true;
+        socket.write(mysqlOk(sequence + 1));
+      } else if (payload[0] === 0x03) {
+        const sql = payload.subarray(1).toString().trim();
+        const result = SQL_RESULTS[sql];
+        socket.write(result ? mysqlResult(result) : mysqlError(1, 1146, '42S02', "Table 'app.missing' doesn't exist"));
+      } else if (payload[0] === 0x01) {
+        socket.end();
+      }
+    }
+  });
+};
+
+// ==================== REDIS ====================
+
+const respBulk = (value) => (value === null ? '$-1\r\n' : `$${Buffer.byteLength(value)}\r\n${value}\r\n`);
+
+// Clients send commands as arrays of bulk strings; returns [args, rest] or null when incomplete
+const parseRespCommand = (text) => {
+  const lines = text.split('\r\n');
+  const count = parseInt(lines[0].slice(1), 10);
+  if (!text.includes('\r\n') || lines.length < 1 + count * 2 + 1) return null;
+  const args = [];
+  for (let i = 0; i < count; i++) args.push(lines[2 + i * 2]);
+  return [args, lines.slice(1 + count * 2).join('\r\n')];
+};
+
+const REDIS_DATA = { 'queue:length': '42' };
+
+const handleRedis = (socket) => {
+  let buffer = '';
+  let authenticated = false;
+  socket.on('error', () => {});
+  socket.on('data', (chunk) => {
+    buffer += chunk.toString();
+    let parsed;
+    while (buffer && (parsed = parseRespCommand(buffer))) {
+      const [[command, ...args], rest] = parsed;
+      buffer = rest;
+      const name = command.toUpperCase();
+      if (name === 'AUTH') {
+        authenticated = args[args.length - 1] === PASSWORD && (args.length === 1 || args[0] === USER);
+        socket.write(authenticated ? '+OK\r\n' : '-WRONGPASS invalid username-password pair or user is disabled.\r\n');
+      } else if (!authenticated) {
+        socket.write('-NOAUTH Authentication required.\r\n');
+      } else if (name === 'INFO') {
+        socket.write(respBulk('# Server\r\nredis_version:7.2.0\r\nloading:0\r\n'));
+      } else if (name === 'PING') {
+        socket.write('+PONG\r\n');
+      } else if (name === 'SELECT') {
+        socket.write('+OK\r\n');
+      } else if (name === 'GET') {
+        socket.write(respBulk(REDIS_DATA[args[0]] ?? null));
+      } else {
+        socket.write(`-ERR unknown command '${command}'\r\n`);
+      }
+    }
+  });
+};
+
+// ==================== MONGODB ====================
+
+const OP_REPLY = 1;
+const OP_QUERY = 2004;
+const OP_MSG = 2013;
+
+const mongoHeader = (length, requestId, opCode) => {
+  const header = Buffer.alloc(16);
+  header.writeInt32LE(length, 0);
+  header.writeInt32LE(requestId + 1000, 4);
+  header.writeInt32LE(requestId, 8);
+  header.writeInt32LE(opCode, 12);
+  return header;
+};
+
+const mongoReply = (requestId, opCode, document) => {
+  const bson = Buffer.from(BSON.serialize(document));
+  if (opCode === OP_QUERY) {
+    const body = Buffer.concat([Buffer.alloc(20), bson]);
+    body.writeInt32LE(1, 16); // numberReturned
+    return Buffer.concat([mongoHeader(16 + body.length, requestId, OP_REPLY), body]);
+  }
+  const body = Buffer.concat([Buffer.alloc(4), Buffer.from([0]), bson]);
+  return Buffer.concat([mongoHeader(16 + body.length, requestId, OP_MSG), body]);
+};
+
+const mongoCommand = (command) => {
+  const name = Object.keys(command)[0];
+  switch (name.toLowerCase()) {
+    case 'hello':
+    case 'ismaster':
+      return {
+        helloOk: true, ismaster: true, isWritablePrimary: true, maxBsonObjectSize: 16777216, maxMessageSizeBytes: 48000000,
+        maxWriteBatchSize: 100000, localTime: new Date(), logicalSessionTimeoutMinutes: 30, connectionId: 1,
+        minWireVersion: 0, maxWireVersion: 21, ok: 1
+      };
+    case 'ping':
+    case 'endsessions':
+      return { ok: 1 };
+    case 'dbstats':
+      return { db: command.$db, collections: 4, objects: 1200, ok: 1 };
+    default:
+      return { ok: 0, errmsg: `no such command: '${name}'`, code: 59, codeName: 'CommandNotFound' };
+  }
+};
+
+const handleMongo = (socket) => {
+  let buffer = Buffer.alloc(0);
+  socket.on('error', () => {});
+  socket.on('data', (chunk) => {
+    buffer = Buffer.concat([buffer, chunk]);
+    while (buffer.length >= 16 && buffer.length >= buffer.readInt32LE(0)) {
+      const length = buffer.readInt32LE(0);
+      const requestId = buffer.readInt32LE(4);
+      const opCode = buffer.readInt32LE(12);
+      const message = buffer.subarray(16, length);
+      buffer = buffer.subarray(length);
+
+      let command;
+      if (opCode === OP_QUERY) {
+        // flags, collection name, skip, limit, query document
+        const offset = message.indexOf(0, 4) + 1 + 8;
+        command = BSON.deserialize(message.subarray(offset));
+      } else {
+        command = BSON.deserialize(message.subarray(5));
+      }
+      socket.write(mongoReply(requestId, opCode, mongoCommand(command)));
+    }
+  });
+};
+
+// ==================== SETUP ====================
+
+const servers = [];
+const ports = {};
+
+const listen = (handler) => new Promise(resolve => {
+  const server = net.createServer(handler);
+  servers.push(server);
+  server.listen(0, '127.0.0.1', () => resolve(server.address().port));
+});
+
+before(async () => {
+  ports.postgres = await listen(handlePostgres);
+  ports.mysql = await listen(handleMysql);
+  ports.redis = await listen(handleRedis);
+  ports.mongodb = await listen(handleMongo);
+});
+
+after(() => servers.forEach(server => server.close()));
+
+const dbMonitor = (type, overrides = {}) => ({
+  name: type, type, host: '127.0.0.1', port: ports[type], username: USER, password: PASSWORD, timeout: 3000, ...overrides
+});
+
+const rowsAssertion = (path, value) => ({ type: 'jsonPath', path, operator: 'eq', value });
+
+// ==================== SQL ====================
+
+for (const type of ['postgres', 'mysql']) {
+  test(`${type}: logs in and runs SELECT 1 by default`, async () => {
+    const result = await checkMonitorOnce(dbMonitor(type, type === 'mysql' ? { database: 'app' } : {}));
+    assert.equal(result.status, 'UP', result.message);
+    assert.match(result.message, /query OK in \d+ms: 1 row\(s\)/);
+    assert.equal(typeof result.queryTime, 'number');
+    assert.ok(result.responseTime >= result.queryTime);
+  });
+
+  test(`${type}: assertions run against the rows`, async () => {
+    const dbQuery = 'SELECT state, jobs FROM queue_stats';
+    const passing = await checkMonitorOnce(dbMonitor(type, { dbQuery, assertions: [rowsAssertion('$.rows[1].jobs', 0), rowsAssertion('$.rowCount', 2)] }));
+    assert.equal(passing.status, 'UP', passing.message);
+
+    const failing = await checkMonitorOnce(dbMonitor(type, { dbQuery, assertions: [rowsAssertion('$.rows[0].jobs', 0)] }));
+    assert.equal(failing.status, 'DOWN');
+    assert.match(failing.message, /2 row\(s\), assertion failed/);
+  });
+
+  test(`${type}: a wrong password is reported as down`, async () => {
+    const result = await checkMonitorOnce(dbMonitor(type, { password: 'wrong' }));
+    assert.equal(result.status, 'DOWN');
+    assert.match(result.message, /password authentication failed|Access denied/);
+  });
+
+  test(`${type}: query errors are reported as down`, async () => {
+    const result = await checkMonitorOnce(dbMonitor(type, { dbQuery: 'SELECT * FROM missing' }));
+    assert.equal(result.status, 'DOWN');
+    assert.match(result.message, /does not exist|doesn't exist/);
+  });
+}
+
+test('mysql: an unknown database is rejected at login', async () => {
+  const result = await checkMonitorOnce(dbMonitor('mysql', { database: 'other' }));
+  assert.equal(result.status, 'DOWN');
+  assert.match(result.message, /Unknown database/);
+});
+
+// ==================== REDIS ====================
+
+test('redis: authenticates and PINGs by default', async () => {
+  const result = await checkMonitorOnce(dbMonitor('redis', { username: '' }));
+  assert.equal(result.status, 'UP', result.message);
+  assert.match(result.message, /"PONG"/);
+});
+
+test('redis: commands with arguments and ACL users', async () => {
+  const result = await checkMonitorOnce(dbMonitor('redis', {
+    dbQuery: 'GET "queue:length"',
+    database: 2,
+    assertions: [{ type: 'jsonPath', path: '$.result', operator: 'lt', value: 100 }]
+  }));
+  assert.equal(result.status, 'UP', result.message);
+});
+
+test('redis: a wrong password shows the server reply', async () => {
+  const result = await checkMonitorOnce(dbMonitor('redis', { password: 'wrong' }));
+  assert.equal(result.status, 'DOWN');
+  assert.match(result.message, /WRONGPASS/);
+});
+
+test('redis: unknown commands are down', async () => {
+  const result = await checkMonitorOnce(dbMonitor('redis', { dbQuery: 'FLUSHALL' }));
+  assert.equal(result.status, 'DOWN');
+  assert.match(result.message, /unknown command/);
+});
+
+// ==================== MONGODB ====================
+
+test('mongodb: runs {"ping": 1} by default', async () => {
+  const result = await checkMonitorOnce(dbMonitor('mongodb', { username: '' }));
+  assert.equal(result.status, 'UP', result.message);
+});
+
+test('mongodb: command results are checked with assertions', async () => {
+  const monitor = dbMonitor('mongodb', { username: '', database: 'app', dbQuery: '{"dbStats": 1}' });
+  const passing = await checkMonitorOnce({ ...monitor, assertions: [rowsAssertion('$.result.collections', 4), rowsAssertion('$.result.db', 'app')] });
+  assert.equal(passing.status, 'UP', passing.message);
+
+  const failing = await checkMonitorOnce({ ...monitor, assertions: [{ type: 'jsonPath', path: '$.result.objects', operator: 'lt', value: 1000 }] });
+  assert.equal(failing.status, 'DOWN');
+});
+
+test('mongodb: command errors are down', async () => {
+  const result = await checkMonitorOnce(dbMonitor('mongodb', { username: '', dbQuery: '{"shutdown": 1}' }));
+  assert.equal(result.status, 'DOWN');
+  assert.match(result.message, /no such command/);
+});
+
+// ==================== CONNECTIVITY AND VALIDATION ====================
+
+test('a closed port is down for every database type', async () => {
+  const probe = net.createServer();
+  const port = await new Promise(resolve => probe.listen(0, '127.0.0.1', () => resolve(probe.address().port)));
+  await new Promise(resolve => probe.close(resolve));
+
+  for (const type of ['postgres', 'mysql', 'redis', 'mongodb']) {
+    const result = await checkMonitorOnce(dbMonitor(type, { port, timeout: 1000 }));
+    assert.equal(result.status, 'DOWN', type);
+  }
+});
+
+test('validation rejects malformed commands and unsupported assertions', () => {
+  assert.ok(validateMonitorConfig(dbMonitor('postgres')).valid);
+  assert.match(validateMonitorConfig(dbMonitor('mongodb', { dbQuery: 'db.stats()' })).errors.join(), /JSON document/);
+  assert.match(validateMonitorConfig(dbMonitor('redis', { database: 'cache' })).errors.join(), /database number/);
+  assert.match(validateMonitorConfig(dbMonitor('mysql', { assertions: [{ type: 'status', value: '200' }] })).errors.join(), /results support/);
+});
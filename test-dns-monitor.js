@@ -0,0 +1,181 @@
+#!/usr/bin/env node
+
+/**
+ * DNS Monitor Tests
+ * Runs dns checks against a stub resolver on 127.0.0.1 that answers from a small in-memory zone
+ * Run: node --test test-dns-monitor.js
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const dgram = require('dgram');
+const { checkMonitorOnce, validateMonitorConfig } = require('./monitors/monitorEngine');
+
+const TYPES = { A: 1, NS: 2, CNAME: 5, SOA: 6, MX: 15, TXT: 16, AAAA: 28 };
+
+const ZONE = {
+  'app.test': {
+    A: ['10.0.0.1', '10.0.0.2'],
+    AAAA: ['fd00::1'],
+    MX: [[10, 'mail.test'], [20, 'backup.test']],
+    TXT: ['v=spf1 include:mail.test -all'],
+    NS: ['ns1.test'],
+    SOA: [['ns1.test', 'hostmaster.test', 2024010101]]
+  },
+  'www.test': { CNAME: ['app.test'] },
+  'empty.test': {}
+};
+
+// Names that never get an answer, for timeouts
+const SILENT = ['slow.test'];
+
+// ==================== STUB RESOLVER ====================
+
+const encodeName = (name) => Buffer.concat([
+  ...name.split('.').map(label => Buffer.concat([Buffer.from([label.length]), Buffer.from(label)])),
+  Buffer.from([0])
+]);
+
+const uint16 = (value) => {
+  const buf = Buffer.alloc(2);
+  buf.writeUInt16BE(value);
+  return buf;
+};
+
+const uint32 = (value) => {
+  const buf = Buffer.alloc(4);
+  buf.writeUInt32BE(value);
+  return buf;
+};
+
+const encodeRdata = (type, value) => {
+  switch (type) {
+    case 'A':
+      return Buffer.from(value.split('.').map(Number));
+    case 'AAAA': {
+      // Only the "prefix::suffix" form used in the zone above
+      const [head, tail] = value.split('::').map(part => part.split(':'));
+      const groups = [...head, ...new Array(8 - head.length - tail.length).fill('0'), ...tail];
+      return Buffer.concat(groups.map(group => uint16(parseInt(group, 16))));
+    }
+    case 'MX':
+      return Buffer.concat([uint16(value[0]), encodeName(value[1])]);
+    case 'TXT':
+      return Buffer.concat([Buffer.from([value.length]), Buffer.from(value)]);
+    case 'SOA':
+      return Buffer.concat([encodeName(value[0]), encodeName(value[1]), uint32(value[2]), uint32(3600), uint32(600), uint32(86400), uint32(300)]);
+    default:
+      return encodeName(value);
+  }
+};
+
+const parseQuestion = (msg) => {
+  const labels = [];
+  let offset = 12;
+  while (msg[offset] !== 0) {
+    labels.push(msg.subarray(offset + 1, offset + 1 + msg[offset]).toString());
+    offset += msg[offset] + 1;
+  }
+  return { name: labels.join('.').toLowerCase(), qtype: msg.readUInt16BE(offset + 1), end: offset + 5 };
+};
+
+const answer = (msg) => {
+  const { name, qtype, end } = parseQuestion(msg);
+  if (SILENT.includes(name)) return null;
+
+  const type = Object.keys(TYPES).find(t => TYPES[t] === qtype);
+  const records = ZONE[name] ? ZONE[name][type] || [] : null;
+  const rcode = records === null ? 3 : 0; // NXDOMAIN for names outside the zone
+
+  const answers = (records || []).map(value => {
+    const rdata = encodeRdata(type, value);
+    return Buffer.concat([uint16(0xc00c), uint16(qtype), uint16(1), uint32(300), uint16(rdata.length), rdata]);
+  });
+  return Buffer.concat([
+    msg.subarray(0, 2), uint16(0x8180 | rcode), uint16(1), uint16(answers.length), uint16(0), uint16(0),
+    msg.subarray(12, end),
+    ...answers
+  ]);
+};
+
+let server;
+let port;
+
+before(() => new Promise((resolve) => {
+  server = dgram.createSocket('udp4');
+  server.on('message', (msg, rinfo) => {
+    const reply = answer(msg);
+    if (reply) server.send(reply, rinfo.port, rinfo.address);
+  });
+  server.bind(0, '127.0.0.1', () => {
+    port = server.address().port;
+    resolve();
+  });
+}));
+
+after(() => server.close());
+
+const dnsMonitor = (overrides) => ({ name: 'DNS', type: 'dns', host: 'app.test', dnsServer: '127.0.0.1', port, timeout: 2000, ...overrides });
+
+// ==================== CHECKS ====================
+
+test('A records resolve and match the expected addresses', async () => {
+  const result = await checkMonitorOnce(dnsMonitor({ dnsRecordType: 'A', dnsExpected: '10.0.0.1, 10.0.0.2' }));
+  assert.equal(result.status, 'UP');
+  assert.deepEqual(result.dnsAnswers.sort(), ['10.0.0.1', '10.0.0.2']);
+  assert.equal(typeof result.responseTime, 'number');
+});
+
+test('a missing expected value marks the check down', async () => {
+  const result = await checkMonitorOnce(dnsMonitor({ dnsRecordType: 'A', dnsExpected: ['10.0.0.1', '10.0.0.9'] }));
+  assert.equal(result.status, 'DOWN');
+  assert.match(result.message, /missing expected: 10\.0\.0\.9/);
+});
+
+test('AAAA, CNAME, NS and SOA answers are compared', async () => {
+  const cases = [
+    [{ dnsRecordType: 'AAAA', dnsExpected: 'fd00::1' }],
+    [{ host: 'www.test', dnsRecordType: 'CNAME', dnsExpected: 'app.test.' }],
+    [{ dnsRecordType: 'NS', dnsExpected: 'NS1.test' }],
+    [{ dnsRecordType: 'SOA', dnsExpected: 'hostmaster.test' }]
+  ];
+  for (const [overrides] of cases) {
+    const result = await checkMonitorOnce(dnsMonitor(overrides));
+    assert.equal(result.status, 'UP', `${overrides.dnsRecordType}: ${result.message}`);
+  }
+});
+
+test('MX matches on any field and TXT on a substring', async () => {
+  const mx = await checkMonitorOnce(dnsMonitor({ dnsRecordType: 'MX', dnsExpected: 'mail.test' }));
+  assert.equal(mx.status, 'UP');
+  assert.deepEqual(mx.dnsAnswers.sort(), ['10 mail.test', '20 backup.test']);
+
+  const txt = await checkMonitorOnce(dnsMonitor({ dnsRecordType: 'TXT', dnsExpected: 'v=spf1' }));
+  assert.equal(txt.status, 'UP');
+});
+
+test('NXDOMAIN and empty answers are down', async () => {
+  const missing = await checkMonitorOnce(dnsMonitor({ host: 'missing.test' }));
+  assert.equal(missing.status, 'DOWN');
+  assert.match(missing.message, /ENOTFOUND/);
+
+  const empty = await checkMonitorOnce(dnsMonitor({ host: 'empty.test', dnsRecordType: 'TXT' }));
+  assert.equal(empty.status, 'DOWN');
+});
+
+test('a resolver that never answers times out', async () => {
+  const started = Date.now();
+  const result = await checkMonitorOnce(dnsMonitor({ host: 'slow.test', timeout: 300 }));
+  assert.equal(result.status, 'DOWN');
+  assert.ok(Date.now() - started < 5000);
+});
+
+// ==================== VALIDATION ====================
+
+test('validation rejects unknown record types and resolver hostnames', () => {
+  const { valid, errors } = validateMonitorConfig({ name: 'DNS', type: 'dns', host: 'app.test', dnsRecordType: 'PTR', dnsServer: 'dns.example.com' });
+  assert.equal(valid, false);
+  assert.ok(errors.some(e => /Record type/.test(e)));
+  assert.ok(errors.some(e => /IP address/.test(e)));
+  assert.ok(validateMonitorConfig(dnsMonitor({ dnsRecordType: 'mx' })).valid);
+});
@@ -0,0 +1,96 @@
+#!/usr/bin/env node
+
+/**
+ * Incident Alert Tests
+ * Runs the monitor state against a temporary data directory and checks which alerts a recovery
+ * resolves: the incident's own alert, not certificate, content or SLO alerts of the same monitor,
+ * and whether SLO burn-rate alerts page again after being closed while the budget still burns
+ * Run: node --test test-incident-alerts.js
+ */
+
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.PULSE_DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'pulse-test-'));
+process.env.PULSE_MASTER_KEY = 'incident-alert-tests';
+
+const state = require('./state/monitorState');
+const historyStore = require('./state/historyStore');
+const { evaluateSlos } = require('./services/sloService');
+
+after(() => fs.rmSync(process.env.PULSE_DATA_DIR, { recursive: true, force: true }));
+
+const createMonitor = (name) => state.createMonitor({ name, type: 'https', url: 'https://app.test/', interval: 60 });
+
+const alertStatus = (alertId) => state.getAllAlerts().find(a => a.id === alertId).status;
+
+const incidentAlert = (monitorId) => state.getAllAlerts().find(a => a.monitorId === monitorId && a.type === 'incident');
+
+// ==================== RECOVERY ====================
+
+test('recovery resolves the incident alert', () => {
+  const monitor = createMonitor('API');
+  state.createIncident(monitor.id, 'Connection refused');
+  const alert = incidentAlert(monitor.id);
+  assert.equal(alert.status, 'active');
+
+  const incident = state.resolveIncidentForMonitor(monitor.id);
+  assert.equal(incident.status, 'resolved');
+  assert.equal(alertStatus(alert.id), 'resolved');
+});
+
+test('recovery leaves certificate expiry alerts open', () => {
+  const monitor = createMonitor('Shop');
+  const expiry = state.createAlert(monitor.id, 'ssl_expiry', 'TLS certificate for shop.test expires in 5 day(s)', 'warning', {
+    certificateLevel: 'warning',
+    daysRemaining: 5
+  });
+  state.createIncident(monitor.id, 'Timeout');
+
+  state.resolveIncidentForMonitor(monitor.id);
+  assert.equal(alertStatus(incidentAlert(monitor.id).id), 'resolved');
+  assert.equal(alertStatus(expiry.id), 'active');
+});
+
+test('recovery leaves content change and SLO burn alerts open', () => {
+  const monitor = createMonitor('Pricing');
+  const changed = state.createAlert(monitor.id, 'content_changed', 'Page content changed: +3 -1 lines', 'warning', { contentHash: 'abc' });
+  const burn = state.createAlert(monitor.id, 'slo_burn', 'SLO "Pricing" is burning its error budget', 'critical', { monitorName: 'SLO: Pricing' });
+  state.createIncident(monitor.id, 'HTTP 502');
+
+  state.resolveIncidentForMonitor(monitor.id);
+  assert.equal(alertStatus(changed.id), 'active');
+  assert.equal(alertStatus(burn.id), 'active');
+});
+
+// ==================== SLO BURN ALERTS ====================
+
+test('a burn-rate alert resolved while the SLO still burns pages again', async () => {
+  const monitor = createMonitor('Checkout');
+  const now = Date.now();
+  for (let i = 0; i < 10; i++) {
+    historyStore.recordSample(monitor.id, { timestamp: new Date(now - i * 20000).toISOString(), status: 'DOWN', responseTime: 100 });
+  }
+  const slo = state.createSlo({
+    name: 'Checkout availability',
+    targetType: 'monitor',
+    targetId: monitor.id,
+    objective: 99,
+    burnRateRules: [{ longWindowMinutes: 60, shortWindowMinutes: 5, burnRate: 2, severity: 'critical' }]
+  });
+  const burnAlerts = () => state.getAllAlerts().filter(a => a.sloId === slo.id);
+
+  await evaluateSlos(null);
+  assert.equal(burnAlerts().length, 1);
+  await evaluateSlos(null);
+  assert.equal(burnAlerts().length, 1);
+
+  state.resolveAlert(burnAlerts()[0].id);
+  await evaluateSlos(null);
+  assert.equal(burnAlerts().length, 2);
+  assert.equal(burnAlerts()[0].status, 'active');
+  assert.equal(state.getSlo(slo.id).activeAlerts[0], burnAlerts()[0].id);
+});
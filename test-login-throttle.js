@@ -0,0 +1,62 @@
+#!/usr/bin/env node
+
+/**
+ * Login Throttling Tests
+ * Runs logins against a temporary data directory and checks that repeated failures lock out the
+ * username and the client IP, and that a successful login clears only the username's count
+ * Run: node --test test-login-throttle.js
+ */
+
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.PULSE_DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'pulse-test-'));
+process.env.PULSE_MASTER_KEY = 'login-throttle-tests';
+
+const state = require('./state/monitorState');
+const { attemptLogin } = require('./services/authService');
+
+after(() => fs.rmSync(process.env.PULSE_DATA_DIR, { recursive: true, force: true }));
+
+const PASSWORD = 'correct horse battery';
+
+const fail = (ip, username, times) => Promise.all(
+  Array.from({ length: times }, () => attemptLogin(ip, username, 'wrong password'))
+);
+
+// ==================== USERNAME ====================
+
+test('a username is locked after repeated failures, even with the right password', async () => {
+  state.createUser({ username: 'alice', password: PASSWORD, role: 'viewer' });
+
+  const failures = await fail('10.0.0.1', 'alice', 5);
+  assert.ok(failures.every(result => result.user === null && result.retryAfter === 0));
+
+  const locked = await attemptLogin('10.0.0.2', 'Alice', PASSWORD);
+  assert.equal(locked.user, null);
+  assert.ok(locked.retryAfter > 0 && locked.retryAfter <= 15 * 60);
+});
+
+test('a successful login clears the username count', async () => {
+  state.createUser({ username: 'bob', password: PASSWORD, role: 'viewer' });
+
+  await fail('10.0.1.1', 'bob', 4);
+  assert.equal((await attemptLogin('10.0.1.1', 'bob', PASSWORD)).user.username, 'bob');
+  await fail('10.0.1.1', 'bob', 4);
+  assert.equal((await attemptLogin('10.0.1.1', 'bob', PASSWORD)).user.username, 'bob');
+});
+
+// ==================== IP ====================
+
+test('an IP trying many usernames is locked for every username', async () => {
+  state.createUser({ username: 'carol', password: PASSWORD, role: 'viewer' });
+
+  for (let i = 0; i < 20; i++) {
+    await attemptLogin('10.0.2.1', `guess${i}`, 'wrong password');
+  }
+  assert.ok((await attemptLogin('10.0.2.1', 'carol', PASSWORD)).retryAfter > 0);
+  assert.equal((await attemptLogin('10.0.2.2', 'carol', PASSWORD)).user.username, 'carol');
+});
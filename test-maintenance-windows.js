@@ -0,0 +1,68 @@
+#!/usr/bin/env node
+
+/**
+ * Maintenance Window Tests
+ * Runs maintenance window updates against a temporary data directory and checks that stored
+ * windows keep parsed values and only their own fields
+ * Run: node --test test-maintenance-windows.js
+ */
+
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.PULSE_DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'pulse-test-'));
+process.env.PULSE_MASTER_KEY = 'maintenance-window-tests';
+
+const state = require('./state/monitorState');
+
+after(() => fs.rmSync(process.env.PULSE_DATA_DIR, { recursive: true, force: true }));
+
+const monitor = state.createMonitor({ name: 'DB', type: 'tcp', host: '10.0.0.5', port: 5432 });
+
+const nightly = () => state.createMaintenanceWindow({
+  name: 'Nightly backup',
+  scheduleType: 'cron',
+  cron: '0 2 * * *',
+  durationMinutes: 30,
+  scope: { monitorIds: [monitor.id] }
+});
+
+// ==================== UPDATES ====================
+
+test('updates store the duration as a number', () => {
+  const window = nightly();
+
+  const updated = state.updateMaintenanceWindow(window.id, { durationMinutes: '90abc' });
+  assert.equal(updated.durationMinutes, 90);
+  assert.equal(state.getMaintenanceWindow(window.id).durationMinutes, 90);
+});
+
+test('updates drop fields that are not window settings', () => {
+  const window = nightly();
+
+  const updated = state.updateMaintenanceWindow(window.id, {
+    id: 'other',
+    name: 'Nightly backup (extended)',
+    createdAt: '2000-01-01T00:00:00.000Z',
+    active: true,
+    isAdmin: true
+  });
+  assert.equal(updated.id, window.id);
+  assert.equal(updated.name, 'Nightly backup (extended)');
+  assert.equal(updated.createdAt, window.createdAt);
+  assert.equal('active' in updated, false);
+  assert.equal('isAdmin' in updated, false);
+});
+
+test('updates keep settings that are not sent', () => {
+  const window = nightly();
+
+  const updated = state.updateMaintenanceWindow(window.id, { enabled: false });
+  assert.equal(updated.enabled, false);
+  assert.equal(updated.cron, '0 2 * * *');
+  assert.equal(updated.durationMinutes, 30);
+  assert.deepEqual(updated.scope, { monitorIds: [monitor.id], groupIds: [], applicationIds: [] });
+});
@@ -0,0 +1,80 @@
+#!/usr/bin/env node
+
+/**
+ * Monitor Secret Tests
+ * Runs monitor updates against a temporary data directory and checks that stored credentials stay
+ * with the host, flow URLs or IMAP server they were entered for
+ * Run: node --test test-monitor-secrets.js
+ */
+
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.PULSE_DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'pulse-test-'));
+process.env.PULSE_MASTER_KEY = 'monitor-secret-tests';
+
+const state = require('./state/monitorState');
+
+after(() => fs.rmSync(process.env.PULSE_DATA_DIR, { recursive: true, force: true }));
+
+const secrets = (monitorId) => {
+  const { password, privateKey, sshSudoPassword, imapPassword } = state.getMonitor(monitorId);
+  return { password, privateKey, sshSudoPassword, imapPassword };
+};
+
+const flowSteps = (url) => [{ name: 'Login', method: 'POST', url, body: { password: '{{password}}' } }];
+
+// ==================== HOSTS ====================
+
+test('masked credentials are kept while the host stays the same', () => {
+  const monitor = state.createMonitor({ name: 'Files', type: 'sftp', host: 'files.test', username: 'backup', password: 's3cret', privateKey: 'KEY' });
+
+  state.updateMonitor(monitor.id, { name: 'Backup files', host: 'files.test', password: '***', privateKey: '***', timeout: 5000 });
+  assert.deepEqual(secrets(monitor.id), { password: 's3cret', privateKey: 'KEY', sshSudoPassword: null, imapPassword: null });
+});
+
+test('a different host drops credentials that are not entered again', () => {
+  const ssh = state.createMonitor({ name: 'Bastion', type: 'ssh', host: 'bastion.test', username: 'ops', password: 's3cret', privateKey: 'KEY', sshSudoPassword: 'sudo' });
+  state.updateMonitor(ssh.id, { host: 'evil.test', password: '***', privateKey: '***' });
+  assert.deepEqual(secrets(ssh.id), { password: null, privateKey: null, sshSudoPassword: null, imapPassword: null });
+
+  const db = state.createMonitor({ name: 'Orders DB', type: 'postgres', host: 'db.test', username: 'monitor', password: 's3cret' });
+  state.updateMonitor(db.id, { host: 'db2.test', password: 'n3w' });
+  assert.equal(secrets(db.id).password, 'n3w');
+});
+
+test('the IMAP password stays with the IMAP server', () => {
+  const monitor = state.createMonitor({
+    name: 'Mail round trip', type: 'smtp', host: 'smtp.test', username: 'probe', password: 'smtp-pass',
+    mailRoundTrip: true, imapHost: 'imap.test', imapUsername: 'probe', imapPassword: 'imap-pass'
+  });
+
+  state.updateMonitor(monitor.id, { imapHost: 'evil.test', imapPassword: '***' });
+  assert.equal(secrets(monitor.id).imapPassword, null);
+  assert.equal(secrets(monitor.id).password, 'smtp-pass');
+});
+
+// ==================== HTTP FLOWS ====================
+
+test('a flow step pointed elsewhere drops the flow password', () => {
+  const monitor = state.createMonitor({ name: 'Checkout flow', type: 'http-flow', username: 'shopper', password: 's3cret', steps: flowSteps('https://shop.test/login') });
+
+  state.updateMonitor(monitor.id, { steps: [{ ...flowSteps('https://shop.test/login')[0], name: 'Sign in' }], password: '***' });
+  assert.equal(secrets(monitor.id).password, 's3cret');
+
+  state.updateMonitor(monitor.id, { steps: flowSteps('https://evil.test/?p={{password}}'), password: '***' });
+  assert.equal(secrets(monitor.id).password, null);
+});
+
+test('a flow variable that moves a step URL drops the flow password', () => {
+  const monitor = state.createMonitor({
+    name: 'Tenant flow', type: 'http-flow', username: 'shopper', password: 's3cret',
+    steps: flowSteps('https://{{tenant}}.shop.test/login'), variables: { tenant: 'acme' }
+  });
+
+  state.updateMonitor(monitor.id, { variables: { tenant: 'evil.test/#' } });
+  assert.equal(secrets(monitor.id).password, null);
+});
@@ -0,0 +1,153 @@
+#!/usr/bin/env node
+
+/**
+ * Monitor Status Tests
+ * Runs the monitor state against a temporary data directory and checks what retries and
+ * dependency outages record: the history keeps the status the monitor showed (with the check's
+ * own result) and leaves unconfirmed failures and checks still waiting for a result out of uptime;
+ * recoveries are announced however the monitor got back to UP
+ * Run: node --test test-monitor-status.js
+ */
+
+const { test, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.PULSE_DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'pulse-test-'));
+process.env.PULSE_MASTER_KEY = 'monitor-status-tests';
+
+const state = require('./state/monitorState');
+const notificationService = require('./services/notificationService');
+
+// Alerts handed to the notification service, as "type:status"
+const notified = [];
+mock.method(notificationService, 'sendAlertNotification', async (alert) => {
+  notified.push(`${alert.type}:${alert.status}`);
+  return { success: true };
+});
+const { recordCheckResult } = require('./handlers/socketHandlers');
+
+const io = { emit: () => {} };
+
+after(() => fs.rmSync(process.env.PULSE_DATA_DIR, { recursive: true, force: true }));
+
+const createMonitor = (name, overrides = {}) => state.createMonitor({ name, type: 'tcp', host: '10.0.0.1', port: 443, ...overrides });
+
+const check = (monitorId, status) => state.updateStatus(monitorId, { status, responseTime: 20, message: status === 'UP' ? 'Connected' : 'Connection refused' });
+
+// Oldest first
+const recorded = (monitorId) => state.getMonitorHistory(monitorId, { resolution: 'raw' }).points
+  .map(({ status, checkStatus }) => (checkStatus ? `${status}:${checkStatus}` : status));
+
+// ==================== RETRIES ====================
+
+test('retried failures are recorded as PENDING and left out of uptime', () => {
+  const monitor = createMonitor('Gateway', { retries: 2 });
+  ['UP', 'DOWN', 'DOWN', 'DOWN'].forEach(status => check(monitor.id, status));
+
+  assert.deepEqual(recorded(monitor.id), ['UP', 'PENDING:DOWN', 'PENDING:DOWN', 'DOWN']);
+
+  const summary = state.getMonitorHistorySummary(monitor.id);
+  assert.equal(summary.countedChecks, 2);
+  assert.equal(summary.uptime, 50);
+
+  const status = state.getStatus(monitor.id);
+  assert.equal(status.totalChecks, 2);
+  assert.equal(status.successfulChecks, 1);
+});
+
+test('a retry that recovers costs no uptime', () => {
+  const monitor = createMonitor('Cache', { retries: 1 });
+  ['UP', 'DOWN', 'UP'].forEach(status => check(monitor.id, status));
+
+  assert.deepEqual(recorded(monitor.id), ['UP', 'PENDING:DOWN', 'UP']);
+  assert.equal(state.getMonitorHistorySummary(monitor.id).uptime, 100);
+});
+
+test('waiting for the first heartbeat costs no retries and no uptime', () => {
+  const monitor = createMonitor('Nightly job', { type: 'push', pushPeriod: 3600, retries: 1 });
+  const waiting = { status: 'PENDING', responseTime: 0, message: 'Waiting for the first heartbeat' };
+  [1, 2, 3].forEach(() => state.updateStatus(monitor.id, waiting));
+
+  let status = state.getStatus(monitor.id);
+  assert.equal(status.consecutiveFailures, 0);
+  assert.equal(status.totalChecks, 0);
+
+  check(monitor.id, 'DOWN');
+  status = state.getStatus(monitor.id);
+  assert.equal(status.status, 'PENDING');
+  assert.deepEqual(status.retry, { attempt: 1, of: 1 });
+  assert.equal(state.getMonitorHistorySummary(monitor.id).countedChecks, 0);
+});
+
+// ==================== DEPENDENCIES ====================
+
+test('failures behind a down parent are recorded as UNREACHABLE and left out of uptime', () => {
+  const router = createMonitor('Router', { retries: 0 });
+  const server = createMonitor('Server', { retries: 0, dependencies: [{ type: 'monitor', id: router.id }] });
+
+  check(server.id, 'UP');
+  check(router.id, 'DOWN');
+  check(server.id, 'DOWN');
+
+  assert.equal(state.getStatus(server.id).status, 'UNREACHABLE');
+  assert.deepEqual(recorded(server.id), ['UP', 'UNREACHABLE:DOWN']);
+  assert.equal(state.getMonitorHistorySummary(server.id).uptime, 100);
+  assert.equal(state.getMonitorHistorySummary(router.id).uptime, 0);
+});
+
+// ==================== RECOVERY NOTIFICATIONS ====================
+
+const run = async (monitor, statuses) => {
+  for (const status of statuses) {
+    await recordCheckResult(io, monitor, { status, responseTime: 20, message: status });
+  }
+};
+
+test('recovery is sent when a DOWN monitor comes back', async () => {
+  const monitor = createMonitor('Web', { retries: 0 });
+  notified.length = 0;
+
+  await run(monitor, ['UP', 'DOWN', 'UP']);
+  assert.deepEqual(notified, ['incident:active', 'incident:resolved']);
+  assert.equal(state.getAllAlerts().find(a => a.monitorId === monitor.id).status, 'resolved');
+});
+
+test('recovery is sent after the monitor was UNREACHABLE on the way back', async () => {
+  const router = createMonitor('Edge router', { retries: 0 });
+  const server = createMonitor('App server', { retries: 0, dependencies: [{ type: 'monitor', id: router.id }] });
+  await run(router, ['UP']);
+  notified.length = 0;
+
+  await run(server, ['UP', 'DOWN']);
+  await run(router, ['DOWN']);
+  await run(server, ['DOWN']);
+  assert.equal(state.getStatus(server.id).status, 'UNREACHABLE');
+  await run(router, ['UP']);
+  await run(server, ['UP']);
+
+  assert.deepEqual(notified, ['incident:active', 'incident:active', 'incident:resolved', 'incident:resolved']);
+});
+
+test('recovery is sent when a monitor stops flapping', async () => {
+  const settings = state.getSettingsFull();
+  state.updateSettings({ flapThreshold: 2, flapWindowMinutes: 0.002 });
+  try {
+    const monitor = createMonitor('Queue', { retries: 0 });
+    notified.length = 0;
+
+    await run(monitor, ['UP', 'DOWN', 'UP']);
+    assert.equal(state.getStatus(monitor.id).status, 'FLAPPING');
+    assert.deepEqual(notified, ['incident:active']);
+
+    // Once the state changes have left the flap window the next UP ends the incident
+    await new Promise(resolve => setTimeout(resolve, 200));
+    await run(monitor, ['UP']);
+    assert.equal(state.getStatus(monitor.id).status, 'UP');
+    assert.deepEqual(notified, ['incident:active', 'incident:resolved']);
+  } finally {
+    state.updateSettings({ flapThreshold: settings.flapThreshold, flapWindowMinutes: settings.flapWindowMinutes });
+  }
+});
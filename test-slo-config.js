@@ -0,0 +1,51 @@
+#!/usr/bin/env node
+
+/**
+ * SLO Config Tests
+ * Runs SLO validation against a temporary data directory and checks that latency thresholds stay
+ * within the latency buckets kept in history
+ * Run: node --test test-slo-config.js
+ */
+
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.PULSE_DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'pulse-test-'));
+process.env.PULSE_MASTER_KEY = 'slo-config-tests';
+
+const state = require('./state/monitorState');
+const { LATENCY_BUCKETS } = require('./state/historyStore');
+const { validateSloConfig } = require('./services/sloService');
+
+after(() => fs.rmSync(process.env.PULSE_DATA_DIR, { recursive: true, force: true }));
+
+const monitor = state.createMonitor({ name: 'API', type: 'https', url: 'https://api.test/' });
+
+const latencySlo = (latencyThreshold) => ({
+  name: 'API latency',
+  targetType: 'monitor',
+  targetId: monitor.id,
+  indicator: 'latency',
+  objective: 95,
+  latencyThreshold
+});
+
+// ==================== LATENCY ====================
+
+test('latency thresholds up to the largest bucket are accepted', () => {
+  assert.equal(LATENCY_BUCKETS[LATENCY_BUCKETS.length - 1], 10000);
+  [1, 500, 2500.5, 10000].forEach(threshold => {
+    assert.deepEqual(validateSloConfig(latencySlo(threshold)).errors, []);
+  });
+});
+
+test('latency thresholds beyond the buckets are rejected', () => {
+  [10001, 60000, 0, -5, 'abc'].forEach(threshold => {
+    assert.deepEqual(validateSloConfig(latencySlo(threshold)).errors, [
+      'Latency threshold must be a positive number of milliseconds, at most 10000'
+    ]);
+  });
+});
@@ -0,0 +1,302 @@
+#!/usr/bin/env node
+
+/**
+ * SMS Provider Adapter Tests
+ * Sends through each adapter (mNotify, generic HTTP, Twilio, SMPP) to mock servers on 127.0.0.1
+ * and checks the per-recipient delivery results
+ * Run: node --test test-sms-providers.js
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const net = require('net');
+const { getSmsProvider } = require('./services/smsProviders');
+
+// ==================== MOCK HTTP PROVIDERS ====================
+
+// Requests the mock received: { method, path, query, headers, body }
+let requests = [];
+
+const json = (res, status, data) => {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(data));
+};
+
+const handleHttp = (req, res, body) => {
+  const url = new URL(req.url, 'http://localhost');
+  requests.push({ method: req.method, path: url.pathname, query: Object.fromEntries(url.searchParams), headers: req.headers, body });
+
+  if (url.pathname === '/mnotify') {
+    if (url.searchParams.get('key') !== 'good-key') return json(res, 401, { status: 'error', message: 'Invalid API key' });
+    // Only the first number is accepted, in the provider's international format
+    return json(res, 200, { status: 'success', code: '2000', summary: { _id: 'batch-1', numbers_sent: ['233244000001'] } });
+  }
+
+  if (url.pathname === '/sms') {
+    const payload = req.method === 'GET' ? Object.fromEntries(url.searchParams) : JSON.parse(body);
+    if (payload.to === '0244000666') return json(res, 500, { error: 'gateway down' });
+    return json(res, 200, { id: `msg-${payload.to || 'batch'}` });
+  }
+
+  const twilio = /^\/2010-04-01\/Accounts\/(\w+)\/Messages\.json$/.exec(url.pathname);
+  if (twilio && req.method === 'POST') {
+    const expected = `Basic ${Buffer.from('AC123:auth-token').toString('base64')}`;
+    if (req.headers.authorization !== expected) return json(res, 401, { code: 20003, message: 'Authenticate' });
+    const form = new URLSearchParams(body);
+    if (form.get('To') === '+15005550001') return json(res, 400, { code: 21211, message: "The 'To' number is not a valid phone number." });
+    return json(res, 201, { sid: `SM${form.get('To').slice(-4)}`, status: 'queued' });
+  }
+
+  json(res, 404, { error: 'not found' });
+};
+
+// ==================== MOCK SMSC ====================
+
+const SMPP = { BIND_TRANSMITTER: 0x02, SUBMIT_SM: 0x04, UNBIND: 0x06, RESP: 0x80000000 };
+
+// PDUs the SMSC received: { commandId, fields }
+let pdus = [];
+// Set to make the SMSC answer the next bind with a PDU whose command_length is this value
+let bogusLength = null;
+
+const encodePdu = (commandId, status, sequence, body = Buffer.alloc(0)) => {
+  const header = Buffer.alloc(16);
+  header.writeUInt32BE(16 + body.length, 0);
+  header.writeUInt32BE(commandId >>> 0, 4);
+  header.writeUInt32BE(status, 8);
+  header.writeUInt32BE(sequence, 12);
+  return Buffer.concat([header, body]);
+};
+
+// NUL-terminated strings and single octets, in order
+const readFields = (body, layout) => {
+  let offset = 0;
+  return layout.map(kind => {
+    if (kind === 'byte') return body[offset++];
+    const end = body.indexOf(0, offset);
+    const value = body.subarray(offset, end).toString('latin1');
+    offset = end + 1;
+    return value;
+  });
+};
+
+const handlePdu = (socket, commandId, sequence, body) => {
+  if (commandId === SMPP.BIND_TRANSMITTER) {
+    const [systemId, password] = readFields(body, ['str', 'str']);
+    pdus.push({ commandId, fields: { systemId, password } });
+    if (bogusLength !== null) {
+      const pdu = encodePdu(SMPP.BIND_TRANSMITTER | SMPP.RESP, 0, sequence);
+      pdu.writeUInt32BE(bogusLength, 0);
+      socket.write(pdu);
+      return;
+    }
+    const status = password === 'secret' ? 0 : 0x0e; // ESME_RINVPASWD
+    socket.write(encodePdu(SMPP.BIND_TRANSMITTER | SMPP.RESP, status, sequence, Buffer.from('SMSC\0')));
+  } else if (commandId === SMPP.SUBMIT_SM) {
+    const [, , , sourceAddr, , , destination] = readFields(body, ['str', 'byte', 'byte', 'str', 'byte', 'byte', 'str']);
+    pdus.push({ commandId, fields: { sourceAddr, destination } });
+    if (destination.endsWith('000666')) {
+      socket.write(encodePdu(SMPP.SUBMIT_SM | SMPP.RESP, 0x0b, sequence)); // ESME_RINVDSTADR
+    } else {
+      socket.write(encodePdu(SMPP.SUBMIT_SM | SMPP.RESP, 0, sequence, Buffer.from(`id-${destination}\0`)));
+    }
+  } else if (commandId === SMPP.UNBIND) {
+    pdus.push({ commandId, fields: {} });
+    socket.write(encodePdu(SMPP.UNBIND | SMPP.RESP, 0, sequence));
+  }
+};
+
+const handleSmpp = (socket) => {
+  let buffer = Buffer.alloc(0);
+  socket.on('error', () => {});
+  socket.on('data', (chunk) => {
+    buffer = Buffer.concat([buffer, chunk]);
+    while (buffer.length >= 16 && buffer.length >= buffer.readUInt32BE(0)) {
+      const length = buffer.readUInt32BE(0);
+      handlePdu(socket, buffer.readUInt32BE(4), buffer.readUInt32BE(12), buffer.subarray(16, length));
+      buffer = buffer.subarray(length);
+    }
+  });
+};
+
+// ==================== SETUP ====================
+
+let httpServer;
+let smscServer;
+let baseUrl;
+let smscPort;
+
+const listen = (server) => new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server.address().port)));
+
+before(async () => {
+  httpServer = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => handleHttp(req, res, body));
+  });
+  baseUrl = `http://127.0.0.1:${await listen(httpServer)}`;
+  smscServer = net.createServer(handleSmpp);
+  smscPort = await listen(smscServer);
+});
+
+after(() => {
+  httpServer.close();
+  smscServer.close();
+});
+
+const send = (provider, settings, recipients, message = 'Web is DOWN') => {
+  requests = [];
+  pdus = [];
+  return getSmsProvider(provider).send(settings, recipients, message);
+};
+
+const statuses = (result) => Object.fromEntries(result.results.map(r => [r.recipient, r.status]));
+
+// ==================== MNOTIFY ====================
+
+test('mnotify: numbers missing from numbers_sent fail, the rest share the batch id', async () => {
+  const result = await send('mnotify', { smsApiUrl: `${baseUrl}/mnotify`, smsApiKey: 'good-key', smsSenderId: 'Pulse' }, ['0244000001', '0244000002']);
+
+  assert.equal(requests.length, 1);
+  assert.equal(requests[0].query.key, 'good-key');
+  assert.deepEqual(JSON.parse(requests[0].body).recipient, ['0244000001', '0244000002']);
+  assert.deepEqual(statuses(result), { '0244000001': 'sent', '0244000002': 'failed' });
+  assert.equal(result.results[0].messageId, 'batch-1');
+  assert.equal(result.results[1].error, 'Rejected by provider');
+  assert.equal(result.success, false);
+});
+
+test('mnotify: a rejected key fails every recipient with the provider message', async () => {
+  const result = await send('mnotify', { smsApiUrl: `${baseUrl}/mnotify`, smsApiKey: 'bad-key' }, ['0244000001', '0244000002']);
+  assert.equal(result.failed, 2);
+  assert.ok(result.results.every(r => r.error === 'Invalid API key'));
+});
+
+test('mnotify: nothing is sent without an API key', async () => {
+  const result = await send('mnotify', { smsApiUrl: `${baseUrl}/mnotify` }, ['0244000001']);
+  assert.equal(requests.length, 0);
+  assert.equal(result.success, false);
+});
+
+// ==================== GENERIC HTTP ====================
+
+test('http: {{phone}} templates send one request per recipient with the configured headers', async () => {
+  const result = await send('http', {
+    smsApiUrl: `${baseUrl}/sms`,
+    smsApiHeaders: '{"X-Api-Key":"k1"}',
+    smsApiKey: 'k1',
+    smsApiBodyTemplate: '{"to":"{{phone}}","text":"{{message}}","key":"{{apiKey}}"}'
+  }, ['0244000001', '0244000666']);
+
+  assert.equal(requests.length, 2);
+  assert.equal(requests[0].headers['x-api-key'], 'k1');
+  assert.deepEqual(JSON.parse(requests[0].body), { to: '0244000001', text: 'Web is DOWN', key: 'k1' });
+  assert.deepEqual(statuses(result), { '0244000001': 'sent', '0244000666': 'failed' });
+  assert.equal(result.results[0].messageId, 'msg-0244000001');
+  assert.equal(result.results[1].error, 'HTTP 500');
+});
+
+test('http: {{phones}} templates send a single request with the number list', async () => {
+  const result = await send('http', {
+    smsApiUrl: `${baseUrl}/sms`,
+    smsApiBodyTemplate: '{"numbers":{{phones}},"text":"{{message}}"}'
+  }, ['0244000001', '0244000002']);
+
+  assert.equal(requests.length, 1);
+  assert.deepEqual(JSON.parse(requests[0].body).numbers, ['0244000001', '0244000002']);
+  assert.equal(result.sent, 2);
+  assert.ok(result.results.every(r => r.messageId === 'msg-batch'));
+});
+
+test('http: GET sends the rendered template as query parameters', async () => {
+  const result = await send('http', {
+    smsApiUrl: `${baseUrl}/sms`,
+    smsApiMethod: 'GET',
+    smsApiBodyTemplate: '{"to":"{{phone}}","msg":"{{message}}"}'
+  }, ['0244000001']);
+
+  assert.equal(requests[0].method, 'GET');
+  assert.deepEqual(requests[0].query, { to: '0244000001', msg: 'Web is DOWN' });
+  assert.equal(result.success, true);
+});
+
+// ==================== TWILIO ====================
+
+test('twilio: one authenticated form post per recipient, errors taken from the response', async () => {
+  const result = await send('twilio', {
+    twilioApiUrl: baseUrl,
+    twilioAccountSid: 'AC123',
+    twilioAuthToken: 'auth-token',
+    twilioFrom: '+15005550006'
+  }, ['+233244000001', '+15005550001']);
+
+  assert.equal(requests.length, 2);
+  assert.equal(new URLSearchParams(requests[0].body).get('From'), '+15005550006');
+  assert.deepEqual(statuses(result), { '+233244000001': 'sent', '+15005550001': 'failed' });
+  assert.equal(result.results[0].messageId, 'SM0001');
+  assert.match(result.results[1].error, /not a valid phone number/);
+});
+
+test('twilio: a wrong auth token fails the recipients', async () => {
+  const result = await send('twilio', {
+    twilioApiUrl: baseUrl,
+    twilioAccountSid: 'AC123',
+    twilioAuthToken: 'wrong',
+    twilioFrom: '+15005550006'
+  }, ['+233244000001']);
+  assert.equal(result.results[0].status, 'failed');
+  assert.equal(result.results[0].error, 'Authenticate');
+});
+
+// ==================== SMPP ====================
+
+const smppSettings = (overrides = {}) => ({
+  smppHost: '127.0.0.1',
+  smppPort: smscPort,
+  smppSystemId: 'pulse',
+  smppPassword: 'secret',
+  smppSourceAddr: 'Pulse',
+  ...overrides
+});
+
+test('smpp: binds, submits one message per recipient and unbinds', async () => {
+  const result = await send('smpp', smppSettings(), ['+233244000001', '+233244000666']);
+
+  assert.deepEqual(pdus.map(p => p.commandId), [SMPP.BIND_TRANSMITTER, SMPP.SUBMIT_SM, SMPP.SUBMIT_SM, SMPP.UNBIND]);
+  assert.deepEqual(pdus[0].fields, { systemId: 'pulse', password: 'secret' });
+  assert.deepEqual(pdus[1].fields, { sourceAddr: 'Pulse', destination: '233244000001' });
+  assert.deepEqual(statuses(result), { '+233244000001': 'sent', '+233244000666': 'failed' });
+  assert.equal(result.results[0].messageId, 'id-233244000001');
+  assert.match(result.results[1].error, /status 0xb/);
+});
+
+test('smpp: a rejected bind fails every recipient', async () => {
+  const result = await send('smpp', smppSettings({ smppPassword: 'wrong' }), ['+233244000001']);
+  assert.equal(result.success, false);
+  assert.match(result.results[0].error, /bind failed \(status 0xe\)/);
+  assert.ok(!pdus.some(p => p.commandId === SMPP.SUBMIT_SM));
+});
+
+test('smpp: a PDU with an invalid command_length drops the session instead of hanging', async () => {
+  for (const length of [8, 0x7fffffff]) {
+    bogusLength = length;
+    try {
+      const result = await send('smpp', smppSettings(), ['+233244000001']);
+      assert.equal(result.success, false);
+      assert.match(result.results[0].error, /invalid PDU length/);
+    } finally {
+      bogusLength = null;
+    }
+  }
+});
+
+test('smpp: an unreachable SMSC fails the recipients', async () => {
+  // A port that was just free
+  const probe = net.createServer();
+  const port = await listen(probe);
+  await new Promise(resolve => probe.close(resolve));
+
+  const result = await send('smpp', smppSettings({ smppPort: port }), ['+233244000001']);
+  assert.equal(result.success, false);
+});